@@ -0,0 +1,220 @@
+/**
+ * Asset Picker Module (content editor)
+ * Image path fields with a thumbnail and a "Choose…" dialog of the images under assets/.
+ * The list comes from precache-manifest.js, which lists every file the site ships; images
+ * added since it was last generated (scripts/precache.mjs) are found with "Scan assets
+ * folder…", which reads the folder picked on disk. Nothing is uploaded anywhere.
+ */
+
+import { createTextField } from './formFields.js'
+
+const DATALIST_ID = 'asset-options'
+const DIALOG_ID = 'asset-dialog'
+const IMAGE_PATTERN = /^assets\/.+\.(webp|avif|png|jpe?g|gif|svg)$/i
+
+let assets = []
+
+// Called with the path picked in the dialog
+let pickHandler = null
+
+/**
+ * Reads the image list from precache-manifest.js (loaded by admin.html)
+ */
+export function initAssetPicker() {
+	addAssets(self.PRECACHE_MANIFEST?.files || [])
+}
+
+/**
+ * Path field for an image under assets/, e.g. header.logo. Values given as { src, … }
+ * (social images, press kit assets) have their `src` edited.
+ * @param {Object} target
+ * @param {string} key
+ * @param {Object} options
+ * @param {string} options.label
+ * @param {string} options.path
+ * @param {string} [options.hint]
+ * @returns {HTMLElement}
+ */
+export function createAssetField(target, key, { label, path, hint }) {
+	const isObject = target[key] && typeof target[key] === 'object'
+	const field = isObject
+		? createTextField(target[key], 'src', { label, path: `${path}.src`, hint })
+		: createTextField(target, key, { label, path, hint })
+	field.classList.add('asset-field')
+
+	const input = field.querySelector('input')
+	input.setAttribute('list', DATALIST_ID)
+	input.placeholder = 'assets/…'
+
+	const thumbnail = document.createElement('img')
+	thumbnail.className = 'asset-thumbnail'
+	thumbnail.alt = ''
+	const showThumbnail = () => {
+		thumbnail.hidden = !input.value
+		if (input.value) thumbnail.src = input.value
+	}
+	thumbnail.addEventListener('error', () => (thumbnail.hidden = true))
+	input.addEventListener('input', showThumbnail)
+	showThumbnail()
+
+	const choose = document.createElement('button')
+	choose.type = 'button'
+	choose.className = 'asset-choose'
+	choose.textContent = 'Choose…'
+	choose.addEventListener('click', () =>
+		openAssetDialog((picked) => {
+			input.value = picked
+			input.dispatchEvent(new Event('input', { bubbles: true }))
+			input.focus()
+		})
+	)
+
+	field.querySelector('.field-body').append(choose, thumbnail)
+	return field
+}
+
+/**
+ * Lets the user pick the site's assets folder and adds the images in it to the list
+ * @returns {Promise<number>} How many images the folder had
+ */
+export function scanAssetsFolder() {
+	return new Promise((resolve) => {
+		const picker = document.createElement('input')
+		picker.type = 'file'
+		picker.webkitdirectory = true
+		picker.multiple = true
+		picker.addEventListener('change', () => {
+			// Paths start at the folder picked: keep them from "assets/" on
+			const paths = [...picker.files]
+				.map((file) => file.webkitRelativePath.split('/'))
+				.map((parts) => parts.slice(parts.indexOf('assets')).join('/'))
+				.filter((path) => IMAGE_PATTERN.test(path))
+			addAssets(paths)
+			resolve(paths.length)
+		})
+		picker.click()
+	})
+}
+
+/**
+ * @param {string[]} paths - Root-relative paths; anything that isn't an image under assets/ is ignored
+ */
+function addAssets(paths) {
+	assets = [...new Set([...assets, ...paths.filter((path) => IMAGE_PATTERN.test(path))])].sort()
+
+	let datalist = document.getElementById(DATALIST_ID)
+	if (!datalist) {
+		datalist = document.createElement('datalist')
+		datalist.id = DATALIST_ID
+		document.body.appendChild(datalist)
+	}
+	datalist.replaceChildren(
+		...assets.map((path) => {
+			const option = document.createElement('option')
+			option.value = path
+			return option
+		})
+	)
+}
+
+/**
+ * Shows the image grid
+ * @param {(path: string) => void} onPick
+ */
+function openAssetDialog(onPick) {
+	pickHandler = onPick
+	const dialog = document.getElementById(DIALOG_ID) || createAssetDialog()
+	dialog.querySelector('.asset-filter').value = ''
+	renderAssetGrid(dialog, '')
+	dialog.showModal()
+}
+
+/**
+ * Builds the dialog (once): a filter, a scan button and the grid
+ * @returns {HTMLDialogElement}
+ */
+function createAssetDialog() {
+	const dialog = document.createElement('dialog')
+	dialog.id = DIALOG_ID
+	dialog.className = 'asset-dialog'
+	dialog.setAttribute('aria-labelledby', `${DIALOG_ID}-title`)
+
+	const header = document.createElement('div')
+	header.className = 'asset-dialog-header'
+
+	const title = document.createElement('h2')
+	title.id = `${DIALOG_ID}-title`
+	title.textContent = 'Choose an image'
+
+	const filter = document.createElement('input')
+	filter.type = 'search'
+	filter.className = 'asset-filter'
+	filter.placeholder = 'Filter…'
+	filter.setAttribute('aria-label', 'Filter images')
+	filter.addEventListener('input', () => renderAssetGrid(dialog, filter.value))
+
+	const scan = document.createElement('button')
+	scan.type = 'button'
+	scan.textContent = 'Scan assets folder…'
+	scan.addEventListener('click', async () => {
+		await scanAssetsFolder()
+		renderAssetGrid(dialog, filter.value)
+	})
+
+	const close = document.createElement('button')
+	close.type = 'button'
+	close.className = 'icon-button'
+	close.setAttribute('aria-label', 'Close')
+	close.textContent = '×'
+	close.addEventListener('click', () => dialog.close())
+
+	const grid = document.createElement('div')
+	grid.className = 'asset-grid'
+
+	header.append(title, filter, scan, close)
+	dialog.append(header, grid)
+	document.body.appendChild(dialog)
+	return dialog
+}
+
+/**
+ * Lists the images matching a filter
+ * @param {HTMLDialogElement} dialog
+ * @param {string} filter
+ */
+function renderAssetGrid(dialog, filter) {
+	const grid = dialog.querySelector('.asset-grid')
+	const matches = assets.filter((path) => path.toLowerCase().includes(filter.trim().toLowerCase()))
+
+	if (matches.length === 0) {
+		const empty = document.createElement('p')
+		empty.className = 'asset-empty'
+		empty.textContent = 'No images found. Use "Scan assets folder…" and pick the site\'s assets folder.'
+		grid.replaceChildren(empty)
+		return
+	}
+
+	grid.replaceChildren(
+		...matches.map((path) => {
+			const button = document.createElement('button')
+			button.type = 'button'
+			button.className = 'asset-option'
+			button.title = path
+
+			const img = document.createElement('img')
+			img.src = path
+			img.alt = ''
+			img.loading = 'lazy'
+
+			const name = document.createElement('span')
+			name.textContent = path.replace(/^assets\//, '')
+
+			button.append(img, name)
+			button.addEventListener('click', () => {
+				dialog.close()
+				pickHandler?.(path)
+			})
+			return button
+		})
+	)
+}
@@ -0,0 +1,329 @@
+/**
+ * Content Forms Module (content editor)
+ * The forms for each block of data.json: site meta, header and social links, sections and
+ * their items, footer links, modals and the cookie notice. Properties without a field of
+ * their own (store buttons, screenshots, press kit details…) are kept and editable as JSON,
+ * as are the settings blocks (languages, themes, newsletter, Steam…).
+ */
+
+import {
+	createTextField,
+	createSelectField,
+	createCheckboxField,
+	createTextBlockField,
+	createJsonField,
+	createExtraFields,
+	createListField,
+} from './formFields.js'
+import { createAssetField } from './assetPicker.js'
+
+// Blocks with a form of their own; everything else is under "Other settings"
+const FORM_BLOCKS = ['meta', 'header', 'sections', 'footer', 'modals', 'cookieNotice']
+
+// Object blocks the forms create when missing, left out of the file again while still empty
+const OBJECT_BLOCKS = ['meta', 'header', 'footer', 'cookieNotice']
+
+const SECTION_TYPES = [
+	{ value: '', label: 'Cards (default)' },
+	...['news', 'gallery', 'timeline', 'faq', 'team', 'quote', 'hero'].map((type) => ({ value: type, label: type })),
+]
+
+const RELEASE_STATUSES = [
+	{ value: '', label: 'Not shown' },
+	{ value: 'announced', label: 'Announced' },
+	{ value: 'coming-soon', label: 'Coming soon' },
+	{ value: 'early-access', label: 'Early access' },
+	{ value: 'released', label: 'Released' },
+]
+
+/**
+ * Builds every panel for the data, in the order the site shows them
+ * @param {Object} data - The working copy of data.json (edited in place)
+ * @returns {HTMLElement[]}
+ */
+export function createContentForms(data) {
+	return [
+		createPanel('Site details', 'meta', () => createObjectFields(data, 'meta', createMetaFields)),
+		createPanel('Header and social links', 'header', () => createObjectFields(data, 'header', createHeaderFields)),
+		createPanel('Sections', 'sections', () => [createSectionList(data)]),
+		createPanel('Footer', 'footer', () => createObjectFields(data, 'footer', createFooterFields)),
+		createPanel('Modals', 'modals', () => [createModalList(data)]),
+		createPanel('Cookie notice', 'cookieNotice', () =>
+			createObjectFields(data, 'cookieNotice', createCookieNoticeFields)
+		),
+		createPanel('Other settings', 'data', () => [
+			createExtraFields(data, FORM_BLOCKS, {
+				path: 'data',
+				label: 'Languages, themes, newsletter, Steam and press kit settings (JSON)',
+			}),
+		]),
+	]
+}
+
+/**
+ * A foldable panel for one block
+ * @param {string} title
+ * @param {string} path - Validator path of the block
+ * @param {() => HTMLElement[]} build - The panel's fields
+ * @returns {HTMLDetailsElement}
+ */
+function createPanel(title, path, build) {
+	const panel = document.createElement('details')
+	panel.className = 'panel'
+	panel.dataset.path = path
+
+	const summary = document.createElement('summary')
+	summary.className = 'panel-title'
+	summary.textContent = title
+
+	const body = document.createElement('div')
+	body.className = 'panel-body'
+	body.append(...build())
+
+	panel.append(summary, body)
+	return panel
+}
+
+/**
+ * @param {Object} meta
+ * @returns {HTMLElement[]}
+ */
+function createMetaFields(meta) {
+	return [
+		createTextField(meta, 'title', { label: 'Page title', path: 'meta.title', translatable: true }),
+		createTextField(meta, 'description', {
+			label: 'Description',
+			path: 'meta.description',
+			translatable: true,
+			multiline: true,
+			hint: 'Shown by search engines and link previews',
+		}),
+		createTextField(meta, 'siteName', { label: 'Site name', path: 'meta.siteName', translatable: true }),
+		createAssetField(meta, 'image', {
+			label: 'Share image',
+			path: 'meta.image',
+			hint: 'Shown when the site is shared (1200×630 works best)',
+		}),
+		createTextField(meta, 'twitterSite', { label: 'X (Twitter) account', path: 'meta.twitterSite', hint: '@name' }),
+		createExtraFields(meta, ['title', 'description', 'siteName', 'image', 'twitterSite'], { path: 'meta' }),
+	]
+}
+
+/**
+ * @param {Object} header
+ * @returns {HTMLElement[]}
+ */
+function createHeaderFields(header) {
+	return [
+		createTextField(header, 'title', { label: 'Title', path: 'header.title', translatable: true }),
+		createTextField(header, 'subtitle', { label: 'Subtitle', path: 'header.subtitle', translatable: true }),
+		createAssetField(header, 'logo', { label: 'Logo', path: 'header.logo' }),
+		createListField(header, 'socialLinks', {
+			label: 'Social links',
+			path: 'header.socialLinks',
+			itemName: 'link',
+			describe: (link) => link.name || 'New link',
+			create: () => ({ name: '', url: '', icon: '' }),
+			render: (link, path) => [
+				createTextField(link, 'name', { label: 'Name', path: `${path}.name` }),
+				createTextField(link, 'url', { label: 'URL', path: `${path}.url`, type: 'url' }),
+				createTextField(link, 'icon', {
+					label: 'Icon',
+					path: `${path}.icon`,
+					hint: 'Font Awesome classes, e.g. fab fa-discord',
+				}),
+			],
+		}),
+		createExtraFields(header, ['title', 'subtitle', 'logo', 'socialLinks'], { path: 'header' }),
+	]
+}
+
+/**
+ * @param {Object} data
+ * @returns {HTMLElement}
+ */
+function createSectionList(data) {
+	return createListField(data, 'sections', {
+		label: 'Sections, in page order',
+		path: 'sections',
+		itemName: 'section',
+		describe: (section) => `${getText(section.title) || 'New section'}${section.type ? ` (${section.type})` : ''}`,
+		create: () => ({ title: '', items: [] }),
+		render: (section, path) => [
+			createTextField(section, 'title', { label: 'Title', path: `${path}.title`, translatable: true }),
+			createTextField(section, 'id', {
+				label: 'Id',
+				path: `${path}.id`,
+				hint: 'Used in links (#/<id>); keeps them the same when the title changes',
+			}),
+			createSelectField(section, 'type', { label: 'Layout', path: `${path}.type`, options: SECTION_TYPES }),
+			createListField(section, 'items', {
+				label: 'Items',
+				path: `${path}.items`,
+				itemName: 'item',
+				describe: (item) => getText(item.heading) || 'New item',
+				create: () => ({ heading: '' }),
+				render: createItemFields,
+			}),
+			createExtraFields(section, ['title', 'id', 'type', 'items'], { path }),
+		],
+	})
+}
+
+/**
+ * Fields of a card, news post, team member…
+ * @param {Object} item
+ * @param {string} path
+ * @returns {HTMLElement[]}
+ */
+function createItemFields(item, path) {
+	const known = ['heading', 'slug', 'image', 'text', 'steamUrl', 'releaseDate', 'status', 'date', 'author']
+	return [
+		createTextField(item, 'heading', { label: 'Heading', path: `${path}.heading`, translatable: true }),
+		createTextField(item, 'slug', {
+			label: 'Slug',
+			path: `${path}.slug`,
+			hint: 'Used in links (#/<section>/<slug>); keeps them the same when the heading changes',
+		}),
+		createAssetField(item, 'image', { label: 'Image', path: `${path}.image` }),
+		createTextBlockField(item, 'text', { label: 'Text', path: `${path}.text` }),
+		createTextField(item, 'steamUrl', { label: 'Steam link', path: `${path}.steamUrl`, type: 'url' }),
+		createTextField(item, 'releaseDate', {
+			label: 'Release date',
+			path: `${path}.releaseDate`,
+			hint: 'YYYY-MM-DD, YYYY-MM-DDTHH:mm or free text such as "Spring 2027"',
+		}),
+		createSelectField(item, 'status', { label: 'Release status', path: `${path}.status`, options: RELEASE_STATUSES }),
+		createTextField(item, 'date', { label: 'Post date (news)', path: `${path}.date`, hint: 'YYYY-MM-DD' }),
+		createTextField(item, 'author', { label: 'Author (news)', path: `${path}.author` }),
+		createExtraFields(item, known, { path }),
+	]
+}
+
+/**
+ * @param {Object} footer
+ * @returns {HTMLElement[]}
+ */
+function createFooterFields(footer) {
+	return [
+		createTextField(footer, 'companyName', { label: 'Company name', path: 'footer.companyName', translatable: true }),
+		createTextField(footer, 'year', {
+			label: 'Year',
+			path: 'footer.year',
+			type: 'number',
+			hint: '"auto" for the current year',
+		}),
+		createTextField(footer, 'additionalText', {
+			label: 'Text after the copyright',
+			path: 'footer.additionalText',
+			translatable: true,
+		}),
+		createListField(footer, 'links', {
+			label: 'Links',
+			path: 'footer.links',
+			itemName: 'link',
+			describe: (link) => getText(link.name) || 'New link',
+			create: () => ({ name: '', url: '' }),
+			render: (link, path) => [
+				createTextField(link, 'name', { label: 'Name', path: `${path}.name`, translatable: true }),
+				createTextField(link, 'url', { label: 'URL', path: `${path}.url`, hint: 'e.g. #privacy for a modal' }),
+			],
+		}),
+		createExtraFields(footer, ['companyName', 'year', 'additionalText', 'links'], { path: 'footer' }),
+	]
+}
+
+/**
+ * @param {Object} data
+ * @returns {HTMLElement}
+ */
+function createModalList(data) {
+	return createListField(data, 'modals', {
+		label: 'Modals (Privacy, Terms, contact form…)',
+		path: 'modals',
+		itemName: 'modal',
+		describe: (modal) => getText(modal.title) || modal.id || 'New modal',
+		create: () => ({ id: '', title: '', content: '' }),
+		render: (modal, path) => [
+			createTextField(modal, 'id', { label: 'Id', path: `${path}.id`, hint: 'Opened by links to #<id>' }),
+			createTextField(modal, 'title', { label: 'Title', path: `${path}.title`, translatable: true }),
+			createSelectField(modal, 'type', {
+				label: 'Type',
+				path: `${path}.type`,
+				options: [
+					{ value: '', label: 'Page' },
+					{ value: 'form', label: 'Form (fields under "Other fields")' },
+				],
+			}),
+			createTextBlockField(modal, 'content', { label: 'Content', path: `${path}.content` }),
+			createExtraFields(modal, ['id', 'title', 'type', 'content'], { path }),
+		],
+	})
+}
+
+/**
+ * @param {Object} notice
+ * @returns {HTMLElement[]}
+ */
+function createCookieNoticeFields(notice) {
+	return [
+		createCheckboxField(notice, 'enabled', { label: 'Show the cookie notice', path: 'cookieNotice.enabled' }),
+		createTextField(notice, 'message', {
+			label: 'Message',
+			path: 'cookieNotice.message',
+			translatable: true,
+			multiline: true,
+		}),
+		createTextField(notice, 'moreText', { label: 'Link text', path: 'cookieNotice.moreText', translatable: true }),
+		createTextField(notice, 'moreLink', { label: 'Link', path: 'cookieNotice.moreLink', hint: 'e.g. #cookies' }),
+		createTextField(notice, 'buttonText', {
+			label: 'Button text',
+			path: 'cookieNotice.buttonText',
+			translatable: true,
+		}),
+	]
+}
+
+/**
+ * The data as it should be saved: without the blocks the forms created that are still empty
+ * @param {Object} data - The working copy
+ * @returns {Object} A shallow copy
+ */
+export function toDataJson(data) {
+	const result = { ...data }
+	OBJECT_BLOCKS.forEach((key) => {
+		const value = result[key]
+		if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0) {
+			delete result[key]
+		}
+	})
+	return result
+}
+
+/**
+ * Fields for an object block, created empty when missing (see toDataJson). A block that
+ * isn't an object at all is shown as JSON, so it can be fixed without being overwritten.
+ * @param {Object} data
+ * @param {string} key
+ * @param {(block: Object) => HTMLElement[]} build
+ * @returns {HTMLElement[]}
+ */
+function createObjectFields(data, key, build) {
+	if (data[key] === undefined) data[key] = {}
+	const block = data[key]
+	if (!block || typeof block !== 'object' || Array.isArray(block)) {
+		return [createJsonField(data, key, { label: 'Not an object (JSON)', path: key })]
+	}
+	return build(block)
+}
+
+/**
+ * Text of a possibly translated value, for summary lines
+ * @param {*} value - A string or { "en": "...", … }
+ * @returns {string}
+ */
+function getText(value) {
+	if (typeof value === 'string') return value
+	if (value && typeof value === 'object') return String(Object.values(value).find((text) => text) || '')
+	return ''
+}
@@ -0,0 +1,360 @@
+/**
+ * Content Editor
+ * Entry point of admin.html: loads data.json into forms (see contentForms.js), shows every
+ * edit in a live preview built with the site's own renderers (admin-preview.html) and
+ * exports the result as a pretty-printed data.json download. Runs entirely in the browser
+ * and works offline; nothing is sent anywhere. Edits not yet downloaded are kept in
+ * localStorage, so closing the tab doesn't lose them.
+ */
+
+import { validateData } from '../modules/dataSchema.js'
+import { configureLocales, localizeData } from '../modules/i18n.js'
+import { downloadFile } from '../modules/domUtils.js'
+import { configureFields } from './formFields.js'
+import { createContentForms, toDataJson } from './contentForms.js'
+import { initAssetPicker, scanAssetsFolder } from './assetPicker.js'
+
+const DATA_URL = 'data/data.json'
+const DRAFT_KEY = 'adminDraft'
+
+// Typing pauses this long before the preview and error list update
+const UPDATE_DELAY_MS = 300
+
+// The working copy, edited in place by the forms
+let data = {}
+
+// data.json as last loaded or downloaded, to tell whether there are unsaved edits
+let savedText = ''
+
+// The languages the forms were built for; the forms are rebuilt when they change
+let formLocalesKey = ''
+
+let updateTimer = 0
+let previewReady = false
+
+/**
+ * Binds the toolbar and loads the site's data.json
+ */
+function initEditor() {
+	initAssetPicker()
+
+	const fileInput = document.getElementById('open-file')
+	document.getElementById('open-file-button').addEventListener('click', () => fileInput.click())
+	fileInput.addEventListener('change', (event) => {
+		const [file] = event.target.files
+		event.target.value = ''
+		if (file) openFile(file)
+	})
+	document.getElementById('reload-data').addEventListener('click', () => {
+		if (!hasUnsavedChanges() || confirm('Discard your changes and load data.json again?')) loadFromSite()
+	})
+	document.getElementById('download-data').addEventListener('click', downloadData)
+	document.getElementById('scan-assets').addEventListener('click', async () => {
+		const count = await scanAssetsFolder()
+		setStatus(`Found ${count} image${count === 1 ? '' : 's'} in the assets folder.`)
+	})
+
+	// Languages are edited as JSON under "Other settings": rebuild once that field is left
+	document.getElementById('editor-forms').addEventListener('change', () => {
+		if (getLocalesKey() !== formLocalesKey) renderForms()
+	})
+
+	window.addEventListener('message', (event) => {
+		const frame = document.getElementById('preview-frame')
+		if (event.source !== frame.contentWindow || event.data?.type !== 'preview-ready') return
+		previewReady = true
+		updateNow()
+	})
+
+	window.addEventListener('beforeunload', (event) => {
+		if (!hasUnsavedChanges()) return
+		event.preventDefault()
+		event.returnValue = ''
+	})
+
+	loadFromSite()
+}
+
+/**
+ * Loads data/data.json from the site this page is served with
+ */
+async function loadFromSite() {
+	try {
+		const response = await fetch(DATA_URL, { cache: 'no-store' })
+		if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+		openData(await response.text(), DATA_URL)
+	} catch (error) {
+		console.error('❌ Failed to load data:', error)
+		setStatus(`Couldn't load ${DATA_URL} (${error.message}). Use "Open file…" to pick it instead.`, true)
+	}
+}
+
+/**
+ * Loads a data.json picked from disk
+ * @param {File} file
+ */
+async function openFile(file) {
+	if (hasUnsavedChanges() && !confirm(`Discard your changes and open ${file.name}?`)) return
+	openData(await file.text(), file.name)
+}
+
+/**
+ * Makes a file's content the working copy, offering to restore a draft made from it
+ * @param {string} text - The file's content
+ * @param {string} source - Where it came from, for the status line
+ */
+function openData(text, source) {
+	let raw
+	try {
+		raw = JSON.parse(text)
+	} catch (error) {
+		setStatus(`${source} is not valid JSON: ${error.message}`, true)
+		return
+	}
+	if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+		setStatus(`${source} doesn't hold a data.json object.`, true)
+		return
+	}
+
+	data = raw
+	savedText = formatData(toDataJson(data))
+	renderForms()
+	setStatus(`Loaded ${source}.`)
+	showDraftNotice()
+}
+
+/**
+ * (Re)builds the forms for the working copy
+ */
+function renderForms() {
+	formLocalesKey = getLocalesKey()
+	configureFields({ i18n: data.i18n, onChange: scheduleUpdate })
+	document.getElementById('editor-forms').replaceChildren(...createContentForms(data))
+	updateNow()
+}
+
+/**
+ * Updates the preview, the error list and the draft shortly after the last edit
+ */
+function scheduleUpdate() {
+	clearTimeout(updateTimer)
+	updateTimer = setTimeout(() => {
+		updateNow()
+		saveDraft(toDataJson(data))
+	}, UPDATE_DELAY_MS)
+}
+
+/**
+ * Updates the preview and the error list. The draft is only saved after edits (see
+ * scheduleUpdate), so opening a file leaves an earlier draft for showDraftNotice to offer.
+ */
+function updateNow() {
+	clearTimeout(updateTimer)
+	const output = toDataJson(data)
+
+	showProblems(validate(output))
+	document.getElementById('download-data').classList.toggle('has-changes', hasUnsavedChanges())
+
+	if (previewReady) {
+		const frame = document.getElementById('preview-frame')
+		frame.contentWindow.postMessage({ type: 'render', data: output }, location.origin)
+	}
+}
+
+/**
+ * Validates the data in every language, as the site would load it
+ * @param {Object} output
+ * @returns {string[]} Readable errors, e.g. "sections[0].items[2].image: expected string"
+ */
+function validate(output) {
+	const locales = Array.isArray(output.i18n?.locales) ? output.i18n.locales : []
+	const codes = locales.map((locale) => locale?.code).filter(Boolean)
+	configureLocales(output.i18n)
+	// configureLocales() sets <html lang> for the site; the editor itself is in English
+	document.documentElement.lang = 'en'
+
+	const errors = new Set()
+	;(codes.length > 0 ? codes : ['en']).forEach((code) => {
+		validateData(localizeData(output, code)).errors.forEach((message) => errors.add(message))
+	})
+	return [...errors]
+}
+
+/**
+ * Lists validation errors in the toolbar and marks the fields they are about
+ * @param {string[]} errors
+ */
+function showProblems(errors) {
+	const forms = document.getElementById('editor-forms')
+	forms.querySelectorAll('.field-error-message').forEach((message) => message.remove())
+	forms.querySelectorAll('.has-error').forEach((el) => el.classList.remove('has-error'))
+
+	const problems = document.getElementById('editor-problems')
+	const list = problems.querySelector('ul')
+	problems.hidden = errors.length === 0
+	problems.querySelector('summary').textContent = `${errors.length} problem${errors.length === 1 ? '' : 's'}`
+
+	list.replaceChildren(
+		...errors.map((message) => {
+			const target = findField(forms, message.slice(0, message.indexOf(':')))
+			if (target) markField(target, message)
+
+			const li = document.createElement('li')
+			const button = document.createElement('button')
+			button.type = 'button'
+			button.textContent = message
+			button.disabled = !target
+			button.addEventListener('click', () => revealField(target))
+			li.appendChild(button)
+			return li
+		})
+	)
+}
+
+/**
+ * The field (or entry, or panel) closest to a validator path
+ * @param {HTMLElement} forms
+ * @param {string} path - e.g. "sections[0].items[2].image"
+ * @returns {HTMLElement|null}
+ */
+function findField(forms, path) {
+	for (let candidate = path; candidate; candidate = candidate.replace(/(\.[^.[\]]+|\[\d+\])$/, '')) {
+		const field = forms.querySelector(`[data-path="${CSS.escape(candidate)}"]`)
+		if (field) return field
+		if (!/[.[]/.test(candidate)) break
+	}
+	// Settings blocks without a form of their own are edited under "Other settings"
+	return forms.querySelector('[data-path="data"] .extra-fields')
+}
+
+/**
+ * @param {HTMLElement} field
+ * @param {string} message
+ */
+function markField(field, message) {
+	field.classList.add('has-error')
+	const note = document.createElement('p')
+	note.className = 'field-error-message'
+	note.textContent = message
+	// Entries and panels: under their summary line; fields: after their controls
+	const summary = field.querySelector(':scope > details > summary, :scope > summary')
+	if (summary) summary.after(note)
+	else field.appendChild(note)
+}
+
+/**
+ * Opens the panels and entries around a field, scrolls to it and focuses it
+ * @param {HTMLElement|null} field
+ */
+function revealField(field) {
+	if (!field) return
+	for (let el = field; el; el = el.parentElement) {
+		if (el.tagName === 'DETAILS') el.open = true
+	}
+	field.querySelector(':scope > details')?.setAttribute('open', '')
+	field.scrollIntoView({ behavior: 'smooth', block: 'center' })
+	field.querySelector('input, textarea, select')?.focus({ preventScroll: true })
+}
+
+/**
+ * Downloads the working copy as data.json
+ */
+function downloadData() {
+	updateNow()
+	const text = formatData(toDataJson(data))
+	downloadFile('data.json', text, 'application/json')
+
+	savedText = text
+	removeDraft()
+	document.getElementById('download-data').classList.remove('has-changes')
+	setStatus(`Downloaded data.json. Replace ${DATA_URL} with it to publish your changes.`)
+}
+
+/**
+ * Keeps edits that weren't downloaded yet
+ * @param {Object} output
+ */
+function saveDraft(output) {
+	const text = formatData(output)
+	if (text === savedText) {
+		removeDraft()
+		return
+	}
+	try {
+		localStorage.setItem(DRAFT_KEY, JSON.stringify({ time: Date.now(), base: savedText, text }))
+	} catch {
+		// Storage full or unavailable: the draft is a convenience only
+	}
+}
+
+/**
+ * Offers the edits left over from an earlier visit, if they were made to the file just opened
+ */
+function showDraftNotice() {
+	const notice = document.getElementById('draft-notice')
+	let draft = null
+	try {
+		draft = JSON.parse(localStorage.getItem(DRAFT_KEY))
+	} catch {
+		// Unreadable or unavailable storage: nothing to restore
+	}
+	notice.hidden = !draft || draft.base !== savedText || draft.text === savedText
+	if (notice.hidden) return
+
+	notice.querySelector('.draft-notice-time').textContent = new Date(draft.time).toLocaleString()
+	notice.querySelector('.draft-restore').onclick = () => {
+		notice.hidden = true
+		data = JSON.parse(draft.text)
+		renderForms()
+		setStatus('Restored your unsaved changes.')
+	}
+	notice.querySelector('.draft-discard').onclick = () => {
+		notice.hidden = true
+		removeDraft()
+	}
+}
+
+/**
+ * Forgets the draft
+ */
+function removeDraft() {
+	try {
+		localStorage.removeItem(DRAFT_KEY)
+	} catch {
+		// Storage unavailable: nothing was saved
+	}
+}
+
+/**
+ * @returns {boolean} Whether the working copy differs from the file as loaded or downloaded
+ */
+function hasUnsavedChanges() {
+	return savedText !== '' && formatData(toDataJson(data)) !== savedText
+}
+
+/**
+ * @returns {string} The locale codes in the working copy, to notice when they change
+ */
+function getLocalesKey() {
+	return JSON.stringify([data.i18n?.defaultLocale, data.i18n?.locales?.map((locale) => locale?.code)])
+}
+
+/**
+ * @param {Object} value
+ * @returns {string} Pretty-printed JSON, indented with tabs like the rest of the repository
+ */
+function formatData(value) {
+	return `${JSON.stringify(value, null, '\t')}\n`
+}
+
+/**
+ * @param {string} message
+ * @param {boolean} [isError=false]
+ */
+function setStatus(message, isError = false) {
+	const status = document.getElementById('editor-status')
+	status.textContent = message
+	status.classList.toggle('is-error', isError)
+}
+
+window.addEventListener('DOMContentLoaded', initEditor)
@@ -0,0 +1,592 @@
+/**
+ * Form Fields Module (content editor)
+ * The controls admin.html builds its forms from. Each one edits a property of an object in
+ * the editor's working copy of data.json in place, then reports the change (see
+ * configureFields). Wrappers carry a `data-path` in the validator's format, e.g.
+ * "sections[0].items[2].image", so errors can be shown next to the field they are about.
+ */
+
+// Locale codes offered for translatable text, default first
+let locales = ['en']
+
+// Called after every edit
+let changeHandler = () => {}
+
+// List entries (by object) whose <details> is open, kept across re-renders of the list
+const openEntries = new WeakSet()
+
+/**
+ * Sets the locales translatable fields offer and what to call after each edit
+ * @param {Object} options
+ * @param {Object} [options.i18n] - The `i18n` block of data.json
+ * @param {() => void} options.onChange
+ */
+export function configureFields({ i18n, onChange }) {
+	const codes = Array.isArray(i18n?.locales) ? i18n.locales.map((locale) => locale?.code).filter(Boolean) : []
+	const defaultLocale = codes.includes(i18n?.defaultLocale) ? i18n.defaultLocale : codes[0] || 'en'
+	locales = [defaultLocale, ...codes.filter((code) => code !== defaultLocale)]
+	changeHandler = onChange
+}
+
+/**
+ * One-line (or multi-line) text. Translatable fields get one input per locale and are saved
+ * as a plain string when only the default language is filled in, otherwise as
+ * { "en": "...", "cy": "..." }. Emptied fields are removed from the object.
+ * @param {Object} target - The object being edited
+ * @param {string} key
+ * @param {Object} options
+ * @param {string} options.label
+ * @param {string} options.path - Validator path of the property
+ * @param {boolean} [options.translatable=false]
+ * @param {boolean} [options.multiline=false]
+ * @param {'text'|'url'|'number'|'date'} [options.type='text']
+ * @param {string} [options.hint]
+ * @returns {HTMLElement}
+ */
+export function createTextField(target, key, { label, path, translatable = false, multiline = false, type, hint }) {
+	const { wrapper, body } = createFieldWrapper(label, path, hint)
+	const value = target[key]
+	const isNumber = type === 'number'
+
+	if (translatable && (locales.length > 1 || isTranslationMap(value))) {
+		const values = isTranslationMap(value) ? { ...value } : { [locales[0]]: toText(value) }
+		const codes = [...new Set([...locales, ...Object.keys(values)])]
+		codes.forEach((code) => {
+			const input = createInput(multiline, type)
+			input.value = toText(values[code])
+			input.setAttribute('aria-label', `${label} (${code})`)
+			input.addEventListener('input', () => {
+				values[code] = input.value
+				writeTranslations(target, key, values)
+			})
+			body.appendChild(createLocaleRow(code, input))
+		})
+		return wrapper
+	}
+
+	const input = createInput(multiline, type)
+	input.value = toText(value)
+	input.setAttribute('aria-label', label)
+	input.addEventListener('input', () => {
+		const text = input.value
+		const number = Number(text)
+		if (text.trim() === '') delete target[key]
+		else target[key] = isNumber && Number.isFinite(number) ? number : text
+		changeHandler()
+	})
+	body.appendChild(input)
+	return wrapper
+}
+
+/**
+ * Choice from a fixed list; the empty value removes the property
+ * @param {Object} target
+ * @param {string} key
+ * @param {Object} options
+ * @param {string} options.label
+ * @param {string} options.path
+ * @param {Array<{value: string, label: string}>} options.options - Include { value: '' } for "not set"
+ * @param {string} [options.hint]
+ * @returns {HTMLElement}
+ */
+export function createSelectField(target, key, { label, path, options, hint }) {
+	const { wrapper, body } = createFieldWrapper(label, path, hint)
+	const select = document.createElement('select')
+	select.setAttribute('aria-label', label)
+
+	const current = target[key] === undefined ? '' : String(target[key])
+	const choices = options.some((option) => option.value === current)
+		? options
+		: [...options, { value: current, label: `${current} (custom)` }]
+	choices.forEach((choice) => {
+		const option = document.createElement('option')
+		option.value = choice.value
+		option.textContent = choice.label
+		select.appendChild(option)
+	})
+	select.value = current
+
+	select.addEventListener('change', () => {
+		if (select.value === '') delete target[key]
+		else target[key] = select.value
+		changeHandler()
+	})
+	body.appendChild(select)
+	return wrapper
+}
+
+/**
+ * On/off switch for a boolean property
+ * @param {Object} target
+ * @param {string} key
+ * @param {Object} options
+ * @param {string} options.label
+ * @param {string} options.path
+ * @returns {HTMLElement}
+ */
+export function createCheckboxField(target, key, { label, path }) {
+	const wrapper = document.createElement('div')
+	wrapper.className = 'field checkbox-field'
+	wrapper.dataset.path = path
+
+	const labelEl = document.createElement('label')
+	const checkbox = document.createElement('input')
+	checkbox.type = 'checkbox'
+	checkbox.checked = target[key] === true
+	checkbox.addEventListener('change', () => {
+		target[key] = checkbox.checked
+		changeHandler()
+	})
+	labelEl.append(checkbox, ` ${label}`)
+
+	wrapper.appendChild(labelEl)
+	return wrapper
+}
+
+/**
+ * Rich text (see js/modules/richText.js): one paragraph per blank-line-separated block,
+ * saved as a string for one paragraph and an array for more. Text that uses other blocks
+ * (e.g. { "type": "updated" }) is edited as JSON instead, so nothing is lost.
+ * @param {Object} target
+ * @param {string} key
+ * @param {Object} options
+ * @param {string} options.label
+ * @param {string} options.path
+ * @param {string} [options.hint]
+ * @returns {HTMLElement}
+ */
+export function createTextBlockField(target, key, { label, path, hint }) {
+	const value = target[key]
+	const isParagraphs = (entry) => typeof entry === 'string' || (Array.isArray(entry) && entry.every(isString))
+	const editable =
+		value === undefined || isParagraphs(value) || (isTranslationMap(value) && Object.values(value).every(isParagraphs))
+	if (!editable) return createJsonField(target, key, { label, path, hint: 'Uses blocks the form cannot show' })
+
+	const blockHint = hint || 'Leave a blank line between paragraphs. **bold**, *italic* and [links](https://…) work.'
+	const { wrapper, body } = createFieldWrapper(label, path, blockHint)
+	const values = isTranslationMap(value) ? { ...value } : { [locales[0]]: value }
+	const codes = [...new Set([...locales, ...Object.keys(values)])]
+
+	codes.forEach((code) => {
+		const textarea = createInput(true)
+		textarea.rows = 4
+		textarea.value = toParagraphs(values[code]).join('\n\n')
+		textarea.setAttribute('aria-label', codes.length > 1 ? `${label} (${code})` : label)
+		textarea.addEventListener('input', () => {
+			const paragraphs = textarea.value
+				.split(/\n\s*\n/)
+				.map((paragraph) => paragraph.trim())
+				.filter(Boolean)
+			values[code] = paragraphs.length > 1 ? paragraphs : paragraphs[0] || ''
+			writeTranslations(target, key, values)
+		})
+		body.appendChild(codes.length > 1 ? createLocaleRow(code, textarea) : textarea)
+	})
+	return wrapper
+}
+
+/**
+ * Raw JSON for one property, for values the form has no controls for. Changes apply once
+ * the text parses; until then the field says what is wrong.
+ * @param {Object} target
+ * @param {string} key
+ * @param {Object} options
+ * @param {string} options.label
+ * @param {string} options.path
+ * @param {string} [options.hint]
+ * @returns {HTMLElement}
+ */
+export function createJsonField(target, key, { label, path, hint }) {
+	return createJsonEditor(label, path, hint, target[key], (value) => {
+		if (value === undefined) delete target[key]
+		else target[key] = value
+	})
+}
+
+/**
+ * Raw JSON for the properties of an object that the form doesn't show (e.g. an item's
+ * screenshots or store buttons), so every part of data.json can still be edited
+ * @param {Object} target
+ * @param {string[]} knownKeys - Properties that have their own fields
+ * @param {Object} options
+ * @param {string} options.path - Validator path of the object
+ * @param {string} [options.label='Other fields (JSON)']
+ * @returns {HTMLElement}
+ */
+export function createExtraFields(target, knownKeys, { path, label = 'Other fields (JSON)' }) {
+	const extraKeys = () => Object.keys(target).filter((key) => !knownKeys.includes(key))
+	const extra = Object.fromEntries(extraKeys().map((key) => [key, target[key]]))
+	const hint = 'Anything else this block supports, as JSON. See the README for the available fields.'
+
+	const field = createJsonEditor(label, path, hint, extraKeys().length > 0 ? extra : undefined, (value) => {
+		if (value !== undefined && (value === null || typeof value !== 'object' || Array.isArray(value))) {
+			throw new Error('Expected an object: { "name": value, … }')
+		}
+		extraKeys().forEach((key) => delete target[key])
+		Object.assign(target, value)
+	})
+	field.classList.add('extra-fields')
+	return field
+}
+
+/**
+ * Reorderable list of objects: each entry folds open to its own fields, can be dragged
+ * (or moved with its ↑ ↓ buttons) and removed, and new entries are added at the end
+ * @param {Object} target
+ * @param {string} key - Property holding the array (created on first add)
+ * @param {Object} options
+ * @param {string} options.label
+ * @param {string} options.path
+ * @param {string} options.itemName - e.g. 'link', for "Add link"
+ * @param {(entry: Object, index: number) => string} options.describe - Summary line of an entry
+ * @param {() => Object} options.create - A new entry
+ * @param {(entry: Object, path: string) => HTMLElement[]} options.render - The fields of an entry
+ * @returns {HTMLElement}
+ */
+export function createListField(target, key, { label, path, itemName, describe, create, render }) {
+	const wrapper = document.createElement('div')
+	wrapper.className = 'field list-field'
+	wrapper.dataset.path = path
+
+	const heading = document.createElement('span')
+	heading.className = 'field-label'
+	heading.textContent = label
+
+	const list = document.createElement('ol')
+	list.className = 'list-entries'
+
+	const add = document.createElement('button')
+	add.type = 'button'
+	add.className = 'list-add'
+	add.textContent = `+ Add ${itemName}`
+	add.addEventListener('click', () => {
+		if (!Array.isArray(target[key])) target[key] = []
+		const entry = create()
+		target[key].push(entry)
+		openEntries.add(entry)
+		renderEntries()
+		changeHandler()
+		list.lastElementChild?.querySelector('input, textarea, select')?.focus()
+	})
+
+	/**
+	 * Moves an entry and re-renders the list
+	 * @param {number} from
+	 * @param {number} to
+	 */
+	const move = (from, to) => {
+		const entries = target[key]
+		if (to < 0 || to >= entries.length || from === to) return
+		entries.splice(to, 0, ...entries.splice(from, 1))
+		renderEntries()
+		changeHandler()
+		list.children[to]?.querySelector('.list-handle')?.focus()
+	}
+
+	/**
+	 * Removes an entry and re-renders the list
+	 * @param {number} index
+	 */
+	const remove = (index) => {
+		target[key].splice(index, 1)
+		if (target[key].length === 0) delete target[key]
+		renderEntries()
+		changeHandler()
+	}
+
+	/**
+	 * Builds one <li> per entry (again after every add, move or removal, so paths stay right)
+	 */
+	const renderEntries = () => {
+		const entries = Array.isArray(target[key]) ? target[key] : []
+		list.replaceChildren(
+			...entries.map((entry, index) =>
+				createListEntry(entry, index, { itemName, path, describe, render, move, remove, count: entries.length })
+			)
+		)
+	}
+
+	bindDragAndDrop(list, move)
+	renderEntries()
+
+	wrapper.append(heading, list, add)
+	return wrapper
+}
+
+/**
+ * One entry of a list: summary line with its buttons, and its fields
+ * @param {Object} entry
+ * @param {number} index
+ * @param {Object} options - See createListField
+ * @returns {HTMLLIElement}
+ */
+function createListEntry(entry, index, { itemName, path, describe, render, move, remove, count }) {
+	const li = document.createElement('li')
+	li.className = 'list-entry'
+	li.dataset.index = String(index)
+	li.dataset.path = `${path}[${index}]`
+
+	const details = document.createElement('details')
+	details.open = openEntries.has(entry)
+	details.addEventListener('toggle', () => {
+		if (details.open) openEntries.add(entry)
+		else openEntries.delete(entry)
+	})
+
+	const summary = document.createElement('summary')
+
+	// Dragging starts from the handle only, so text in the fields can still be selected
+	const handle = createIconButton('⠿', `Move ${itemName} (drag, or use the arrow keys)`, () => {})
+	handle.classList.add('list-handle')
+	handle.addEventListener('pointerdown', () => (li.draggable = true))
+	handle.addEventListener('keydown', (event) => {
+		if (event.key === 'ArrowUp') move(index, index - 1)
+		else if (event.key === 'ArrowDown') move(index, index + 1)
+		else return
+		event.preventDefault()
+	})
+
+	const title = document.createElement('span')
+	title.className = 'list-entry-title'
+	title.textContent = describe(entry, index)
+
+	const up = createIconButton('↑', `Move ${itemName} up`, () => move(index, index - 1))
+	up.disabled = index === 0
+	const down = createIconButton('↓', `Move ${itemName} down`, () => move(index, index + 1))
+	down.disabled = index === count - 1
+	const removeButton = createIconButton('×', `Remove ${itemName}`, () => {
+		if (confirm(`Remove ${itemName} "${describe(entry, index)}"?`)) remove(index)
+	})
+	removeButton.classList.add('list-remove')
+
+	summary.append(handle, title, up, down, removeButton)
+
+	const body = document.createElement('div')
+	body.className = 'list-entry-body'
+	body.append(...render(entry, li.dataset.path))
+	// Keep the summary line in step with the entry's name as it is typed
+	body.addEventListener('input', () => (title.textContent = describe(entry, index)))
+
+	details.append(summary, body)
+	li.appendChild(details)
+	return li
+}
+
+/**
+ * Reorders a list's entries by drag and drop
+ * @param {HTMLOListElement} list
+ * @param {(from: number, to: number) => void} move
+ */
+function bindDragAndDrop(list, move) {
+	let dragged = null
+
+	list.addEventListener('dragstart', (event) => {
+		dragged = event.target.closest('.list-entry')
+		if (!dragged || dragged.parentElement !== list) return
+		event.stopPropagation()
+		event.dataTransfer.effectAllowed = 'move'
+		event.dataTransfer.setData('text/plain', dragged.dataset.index)
+		dragged.classList.add('dragging')
+	})
+
+	list.addEventListener('dragover', (event) => {
+		const over = event.target.closest('.list-entry')
+		if (!dragged || !over || over.parentElement !== list) return
+		event.preventDefault()
+		event.stopPropagation()
+		list.querySelectorAll(':scope > .drop-target').forEach((li) => li.classList.remove('drop-target'))
+		if (over !== dragged) over.classList.add('drop-target')
+	})
+
+	list.addEventListener('drop', (event) => {
+		const over = event.target.closest('.list-entry')
+		if (!dragged || !over || over.parentElement !== list) return
+		event.preventDefault()
+		event.stopPropagation()
+		move(Number(dragged.dataset.index), Number(over.dataset.index))
+	})
+
+	list.addEventListener('dragend', (event) => {
+		const entry = event.target.closest('.list-entry')
+		if (entry) entry.draggable = false
+		list.querySelectorAll(':scope > .dragging, :scope > .drop-target').forEach((li) => {
+			li.classList.remove('dragging', 'drop-target')
+		})
+		dragged = null
+	})
+}
+
+/**
+ * Label, optional hint and a body for the controls
+ * @param {string} label
+ * @param {string} path
+ * @param {string} [hint]
+ * @returns {{wrapper: HTMLDivElement, body: HTMLDivElement}}
+ */
+export function createFieldWrapper(label, path, hint) {
+	const wrapper = document.createElement('div')
+	wrapper.className = 'field'
+	wrapper.dataset.path = path
+
+	const labelEl = document.createElement('span')
+	labelEl.className = 'field-label'
+	labelEl.textContent = label
+	wrapper.appendChild(labelEl)
+
+	if (hint) {
+		const hintEl = document.createElement('small')
+		hintEl.className = 'field-hint'
+		hintEl.textContent = hint
+		wrapper.appendChild(hintEl)
+	}
+
+	const body = document.createElement('div')
+	body.className = 'field-body'
+	wrapper.appendChild(body)
+	return { wrapper, body }
+}
+
+/**
+ * JSON textarea shared by createJsonField and createExtraFields
+ * @param {string} label
+ * @param {string} path
+ * @param {string} [hint]
+ * @param {*} value - Current value (undefined when not set)
+ * @param {(value: *) => void} write - Stores a parsed value (undefined when emptied); may throw
+ * @returns {HTMLElement}
+ */
+function createJsonEditor(label, path, hint, value, write) {
+	const { wrapper, body } = createFieldWrapper(label, path, hint)
+	wrapper.classList.add('json-field')
+
+	const textarea = createInput(true)
+	textarea.spellcheck = false
+	textarea.rows = value === undefined ? 2 : Math.min(16, JSON.stringify(value, null, 2).split('\n').length + 1)
+	textarea.value = value === undefined ? '' : JSON.stringify(value, null, 2)
+	textarea.setAttribute('aria-label', label)
+
+	const status = document.createElement('small')
+	status.className = 'json-field-status'
+	status.setAttribute('aria-live', 'polite')
+
+	textarea.addEventListener('input', () => {
+		try {
+			write(textarea.value.trim() === '' ? undefined : JSON.parse(textarea.value))
+			status.textContent = ''
+			wrapper.classList.remove('json-invalid')
+			changeHandler()
+		} catch (error) {
+			status.textContent = `Not applied: ${error.message}`
+			wrapper.classList.add('json-invalid')
+		}
+	})
+
+	body.append(textarea, status)
+	return wrapper
+}
+
+/**
+ * Saves per-locale values: nothing when all are empty, a plain string when only the
+ * default locale is filled in, else a translation map of the filled-in locales
+ * @param {Object} target
+ * @param {string} key
+ * @param {Object<string, string|string[]>} values
+ */
+function writeTranslations(target, key, values) {
+	const filled = Object.entries(values).filter(([, value]) => (Array.isArray(value) ? value.length > 0 : value))
+	if (filled.length === 0) delete target[key]
+	else if (filled.length === 1 && filled[0][0] === locales[0]) target[key] = filled[0][1]
+	else target[key] = Object.fromEntries(filled)
+	changeHandler()
+}
+
+/**
+ * @param {boolean} multiline
+ * @param {string} [type='text']
+ * @returns {HTMLInputElement|HTMLTextAreaElement}
+ */
+function createInput(multiline, type = 'text') {
+	if (multiline) {
+		const textarea = document.createElement('textarea')
+		textarea.rows = 3
+		return textarea
+	}
+	const input = document.createElement('input')
+	// Numbers are typed as text so "auto"-style values and half-typed numbers are kept
+	input.type = type === 'number' ? 'text' : type
+	if (type === 'number') input.inputMode = 'numeric'
+	return input
+}
+
+/**
+ * A control with its locale code in front, e.g. "cy  [Gemau]"
+ * @param {string} code
+ * @param {HTMLElement} control
+ * @returns {HTMLDivElement}
+ */
+function createLocaleRow(code, control) {
+	const row = document.createElement('div')
+	row.className = 'locale-row'
+	const tag = document.createElement('span')
+	tag.className = 'locale-code'
+	tag.textContent = code
+	row.append(tag, control)
+	return row
+}
+
+/**
+ * @param {string} text
+ * @param {string} label - Accessible name
+ * @param {() => void} onClick
+ * @returns {HTMLButtonElement}
+ */
+function createIconButton(text, label, onClick) {
+	const button = document.createElement('button')
+	button.type = 'button'
+	button.className = 'icon-button'
+	button.textContent = text
+	button.setAttribute('aria-label', label)
+	button.title = label
+	button.addEventListener('click', (event) => {
+		// Inside <summary>: don't fold the entry open or closed
+		event.preventDefault()
+		onClick()
+	})
+	return button
+}
+
+/**
+ * Same test as localizeData() in js/modules/i18n.js, against the locales in data.json
+ * @param {*} value
+ * @returns {boolean} Whether value is a { "en": ..., "cy": ... } translation map
+ */
+function isTranslationMap(value) {
+	if (!value || typeof value !== 'object' || Array.isArray(value)) return false
+	const keys = Object.keys(value)
+	return keys.length > 0 && keys.every((key) => locales.includes(key) || key === 'en')
+}
+
+/**
+ * @param {*} value
+ * @returns {string[]} A rich text value as paragraphs
+ */
+function toParagraphs(value) {
+	if (Array.isArray(value)) return value
+	return typeof value === 'string' && value ? [value] : []
+}
+
+/**
+ * @param {*} value
+ * @returns {string}
+ */
+function toText(value) {
+	return value === undefined || value === null ? '' : String(value)
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isString(value) {
+	return typeof value === 'string'
+}
@@ -0,0 +1,59 @@
+/**
+ * Content Editor Preview
+ * Runs in admin-preview.html, the editor's preview pane: renders the data the editor sends
+ * with the site's own renderers and router, so the preview is the site as it will look.
+ * Re-renders keep the scroll position and any open modal, as the site's ?preview mode does.
+ */
+
+import { renderApp } from '../modules/appRenderer.js'
+import { initRouter, keepScrollPosition } from '../modules/router.js'
+import { registerPressKitRoute } from '../modules/pressKit.js'
+import { startReleaseCountdowns } from '../modules/releaseStatus.js'
+import { validateData } from '../modules/dataSchema.js'
+import { configureLocales, localizeData, onLocaleChange } from '../modules/i18n.js'
+
+// The data last sent by the editor, for re-rendering in another language
+let lastRaw = null
+
+/**
+ * Renders data.json content the way js/index.js does (without live store data, which needs
+ * the network)
+ * @param {Object} raw - Unvalidated data.json content
+ */
+function renderPreview(raw) {
+	lastRaw = raw
+	configureLocales(raw.i18n)
+	// The editor lists validation errors; invalid blocks are dropped here as on the site
+	const { data } = validateData(localizeData(raw))
+
+	keepScrollPosition(() => {
+		renderApp(data)
+		initRouter(data)
+	})
+	startReleaseCountdowns()
+}
+
+/**
+ * Keeps the preview on this page: links to other pages and sites do nothing here
+ * @param {MouseEvent} event
+ */
+function keepLinksInPreview(event) {
+	const link = event.target.closest?.('a[href]')
+	if (link && !link.getAttribute('href').startsWith('#')) event.preventDefault()
+}
+
+registerPressKitRoute()
+
+window.addEventListener('message', (event) => {
+	if (event.origin !== location.origin || event.source !== window.parent) return
+	if (event.data?.type === 'render' && event.data.data) renderPreview(event.data.data)
+})
+
+onLocaleChange(() => {
+	if (lastRaw) renderPreview(lastRaw)
+})
+
+document.addEventListener('click', keepLinksInPreview)
+
+// Ask for the data once listening
+window.parent.postMessage({ type: 'preview-ready' }, location.origin)
@@ -4,19 +4,34 @@
  */
 
 // Import all necessary modules
-import { loadData, displayError } from './modules/dataLoader.js'
-import { renderHeader } from './modules/headerRenderer.js'
-import { renderSections } from './modules/sectionRenderer.js'
-import { renderFooter, hideFooter } from './modules/footerRenderer.js'
-import { renderMetaData } from './modules/metaRenderer.js'
-import { getStoredTheme } from './modules/themeManager.js'
-import { renderModals } from './modules/modalRenderer.js'
+import { loadData, displayError, showCachedDataNotice } from './modules/dataLoader.js'
+import { renderApp, hydrateApp, canHydrate, isPrerendered } from './modules/appRenderer.js'
+import { initRouter, keepScrollPosition } from './modules/router.js'
+import { registerPressKitRoute } from './modules/pressKit.js'
+import { configureSteamStore } from './modules/steamStore.js'
+import { startReleaseCountdowns } from './modules/releaseStatus.js'
+import { initOfflineSupport } from './modules/offlineSupport.js'
+import { isPreviewMode } from './modules/devOverlay.js'
+import { startPreview, highlightPreviewErrors } from './modules/previewMode.js'
+import { t, onLocaleChange } from './modules/i18n.js'
+import { appendInlineText } from './modules/richText.js'
 
 /**
  * Redirects from index.html to root URL for cleaner URLs
  * Essential for GitHub Pages SEO and clean URLs
  */
 function cleanupURL() {
+	// A share page (written by scripts/prerender.mjs, e.g. /games/hollowbrook-apartments/) is
+	// the home page rendered for one route: move to that route on the home page URL
+	const sharedRoute = document.documentElement.getAttribute('data-share-page')
+	if (sharedRoute) {
+		const homeURL = new URL(document.baseURI)
+		homeURL.search = window.location.search
+		homeURL.hash = window.location.hash || sharedRoute
+		window.history.replaceState(null, '', homeURL.href)
+		return
+	}
+
 	// Check if URL ends with /index.html
 	if (window.location.pathname.endsWith('/index.html')) {
 		// Get the current URL without index.html
@@ -76,13 +91,13 @@ function maybeShowCookieNotice(notice) {
 		const bar = document.createElement('div')
 		bar.className = 'cookie-notice'
 		bar.setAttribute('role', 'region')
-		bar.setAttribute('aria-label', 'Cookie notice')
+		bar.setAttribute('aria-label', t('cookie.label'))
 
 		// Close (×) button
 		const x = document.createElement('button')
 		x.className = 'cookie-notice-close'
 		x.type = 'button'
-		x.setAttribute('aria-label', 'Close cookie notice')
+		x.setAttribute('aria-label', t('cookie.close'))
 		x.textContent = '×'
 		x.addEventListener('click', () => {
 			localStorage.setItem(STORAGE_KEY, '1')
@@ -93,7 +108,7 @@ function maybeShowCookieNotice(notice) {
 
 		const msg = document.createElement('span')
 		msg.className = 'cookie-notice-message'
-		msg.textContent = notice.message || 'We do not use cookies for analytics or ads.'
+		appendInlineText(msg, notice.message || t('cookie.message'))
 
 		bar.appendChild(msg)
 
@@ -101,7 +116,7 @@ function maybeShowCookieNotice(notice) {
 			const link = document.createElement('a')
 			link.href = notice.moreLink
 			link.className = 'cookie-notice-link'
-			link.textContent = notice.moreText || 'Learn more'
+			link.textContent = notice.moreText || t('cookie.more')
 			link.addEventListener('click', () => {
 				// Dismiss bar when navigating to details
 				localStorage.setItem(STORAGE_KEY, '1')
@@ -114,7 +129,7 @@ function maybeShowCookieNotice(notice) {
 		const btn = document.createElement('button')
 		btn.className = 'cookie-notice-button'
 		btn.type = 'button'
-		btn.textContent = notice.buttonText || 'Got it'
+		btn.textContent = notice.buttonText || t('cookie.button')
 		btn.addEventListener('click', () => {
 			localStorage.setItem(STORAGE_KEY, '1')
 			bar.classList.remove('show')
@@ -132,9 +147,15 @@ function maybeShowCookieNotice(notice) {
 	}
 }
 
+// Custom pages, before the router first resolves the URL
+registerPressKitRoute()
+
 // Track if app is already initialized
 let isInitialized = false
 
+// Set once the page has content (rendered or hydrated), so later errors don't replace it
+let hasRendered = false
+
 /**
  * Main application initialization function
  * Called when the DOM is fully loaded
@@ -147,38 +168,70 @@ async function initializeApp() {
 		// Clean up URL first
 		cleanupURL()
 
+		// Service worker: offline support and the "New content available" prompt
+		initOfflineSupport()
+
 		// Wait briefly for local font to load -- reduces FOUT
 		await Promise.race([
 			document.fonts.load('400 16px "Bahnschrift"'),
 			new Promise((resolve) => setTimeout(resolve, 800)),
 		])
+	} catch (error) {
+		console.warn('⚠️ Startup step failed, loading the page anyway:', error)
+	}
 
-		// Apply saved theme
-		applySavedTheme()
+	await loadAndRender()
+}
 
-		// Load application data
+/**
+ * Loads the data and renders (or hydrates) the page. When the data can't be loaded at all
+ * the error panel offers a retry; a prerendered page is left readable as it is.
+ */
+async function loadAndRender() {
+	try {
+		// Load application data (retried, with the last copy that loaded as a fallback)
 		const data = await loadData()
 
-		// Render all content
-		if (data.meta) renderMetaData(data.meta)
-		if (data.header) renderHeader(data.header)
-		if (data.sections) renderSections(data.sections)
-		if (data.footer) renderFooter(data.footer)
-		if (data.modals) renderModals(data.modals)
+		// Live store data is fetched in the browser only (the prerender runs offline)
+		configureSteamStore(data.steamStore)
+
+		// A page prerendered from this same data (scripts/prerender.mjs) only needs its
+		// event handlers; anything else is rendered from scratch
+		const prerendered = canHydrate(data)
+		if (prerendered) {
+			hydrateApp(data)
+		} else {
+			renderApp(data)
+		}
+
+		hasRendered = true
+
+		// Says so when the content came from the saved copy because the server was unreachable
+		showCachedDataNotice()
+
+		// Release countdowns tick in the browser only (the prerender shows them as rendered)
+		startReleaseCountdowns()
 
 		// Cookie notice (first visit, minimal, no consent needed)
 		// if (data.cookieNotice?.enabled) {
 		// 	maybeShowCookieNotice(data.cookieNotice)
 		// }
 
-		// Wait only for truly critical images (no arbitrary timeouts)
-		await waitForAboveFoldImages()
+		// Wait only for truly critical images (no arbitrary timeouts); a prerendered page is already visible
+		if (!prerendered) await waitForAboveFoldImages()
 
 		// Hide spinner, show app
 		document.getElementById('app-spinner').style.display = 'none'
 		document.getElementById('app-content').style.display = 'block'
+
+		// Resolve the URL (section, item, modal) once the page is visible so scrolling works
+		initRouter(data)
+
+		// ?preview: re-render in place whenever data.json changes
+		if (isPreviewMode()) startPreview(data, renderInPlace)
 	} catch (error) {
 		console.error('❌ Failed to initialize:', error)
+		if (!hasRendered && !isPrerendered()) displayError(t('loadError.message'), { onRetry: loadAndRender })
 		// Show page even on error
 		document.getElementById('app-spinner').style.display = 'none'
 		document.getElementById('app-content').style.display = 'block'
@@ -186,21 +239,48 @@ async function initializeApp() {
 }
 
 /**
- * Applies the saved theme immediately for proper loading state theming
+ * Re-renders a page that already has content, keeping the current route, the scroll
+ * position and any open modal. The router's listeners are attached once, whatever the
+ * number of re-renders.
+ * @param {Object} data - Validated data.json content
  */
-function applySavedTheme() {
-	const savedTheme = getStoredTheme()
+function renderInPlace(data) {
+	keepScrollPosition(() => {
+		configureSteamStore(data.steamStore)
+		renderApp(data)
+		showCachedDataNotice()
+		highlightPreviewErrors()
+		initRouter(data)
+	})
+}
 
-	// Apply the theme stylesheet immediately
-	const themeLink = document.getElementById('theme-style')
-	if (themeLink) {
-		themeLink.setAttribute('href', `css/${savedTheme}.css`)
-	}
+/**
+ * Reloads data.json and re-renders the page (also available as window.refreshApp() for
+ * debugging). Before the first render it simply retries loading.
+ */
+async function refreshApp() {
+	if (!hasRendered) return loadAndRender()
 
-	// Set the theme data attribute on body for CSS targeting
-	document.body.setAttribute('data-theme', savedTheme)
+	try {
+		renderInPlace(await loadData())
+	} catch (error) {
+		console.error('❌ Failed to refresh:', error)
+	}
 }
 
+/**
+ * Re-renders the page in the newly selected language, keeping the current route
+ */
+onLocaleChange(async () => {
+	try {
+		renderInPlace(await loadData())
+		// The header was rebuilt; keep keyboard users on the switcher
+		document.getElementById('language-select')?.focus()
+	} catch (error) {
+		console.error('❌ Failed to switch language:', error)
+	}
+})
+
 /**
  * Handle any unhandled errors that might occur
  */
@@ -220,12 +300,12 @@ window.addEventListener('unhandledrejection', (event) => {
 	// Prevent the error from appearing in console
 	event.preventDefault()
 
-	// Display user-friendly message
-	displayError('An unexpected error occurred. Please refresh the page.')
+	// Display user-friendly message, unless the page is already showing content
+	if (!hasRendered && !isPrerendered()) displayError(t('loadError.unexpected'))
 })
 
 // Initialize the application when DOM is ready
 window.addEventListener('DOMContentLoaded', initializeApp)
 
 // Optional: Add a manual refresh function for debugging
-window.refreshApp = initializeApp
+window.refreshApp = refreshApp
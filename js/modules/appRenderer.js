@@ -0,0 +1,125 @@
+/**
+ * App Renderer Module
+ * Renders the whole page from data.json, or hydrates a page that scripts/prerender.mjs
+ * already rendered from the same data (attaching event handlers instead of rebuilding).
+ * The browser and the prerender step both use renderApp, so their markup is identical.
+ * Each block renders on its own: one that throws is logged and the rest of the page still renders.
+ */
+
+import { renderHeader, hydrateHeader } from './headerRenderer.js'
+import { renderSections, hydrateSections } from './sectionRenderer.js'
+import { renderFooter, hydrateFooter, getCurrentYear } from './footerRenderer.js'
+import { renderMetaData, renderStructuredData } from './metaRenderer.js'
+import { configureThemes } from './themeManager.js'
+import { renderModals, hydrateModals, clearModals } from './modalRenderer.js'
+import { renderItemDetails, hydrateItemDetails } from './detailRenderer.js'
+import { getLocale } from './i18n.js'
+import { configureNewsletter } from './newsletter.js'
+import { configureSteam } from './steamUtils.js'
+
+// <html data-prerendered="<key>"> marks a prerendered page (see getRenderKey)
+const PRERENDER_ATTRIBUTE = 'data-prerendered'
+
+/**
+ * Renders every block of the page from data. Safe to call again (e.g. after a
+ * language switch): each renderer clears what it rendered before.
+ * @param {Object} data - Validated data.json content
+ */
+export function renderApp(data) {
+	clearModals()
+	// The markup no longer matches what was prerendered
+	document.documentElement.removeAttribute(PRERENDER_ATTRIBUTE)
+
+	configureBlocks(data)
+	if (data.meta) renderBlock('meta tags', () => renderMetaData(data.meta, data.header))
+	renderBlock('structured data', () => renderStructuredData(data))
+	if (data.header) renderBlock('header', () => renderHeader(data.header))
+	if (data.sections) renderBlock('sections', () => renderSections(data.sections))
+	if (data.footer) renderBlock('footer', () => renderFooter(data.footer))
+	if (data.modals) renderBlock('modals', () => renderModals(data.modals))
+	if (data.sections) renderBlock('detail views', () => renderItemDetails(data.sections))
+}
+
+/**
+ * Attaches event handlers to a prerendered page instead of rebuilding it.
+ * Only valid when canHydrate(data) is true.
+ * @param {Object} data - Validated data.json content the page was prerendered from
+ */
+export function hydrateApp(data) {
+	configureBlocks(data)
+	if (data.meta) renderBlock('meta tags', () => renderMetaData(data.meta, data.header))
+	renderBlock('structured data', () => renderStructuredData(data))
+	if (data.header) renderBlock('header', () => hydrateHeader(data.header))
+	if (data.sections) renderBlock('sections', () => hydrateSections(data.sections))
+	if (data.footer) renderBlock('footer', () => hydrateFooter())
+	if (data.modals) renderBlock('modals', () => hydrateModals(data.modals))
+	if (data.sections) renderBlock('detail views', () => hydrateItemDetails(data.sections))
+}
+
+/**
+ * Passes the settings blocks of data.json to the modules that use them
+ * @param {Object} data - Validated data.json content
+ */
+function configureBlocks(data) {
+	renderBlock('theme settings', () => configureThemes(data.themes))
+	renderBlock('newsletter settings', () => configureNewsletter(data.newsletter))
+	renderBlock('Steam settings', () => configureSteam(data.steam))
+}
+
+/**
+ * Runs one block's renderer (or hydration), keeping a failure to that block
+ * @param {string} name - For the log, e.g. 'header'
+ * @param {() => void} render
+ */
+function renderBlock(name, render) {
+	try {
+		render()
+	} catch (error) {
+		console.error(`❌ Failed to render the ${name}; rendering the rest of the page:`, error)
+	}
+}
+
+/**
+ * Whether the page was prerendered from this data, in the active locale and year
+ * @param {Object} data - Validated data.json content
+ * @returns {boolean}
+ */
+export function canHydrate(data) {
+	return document.documentElement.getAttribute(PRERENDER_ATTRIBUTE) === getRenderKey(data)
+}
+
+/**
+ * Whether the page has prerendered content (from any data), e.g. to keep it readable
+ * when data.json can't be loaded
+ * @returns {boolean}
+ */
+export function isPrerendered() {
+	return document.documentElement.hasAttribute(PRERENDER_ATTRIBUTE)
+}
+
+/**
+ * Marks the page as prerendered from data (called by scripts/prerender.mjs)
+ * @param {Object} data - Validated data.json content
+ */
+export function markPrerendered(data) {
+	document.documentElement.setAttribute(PRERENDER_ATTRIBUTE, getRenderKey(data))
+}
+
+/**
+ * Fingerprint of everything the rendered markup depends on: the data, the locale
+ * (UI strings, dates) and the year (footer "auto" year).
+ * A stale prerender (data.json edited since) gets a different key and is re-rendered.
+ * @param {Object} data - Validated data.json content
+ * @returns {string}
+ */
+export function getRenderKey(data) {
+	const source = JSON.stringify({ locale: getLocale(), year: getCurrentYear(), data })
+
+	// FNV-1a: short and stable (not a security hash)
+	let hash = 0x811c9dc5
+	for (let i = 0; i < source.length; i++) {
+		hash ^= source.charCodeAt(i)
+		hash = Math.imul(hash, 0x01000193)
+	}
+	return (hash >>> 0).toString(36)
+}
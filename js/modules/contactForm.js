@@ -0,0 +1,387 @@
+/**
+ * Contact Form Module
+ * Form modals: a modal with "type": "form" shows a form instead of (or after) its `content`,
+ * e.g. a contact / press enquiry form opened from any #contact link.
+ * Fields come from the modal's `form.fields`; the form validates them, counts characters
+ * where there is a `maxLength`, filters bots (see formUtils.js) and POSTs to `form.endpoint`.
+ * Without an endpoint the form is shown disabled, with a note that it isn't taking messages yet.
+ * `node scripts/contact-stub.mjs` stands in for the endpoint locally.
+ */
+
+import { t, formatNumber } from './i18n.js'
+import { isValidEmail, createHoneypot, isHoneypotFilled, isTooFast, postForm } from './formUtils.js'
+
+const INPUT_TYPES = ['text', 'email', 'tel', 'url']
+
+// The character counter is announced once a field is this full
+const COUNTER_ANNOUNCE_RATIO = 0.9
+
+// When each form's modal was last opened, for the bot check (see startFormTimers)
+const shownTimes = new WeakMap()
+
+/**
+ * @param {Object} modal - Modal data object
+ * @returns {boolean} Whether the modal is a form modal
+ */
+export function isFormModal(modal) {
+	return modal?.type === 'form'
+}
+
+/**
+ * Creates the form for a form modal
+ * @param {Object} modal - Modal data object with a `form` block
+ * @returns {HTMLFormElement}
+ */
+export function createContactForm(modal) {
+	const config = modal.form || {}
+	const prefix = `contact-${modal.id}`
+
+	const form = document.createElement('form')
+	form.className = 'contact-form'
+	form.noValidate = true // Our own messages are announced; the browser's bubbles are not
+	// Without scripts a form-encoded endpoint still gets the message
+	if (config.endpoint && config.format === 'form') {
+		form.setAttribute('action', config.endpoint)
+		form.setAttribute('method', 'post')
+	}
+
+	const fields = getFields(config)
+	if (fields.some((field) => field.required)) {
+		const note = document.createElement('p')
+		note.className = 'contact-required-note'
+		note.textContent = t('contact.requiredNote')
+		form.appendChild(note)
+	}
+
+	fields.forEach((field) => form.appendChild(createField(prefix, field)))
+	form.appendChild(createHoneypot(prefix, 'contact-trap'))
+
+	const status = document.createElement('p')
+	status.id = `${prefix}-status`
+	status.className = 'contact-status'
+	status.setAttribute('role', 'status')
+	status.setAttribute('aria-live', 'polite')
+	form.appendChild(status)
+
+	const button = document.createElement('button')
+	button.type = 'submit'
+	button.className = 'contact-submit'
+	button.textContent = config.submitText || t('contact.submit')
+	form.appendChild(button)
+
+	if (!config.endpoint) {
+		console.warn(`⚠️ Form modal "${modal.id}" has no form.endpoint; it is shown disabled`)
+		closeForm(form)
+	}
+
+	bindContactForm(form, modal)
+	return form
+}
+
+/**
+ * Disables every control of a form that has nowhere to send to and says so
+ * @param {HTMLFormElement} form
+ */
+function closeForm(form) {
+	form.dataset.state = 'closed'
+	form.querySelectorAll('input, select, textarea, button').forEach((control) => {
+		control.disabled = true
+	})
+	form.querySelector('.contact-status').textContent = t('contact.unavailable')
+}
+
+/**
+ * Starts the bot check's clock for the forms in a modal that has just opened: the form was
+ * sent too fast if it's sooner than `form.minSeconds` after this
+ * @param {HTMLElement} overlay - The modal overlay
+ */
+export function startFormTimers(overlay) {
+	overlay.querySelectorAll('.contact-form').forEach((form) => shownTimes.set(form, Date.now()))
+}
+
+/**
+ * Makes a form modal's form work: counters, validation, bot checks and sending
+ * (also used to hydrate a prerendered form)
+ * @param {HTMLFormElement} form - The `.contact-form` element
+ * @param {Object} modal - The modal data the form was rendered from
+ */
+export function bindContactForm(form, modal) {
+	const config = modal.form || {}
+	const fields = getFields(config)
+
+	fields.forEach((field) => {
+		const control = getControl(form, field)
+		if (!control) return
+
+		updateCounter(field, control)
+		control.addEventListener('input', () => {
+			updateCounter(field, control)
+			// Once a field has been flagged, tell the visitor as soon as it's fixed
+			if (control.getAttribute('aria-invalid') === 'true') {
+				setFieldError(control, validateField(field, control))
+			}
+		})
+	})
+
+	form.addEventListener('submit', async (event) => {
+		event.preventDefault()
+		if (form.dataset.state === 'sending' || form.dataset.state === 'closed') return
+
+		// Bots fill the honeypot: let them think it worked
+		if (isHoneypotFilled(form)) {
+			showSuccess(form, config.successMessage)
+			return
+		}
+
+		const values = {}
+		let firstInvalid = null
+		fields.forEach((field) => {
+			const control = getControl(form, field)
+			if (!control) return
+
+			const error = validateField(field, control)
+			setFieldError(control, error)
+			if (error && !firstInvalid) firstInvalid = control
+			values[field.name] = control.value.trim()
+		})
+
+		if (firstInvalid) {
+			setStatus(form, 'error', t('contact.fixErrors'))
+			firstInvalid.focus()
+			return
+		}
+
+		// Timed from when the modal opened; a form that was never shown can't have been read
+		if (isTooFast(shownTimes.get(form) ?? Date.now(), config.minSeconds)) {
+			setStatus(form, 'error', t('form.tooFast'))
+			return
+		}
+
+		if (!config.endpoint) return
+
+		setStatus(form, 'sending', t('contact.sending'))
+		try {
+			await postForm(config.endpoint, { form: modal.id, ...values }, { format: config.format })
+			showSuccess(form, config.successMessage)
+		} catch (error) {
+			console.error('❌ Contact form failed to send:', error)
+			setStatus(form, 'error', config.errorMessage || t('contact.error'))
+		}
+	})
+}
+
+/**
+ * The modal's fields, skipping any without a name
+ * @param {Object} config - The modal's `form` block
+ * @returns {Array<Object>}
+ */
+function getFields(config) {
+	return Array.isArray(config.fields) ? config.fields.filter((field) => field && field.name) : []
+}
+
+/**
+ * @param {HTMLFormElement} form
+ * @param {Object} field - Field from `form.fields`
+ * @returns {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement|null} The field's control
+ */
+function getControl(form, field) {
+	const control = form.elements.namedItem(field.name)
+	// A name shared by several controls (e.g. the honeypot's) gives a list, not one of our fields
+	return control && control.classList?.contains('contact-input') ? control : null
+}
+
+/**
+ * Creates one labelled field with its hint, counter and error message
+ * @param {string} prefix - Element id prefix
+ * @param {Object} field - Field from `form.fields`
+ * @returns {HTMLDivElement}
+ */
+function createField(prefix, field) {
+	const id = `${prefix}-${field.name}`
+	const wrapper = document.createElement('div')
+	wrapper.className = 'contact-field'
+
+	const label = document.createElement('label')
+	label.className = 'contact-label'
+	label.htmlFor = id
+	label.textContent = field.label || field.name
+	if (field.required) {
+		const mark = document.createElement('span')
+		mark.className = 'contact-required'
+		mark.setAttribute('aria-hidden', 'true')
+		mark.textContent = ' *'
+		label.appendChild(mark)
+	}
+	wrapper.appendChild(label)
+
+	const control = createControl(field)
+	control.id = id
+	control.name = field.name
+	control.className = 'contact-input'
+	if (field.required) control.required = true
+	if (field.autocomplete) control.setAttribute('autocomplete', field.autocomplete)
+	wrapper.appendChild(control)
+
+	// Read out with the field: hint, counter, then any error
+	const describedBy = []
+
+	if (field.hint) {
+		const hint = document.createElement('p')
+		hint.id = `${id}-hint`
+		hint.className = 'contact-hint'
+		hint.textContent = field.hint
+		wrapper.appendChild(hint)
+		describedBy.push(hint.id)
+	}
+
+	if (field.maxLength) {
+		const counter = document.createElement('p')
+		counter.id = `${id}-counter`
+		counter.className = 'contact-counter'
+		counter.setAttribute('aria-live', 'off')
+		counter.textContent = formatCounter(0, field.maxLength)
+		wrapper.appendChild(counter)
+		describedBy.push(counter.id)
+	}
+
+	const error = document.createElement('p')
+	error.id = `${id}-error`
+	error.className = 'contact-error'
+	error.hidden = true
+	wrapper.appendChild(error)
+	describedBy.push(error.id)
+
+	control.setAttribute('aria-describedby', describedBy.join(' '))
+	return wrapper
+}
+
+/**
+ * Creates the input, select or textarea for a field
+ * @param {Object} field - Field from `form.fields`
+ * @returns {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement}
+ */
+function createControl(field) {
+	if (field.type === 'select') {
+		const select = document.createElement('select')
+		// An empty first choice, so "required" means the visitor picked one
+		select.appendChild(createOption('', field.placeholder || t('contact.choose')))
+		const options = Array.isArray(field.options) ? field.options : []
+		options.forEach((option) => {
+			if (typeof option === 'string') select.appendChild(createOption(option, option))
+			else if (option && option.value) select.appendChild(createOption(option.value, option.label || option.value))
+		})
+		return select
+	}
+
+	const control = document.createElement(field.type === 'textarea' ? 'textarea' : 'input')
+	if (field.type === 'textarea') {
+		control.rows = field.rows || 6
+	} else {
+		control.type = INPUT_TYPES.includes(field.type) ? field.type : 'text'
+	}
+	if (field.placeholder) control.placeholder = field.placeholder
+	if (field.minLength) control.minLength = field.minLength
+	if (field.maxLength) control.maxLength = field.maxLength
+	return control
+}
+
+/**
+ * @param {string} value
+ * @param {string} label
+ * @returns {HTMLOptionElement}
+ */
+function createOption(value, label) {
+	const option = document.createElement('option')
+	option.setAttribute('value', value) // An attribute, so it survives prerendering
+	option.textContent = label
+	return option
+}
+
+/**
+ * Checks one field against its settings
+ * @param {Object} field - Field from `form.fields`
+ * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} control
+ * @returns {string} The error message, or '' when the value is fine
+ */
+function validateField(field, control) {
+	const value = control.value.trim()
+	if (!value) return field.required ? t('contact.required') : ''
+	if (field.type === 'email' && !isValidEmail(value)) return t('form.invalidEmail')
+	if (field.minLength && value.length < field.minLength) {
+		return t('contact.tooShort', { min: formatNumber(field.minLength) })
+	}
+	if (field.maxLength && value.length > field.maxLength) {
+		return t('contact.tooLong', { max: formatNumber(field.maxLength) })
+	}
+	return ''
+}
+
+/**
+ * Shows or clears a field's error message and marks the field for assistive tech
+ * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} control
+ * @param {string} message - '' to clear
+ */
+function setFieldError(control, message) {
+	const error = control.closest('.contact-field')?.querySelector('.contact-error')
+	if (!error) return
+
+	error.textContent = message
+	error.hidden = !message
+	if (message) control.setAttribute('aria-invalid', 'true')
+	else control.removeAttribute('aria-invalid')
+}
+
+/**
+ * Updates a field's character counter; it is only announced close to the limit
+ * @param {Object} field - Field from `form.fields`
+ * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} control
+ */
+function updateCounter(field, control) {
+	const counter = control.closest('.contact-field')?.querySelector('.contact-counter')
+	if (!counter) return
+
+	const length = control.value.length
+	const nearLimit = length >= field.maxLength * COUNTER_ANNOUNCE_RATIO
+	counter.textContent = formatCounter(length, field.maxLength)
+	counter.classList.toggle('contact-counter-near', nearLimit)
+	counter.setAttribute('aria-live', nearLimit ? 'polite' : 'off')
+}
+
+/**
+ * @param {number} count
+ * @param {number} max
+ * @returns {string} e.g. "120 / 2,000 characters"
+ */
+function formatCounter(count, max) {
+	return t('contact.counter', { count: formatNumber(count), max: formatNumber(max) })
+}
+
+/**
+ * Shows a message in the live region and records the state on the form
+ * @param {HTMLFormElement} form
+ * @param {'sending'|'success'|'error'} state
+ * @param {string} message
+ */
+function setStatus(form, state, message) {
+	form.dataset.state = state
+	form.querySelector('.contact-submit').disabled = state === 'sending'
+	form.setAttribute('aria-busy', String(state === 'sending'))
+	form.querySelector('.contact-status').textContent = message
+}
+
+/**
+ * Replaces the fields with the thank-you message
+ * @param {HTMLFormElement} form
+ * @param {string} [message]
+ */
+function showSuccess(form, message) {
+	setStatus(form, 'success', message || t('contact.success'))
+	form.querySelectorAll('.contact-field, .contact-required-note, .contact-submit').forEach((el) => {
+		el.hidden = true
+	})
+
+	// The button that had focus is gone: keep keyboard users on the message
+	const status = form.querySelector('.contact-status')
+	status.setAttribute('tabindex', '-1')
+	status.focus()
+}
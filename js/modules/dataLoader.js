@@ -1,40 +1,246 @@
 /**
  * Data Loader Module
- * Handles fetching and loading JSON data from the server
+ * Handles fetching and loading JSON data from the server: each request times out, transient
+ * failures are retried with backoff, and the last copy that loaded is kept in localStorage so
+ * the site still renders when the server can't be reached. Also renders the error panel shown
+ * when there is nothing to render at all.
  */
 
+import { validateData } from './dataSchema.js'
+import { isDevMode, isPreviewMode, showValidationOverlay } from './devOverlay.js'
+import { configureLocales, localizeData, t, formatDate } from './i18n.js'
+
+const DATA_URL = 'data/data.json'
+const CACHE_KEY = 'lastGoodData'
+
+// Per attempt, so a hung request can't keep the spinner up for ever
+const FETCH_TIMEOUT_MS = 8000
+
+// Waits before each retry (so three attempts in all)
+const RETRY_DELAYS_MS = [1000, 3000]
+
+// Where the data from the last loadData() came from, and when a cached copy was saved
+let dataSource = { from: 'network', savedAt: null }
+
+// Validation errors from the last prepareData()
+let validationErrors = []
+
 /**
- * Fetches the main application data from data.json
- * @returns {Promise<Object>} The parsed JSON data containing header and sections
- * @throws {Error} If the network request fails or response is not ok
+ * Fetches the main application data from data.json, resolves translations for the
+ * active locale and validates it against the schema.
+ * Timeouts, network errors and server errors (5xx) are retried; when every attempt fails
+ * the last copy that loaded is used instead (see getDataSource).
+ * Invalid blocks are dropped; in dev mode the errors are also shown in an overlay.
+ * @returns {Promise<Object>} The validated JSON data containing header and sections
+ * @throws {Error} If the data can't be loaded and no copy was saved
  */
 export async function loadData() {
 	try {
-		// Fetch data from the JSON file
-		const response = await fetch('data/data.json')
+		const raw = await fetchWithRetry(DATA_URL)
+		const data = prepareData(raw)
+		saveLastGood(raw)
+		dataSource = { from: 'network', savedAt: null }
+		return data
+	} catch (error) {
+		// Log the error for debugging
+		console.error('❌ Failed to load data:', error)
+
+		const saved = readLastGood()
+		if (!saved) throw error // Re-throw so calling code can handle it
+
+		console.warn(`⚠️ Using the copy of ${DATA_URL} saved on ${new Date(saved.time).toISOString()}`)
+		dataSource = { from: 'cache', savedAt: saved.time }
+		return prepareData(saved.data)
+	}
+}
+
+/**
+ * @returns {{from: 'network'|'cache', savedAt: number|null}} Where the last loadData() result
+ *   came from; `savedAt` is when a cached copy was saved (ms since the epoch)
+ */
+export function getDataSource() {
+	return dataSource
+}
+
+/**
+ * Fetches and parses JSON, retrying failures that may go away by themselves
+ * @param {string} url
+ * @returns {Promise<Object>}
+ */
+async function fetchWithRetry(url) {
+	for (let attempt = 0; ; attempt++) {
+		try {
+			return await fetchJson(url)
+		} catch (error) {
+			if (!error.retryable || attempt >= RETRY_DELAYS_MS.length) throw error
+			console.warn(`⚠️ Loading ${url} failed (${error.message}), retrying in ${RETRY_DELAYS_MS[attempt]} ms`)
+			await new Promise((resolve) => setTimeout(resolve, RETRY_DELAYS_MS[attempt]))
+		}
+	}
+}
+
+/**
+ * One attempt, aborted after FETCH_TIMEOUT_MS
+ * @param {string} url
+ * @returns {Promise<Object>}
+ * @throws {Error} With `retryable` set for timeouts, network errors and 5xx responses
+ */
+async function fetchJson(url) {
+	const controller = new AbortController()
+	const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS)
+
+	try {
+		// Preview mode always wants the file as saved, not the service worker's or browser's copy
+		const cache = isPreviewMode() ? 'no-store' : 'default'
+		const response = await fetch(url, { signal: controller.signal, cache })
 
 		// Check if the response is successful
 		if (!response.ok) {
-			throw new Error(`HTTP error! status: ${response.status}`)
+			const error = new Error(`HTTP error! status: ${response.status}`)
+			error.retryable = response.status >= 500
+			throw error
 		}
 
-		// Parse and return the JSON data
-		const data = await response.json()
-		return data
+		return await response.json()
 	} catch (error) {
-		// Log the error for debugging
-		console.error('❌ Failed to load data:', error)
-		throw error // Re-throw so calling code can handle it
+		if (error.name === 'AbortError') {
+			const timeout = new Error(`timed out after ${FETCH_TIMEOUT_MS} ms`)
+			timeout.retryable = true
+			throw timeout
+		}
+		// fetch() rejects with a TypeError when the network fails
+		if (error instanceof TypeError) error.retryable = true
+		throw error
+	} finally {
+		clearTimeout(timer)
 	}
 }
 
 /**
- * Displays an error message in the main content area
- * @param {string} message - The error message to display
+ * @param {Object} raw - Parsed data.json that loaded and validated
  */
-export function displayError(message = 'Failed to load content.') {
+function saveLastGood(raw) {
+	try {
+		localStorage.setItem(CACHE_KEY, JSON.stringify({ time: Date.now(), data: raw }))
+	} catch {
+		// Storage full or unavailable (private mode): the fallback copy is best-effort
+	}
+}
+
+/**
+ * @returns {{time: number, data: Object}|null} The last copy that loaded, if any
+ */
+function readLastGood() {
+	try {
+		const saved = JSON.parse(localStorage.getItem(CACHE_KEY))
+		if (saved && typeof saved.time === 'number' && saved.data && typeof saved.data === 'object') return saved
+	} catch {
+		// Unreadable or unavailable storage: nothing to fall back to
+	}
+	return null
+}
+
+/**
+ * Picks the active locale, resolves translations and validates parsed data.json content.
+ * Shared with scripts/prerender.mjs so the prerendered page is built from the same data.
+ * @param {Object} raw - Parsed data.json
+ * @returns {Object} The validated data (invalid blocks dropped)
+ */
+export function prepareData(raw) {
+	configureLocales(raw?.i18n)
+	const { data, errors } = validateData(localizeData(raw))
+	validationErrors = errors
+	if (errors.length > 0) reportValidationErrors(errors)
+
+	return data
+}
+
+/**
+ * @returns {string[]} Validation errors from the last prepareData(), e.g.
+ *   "sections[0].items[2].image: expected string"
+ */
+export function getValidationErrors() {
+	return validationErrors
+}
+
+/**
+ * Logs validation errors and, in dev mode, shows them in an overlay
+ * @param {string[]} errors - Readable validation messages
+ */
+function reportValidationErrors(errors) {
+	console.warn(`⚠️ data.json has ${errors.length} validation error(s); invalid blocks were skipped`)
+	errors.forEach((message) => console.warn('  •', message))
+
+	// Preview mode marks them on the page instead (see previewMode.js)
+	if (isDevMode() && !isPreviewMode()) {
+		showValidationOverlay(errors)
+	}
+}
+
+/**
+ * Shows the error panel in the main content area, replacing whatever was there
+ * @param {string} [message] - What went wrong, in words for visitors
+ * @param {Object} [options]
+ * @param {() => (void|Promise)} [options.onRetry] - Adds a "Try again" button that calls this
+ */
+export function displayError(message = t('loadError.message'), { onRetry } = {}) {
 	const main = document.getElementById('main-content')
-	if (main) {
-		main.innerHTML = `<p class="error-message">${message}</p>`
+	if (!main) return
+
+	const panel = document.createElement('div')
+	panel.className = 'load-error'
+	panel.setAttribute('role', 'alert')
+
+	const title = document.createElement('h2')
+	title.className = 'load-error-title'
+	title.textContent = t('loadError.title')
+
+	const text = document.createElement('p')
+	text.className = 'error-message'
+	text.textContent = message
+
+	panel.append(title, text)
+
+	if (onRetry) {
+		const button = document.createElement('button')
+		button.type = 'button'
+		button.className = 'load-error-retry'
+		button.textContent = t('loadError.retry')
+		button.addEventListener('click', async () => {
+			button.disabled = true
+			button.textContent = t('loadError.retrying')
+			panel.setAttribute('aria-busy', 'true')
+			try {
+				await onRetry()
+			} finally {
+				// Still in the page when the retry failed too (the panel is then shown again)
+				button.disabled = false
+				button.textContent = t('loadError.retry')
+				panel.removeAttribute('aria-busy')
+			}
+		})
+		panel.appendChild(button)
 	}
+
+	main.replaceChildren(panel)
+	panel.querySelector('button')?.focus()
+}
+
+/**
+ * Shows a notice above the content when the page was built from a saved copy of the data
+ * (see getDataSource); removes it otherwise
+ */
+export function showCachedDataNotice() {
+	document.getElementById('cached-data-notice')?.remove()
+	if (dataSource.from !== 'cache') return
+
+	const main = document.getElementById('main-content')
+	if (!main) return
+
+	const notice = document.createElement('p')
+	notice.id = 'cached-data-notice'
+	notice.className = 'cached-data-notice'
+	notice.setAttribute('role', 'status')
+	notice.textContent = t('loadError.cached', { date: formatDate(new Date(dataSource.savedAt)) })
+	main.before(notice)
 }
@@ -0,0 +1,499 @@
+/**
+ * Data Schema Module
+ * Describes the expected shape of data.json and validates it at load time
+ */
+
+/**
+ * Marker returned by validators when a value cannot be used at all
+ */
+const INVALID = Symbol('invalid')
+
+/**
+ * Schema helpers - small factories so the schema below reads like the JSON it describes.
+ * Exported for the item fields of custom section types (see registerItemFields).
+ */
+// string(['a', 'b']) only accepts the listed values
+export const string = (values) => ({ type: 'string', values })
+export const number = () => ({ type: 'number' })
+export const boolean = () => ({ type: 'boolean' })
+export const arrayOf = (items) => ({ type: 'array', items })
+export const oneOf = (...options) => ({ type: 'oneOf', options })
+export const object = (properties, required = []) => ({ type: 'object', properties, required })
+// pick((value) => schema) chooses the schema by looking at the value first
+const pick = (choose) => ({ type: 'pick', choose })
+
+// Section type -> extra item properties (see registerItemFields)
+const itemFieldRegistry = new Map()
+
+// Structured text block (see richText.js)
+const richBlockSchema = object(
+	{
+		type: string(['paragraph', 'heading', 'list', 'updated']),
+		text: string(),
+		level: number(),
+		items: arrayOf(string()),
+		ordered: boolean(),
+		date: string(),
+	},
+	['type']
+)
+
+// A block of text: a Markdown string, or an array of Markdown paragraphs and text blocks
+const textBlock = () => oneOf(string(), arrayOf(oneOf(string(), richBlockSchema)))
+
+const linkSchema = object({ name: string(), url: string() }, ['name', 'url'])
+
+const socialLinkSchema = object({ name: string(), url: string(), icon: string() }, ['name', 'url', 'icon'])
+
+const screenshotSchema = oneOf(string(), object({ src: string(), alt: string(), caption: string() }, ['src']))
+
+// Social card image: a path, or the object form with pixel size and alt text
+const socialImageSchema = oneOf(
+	string(),
+	object({ src: string(), width: number(), height: number(), alt: string() }, ['src'])
+)
+
+const captionTrackSchema = object(
+	{ src: string(), srclang: string(), label: string(), kind: string(), default: boolean() },
+	['src', 'srclang']
+)
+
+// YouTube id/URL or local video path, or the object form
+const trailerSchema = oneOf(
+	string(),
+	object({
+		youtube: string(),
+		src: string(),
+		sources: arrayOf(object({ src: string(), type: string() }, ['src'])),
+		poster: string(),
+		captions: arrayOf(captionTrackSchema),
+	})
+)
+
+// Press kit download: a path, or the object form with a display name
+const assetSchema = oneOf(string(), object({ src: string(), name: string(), alt: string() }, ['src']))
+
+const factSchema = object({ label: string(), value: string() }, ['label', 'value'])
+
+// Store button: `platform` is a built-in id (steam, epic, gog, itch, ...) or one added with registerStorePlatform
+const storeSchema = object({ platform: string(), url: string(), label: string() }, ['platform', 'url'])
+
+// Release state (see releaseStatus.js); a dated release counts as released once its date has passed
+const releaseStatus = () => string(['announced', 'coming-soon', 'early-access', 'released'])
+
+// Episode of an episodic game, with its own release date and countdown
+const episodeSchema = object(
+	{ title: string(), releaseDate: string(), status: releaseStatus(), timeZone: string() },
+	['title']
+)
+
+const itemProperties = {
+	heading: string(),
+	slug: string(),
+	text: textBlock(),
+	image: string(),
+	steamUrl: string(),
+	stores: arrayOf(storeSchema),
+	// Detail view fields (all optional)
+	description: textBlock(),
+	features: arrayOf(string()),
+	platforms: arrayOf(string()),
+	// YYYY-MM-DD, YYYY-MM-DDTHH:mm (in `timeZone`, default UTC) or free text such as "Spring 2027"
+	releaseDate: string(),
+	status: releaseStatus(),
+	timeZone: string(),
+	episodes: arrayOf(episodeSchema),
+	// Structured data only (schema.org VideoGame)
+	genre: oneOf(string(), arrayOf(string())),
+	price: object({ amount: oneOf(string(), number()), currency: string() }, ['amount', 'currency']),
+	// Social card overrides for the item's detail route
+	meta: object({ title: string(), description: textBlock(), image: socialImageSchema }),
+	screenshots: arrayOf(screenshotSchema),
+	trailer: trailerSchema,
+	// Last-modified date (YYYY-MM-DD) for sitemap.xml and feed.xml
+	updated: string(),
+	// News posts (sections with "type": "news")
+	date: string(),
+	author: string(),
+	tags: arrayOf(string()),
+	excerpt: textBlock(),
+	body: textBlock(),
+	// Press kit page (see pressKit.js)
+	factSheet: arrayOf(factSchema),
+	keyArt: arrayOf(assetSchema),
+	logos: arrayOf(assetSchema),
+	trailerLinks: arrayOf(linkSchema),
+	awards: arrayOf(string()),
+	quotes: arrayOf(object({ text: textBlock(), author: string(), role: string(), url: string() }, ['text'])),
+	// Team and quote sections: job title / outlet, a source link and extra links
+	role: string(),
+	url: string(),
+	links: arrayOf(linkSchema),
+}
+
+const sectionProperties = {
+	id: string(),
+	title: string(),
+	// Layout: cards (default), news, gallery, timeline, faq, team, quote, hero or a type
+	// added with registerSectionType(); unknown types render as cards
+	type: string(),
+	// News: posts shown before "Load more"
+	pageSize: number(),
+	items: arrayOf(object(itemProperties)),
+}
+
+// Items of a custom section type also accept the fields registered for it
+const sectionSchema = pick((section) => {
+	const fields = itemFieldRegistry.get(section?.type)
+	if (!fields) return object(sectionProperties, ['title'])
+	return object({ ...sectionProperties, items: arrayOf(object({ ...itemProperties, ...fields })) }, ['title'])
+})
+
+const formFieldSchema = object(
+	{
+		name: string(),
+		label: string(),
+		type: string(['text', 'email', 'tel', 'url', 'select', 'textarea']),
+		required: boolean(),
+		placeholder: string(),
+		hint: string(),
+		autocomplete: string(),
+		minLength: number(),
+		maxLength: number(),
+		rows: number(),
+		// Select only: plain strings or { value, label }
+		options: arrayOf(oneOf(string(), object({ value: string(), label: string() }, ['value']))),
+	},
+	['name', 'label']
+)
+
+const modalSchema = object(
+	{
+		id: string(),
+		title: string(),
+		content: textBlock(),
+		// "form" shows `form` after the content (see contactForm.js)
+		type: string(['page', 'form']),
+		form: object({
+			endpoint: string(),
+			format: string(['json', 'form']),
+			fields: arrayOf(formFieldSchema),
+			submitText: string(),
+			successMessage: string(),
+			errorMessage: string(),
+			minSeconds: number(),
+		}),
+	},
+	['id', 'title']
+)
+
+/**
+ * Full schema for data.json. Every top-level key is optional on its own;
+ * renderers skip whatever is missing.
+ */
+export const DATA_SCHEMA = object({
+	i18n: object({
+		defaultLocale: string(),
+		locales: arrayOf(object({ code: string(), label: string(), ogLocale: string() }, ['code', 'label'])),
+	}),
+	meta: object({
+		title: string(),
+		description: string(),
+		siteName: string(),
+		image: socialImageSchema,
+		twitterSite: string(),
+		twitterCard: string(['summary', 'summary_large_image']),
+		themeColor: oneOf(string(), object({ dark: string(), light: string() })),
+		// Date (YYYY-MM-DD) of the last content change, for sitemap.xml and feed.xml
+		updated: string(),
+	}),
+	// Named themes offered alongside System / Dark / Light
+	themes: arrayOf(
+		object({ id: string(), label: string(), stylesheet: string(), colorScheme: string(['dark', 'light']) }, [
+			'id',
+			'stylesheet',
+		])
+	),
+	header: object(
+		{
+			title: string(),
+			subtitle: string(),
+			logo: string(),
+			socialLinks: arrayOf(socialLinkSchema),
+		},
+		['title']
+	),
+	sections: arrayOf(sectionSchema),
+	footer: object({
+		companyName: string(),
+		year: oneOf(string(), number()),
+		additionalText: string(),
+		links: arrayOf(linkSchema),
+	}),
+	modals: arrayOf(modalSchema),
+	// Press kit pages at #/presskit (see pressKit.js); studio name and links come from header and footer
+	presskit: object({
+		title: string(),
+		intro: textBlock(),
+		boilerplate: textBlock(),
+		history: textBlock(),
+		contact: string(),
+		factSheet: arrayOf(factSchema),
+		logos: arrayOf(assetSchema),
+	}),
+	// How Steam links open (see steamUtils.js)
+	steam: object({
+		strategy: string(['detect', 'client', 'web']),
+		detectTimeout: number(),
+		testMode: string(['no-steam', 'steam']),
+		showPreference: boolean(),
+	}),
+	// Live price, release status and reviews on game cards, through a JSON proxy (see steamStore.js)
+	steamStore: object(
+		{
+			endpoint: string(),
+			country: string(),
+			ttl: number(),
+		},
+		['endpoint']
+	),
+	// Email signup form (see newsletter.js)
+	newsletter: object(
+		{
+			title: string(),
+			text: textBlock(),
+			placeholder: string(),
+			buttonText: string(),
+			consent: string(),
+			successMessage: string(),
+			errorMessage: string(),
+			footer: boolean(),
+			minSeconds: number(),
+			adapter: object(
+				{
+					type: string(),
+					url: string(),
+					format: string(['json', 'form']),
+					field: string(),
+					fields: arrayOf(object({ name: string(), value: string() }, ['name', 'value'])),
+					address: string(),
+					subject: string(),
+					delay: number(),
+					result: string(['success', 'error']),
+				},
+				['type']
+			),
+		},
+		['adapter']
+	),
+	cookieNotice: object({
+		enabled: boolean(),
+		message: string(),
+		moreText: string(),
+		moreLink: string(),
+		buttonText: string(),
+	}),
+})
+
+/**
+ * Lets the items of sections with `"type": sectionType` have fields of their own, e.g.
+ *   registerItemFields('video', { clip: string(), duration: number() })
+ * Without this they are reported as unknown and dropped. Called by registerSectionType
+ * (its `itemFields` option); register before data.json is validated.
+ * @param {string} sectionType - Value of the section's `type` field
+ * @param {Object<string, Object>} fields - Property name -> schema, built with the helpers above
+ */
+export function registerItemFields(sectionType, fields) {
+	const isSchema = (node) => isPlainObject(node) && typeof node.type === 'string'
+	if (!sectionType || !isPlainObject(fields) || !Object.values(fields).every(isSchema)) {
+		console.warn('⚠️ Invalid item fields for section type:', sectionType)
+		return
+	}
+	itemFieldRegistry.set(sectionType, fields)
+}
+
+/**
+ * Validates data against the schema and strips anything invalid.
+ * - Invalid array entries (a section, an item, a link...) are dropped
+ * - Invalid optional properties are dropped
+ * - Objects missing a required property are dropped as a whole
+ * - Unknown properties are reported (to catch typos like "steamURL") and dropped
+ * @param {*} data - Parsed data.json content
+ * @param {Object} [schema=DATA_SCHEMA] - Schema to validate against
+ * @returns {{data: Object, errors: string[]}} Cleaned data plus readable errors, e.g.
+ *   "sections[0].items[2].image: expected string"
+ */
+export function validateData(data, schema = DATA_SCHEMA) {
+	const errors = []
+	const result = validateValue(data, schema, '', errors)
+	return { data: result === INVALID ? {} : result, errors }
+}
+
+/**
+ * Validates a single value against a schema node
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} path - JSON path of the value, e.g. "sections[0].title"
+ * @param {string[]} errors - Collected error messages
+ * @returns {*} The cleaned value, or INVALID
+ */
+function validateValue(value, schema, path, errors) {
+	switch (schema.type) {
+		case 'string':
+		case 'number':
+		case 'boolean':
+			if (typeof value !== schema.type || (schema.type === 'number' && !Number.isFinite(value))) {
+				errors.push(`${formatPath(path)}: expected ${schema.type}`)
+				return INVALID
+			}
+			if (schema.values && !schema.values.includes(value)) {
+				errors.push(`${formatPath(path)}: expected one of ${schema.values.map((v) => `"${v}"`).join(', ')}`)
+				return INVALID
+			}
+			return value
+
+		case 'array':
+			return validateArray(value, schema, path, errors)
+
+		case 'object':
+			return validateObject(value, schema, path, errors)
+
+		case 'oneOf':
+			return validateOneOf(value, schema, path, errors)
+
+		case 'pick':
+			return validateValue(value, schema.choose(value), path, errors)
+
+		default:
+			console.warn('⚠️ Unknown schema type:', schema.type)
+			return value
+	}
+}
+
+/**
+ * Validates an array, dropping invalid entries
+ */
+function validateArray(value, schema, path, errors) {
+	if (!Array.isArray(value)) {
+		errors.push(`${formatPath(path)}: expected array`)
+		return INVALID
+	}
+
+	const result = []
+	value.forEach((entry, index) => {
+		const cleaned = validateValue(entry, schema.items, `${path}[${index}]`, errors)
+		if (cleaned !== INVALID) result.push(cleaned)
+	})
+	return result
+}
+
+/**
+ * Validates a plain object, dropping unknown and invalid optional properties
+ */
+function validateObject(value, schema, path, errors) {
+	if (!isPlainObject(value)) {
+		errors.push(`${formatPath(path)}: expected object`)
+		return INVALID
+	}
+
+	const result = {}
+	let isValid = true
+
+	// Required properties must be present
+	schema.required.forEach((key) => {
+		if (value[key] === undefined) {
+			errors.push(`${joinPath(path, key)}: is required`)
+			isValid = false
+		}
+	})
+
+	Object.keys(value).forEach((key) => {
+		const propertySchema = schema.properties[key]
+		const propertyPath = joinPath(path, key)
+
+		if (!propertySchema) {
+			errors.push(`${propertyPath}: unknown property`)
+			return
+		}
+
+		const cleaned = validateValue(value[key], propertySchema, propertyPath, errors)
+		if (cleaned === INVALID) {
+			if (schema.required.includes(key)) isValid = false
+			return
+		}
+		result[key] = cleaned
+	})
+
+	return isValid ? result : INVALID
+}
+
+/**
+ * Validates a value that may match any of several schemas.
+ * The first option of the same kind (string, array, object...) is used, so errors
+ * inside e.g. an object option still point at the exact property.
+ */
+function validateOneOf(value, schema, path, errors) {
+	const option = schema.options.find((candidate) => matchesKind(value, candidate))
+	if (option) return validateValue(value, option, path, errors)
+
+	const expected = schema.options.map(describeSchema).join(' or ')
+	errors.push(`${formatPath(path)}: expected ${expected}`)
+	return INVALID
+}
+
+/**
+ * Whether a value has the basic kind a schema node expects (ignoring its contents)
+ * @param {*} value
+ * @param {Object} schema
+ * @returns {boolean}
+ */
+function matchesKind(value, schema) {
+	switch (schema.type) {
+		case 'array':
+			return Array.isArray(value)
+		case 'object':
+			return isPlainObject(value)
+		case 'oneOf':
+			return schema.options.some((option) => matchesKind(value, option))
+		default:
+			return typeof value === schema.type
+	}
+}
+
+/**
+ * Short human-readable name of a schema node, e.g. "array of string"
+ * @param {Object} schema
+ * @returns {string}
+ */
+function describeSchema(schema) {
+	if (schema.type === 'array') return `array of ${describeSchema(schema.items)}`
+	if (schema.type === 'oneOf') return schema.options.map(describeSchema).join(' or ')
+	return schema.type
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} True for {} style objects (not arrays or null)
+ */
+function isPlainObject(value) {
+	return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * Appends a property name to a JSON path
+ * @param {string} path
+ * @param {string} key
+ * @returns {string}
+ */
+function joinPath(path, key) {
+	return path ? `${path}.${key}` : key
+}
+
+/**
+ * Root path is shown as "data" so messages never start with a colon
+ * @param {string} path
+ * @returns {string}
+ */
+function formatPath(path) {
+	return path || 'data'
+}
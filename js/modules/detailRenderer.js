@@ -0,0 +1,233 @@
+/**
+ * Detail Renderer Module
+ * Builds a detail view (long description, features, platforms, release date,
+ * screenshots, Steam button) for every item that provides detail data.
+ * Each view is a modal; the router opens it at a shareable hash, e.g. #/games/hollowbrook-apartments
+ * Posts in news sections get the post view from newsRenderer.js instead.
+ */
+
+import { createModalShell, bindModalShell, getModalContainer } from './modalRenderer.js'
+import { hasItemDetails } from './sectionRenderer.js'
+import { createStoreButtons, bindStoreButtons } from './storeLinks.js'
+import {
+	createReleaseInfo,
+	bindReleaseInfo,
+	createEpisodeList,
+	bindEpisodeList,
+	formatReleaseDate,
+} from './releaseStatus.js'
+import { getSectionSlug, getItemSlug } from './slugUtils.js'
+import { t } from './i18n.js'
+import { normalizeImages, createThumbnailStrip, bindThumbnailStrip } from './lightbox.js'
+import { createTrailer, bindTrailer } from './trailerRenderer.js'
+import { appendRichText, appendInlineText } from './richText.js'
+import { watchImageLoad } from './imageUtils.js'
+import { isNewsSection, createPostView } from './newsRenderer.js'
+
+/**
+ * Renders detail views for all items with detail data
+ * @param {Array} sections - Array of section objects from JSON data
+ */
+export function renderItemDetails(sections = []) {
+	if (!Array.isArray(sections)) return
+
+	const container = getModalContainer()
+
+	sections.forEach((section) => {
+		const sectionSlug = getSectionSlug(section)
+		if (!Array.isArray(section.items)) return
+
+		section.items.forEach((item) => {
+			if (!hasItemDetails(item)) return
+
+			const id = getDetailId(sectionSlug, item)
+			if (document.getElementById(`modal-${id}`)) return // already exists
+
+			const overlay = isNewsSection(section) ? createPostView(id, item) : createDetailView(id, item)
+			container.appendChild(overlay)
+		})
+	})
+}
+
+/**
+ * Attaches behaviour to detail views already in the page, e.g. prerendered by
+ * scripts/prerender.mjs (see createDetailView for the markup)
+ * @param {Array} sections - The section data the markup was rendered from
+ */
+export function hydrateItemDetails(sections = []) {
+	if (!Array.isArray(sections)) return
+
+	sections.forEach((section) => {
+		const sectionSlug = getSectionSlug(section)
+		if (!Array.isArray(section.items)) return
+
+		section.items.forEach((item) => {
+			if (!hasItemDetails(item)) return
+
+			const id = getDetailId(sectionSlug, item)
+			const overlay = document.getElementById(`modal-${id}`)
+			if (!overlay) return
+
+			bindModalShell(overlay, id)
+
+			const image = overlay.querySelector('.detail-image')
+			if (image) bindDetailImage(image)
+
+			const trailer = overlay.querySelector('.trailer')
+			if (trailer) bindTrailer(trailer, item.trailer, { title: item.heading, poster: item.image })
+
+			const strip = overlay.querySelector('.detail-screenshots')
+			if (strip) bindThumbnailStrip(strip, normalizeImages(item.screenshots, item.heading))
+
+			const releaseInfo = overlay.querySelector('.modal-body > .release-info')
+			if (releaseInfo) bindReleaseInfo(releaseInfo, item, { name: item.heading })
+
+			const episodeList = overlay.querySelector('.episode-list')
+			if (episodeList) bindEpisodeList(episodeList, item)
+
+			const storeButtons = overlay.querySelector('.store-buttons')
+			if (storeButtons) bindStoreButtons(storeButtons, item)
+		})
+	})
+}
+
+/**
+ * Modal id for an item's detail view, e.g. "detail-games-hollowbrook-apartments"
+ * @param {string} sectionSlug
+ * @param {Object} item
+ * @returns {string}
+ */
+export function getDetailId(sectionSlug, item) {
+	return `detail-${sectionSlug}-${getItemSlug(item)}`
+}
+
+/**
+ * Creates the detail modal for one item
+ * @param {string} id - Modal id
+ * @param {Object} item - Item data object
+ * @returns {HTMLDivElement} The modal overlay
+ */
+function createDetailView(id, item) {
+	const { overlay, body } = createModalShell(id, item.heading || t('detail.title'), { className: 'detail-dialog' })
+
+	const trailer = item.trailer ? createTrailer(item.trailer, { title: item.heading, poster: item.image }) : null
+	if (trailer) {
+		body.appendChild(trailer)
+	} else if (item.image) {
+		const image = document.createElement('img')
+		image.className = 'detail-image'
+		image.src = item.image
+		image.alt = item.heading || ''
+		image.loading = 'lazy'
+		bindDetailImage(image)
+		body.appendChild(image)
+	}
+
+	const releaseInfo = createReleaseInfo(item, { name: item.heading })
+	if (releaseInfo) body.appendChild(releaseInfo)
+
+	const facts = createFactsList(item)
+	if (facts) body.appendChild(facts)
+
+	if (item.description) {
+		body.appendChild(createDescription(item.description))
+	}
+
+	if (Array.isArray(item.features) && item.features.length > 0) {
+		body.appendChild(createFeatureList(item.features))
+	}
+
+	const episodeList = createEpisodeList(item)
+	if (episodeList) body.appendChild(episodeList)
+
+	const screenshots = normalizeImages(item.screenshots, item.heading)
+	if (screenshots.length > 0) {
+		body.appendChild(createThumbnailStrip(screenshots, { className: 'detail-screenshots' }))
+	}
+
+	const storeButtons = createStoreButtons(item)
+	if (storeButtons) body.appendChild(storeButtons)
+
+	return overlay
+}
+
+/**
+ * Fades the detail image in once loaded, hides it if it fails
+ * @param {HTMLImageElement} image
+ */
+function bindDetailImage(image) {
+	watchImageLoad(
+		image,
+		() => image.classList.add('loaded'),
+		() => {
+			image.style.display = 'none'
+		}
+	)
+}
+
+/**
+ * Creates the release date / platforms fact list
+ * @param {Object} item
+ * @returns {HTMLDListElement|null} Null when there is nothing to show
+ */
+function createFactsList(item) {
+	const hasPlatforms = Array.isArray(item.platforms) && item.platforms.length > 0
+	if (!item.releaseDate && !hasPlatforms) return null
+
+	const list = document.createElement('dl')
+	list.className = 'detail-facts'
+
+	if (item.releaseDate) {
+		appendFact(list, t('detail.releaseDate'), formatReleaseDate(item))
+	}
+
+	if (hasPlatforms) {
+		appendFact(list, t('detail.platforms'), item.platforms.join(', '))
+	}
+
+	return list
+}
+
+/**
+ * Appends a term/definition pair to a definition list
+ * @param {HTMLDListElement} list
+ * @param {string} term
+ * @param {string} value
+ */
+function appendFact(list, term, value) {
+	const dt = document.createElement('dt')
+	dt.textContent = term
+	const dd = document.createElement('dd')
+	dd.textContent = value
+	list.appendChild(dt)
+	list.appendChild(dd)
+}
+
+/**
+ * Creates the long description (Markdown subset or text blocks, see richText.js)
+ * @param {string|Array} description
+ * @returns {HTMLDivElement}
+ */
+function createDescription(description) {
+	const container = document.createElement('div')
+	container.className = 'detail-description'
+	return appendRichText(container, description)
+}
+
+/**
+ * Creates the feature bullet list
+ * @param {string[]} features - Inline Markdown allowed (bold, links...)
+ * @returns {HTMLUListElement}
+ */
+function createFeatureList(features) {
+	const list = document.createElement('ul')
+	list.className = 'detail-features'
+
+	features.forEach((feature) => {
+		const li = document.createElement('li')
+		appendInlineText(li, feature)
+		list.appendChild(li)
+	})
+
+	return list
+}
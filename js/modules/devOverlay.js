@@ -0,0 +1,81 @@
+/**
+ * Dev Overlay Module
+ * Tells dev and preview mode apart from the published site, and shows data.json validation
+ * errors on top of the page while developing
+ */
+
+/**
+ * Whether the site runs in dev mode: a local server, file://, or ?dev in the URL
+ * @returns {boolean}
+ */
+export function isDevMode() {
+	const { hostname, protocol, search } = window.location
+	if (new URLSearchParams(search).has('dev')) return true
+	return protocol === 'file:' || hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '[::1]'
+}
+
+/**
+ * Whether the page runs in preview mode (?preview in the URL): data.json is watched and the
+ * page re-renders when it changes (see previewMode.js)
+ * @returns {boolean}
+ */
+export function isPreviewMode() {
+	return new URLSearchParams(window.location.search).has('preview')
+}
+
+/**
+ * Renders (or replaces) the validation overlay with a list of errors
+ * @param {string[]} errors - Readable messages, e.g. "sections[0].items[2].image: expected string"
+ * @param {string} [source='data/data.json'] - File the errors refer to
+ */
+export function showValidationOverlay(errors, source = 'data/data.json') {
+	hideValidationOverlay()
+	if (!Array.isArray(errors) || errors.length === 0) return
+
+	const overlay = document.createElement('div')
+	overlay.id = 'dev-overlay'
+	overlay.className = 'dev-overlay'
+	overlay.setAttribute('role', 'alert')
+
+	const header = document.createElement('div')
+	header.className = 'dev-overlay-header'
+
+	const title = document.createElement('strong')
+	title.className = 'dev-overlay-title'
+	title.textContent = `${errors.length} problem${errors.length === 1 ? '' : 's'} in ${source}`
+
+	const closeBtn = document.createElement('button')
+	closeBtn.type = 'button'
+	closeBtn.className = 'dev-overlay-close'
+	closeBtn.setAttribute('aria-label', 'Dismiss validation errors')
+	closeBtn.textContent = '×'
+	closeBtn.addEventListener('click', hideValidationOverlay)
+
+	header.appendChild(title)
+	header.appendChild(closeBtn)
+
+	const list = document.createElement('ul')
+	list.className = 'dev-overlay-list'
+	errors.forEach((message) => {
+		const li = document.createElement('li')
+		li.textContent = message
+		list.appendChild(li)
+	})
+
+	const hint = document.createElement('p')
+	hint.className = 'dev-overlay-hint'
+	hint.textContent = 'Invalid blocks are skipped. This overlay only appears in dev mode.'
+
+	overlay.appendChild(header)
+	overlay.appendChild(list)
+	overlay.appendChild(hint)
+	document.body.appendChild(overlay)
+}
+
+/**
+ * Removes the validation overlay if present
+ */
+export function hideValidationOverlay() {
+	const existing = document.getElementById('dev-overlay')
+	if (existing) existing.remove()
+}
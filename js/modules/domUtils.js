@@ -0,0 +1,38 @@
+/**
+ * DOM Utilities
+ * Small helpers shared by the renderers and the content editor
+ */
+
+// Some browsers start the download after click() returns: keep the file's URL alive this long
+const REVOKE_DELAY_MS = 1000
+
+/**
+ * @param {string} tagName - e.g. 'span' or 'p'
+ * @param {string} className
+ * @param {string} text
+ * @returns {HTMLElement}
+ */
+export function createTextElement(tagName, className, text) {
+	const element = document.createElement(tagName)
+	element.className = className
+	element.textContent = text
+	return element
+}
+
+/**
+ * Saves text as a file through a temporary link
+ * @param {string} fileName
+ * @param {string} content
+ * @param {string} type - MIME type, e.g. 'text/plain'
+ */
+export function downloadFile(fileName, content, type) {
+	const url = URL.createObjectURL(new Blob([content], { type }))
+
+	const link = document.createElement('a')
+	link.href = url
+	link.download = fileName
+	document.body.appendChild(link)
+	link.click()
+	link.remove()
+	setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS)
+}
@@ -3,12 +3,17 @@
  * Handles the creation and rendering of the site footer from JSON data
  */
 
+import { formatNumber } from './i18n.js'
+import { appendInlineText } from './richText.js'
+import { isNewsletterInFooter, createNewsletterForm, bindNewsletterForm } from './newsletter.js'
+import { isSteamPreferenceShown, createSteamPreferenceControl, bindSteamPreferenceControl } from './steamUtils.js'
+
 /**
  * Renders the site footer with dynamic content from JSON data
  * @param {Object} footerData - Footer data from JSON
  * @param {string} footerData.companyName - Company name for copyright
  * @param {string} footerData.year - Year setting ("auto" for current year)
- * @param {string} [footerData.additionalText] - Additional copyright text
+ * @param {string} [footerData.additionalText] - Additional copyright text (inline Markdown allowed)
  * @param {Array} [footerData.links] - Array of footer links
  */
 export function renderFooter(footerData) {
@@ -22,6 +27,12 @@ export function renderFooter(footerData) {
 	// Clear existing content
 	footerEl.innerHTML = ''
 
+	// Newsletter signup above the copyright line, when data.json asks for it
+	if (isNewsletterInFooter()) {
+		const newsletter = createNewsletterForm({ id: 'newsletter-footer' })
+		if (newsletter) footerEl.appendChild(newsletter)
+	}
+
 	// Create footer content container
 	const footerContent = document.createElement('div')
 	footerContent.className = 'footer-content'
@@ -36,6 +47,9 @@ export function renderFooter(footerData) {
 		footerContent.appendChild(linksSection)
 	}
 
+	// "Always open Steam links in…" choice (see steamUtils.js)
+	if (isSteamPreferenceShown()) footerContent.appendChild(createSteamPreferenceControl())
+
 	// Add content to footer
 	footerEl.appendChild(footerContent)
 
@@ -43,6 +57,17 @@ export function renderFooter(footerData) {
 	footerEl.style.display = 'block'
 }
 
+/**
+ * Attaches behaviour to a prerendered footer (the newsletter form and the Steam link choice)
+ */
+export function hydrateFooter() {
+	const newsletter = document.querySelector('#footer .newsletter')
+	if (newsletter) bindNewsletterForm(newsletter)
+
+	const steamPreference = document.querySelector('#footer .steam-preference')
+	if (steamPreference) bindSteamPreferenceControl(steamPreference)
+}
+
 /**
  * Creates the copyright section with company name and year
  * @param {Object} footerData - Footer data object
@@ -53,16 +78,16 @@ function createCopyrightSection(footerData) {
 	copyrightDiv.className = 'footer-copyright'
 
 	// Determine the year to display
-	const year = footerData?.year === 'auto' ? getCurrentYear() : footerData?.year || getCurrentYear()
+	const rawYear = footerData?.year === 'auto' ? getCurrentYear() : footerData?.year || getCurrentYear()
+	const year = typeof rawYear === 'number' ? formatNumber(rawYear, { useGrouping: false }) : rawYear
 
 	// Build copyright text
 	const companyName = footerData?.companyName || 'Yetiface Games'
 	const additionalText = footerData?.additionalText || ''
 
-	const copyrightText = `© ${year} ${companyName}${additionalText ? ` - ${additionalText}` : ''}`
-
 	const copyrightP = document.createElement('p')
-	copyrightP.textContent = copyrightText
+	copyrightP.textContent = `© ${year} ${companyName}${additionalText ? ' - ' : ''}`
+	appendInlineText(copyrightP, additionalText)
 	copyrightP.className = 'copyright-text'
 
 	copyrightDiv.appendChild(copyrightP)
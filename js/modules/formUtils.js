@@ -0,0 +1,105 @@
+/**
+ * Form Utilities Module
+ * Validation, spam protection and submitting shared by the newsletter and contact forms:
+ * - a honeypot field people never see (bots fill it in)
+ * - a minimum time between a form showing and being submitted
+ * - POSTing to an endpoint as JSON or form-encoded, with a timeout
+ */
+
+import { t } from './i18n.js'
+
+// Loose check: something@something.tld (the server decides what it accepts)
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+// Seconds a person needs at least between a form showing and submitting it
+export const DEFAULT_MIN_SECONDS = 3
+
+// Give up on an endpoint after this long
+const POST_TIMEOUT_MS = 10000
+
+// Name of the honeypot field: hidden from people, tempting for bots
+const HONEYPOT_FIELD = 'website'
+
+/**
+ * @param {string} value
+ * @returns {boolean} Whether the value looks like an email address
+ */
+export function isValidEmail(value) {
+	return EMAIL_PATTERN.test(value)
+}
+
+/**
+ * Creates the honeypot: a field people never see or reach with the keyboard.
+ * Style `className` off-screen (not display:none, which some bots skip).
+ * @param {string} id - Element id prefix
+ * @param {string} className - Class for the wrapper, e.g. 'newsletter-trap'
+ * @returns {HTMLDivElement}
+ */
+export function createHoneypot(id, className) {
+	const wrapper = document.createElement('div')
+	wrapper.className = className
+	wrapper.setAttribute('aria-hidden', 'true')
+
+	const label = document.createElement('label')
+	label.htmlFor = `${id}-${HONEYPOT_FIELD}`
+	label.textContent = t('form.trapLabel')
+
+	const input = document.createElement('input')
+	input.type = 'text'
+	input.id = `${id}-${HONEYPOT_FIELD}`
+	input.name = HONEYPOT_FIELD
+	input.tabIndex = -1
+	input.setAttribute('autocomplete', 'off')
+
+	wrapper.appendChild(label)
+	wrapper.appendChild(input)
+	return wrapper
+}
+
+/**
+ * @param {HTMLFormElement} form
+ * @returns {boolean} Whether the form's honeypot was filled in (i.e. a bot sent it)
+ */
+export function isHoneypotFilled(form) {
+	return Boolean(form.querySelector(`[name="${HONEYPOT_FIELD}"]`)?.value)
+}
+
+/**
+ * @param {number} shownAt - Date.now() when the form was shown
+ * @param {number} [minSeconds] - From data.json; DEFAULT_MIN_SECONDS when not a number
+ * @returns {boolean} Whether the form was submitted quicker than a person could
+ */
+export function isTooFast(shownAt, minSeconds) {
+	const seconds = typeof minSeconds === 'number' ? minSeconds : DEFAULT_MIN_SECONDS
+	return Date.now() - shownAt < seconds * 1000
+}
+
+/**
+ * POSTs values to an endpoint, rejecting on a network error, timeout or non-2xx response
+ * @param {string} url
+ * @param {Object<string, string>} values
+ * @param {Object} [options]
+ * @param {'json'|'form'} [options.format='json'] - JSON body or application/x-www-form-urlencoded
+ * @returns {Promise<Response>}
+ */
+export async function postForm(url, values, { format = 'json' } = {}) {
+	const isForm = format === 'form'
+	const controller = new AbortController()
+	const timer = setTimeout(() => controller.abort(), POST_TIMEOUT_MS)
+
+	try {
+		const response = await fetch(url, {
+			method: 'POST',
+			headers: {
+				'Content-Type': isForm ? 'application/x-www-form-urlencoded' : 'application/json',
+				Accept: 'application/json',
+			},
+			body: isForm ? new URLSearchParams(values).toString() : JSON.stringify(values),
+			signal: controller.signal,
+		})
+		if (!response.ok) throw new Error(`HTTP ${response.status}`)
+		return response
+	} finally {
+		clearTimeout(timer)
+	}
+}
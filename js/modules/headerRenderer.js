@@ -3,11 +3,13 @@
  * Handles the creation and rendering of the site header
  */
 
-import { setupThemeToggle } from './themeManager.js'
-import { tryOpenSteamFromWebUrl } from './steamUtils.js'
+import { setupThemeSelect, bindThemeSelect } from './themeManager.js'
+import { openSteamLink } from './steamUtils.js'
+import { t, getLocale, getLocales, setLocale } from './i18n.js'
+import { watchImageLoad } from './imageUtils.js'
 
 /**
- * Renders the site header with logo, title, subtitle, and theme toggle
+ * Renders the site header with logo, title, subtitle, and theme menu
  * @param {Object} header - Header data from JSON containing title, subtitle, and logo
  * @param {string} header.title - The site title
  * @param {string} [header.subtitle] - Optional subtitle
@@ -44,48 +46,118 @@ export function renderHeader(header) {
 		logoDescriptionContainer.appendChild(subtitleElement)
 	}
 
-	// Create header right section with theme toggle and social links
-	const headerRight = createHeaderRightSection(header.socialLinks)
+	// Create header right section with theme menu, language switcher and social links
+	const headerRight = createHeaderRightSection(header.socialLinks, header.title)
 	headerEl.appendChild(headerRight)
 }
 
 /**
- * Creates the header right section with theme toggle and social links
+ * Attaches behaviour (logo loading, theme menu, language switcher, Steam link) to a
+ * header already in the page, e.g. prerendered by scripts/prerender.mjs
+ * @param {Object} header - The header data the markup was rendered from
+ */
+export function hydrateHeader(header) {
+	const headerEl = document.getElementById('header')
+	if (!headerEl) return
+
+	const logoImage = headerEl.querySelector('.site-logo')
+	if (logoImage) bindLogo(logoImage, header.logo)
+
+	const languageSwitcher = headerEl.querySelector('#language-select')
+	if (languageSwitcher) bindLanguageSwitcher(languageSwitcher)
+
+	const themeSelect = headerEl.querySelector('#theme-select')
+	if (themeSelect) bindThemeSelect(themeSelect)
+
+	// Links without a url were skipped when rendering
+	const linkElements = headerEl.querySelectorAll('.social-link')
+	const links = (header.socialLinks || []).filter((link) => link.url)
+	links.forEach((link, index) => {
+		if (linkElements[index] && isSteamLink(link)) bindSteamSocialLink(linkElements[index], link.url)
+	})
+}
+
+/**
+ * Creates the header right section with theme menu, language switcher and social links
  * @param {Array} [socialLinks] - Array of social link objects
+ * @param {string} [siteName] - Site title, used in the social link labels
  * @returns {HTMLDivElement} The header right section
  */
-function createHeaderRightSection(socialLinks = []) {
+function createHeaderRightSection(socialLinks = [], siteName = '') {
 	const headerRight = document.createElement('div')
 	headerRight.className = 'header-right'
 
-	// Create and add the theme toggle button
-	const themeToggleButton = createThemeToggleButton()
-	headerRight.appendChild(themeToggleButton)
+	const controls = document.createElement('div')
+	controls.className = 'header-controls'
+	headerRight.appendChild(controls)
+
+	// Language switcher (only when more than one locale is configured)
+	const languageSwitcher = createLanguageSwitcher()
+	if (languageSwitcher) controls.appendChild(languageSwitcher)
+
+	// Create and add the theme menu
+	const themeSelect = createThemeSelect()
+	controls.appendChild(themeSelect)
 
 	// Add social links if provided
 	if (socialLinks && socialLinks.length > 0) {
-		const socialLinksContainer = createSocialLinksContainer(socialLinks)
+		const socialLinksContainer = createSocialLinksContainer(socialLinks, siteName)
 		headerRight.appendChild(socialLinksContainer)
 	}
 
-	// Initialize theme toggle functionality
-	setupThemeToggle(themeToggleButton)
+	// Fill in the themes and handle switching
+	setupThemeSelect(themeSelect)
 
 	return headerRight
 }
 
+/**
+ * Creates the language switcher
+ * @returns {HTMLSelectElement|null} Null when only one locale is available
+ */
+function createLanguageSwitcher() {
+	const locales = getLocales()
+	if (locales.length < 2) return null
+
+	const select = document.createElement('select')
+	select.id = 'language-select'
+	select.className = 'language-select'
+	select.setAttribute('aria-label', t('header.language'))
+
+	locales.forEach(({ code, label }) => {
+		const option = document.createElement('option')
+		option.value = code
+		option.lang = code
+		option.textContent = label || code
+		option.selected = code === getLocale()
+		select.appendChild(option)
+	})
+
+	bindLanguageSwitcher(select)
+	return select
+}
+
+/**
+ * Switches language when the switcher changes
+ * @param {HTMLSelectElement} select
+ */
+function bindLanguageSwitcher(select) {
+	select.addEventListener('change', () => setLocale(select.value))
+}
+
 /**
  * Creates the social links container
  * @param {Array} socialLinks - Array of social link objects
+ * @param {string} [siteName] - Site title, used in the link labels
  * @returns {HTMLDivElement} The social links container
  */
-function createSocialLinksContainer(socialLinks) {
+function createSocialLinksContainer(socialLinks, siteName = '') {
 	const container = document.createElement('div')
 	container.className = 'social-links'
 
 	socialLinks.forEach((link) => {
 		if (!link.url) return
-		const socialLink = createSocialLink(link)
+		const socialLink = createSocialLink(link, siteName)
 		container.appendChild(socialLink)
 	})
 
@@ -98,9 +170,10 @@ function createSocialLinksContainer(socialLinks) {
  * @param {string} link.name - Display name for accessibility
  * @param {string} link.url - URL to link to
  * @param {string} link.icon - Font Awesome class name (e.g., "fab fa-twitter")
+ * @param {string} [siteName] - Site title, used in the link label
  * @returns {HTMLAnchorElement} The social link element
  */
-function createSocialLink(link) {
+function createSocialLink(link, siteName = '') {
 	const socialLink = document.createElement('a')
 	socialLink.href = link.url
 	// Open external links in new tab, keep hash/internal links in same tab
@@ -110,7 +183,7 @@ function createSocialLink(link) {
 		socialLink.rel = 'noopener noreferrer'
 	}
 	socialLink.className = 'social-link'
-	socialLink.setAttribute('aria-label', `Follow Yetiface Games on ${link.name}`)
+	socialLink.setAttribute('aria-label', t('header.followOn', { site: siteName || 'Yetiface Games', network: link.name }))
 	socialLink.setAttribute('title', link.name)
 
 	// Create Font Awesome icon
@@ -119,18 +192,34 @@ function createSocialLink(link) {
 	socialLink.appendChild(icon)
 
 	// Special handling for Steam: try to open steam:// protocol and fall back to web
-	const isSteam = typeof link.name === 'string' && link.name.toLowerCase() === 'steam'
-	if (isSteam && typeof link.url === 'string') {
-		socialLink.addEventListener('click', (e) => {
-			e.preventDefault()
-			tryOpenSteamFromWebUrl(link.url)
-		})
-		socialLink.setAttribute('aria-label', 'Open on Steam')
+	if (isSteamLink(link)) {
+		bindSteamSocialLink(socialLink, link.url)
+		socialLink.setAttribute('aria-label', t('header.openSteam'))
 	}
 
 	return socialLink
 }
 
+/**
+ * @param {Object} link - Social link object
+ * @returns {boolean} True for the Steam link
+ */
+function isSteamLink(link) {
+	return typeof link.name === 'string' && link.name.toLowerCase() === 'steam' && typeof link.url === 'string'
+}
+
+/**
+ * Makes the Steam social link try the Steam client before the web page
+ * @param {HTMLAnchorElement} socialLink
+ * @param {string} url - Steam URL
+ */
+function bindSteamSocialLink(socialLink, url) {
+	socialLink.addEventListener('click', (e) => {
+		e.preventDefault()
+		openSteamLink(socialLink, url)
+	})
+}
+
 // Steam open/fallback is handled by steamUtils to maximize reuse
 
 /**
@@ -156,24 +245,30 @@ function createLogoContainer(logoUrl) {
 	// Create logo image element with lazy loading
 	const logoImage = document.createElement('img')
 	logoImage.src = logoUrl
-	logoImage.alt = 'Site Logo'
+	logoImage.alt = t('header.logoAlt')
 	logoImage.className = 'site-logo site-logo-circular'
 	logoImage.loading = 'eager' // Ensure above-the-fold logo loads immediately
 
-	// Handle logo loading errors
-	logoImage.onerror = () => {
-		console.warn('⚠️ Failed to load logo:', logoUrl)
-		logoContainer.style.display = 'none'
-	}
-
-	// Handle successful logo load
-	logoImage.onload = () => {
-		logoImage.classList.add('loaded')
-	}
-
 	logoContainer.appendChild(logoImage)
+	bindLogo(logoImage, logoUrl)
 	return logoContainer
 }
+
+/**
+ * Fades the logo in once loaded; hides its container if it fails
+ * @param {HTMLImageElement} logoImage
+ * @param {string} logoUrl - URL of the logo image (for the warning)
+ */
+function bindLogo(logoImage, logoUrl) {
+	watchImageLoad(
+		logoImage,
+		() => logoImage.classList.add('loaded'),
+		() => {
+			console.warn('⚠️ Failed to load logo:', logoUrl)
+			logoImage.parentElement.style.display = 'none'
+		}
+	)
+}
 /**
  * Creates the site title element
  * @param {string} title - The site title text
@@ -199,32 +294,16 @@ function createSubtitleElement(subtitle) {
 }
 
 /**
- * Creates the theme toggle button with sun and moon icons
- * @returns {HTMLButtonElement} The theme toggle button
+ * Creates the theme menu (options are added by setupThemeSelect)
+ * @returns {HTMLSelectElement} The theme select element
  */
-function createThemeToggleButton() {
-	// Create the main button
-	const toggleButton = document.createElement('button')
-	toggleButton.id = 'theme-toggle'
-	toggleButton.className = 'theme-toggle'
-	toggleButton.setAttribute('aria-label', 'Toggle dark/light theme')
-	toggleButton.setAttribute('title', 'Switch theme')
-
-	// Create sun icon
-	const sunIcon = document.createElement('span')
-	sunIcon.className = 'icon sun-icon'
-	sunIcon.setAttribute('aria-hidden', 'true')
-
-	// Create moon icon
-	const moonIcon = document.createElement('span')
-	moonIcon.className = 'icon moon-icon'
-	moonIcon.setAttribute('aria-hidden', 'true')
-
-	// Append icons to button
-	toggleButton.appendChild(sunIcon)
-	toggleButton.appendChild(moonIcon)
-
-	return toggleButton
+function createThemeSelect() {
+	const select = document.createElement('select')
+	select.id = 'theme-select'
+	select.className = 'theme-select'
+	select.setAttribute('aria-label', t('header.theme'))
+	select.setAttribute('title', t('header.themeTitle'))
+	return select
 }
 
 /**
@@ -0,0 +1,180 @@
+/**
+ * i18n Module
+ * Current locale, UI string lookup, per-field translations in data.json
+ * and locale-aware date/number formatting
+ */
+
+import { UI_STRINGS } from './uiStrings.js'
+
+const STORAGE_KEY = 'locale'
+const FALLBACK_LOCALE = 'en'
+
+let defaultLocale = FALLBACK_LOCALE
+let locales = [{ code: FALLBACK_LOCALE, label: 'English' }]
+let currentLocale = FALLBACK_LOCALE
+const listeners = new Set()
+
+/**
+ * Reads the locale list from data.json and picks the active locale:
+ * stored choice first, then the browser language, then the default
+ * @param {Object} [config] - The `i18n` block from data.json
+ * @param {string} [config.defaultLocale='en']
+ * @param {Array<{code:string, label:string}>} [config.locales]
+ * @returns {string} The active locale code
+ */
+export function configureLocales(config = {}) {
+	if (Array.isArray(config.locales) && config.locales.length > 0) {
+		locales = config.locales.filter((l) => l && typeof l.code === 'string')
+	}
+	defaultLocale = isSupported(config.defaultLocale) ? config.defaultLocale : locales[0].code
+
+	const stored = getStoredLocale()
+	const browser = (navigator.languages || [navigator.language])
+		.map((lang) => String(lang || '').split('-')[0])
+		.find(isSupported)
+
+	currentLocale = [stored, browser, defaultLocale].find(isSupported) || FALLBACK_LOCALE
+	document.documentElement.setAttribute('lang', currentLocale)
+	return currentLocale
+}
+
+/**
+ * @returns {string} The active locale code, e.g. 'en' or 'cy'
+ */
+export function getLocale() {
+	return currentLocale
+}
+
+/**
+ * @returns {Array<{code:string, label:string}>} Locales offered in the language switcher
+ */
+export function getLocales() {
+	return locales
+}
+
+/**
+ * Switches locale, remembers the choice and notifies listeners (which re-render)
+ * @param {string} code - Locale code
+ */
+export function setLocale(code) {
+	if (!isSupported(code)) {
+		console.warn('⚠️ Unsupported locale:', code)
+		return
+	}
+	if (code === currentLocale) return
+
+	currentLocale = code
+	document.documentElement.setAttribute('lang', code)
+	try {
+		localStorage.setItem(STORAGE_KEY, code)
+	} catch {
+		// Storage unavailable - the choice lasts for this page view only
+	}
+
+	listeners.forEach((listener) => listener(code))
+}
+
+/**
+ * Registers a callback for locale changes
+ * @param {(code: string) => void} listener
+ */
+export function onLocaleChange(listener) {
+	if (typeof listener === 'function') listeners.add(listener)
+}
+
+/**
+ * Looks up a UI string for the active locale, falling back to English, then to the key itself
+ * @param {string} key - e.g. 'steam.open'
+ * @param {Object<string, string|number>} [params] - Values for {placeholders}
+ * @returns {string}
+ */
+export function t(key, params = {}) {
+	const template = UI_STRINGS[currentLocale]?.[key] ?? UI_STRINGS[FALLBACK_LOCALE]?.[key] ?? key
+	return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match))
+}
+
+/**
+ * Resolves per-field translations for a locale. Any object whose keys are all locale
+ * codes, e.g. { "en": "Games", "cy": "Gemau" }, is replaced by the matching value,
+ * falling back to the default locale and then English.
+ * @param {*} value - data.json content (or any part of it)
+ * @param {string} [locale] - Defaults to the active locale
+ * @returns {*} A copy with translations resolved
+ */
+export function localizeData(value, locale = currentLocale) {
+	if (Array.isArray(value)) return value.map((entry) => localizeData(entry, locale))
+	if (value === null || typeof value !== 'object') return value
+
+	if (isTranslationMap(value)) {
+		const resolved = value[locale] ?? value[defaultLocale] ?? value[FALLBACK_LOCALE] ?? Object.values(value)[0]
+		return localizeData(resolved, locale)
+	}
+
+	const result = {}
+	Object.keys(value).forEach((key) => {
+		result[key] = localizeData(value[key], locale)
+	})
+	return result
+}
+
+/**
+ * Formats a date for the active locale. ISO dates ("2025-10-31") are formatted,
+ * anything else (e.g. "Q4 2025") is returned unchanged.
+ * @param {string|Date} value
+ * @param {Intl.DateTimeFormatOptions} [options]
+ * @returns {string}
+ */
+export function formatDate(value, options = { year: 'numeric', month: 'long', day: 'numeric' }) {
+	if (typeof value === 'string' && !/^\d{4}-\d{2}-\d{2}/.test(value)) return value
+	const date = value instanceof Date ? value : new Date(value)
+	if (Number.isNaN(date.getTime())) return String(value)
+
+	try {
+		return new Intl.DateTimeFormat(currentLocale, options).format(date)
+	} catch {
+		return date.toLocaleDateString(undefined, options)
+	}
+}
+
+/**
+ * Formats a number for the active locale
+ * @param {number} value
+ * @param {Intl.NumberFormatOptions} [options]
+ * @returns {string}
+ */
+export function formatNumber(value, options = {}) {
+	try {
+		return new Intl.NumberFormat(currentLocale, options).format(value)
+	} catch {
+		return String(value)
+	}
+}
+
+/**
+ * @param {string} code
+ * @returns {boolean} True if the locale is offered
+ */
+function isSupported(code) {
+	return typeof code === 'string' && locales.some((l) => l.code === code)
+}
+
+/**
+ * @returns {string|null} The stored locale choice, if any
+ */
+function getStoredLocale() {
+	try {
+		return localStorage.getItem(STORAGE_KEY)
+	} catch {
+		return null
+	}
+}
+
+/**
+ * Whether an object is a per-field translation, e.g. { "en": "...", "cy": "..." }
+ * @param {Object} value
+ * @returns {boolean}
+ */
+function isTranslationMap(value) {
+	const keys = Object.keys(value)
+	return keys.length > 0 && keys.every((key) => locales.some((l) => l.code === key) || key === FALLBACK_LOCALE)
+}
@@ -0,0 +1,22 @@
+/**
+ * Image Utilities
+ * Load / error handling shared by every renderer that shows images
+ */
+
+/**
+ * Runs onLoad / onError when an image finishes. Also covers images that already
+ * finished before this was called (e.g. images in a prerendered page that loaded
+ * before the scripts ran). Images waiting for lazy loading (no src yet) are left alone.
+ * @param {HTMLImageElement} img
+ * @param {() => void} [onLoad]
+ * @param {() => void} [onError]
+ */
+export function watchImageLoad(img, onLoad, onError) {
+	img.onload = onLoad || null
+	img.onerror = onError || null
+
+	if (img.complete && img.getAttribute('src')) {
+		if (img.naturalWidth > 0) onLoad?.()
+		else onError?.()
+	}
+}
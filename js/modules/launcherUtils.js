@@ -0,0 +1,201 @@
+/**
+ * Launcher Utilities Module
+ * Opening store links in a desktop client (steam://, com.epicgames.launcher://) with a web
+ * fallback, and showing how it went on the link: "Opening Steam…", then "Opened in Steam"
+ * or "Opened in a new tab" (announced to screen readers too).
+ * Browsers don't say whether a protocol handler exists, so a client counts as detected when
+ * the page is hidden, or focus leaves the browser, after its link was tried.
+ */
+
+import { t } from './i18n.js'
+
+// How long to wait for a client to take focus before opening the web page
+export const DEFAULT_DETECT_TIMEOUT_MS = 100
+
+// How long the result ("Opened in Steam") stays on the button
+const FEEDBACK_MS = 2500
+
+// Remove the hidden launch frame after this long when nobody waits for the result
+const LAUNCH_FRAME_MS = 1000
+
+// Link -> timer that puts its label back after the feedback
+const feedbackTimers = new WeakMap()
+
+// Link -> its label text before any feedback
+const originalLabels = new WeakMap()
+
+// Status region -> latest message, for regions not announcing yet (see getStatusRegion)
+const statusMessages = new WeakMap()
+
+/**
+ * @typedef {Object} LaunchResult
+ * @property {'client'|'web'} target - Where the link was opened
+ * @property {string} reason - Why, e.g. 'detected', 'not-detected' (see steamUtils.js for Steam's)
+ */
+
+/**
+ * Tries the client link and opens the web page when no client takes focus in time.
+ * Focus moving into the page's own iframes (e.g. a playing trailer), or anything before
+ * the attempt, doesn't count as detection.
+ * @param {string} protocolUrl - e.g. 'steam://store/3983920'
+ * @param {string} webUrl - The fallback website URL
+ * @param {number} [timeoutMs] - How long to wait for the client
+ * @returns {Promise<LaunchResult>} reason 'detected' or 'not-detected'
+ */
+export function openClientWithFallback(protocolUrl, webUrl, timeoutMs = DEFAULT_DETECT_TIMEOUT_MS) {
+	return new Promise((resolve) => {
+		let frame = null
+		let launched = false
+		let settled = false
+		let launchId
+		let timeoutId
+
+		const finish = (result) => {
+			if (settled) return
+			settled = true
+			clearTimeout(launchId)
+			clearTimeout(timeoutId)
+			window.removeEventListener('blur', handleBlur)
+			document.removeEventListener('visibilitychange', handleVisibilityChange)
+			removeFrame(frame)
+			resolve(result)
+		}
+
+		const handleBlur = () => {
+			if (launched && !document.hasFocus()) finish({ target: 'client', reason: 'detected' })
+		}
+		const handleVisibilityChange = () => {
+			if (launched && document.hidden) finish({ target: 'client', reason: 'detected' })
+		}
+
+		window.addEventListener('blur', handleBlur)
+		document.addEventListener('visibilitychange', handleVisibilityChange)
+
+		launchId = setTimeout(() => {
+			launched = true
+			frame = launchProtocol(protocolUrl)
+			timeoutId = setTimeout(() => finish(openWeb(webUrl, 'not-detected')), timeoutMs)
+		}, 10)
+	})
+}
+
+/**
+ * Opens a client link without waiting to see whether anything handled it
+ * @param {string} protocolUrl
+ * @param {string} reason
+ * @returns {LaunchResult}
+ */
+export function openClient(protocolUrl, reason) {
+	const frame = launchProtocol(protocolUrl)
+	setTimeout(() => removeFrame(frame), LAUNCH_FRAME_MS)
+	return { target: 'client', reason }
+}
+
+/**
+ * @param {string} webUrl
+ * @param {string} reason
+ * @returns {LaunchResult}
+ */
+export function openWeb(webUrl, reason) {
+	window.open(webUrl, '_blank', 'noopener,noreferrer')
+	return { target: 'web', reason }
+}
+
+/**
+ * Shows an attempt on its link: "Opening <store>…" on the button text (an element with
+ * `.store-button-label`, when there is one) until it settles, then where it opened.
+ * Sets `data-launch-state` to 'opening', 'client' or 'web' meanwhile, for styling.
+ * Clicks while a link is still opening are ignored.
+ * @param {HTMLAnchorElement} link - A store button or social link
+ * @param {() => Promise<LaunchResult|null>} launch - Starts the attempt
+ * @param {string} storeName - e.g. 'Steam'
+ * @returns {Promise<LaunchResult|null>} The attempt's result, or null when ignored
+ */
+export async function launchWithFeedback(link, launch, storeName) {
+	if (link.dataset.launchState === 'opening') return null
+
+	const label = link.querySelector('.store-button-label')
+	if (label && !originalLabels.has(link)) originalLabels.set(link, label.textContent)
+	const reset = () => setLinkState(link, label, null, originalLabels.get(link))
+
+	clearTimeout(feedbackTimers.get(link))
+	setLinkState(link, label, 'opening', t('store.opening', { store: storeName }))
+
+	const result = await launch()
+	if (!result) {
+		reset()
+		return result
+	}
+
+	const message = result.target === 'client' ? t('store.openedClient', { store: storeName }) : t('store.openedWeb')
+	setLinkState(link, label, result.target, message)
+	feedbackTimers.set(link, setTimeout(reset, FEEDBACK_MS))
+	return result
+}
+
+/**
+ * Hands a client URL to the browser through a hidden frame, so a missing handler
+ * doesn't navigate the page to an error
+ * @param {string} protocolUrl
+ * @returns {HTMLIFrameElement}
+ */
+function launchProtocol(protocolUrl) {
+	const frame = document.createElement('iframe')
+	frame.style.display = 'none'
+	frame.style.width = '1px'
+	frame.style.height = '1px'
+	document.body.appendChild(frame)
+	frame.src = protocolUrl
+	return frame
+}
+
+/**
+ * @param {HTMLIFrameElement|null} frame
+ */
+function removeFrame(frame) {
+	try {
+		if (frame?.parentNode) frame.parentNode.removeChild(frame)
+	} catch {}
+}
+
+/**
+ * Shows a link's state on its button text (when it has one) and to screen readers
+ * @param {HTMLAnchorElement} link
+ * @param {HTMLElement|null} label - The button's text element
+ * @param {'opening'|'client'|'web'|null} state - Null when back to normal
+ * @param {string} [message] - The label text (for null, the original label)
+ */
+function setLinkState(link, label, state, message) {
+	if (state) link.dataset.launchState = state
+	else delete link.dataset.launchState
+	link.setAttribute('aria-busy', String(state === 'opening'))
+	if (label && message !== undefined) label.textContent = message
+
+	// The link's aria-label hides its text from screen readers, so announce beside it
+	const status = getStatusRegion(link)
+	if (!status) return
+	statusMessages.set(status, state ? message : '')
+	if (status.dataset.ready) status.textContent = statusMessages.get(status)
+}
+
+/**
+ * The live region after a link, added on first use
+ * @param {HTMLAnchorElement} link
+ * @returns {HTMLSpanElement|null} Null when the link isn't in the page
+ */
+function getStatusRegion(link) {
+	const existing = link.nextElementSibling
+	if (existing?.classList.contains('launch-status')) return existing
+	if (!link.parentNode) return null
+
+	const region = document.createElement('span')
+	region.className = 'launch-status visually-hidden'
+	region.setAttribute('role', 'status')
+	link.after(region)
+	// A live region added with its text already in place isn't always read out
+	setTimeout(() => {
+		region.dataset.ready = 'true'
+		region.textContent = statusMessages.get(region) || ''
+	}, 100)
+	return region
+}
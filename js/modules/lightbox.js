@@ -0,0 +1,330 @@
+/**
+ * Lightbox Module
+ * Full-screen, keyboard- and swipe-navigable image viewer for item screenshots.
+ * Closes like the modals do (ESC, × button, backdrop click) and traps focus while open.
+ */
+
+import { t } from './i18n.js'
+import { watchImageLoad } from './imageUtils.js'
+
+// Minimum horizontal swipe distance (px) that counts as prev/next
+const SWIPE_THRESHOLD = 50
+
+let lightbox = null
+let images = []
+let currentIndex = 0
+let returnFocus = null
+let previousOverflow = ''
+let touchStartX = null
+
+/**
+ * Normalizes a screenshots array from data.json into {src, alt, caption} objects
+ * @param {Array<string|{src:string, alt?:string, caption?:string}>} screenshots
+ * @param {string} [gameName] - Used for default alt text
+ * @returns {Array<{src:string, alt:string, caption:string}>}
+ */
+export function normalizeImages(screenshots = [], gameName = '') {
+	if (!Array.isArray(screenshots)) return []
+
+	return screenshots
+		.map((shot) => (typeof shot === 'string' ? { src: shot } : shot || {}))
+		.filter((shot) => typeof shot.src === 'string' && shot.src.length > 0)
+		.map((shot, index) => ({
+			src: shot.src,
+			caption: shot.caption || '',
+			alt: shot.alt || shot.caption || t('detail.screenshot', { name: gameName || t('detail.game'), index: index + 1 }),
+		}))
+}
+
+/**
+ * Opens the lightbox on a list of images
+ * @param {Array<{src:string, alt:string, caption?:string}>} list - Images (see normalizeImages)
+ * @param {number} [startIndex=0] - Image to show first
+ */
+export function openLightbox(list, startIndex = 0) {
+	if (!Array.isArray(list) || list.length === 0) return
+
+	images = list
+	returnFocus = document.activeElement
+
+	const el = getLightbox()
+	updateLabels()
+	el.classList.toggle('single', images.length === 1)
+	showImage(startIndex)
+
+	previousOverflow = document.body.style.overflow
+	document.body.style.overflow = 'hidden'
+	el.setAttribute('aria-hidden', 'false')
+	el.classList.add('open')
+	el.querySelector('.lightbox-close').focus({ preventScroll: true })
+}
+
+/**
+ * Closes the lightbox and returns focus to whatever opened it
+ */
+export function closeLightbox() {
+	if (!lightbox || !lightbox.classList.contains('open')) return
+
+	lightbox.classList.remove('open')
+	lightbox.setAttribute('aria-hidden', 'true')
+	document.body.style.overflow = previousOverflow
+
+	if (returnFocus && typeof returnFocus.focus === 'function') {
+		returnFocus.focus({ preventScroll: true })
+	}
+	returnFocus = null
+}
+
+/**
+ * Creates a strip of thumbnail buttons that open the lightbox
+ * @param {Array<{src:string, alt:string, caption?:string}>} list - Images (see normalizeImages)
+ * @param {Object} [options]
+ * @param {string} [options.className='screenshot-strip'] - Class for the strip container
+ * @param {(img: HTMLImageElement, src: string) => void} [options.loadImage] - How to load each
+ *   thumbnail (e.g. the lazy-load observer); defaults to native lazy loading
+ * @returns {HTMLDivElement}
+ */
+export function createThumbnailStrip(list, options = {}) {
+	const strip = document.createElement('div')
+	strip.className = options.className || 'screenshot-strip'
+
+	list.forEach((image, index) => {
+		const button = document.createElement('button')
+		button.type = 'button'
+		button.className = 'screenshot-thumb'
+		button.setAttribute('aria-label', t('lightbox.open', { index: index + 1, total: list.length }))
+
+		const img = document.createElement('img')
+		img.alt = image.alt
+
+		if (typeof options.loadImage === 'function') {
+			options.loadImage(img, image.src)
+		} else {
+			img.loading = 'lazy'
+			img.src = image.src
+		}
+
+		button.appendChild(img)
+		strip.appendChild(button)
+	})
+
+	bindThumbnailStrip(strip, list)
+	return strip
+}
+
+/**
+ * Makes the thumbnails of a strip built by createThumbnailStrip open the lightbox
+ * (also used to hydrate a prerendered page)
+ * @param {HTMLDivElement} strip
+ * @param {Array<{src:string, alt:string, caption?:string}>} list - The same images the strip was built from
+ */
+export function bindThumbnailStrip(strip, list) {
+	strip.querySelectorAll('.screenshot-thumb').forEach((button, index) => {
+		const img = button.querySelector('img')
+		if (img) {
+			watchImageLoad(
+				img,
+				() => img.classList.add('loaded'),
+				() => {
+					button.style.display = 'none'
+				}
+			)
+		}
+
+		button.addEventListener('click', (event) => {
+			event.stopPropagation() // Don't also activate the card underneath
+			openLightbox(list, index)
+		})
+	})
+}
+
+/**
+ * Returns the lightbox element, building it on first use
+ * @returns {HTMLDivElement}
+ */
+function getLightbox() {
+	if (lightbox) return lightbox
+
+	lightbox = document.createElement('div')
+	lightbox.id = 'lightbox'
+	lightbox.className = 'lightbox'
+	lightbox.setAttribute('role', 'dialog')
+	lightbox.setAttribute('aria-modal', 'true')
+	lightbox.setAttribute('aria-label', t('lightbox.label'))
+	lightbox.setAttribute('aria-hidden', 'true')
+
+	const closeBtn = createControl('lightbox-close', t('lightbox.close'), '×', closeLightbox)
+	const prevBtn = createControl('lightbox-prev', t('lightbox.prev'), '‹', () => showImage(currentIndex - 1))
+	const nextBtn = createControl('lightbox-next', t('lightbox.next'), '›', () => showImage(currentIndex + 1))
+
+	const figure = document.createElement('figure')
+	figure.className = 'lightbox-figure'
+
+	const img = document.createElement('img')
+	img.className = 'lightbox-image'
+	img.onload = () => img.classList.add('loaded')
+
+	const caption = document.createElement('figcaption')
+	caption.className = 'lightbox-caption'
+
+	const counter = document.createElement('p')
+	counter.className = 'lightbox-counter'
+	counter.setAttribute('aria-live', 'polite')
+
+	figure.appendChild(img)
+	figure.appendChild(caption)
+
+	lightbox.appendChild(closeBtn)
+	lightbox.appendChild(prevBtn)
+	lightbox.appendChild(figure)
+	lightbox.appendChild(nextBtn)
+	lightbox.appendChild(counter)
+
+	// Backdrop click closes (anything that isn't the image or a control)
+	lightbox.addEventListener('click', (event) => {
+		if (event.target === lightbox || event.target === figure) closeLightbox()
+	})
+
+	lightbox.addEventListener('keydown', handleKeydown)
+
+	// Swipe left/right on touch screens
+	lightbox.addEventListener(
+		'touchstart',
+		(event) => {
+			touchStartX = event.touches.length === 1 ? event.touches[0].clientX : null
+		},
+		{ passive: true }
+	)
+	lightbox.addEventListener('touchend', (event) => {
+		if (touchStartX === null) return
+		const deltaX = event.changedTouches[0].clientX - touchStartX
+		touchStartX = null
+		if (Math.abs(deltaX) < SWIPE_THRESHOLD) return
+		showImage(currentIndex + (deltaX < 0 ? 1 : -1))
+	})
+
+	document.body.appendChild(lightbox)
+	return lightbox
+}
+
+/**
+ * Refreshes accessible labels for the active language
+ */
+function updateLabels() {
+	lightbox.setAttribute('aria-label', t('lightbox.label'))
+	lightbox.querySelector('.lightbox-close').setAttribute('aria-label', t('lightbox.close'))
+	lightbox.querySelector('.lightbox-prev').setAttribute('aria-label', t('lightbox.prev'))
+	lightbox.querySelector('.lightbox-next').setAttribute('aria-label', t('lightbox.next'))
+}
+
+/**
+ * Creates one of the lightbox buttons
+ * @param {string} className
+ * @param {string} label - Accessible label
+ * @param {string} glyph - Visible symbol
+ * @param {() => void} onClick
+ * @returns {HTMLButtonElement}
+ */
+function createControl(className, label, glyph, onClick) {
+	const button = document.createElement('button')
+	button.type = 'button'
+	button.className = `lightbox-control ${className}`
+	button.setAttribute('aria-label', label)
+	button.textContent = glyph
+	button.addEventListener('click', onClick)
+	return button
+}
+
+/**
+ * Shows the image at an index (wrapping around) and preloads its neighbours
+ * @param {number} index
+ */
+function showImage(index) {
+	if (images.length === 0) return
+	currentIndex = (index + images.length) % images.length
+	const image = images[currentIndex]
+
+	const img = lightbox.querySelector('.lightbox-image')
+	img.classList.remove('loaded')
+	img.src = image.src
+	img.alt = image.alt
+
+	const caption = lightbox.querySelector('.lightbox-caption')
+	caption.textContent = image.caption || ''
+	caption.hidden = !image.caption
+
+	lightbox.querySelector('.lightbox-counter').textContent = t('lightbox.counter', {
+		current: currentIndex + 1,
+		total: images.length,
+	})
+
+	// Preload only the previous and next images
+	if (images.length > 1) {
+		preload(images[(currentIndex + 1) % images.length].src)
+		preload(images[(currentIndex - 1 + images.length) % images.length].src)
+	}
+}
+
+/**
+ * Warms the browser cache for an image
+ * @param {string} src
+ */
+function preload(src) {
+	const img = new Image()
+	img.src = src
+}
+
+/**
+ * Keyboard handling: arrows/Home/End navigate, ESC closes, Tab stays inside
+ * @param {KeyboardEvent} event
+ */
+function handleKeydown(event) {
+	switch (event.key) {
+		case 'ArrowRight':
+			event.preventDefault()
+			showImage(currentIndex + 1)
+			break
+		case 'ArrowLeft':
+			event.preventDefault()
+			showImage(currentIndex - 1)
+			break
+		case 'Home':
+			event.preventDefault()
+			showImage(0)
+			break
+		case 'End':
+			event.preventDefault()
+			showImage(images.length - 1)
+			break
+		case 'Escape':
+			// Keep an underlying modal (e.g. a detail view) open
+			event.stopPropagation()
+			closeLightbox()
+			break
+		case 'Tab':
+			trapFocus(event)
+			break
+		default:
+			break
+	}
+}
+
+/**
+ * Keeps Tab / Shift+Tab cycling through the visible lightbox controls
+ * @param {KeyboardEvent} event
+ */
+function trapFocus(event) {
+	const focusable = [...lightbox.querySelectorAll('button')].filter((button) => button.offsetParent !== null)
+	if (focusable.length === 0) return
+
+	const first = focusable[0]
+	const last = focusable[focusable.length - 1]
+
+	if (event.shiftKey && document.activeElement === first) {
+		event.preventDefault()
+		last.focus()
+	} else if (!event.shiftKey && document.activeElement === last) {
+		event.preventDefault()
+		first.focus()
+	}
+}
@@ -1,18 +1,59 @@
 /**
- * UNUSED FOR TITLE - DESCRIPTION FAVICON HANDLING -> IT'S MANAGED IN HTML
- * USED FOR OPEN GRAPH TAGS
+ * HOME PAGE TITLE - DESCRIPTION COME FROM meta (THE HTML ONES ARE THE FALLBACK), FAVICON IS MANAGED IN HTML
+ * USED FOR SOCIAL CARDS (OPEN GRAPH / TWITTER), CANONICAL URL, THEME COLOR,
+ * PER-ROUTE TITLE/DESCRIPTION/IMAGE (see updateRouteMeta)
+ * AND SCHEMA.ORG JSON-LD (see renderStructuredData)
  *
  * Meta Data Renderer Module
  * Handles updating page title and meta description from JSON data
  */
 
+import { getPlainText } from './richText.js'
+import { getSectionSlug, getItemPagePath } from './slugUtils.js'
+import { getLocale, getLocales } from './i18n.js'
+import { isNewsSection, getPostExcerpt } from './newsRenderer.js'
+import { getItemStores } from './storeLinks.js'
+
+const STRUCTURED_DATA_ID = 'structured-data'
+
+// <html data-share-pages>: the prerender wrote a share page for every item (see markSharePages)
+const SHARE_PAGES_ATTRIBUTE = 'data-share-pages'
+
+// Below this width Twitter / X shows a small "summary" card instead of a large image
+const LARGE_CARD_MIN_WIDTH = 300
+
+// The page's own title and description, read once at load: the home page values when
+// data.json has no meta.title / meta.description
+const PAGE_TITLE = document.title
+const PAGE_DESCRIPTION = document.querySelector('meta[name="description"]')?.getAttribute('content') || ''
+
+// Home page values, restored when the router goes back to #/
+const defaults = {
+	title: PAGE_TITLE,
+	description: PAGE_DESCRIPTION,
+	image: null,
+}
+
+// Social card values shared by every route
+const site = {
+	name: '',
+	twitterSite: '',
+	twitterCard: '',
+}
+
 /**
  * Updates the page title and meta description based on data
  * @param {Object} meta - Meta data object from JSON
  * @param {string} meta.title - The page title for the browser tab
  * @param {string} meta.description - The page description for SEO and social sharing
+ * @param {string|Object} [meta.image] - Social card image: a path or { src, width, height, alt }
+ * @param {string} [meta.siteName] - og:site_name (defaults to the header title)
+ * @param {string} [meta.twitterSite] - Studio handle on X, e.g. "@YetifaceGames"
+ * @param {string} [meta.twitterCard] - Force 'summary' or 'summary_large_image'
+ * @param {string|{dark:string, light:string}} [meta.themeColor] - Browser UI colour
+ * @param {Object} [header] - Header data (its title is the default site name)
  */
-export function renderMetaData(meta) {
+export function renderMetaData(meta, header = {}) {
 	if (!meta || typeof meta !== 'object') {
 		console.warn('⚠️ No meta data provided, using defaults')
 		return
@@ -33,8 +74,58 @@ export function renderMetaData(meta) {
 	// 	updateFavicon(meta.faviconUrl)
 	// }
 
-	// Update Open Graph tags for social sharing
-	updateOpenGraphTags(meta)
+	// Remember the home page values for updateRouteMeta(). Taken from the data, not the page:
+	// a re-render (language switch, preview) can happen while another route's title is showing.
+	defaults.title = meta.title || PAGE_TITLE
+	defaults.description = meta.description || PAGE_DESCRIPTION
+	defaults.image = normalizeImage(meta.image, meta.title)
+
+	site.name = meta.siteName || header?.title || ''
+	site.twitterSite = meta.twitterSite || ''
+	site.twitterCard = meta.twitterCard || ''
+
+	updateThemeColor(meta.themeColor)
+
+	// Update Open Graph / Twitter tags and the canonical link for social sharing
+	updateSocialTags({
+		title: defaults.title,
+		description: defaults.description,
+		image: defaults.image,
+	})
+}
+
+/**
+ * Updates title, description, social card tags and the canonical URL for the active route.
+ * Called by the router on every navigation; empty values restore the home page defaults.
+ * @param {Object} [routeMeta]
+ * @param {string} [routeMeta.title] - Full document title, e.g. "Hollowbrook Apartments - Yetiface Games"
+ * @param {string} [routeMeta.description] - Route description
+ * @param {string|Object} [routeMeta.image] - Route card image: a path or { src, width, height, alt }
+ * @param {string} [routeMeta.imageAlt] - Alt text when the image doesn't carry its own
+ * @param {Object} [routeMeta.article] - News posts: { publishedTime, author, tags } (og:type "article")
+ * @param {string} [routeMeta.path] - The route's share page, e.g. "games/hollowbrook-apartments/" (see getShareUrl)
+ */
+export function updateRouteMeta(routeMeta = {}) {
+	document.title = routeMeta.title || defaults.title
+
+	const description = routeMeta.description || defaults.description
+	if (description) updateMetaDescription(description)
+
+	updateSocialTags({
+		title: routeMeta.title || defaults.title,
+		description,
+		image: normalizeImage(routeMeta.image, routeMeta.imageAlt) || defaults.image,
+		article: routeMeta.article,
+		url: getShareUrl(routeMeta.path),
+	})
+}
+
+/**
+ * Marks the page as having share pages next to it (called by scripts/prerender.mjs before
+ * rendering, so the structured data links to them too)
+ */
+export function markSharePages() {
+	document.documentElement.setAttribute(SHARE_PAGES_ATTRIBUTE, '')
 }
 
 /**
@@ -58,45 +149,282 @@ function updateMetaDescription(description) {
 }
 
 /**
- * Updates Open Graph tags for better social media sharing
- * @param {Object} meta - Meta data object
+ * Updates the Open Graph and Twitter / X card tags and the canonical link
+ * @param {Object} card
+ * @param {string} card.title
+ * @param {string} [card.description]
+ * @param {{src:string, width?:number, height?:number, alt:string}|null} [card.image] - See normalizeImage
+ * @param {{publishedTime?:string, author?:string, tags?:string[]}} [card.article] - Article details
+ * @param {string} [card.url] - Canonical URL (default: the home page)
  */
-function updateOpenGraphTags(meta) {
-	// Update or create Open Graph title
-	updateOrCreateOGTag('og:title', meta.title)
+function updateSocialTags({ title, description, image, article, url = getSiteUrl() }) {
+	updateCanonicalLink(url)
 
-	// Update or create Open Graph description
-	updateOrCreateOGTag('og:description', meta.description)
+	updateOrCreateOGTag('og:title', title)
+	updateOrCreateOGTag('og:description', description)
+	updateOrCreateOGTag('og:type', article ? 'article' : 'website')
+	updateOrCreateOGTag('article:published_time', article?.publishedTime || '')
+	updateOrCreateOGTag('article:author', article?.author || '')
+	setMetaTags('property', 'article:tag', Array.isArray(article?.tags) ? article.tags : [])
+	updateOrCreateOGTag('og:url', url)
+	updateOrCreateOGTag('og:site_name', site.name)
 
-	// Set the type to website
-	updateOrCreateOGTag('og:type', 'website')
+	// og:locale wants language_TERRITORY, e.g. en_GB
+	const [current, ...others] = [
+		...getLocales().filter((locale) => locale.code === getLocale()),
+		...getLocales().filter((locale) => locale.code !== getLocale()),
+	].map((locale) => locale.ogLocale || locale.code.replace('-', '_'))
+	updateOrCreateOGTag('og:locale', current)
+	setMetaTags('property', 'og:locale:alternate', others)
 
-	// Add the current URL
-	updateOrCreateOGTag('og:url', window.location.href)
+	updateOrCreateOGTag('og:image', image ? toAbsoluteUrl(image.src) : '')
+	updateOrCreateOGTag('og:image:width', image?.width ? String(image.width) : '')
+	updateOrCreateOGTag('og:image:height', image?.height ? String(image.height) : '')
+	updateOrCreateOGTag('og:image:alt', image?.alt || '')
+
+	// Twitter / X reads title, description and image from the og: tags
+	setMetaTags('name', 'twitter:card', [site.twitterCard || getTwitterCardType(image)])
+	setMetaTags('name', 'twitter:site', site.twitterSite ? [site.twitterSite] : [])
+	setMetaTags('name', 'twitter:image:alt', image?.alt ? [image.alt] : [])
 }
 
 /**
- * Helper function to update or create Open Graph meta tags
+ * Helper function to update, create or (for an empty value) remove an Open Graph meta tag
  * @param {string} property - The OG property name
  * @param {string} content - The content value
  */
 function updateOrCreateOGTag(property, content) {
-	if (!content) return
+	setMetaTags('property', property, content ? [content] : [])
+}
 
-	let ogTag = document.querySelector(`meta[property="${property}"]`)
+/**
+ * Makes the page have exactly one <meta> per value for a key, updating existing tags in place
+ * @param {'name'|'property'} attribute - Attribute holding the key
+ * @param {string} key - e.g. 'og:locale:alternate' or 'theme-color'
+ * @param {Array<string|{content:string, media?:string}>} values
+ */
+function setMetaTags(attribute, key, values) {
+	const existing = [...document.querySelectorAll(`meta[${attribute}="${key}"]`)]
 
-	if (ogTag) {
-		// Update existing tag
-		ogTag.setAttribute('content', content)
-	} else {
-		// Create new OG tag
-		ogTag = document.createElement('meta')
-		ogTag.setAttribute('property', property)
-		ogTag.setAttribute('content', content)
-		document.head.appendChild(ogTag)
+	values.forEach((value, index) => {
+		const { content, media } = typeof value === 'object' ? value : { content: value }
+		let tag = existing[index]
+		if (!tag) {
+			tag = document.createElement('meta')
+			tag.setAttribute(attribute, key)
+			document.head.appendChild(tag)
+		}
+		tag.setAttribute('content', content)
+		if (media) tag.setAttribute('media', media)
+		else tag.removeAttribute('media')
+	})
+
+	existing.slice(values.length).forEach((tag) => tag.remove())
+}
+
+/**
+ * Sets the theme-color meta tag(s): one colour, or one per OS colour scheme
+ * @param {string|{dark:string, light:string}} [themeColor]
+ */
+function updateThemeColor(themeColor) {
+	if (typeof themeColor === 'string') {
+		setMetaTags('name', 'theme-color', [themeColor])
+	} else if (themeColor && typeof themeColor === 'object') {
+		setMetaTags(
+			'name',
+			'theme-color',
+			['dark', 'light']
+				.filter((scheme) => themeColor[scheme])
+				.map((scheme) => ({ content: themeColor[scheme], media: `(prefers-color-scheme: ${scheme})` }))
+		)
 	}
 }
 
+/**
+ * Updates or creates <link rel="canonical">
+ * @param {string} url
+ */
+function updateCanonicalLink(url) {
+	let link = document.querySelector('link[rel="canonical"]')
+	if (!link) {
+		link = document.createElement('link')
+		link.setAttribute('rel', 'canonical')
+		document.head.appendChild(link)
+	}
+	link.setAttribute('href', url)
+}
+
+/**
+ * The URL to share for a route. Crawlers and link previews drop the #/… part of a URL and
+ * don't run scripts, so a hash route is never used: routes with a share page (when the
+ * prerender wrote them) get that page, everything else the home page.
+ * @param {string} [path] - Share page path, e.g. "games/hollowbrook-apartments/"
+ * @returns {string}
+ */
+function getShareUrl(path) {
+	const hasSharePages = document.documentElement.hasAttribute(SHARE_PAGES_ATTRIBUTE)
+	return path && hasSharePages ? new URL(path, getSiteUrl()).href : getSiteUrl()
+}
+
+/**
+ * Turns an image field into { src, width, height, alt }
+ * @param {string|Object} [image] - A path or { src, width, height, alt }
+ * @param {string} [fallbackAlt] - Alt text when the field has none
+ * @returns {{src:string, width?:number, height?:number, alt:string}|null}
+ */
+function normalizeImage(image, fallbackAlt = '') {
+	const value = typeof image === 'string' ? { src: image } : image
+	if (!value || !value.src) return null
+	return { src: value.src, width: value.width, height: value.height, alt: value.alt || fallbackAlt || '' }
+}
+
+/**
+ * @param {Object|null} image - See normalizeImage
+ * @returns {'summary'|'summary_large_image'} Large card for images wide enough to show big
+ */
+function getTwitterCardType(image) {
+	if (!image) return 'summary'
+	return image.width && image.width < LARGE_CARD_MIN_WIDTH ? 'summary' : 'summary_large_image'
+}
+
+/**
+ * Emits schema.org JSON-LD built from data.json (nothing is authored twice):
+ * - Organization: name and logo from `header`, legal name from `footer`, sameAs from `socialLinks`
+ * - VideoGame: one per item with store links (name, description, image, genre, platforms, offers)
+ * - BlogPosting: one per post in a news section (headline, date, author, tags, cover)
+ * Replaces the previous block, so it is safe to call again after a language switch.
+ * @param {Object} data - Validated data.json content
+ */
+export function renderStructuredData(data) {
+	document.getElementById(STRUCTURED_DATA_ID)?.remove()
+	if (!data || !data.header) return
+
+	const organization = createOrganization(data.header, data.footer)
+	const games = (data.sections || []).flatMap((section) =>
+		(section.items || [])
+			.filter((item) => item.heading && getItemStores(item).length > 0)
+			.map((item) => createVideoGame(item, getSectionSlug(section), organization['@id']))
+	)
+	const posts = (data.sections || []).filter(isNewsSection).flatMap((section) =>
+		(section.items || [])
+			.filter((item) => item.heading)
+			.map((item) => createBlogPosting(item, getSectionSlug(section), organization['@id']))
+	)
+
+	const script = document.createElement('script')
+	script.type = 'application/ld+json'
+	script.id = STRUCTURED_DATA_ID
+	// "<" is escaped so text in data.json can never close the script element
+	script.textContent = JSON.stringify({ '@context': 'https://schema.org', '@graph': [organization, ...games, ...posts] }).replace(
+		/</g,
+		'\\u003c'
+	)
+	document.head.appendChild(script)
+}
+
+/**
+ * @param {Object} header - Header data (title, logo, socialLinks)
+ * @param {Object} [footer] - Footer data (companyName)
+ * @returns {Object} schema.org Organization
+ */
+function createOrganization(header, footer = {}) {
+	const organization = {
+		'@type': 'Organization',
+		'@id': `${getSiteUrl()}#organization`,
+		name: header.title,
+		url: getSiteUrl(),
+	}
+
+	if (footer?.companyName && footer.companyName !== header.title) organization.legalName = footer.companyName
+	if (header.logo) organization.logo = toAbsoluteUrl(header.logo)
+
+	// Only profiles on other sites (not in-page links such as "#contact")
+	const sameAs = (header.socialLinks || []).map((link) => link.url).filter((url) => /^https?:\/\//i.test(url || ''))
+	if (sameAs.length > 0) organization.sameAs = sameAs
+
+	return organization
+}
+
+/**
+ * @param {Object} item - Item data with store links (`stores` / `steamUrl`)
+ * @param {string} sectionSlug
+ * @param {string} publisherId - @id of the studio Organization
+ * @returns {Object} schema.org VideoGame
+ */
+function createVideoGame(item, sectionSlug, publisherId) {
+	const game = {
+		'@type': 'VideoGame',
+		name: item.heading,
+		url: getShareUrl(getItemPagePath(sectionSlug, item)),
+		inLanguage: getLocale(),
+		publisher: { '@id': publisherId },
+		author: { '@id': publisherId },
+	}
+
+	const description = getPlainText(item.description || item.text || '')
+	if (description) game.description = description
+	if (item.image) game.image = toAbsoluteUrl(item.image)
+	if (item.genre) game.genre = item.genre
+	if (Array.isArray(item.platforms) && item.platforms.length > 0) game.gamePlatform = item.platforms
+	if (/^\d{4}-\d{2}-\d{2}/.test(item.releaseDate || '')) game.datePublished = item.releaseDate.slice(0, 10)
+
+	// One offer per store; `price` is the first store's
+	const stores = getItemStores(item)
+	game.sameAs = stores.length === 1 ? stores[0].url : stores.map((store) => store.url)
+	game.offers = stores.map((store, index) => {
+		const offer = { '@type': 'Offer', url: store.url }
+		if (item.price && index === 0) {
+			offer.price = String(item.price.amount)
+			offer.priceCurrency = item.price.currency
+		}
+		return offer
+	})
+	if (game.offers.length === 1) game.offers = game.offers[0]
+
+	return game
+}
+
+/**
+ * @param {Object} post - Post data from a news section
+ * @param {string} sectionSlug
+ * @param {string} publisherId - @id of the studio Organization
+ * @returns {Object} schema.org BlogPosting
+ */
+function createBlogPosting(post, sectionSlug, publisherId) {
+	const posting = {
+		'@type': 'BlogPosting',
+		headline: post.heading,
+		url: getShareUrl(getItemPagePath(sectionSlug, post)),
+		inLanguage: getLocale(),
+		publisher: { '@id': publisherId },
+		author: post.author ? { '@type': 'Person', name: post.author } : { '@id': publisherId },
+	}
+
+	const description = getPostExcerpt(post)
+	if (description) posting.description = description
+	if (post.image) posting.image = toAbsoluteUrl(post.image)
+	if (/^\d{4}-\d{2}-\d{2}$/.test(post.date || '')) posting.datePublished = post.date
+	if (/^\d{4}-\d{2}-\d{2}$/.test(post.updated || '')) posting.dateModified = post.updated
+	if (Array.isArray(post.tags) && post.tags.length > 0) posting.keywords = post.tags
+
+	return posting
+}
+
+/**
+ * @returns {string} The site's home URL, without file name (index.html), query or hash
+ */
+function getSiteUrl() {
+	return new URL('./', window.location.href).href
+}
+
+/**
+ * @param {string} path - e.g. 'assets/logo/logo.webp'
+ * @returns {string} Absolute URL (structured data needs absolute URLs)
+ */
+function toAbsoluteUrl(path) {
+	return new URL(path, getSiteUrl()).href
+}
+
 /**
  * Updates the favicon if provided in meta data
  * @param {string} faviconUrl - URL to the favicon
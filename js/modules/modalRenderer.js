@@ -1,118 +1,152 @@
 /**
  * Modal Renderer Module
- * Builds and manages modals (e.g., Privacy, Terms) from JSON data
+ * Builds and manages modals (e.g., Privacy, Terms) from JSON data.
+ * Modals with "type": "form" show a form after their content (see contactForm.js).
  */
 
+import { t } from './i18n.js'
+import { appendRichText } from './richText.js'
+import { isFormModal, createContactForm, bindContactForm, startFormTimers } from './contactForm.js'
+
+// Called instead of closeModal() when the user asks to close a modal (× button, ESC,
+// backdrop click), so the router can update the URL first. See onModalCloseRequest().
+let closeRequestHandler = null
+
 /**
- * Render modals based on data from JSON and wire up handlers
- * @param {Array<{id:string,title:string,content:string[]}>} modals
+ * Render modals based on data from JSON
+ * @param {Array<{id:string,title:string,content:string|Array,type?:string,form?:Object}>} modals -
+ *   content is rich text (see richText.js); form modals also get their form
  */
 export function renderModals(modals = []) {
 	if (!Array.isArray(modals) || modals.length === 0) return
 
-	// Container to hold all modals
-	let container = document.getElementById('modal-container')
-	if (!container) {
-		container = document.createElement('div')
-		container.id = 'modal-container'
-		document.body.appendChild(container)
-	}
+	const container = getModalContainer()
 
 	// Build each modal
 	modals.forEach((m) => {
 		if (!m || !m.id || !m.title) return
 		if (document.getElementById(`modal-${m.id}`)) return // already exists
 
-		const overlay = document.createElement('div')
-		overlay.className = 'modal-overlay'
-		overlay.id = `modal-${m.id}`
-		overlay.setAttribute('role', 'dialog')
-		overlay.setAttribute('aria-modal', 'true')
-		overlay.setAttribute('aria-labelledby', `modal-${m.id}-title`)
-		overlay.setAttribute('aria-hidden', 'true')
-
-		const dialog = document.createElement('div')
-		dialog.className = 'modal-dialog'
-
-		const header = document.createElement('div')
-		header.className = 'modal-header'
-
-		const title = document.createElement('h2')
-		title.className = 'modal-title'
-		title.id = `modal-${m.id}-title`
-		title.textContent = m.title
-
-		const closeBtn = document.createElement('button')
-		closeBtn.className = 'modal-close'
-		closeBtn.setAttribute('aria-label', 'Close')
-		closeBtn.innerHTML = '&times;'
-		closeBtn.addEventListener('click', () => closeModal(m.id))
-
-		header.appendChild(title)
-		header.appendChild(closeBtn)
-
-		const body = document.createElement('div')
-		body.className = 'modal-body'
-
-		// Accept array of strings as paragraphs by default
-		if (Array.isArray(m.content)) {
-			m.content.forEach((block) => {
-				const p = document.createElement('p')
-				p.textContent = block
-				body.appendChild(p)
-			})
-		} else if (typeof m.content === 'string') {
-			const p = document.createElement('p')
-			p.textContent = m.content
-			body.appendChild(p)
-		}
-
-		dialog.appendChild(header)
-		dialog.appendChild(body)
-		overlay.appendChild(dialog)
+		const formModal = isFormModal(m)
+		const { overlay, body } = createModalShell(m.id, m.title, formModal ? { className: 'form-dialog' } : {})
 
-		// Click outside to close
-		overlay.addEventListener('click', (e) => {
-			if (e.target === overlay) closeModal(m.id)
-		})
+		// Each array entry is a paragraph, Markdown string or text block
+		if (m.content) appendRichText(body, m.content)
+		if (formModal) body.appendChild(createContactForm(m))
 
 		container.appendChild(overlay)
 	})
 
-	// Wire link handlers after building
-	attachModalLinkHandlers(modals)
+	// Opening from links and URLs (#privacy, #/privacy) is handled by the router
+}
 
-	// Open on hash if provided
-	if (location.hash) {
-		const id = location.hash.replace('#', '')
-		const exists = modals.some((m) => m.id === id)
-		if (exists) openModal(id)
-	}
+/**
+ * Attaches the close behaviour (and any form's behaviour) to modals already in the page,
+ * e.g. prerendered by scripts/prerender.mjs
+ * @param {Array<{id:string}>} modals - The modal data the markup was rendered from
+ */
+export function hydrateModals(modals = []) {
+	if (!Array.isArray(modals)) return
+
+	modals.forEach((m) => {
+		const overlay = m && m.id ? document.getElementById(`modal-${m.id}`) : null
+		if (!overlay) return
 
-	// Listen for hash changes
-	window.addEventListener('hashchange', () => {
-		const id = location.hash.replace('#', '')
-		const exists = modals.some((m) => m.id === id)
-		if (exists) openModal(id)
+		bindModalShell(overlay, m.id)
+		const form = isFormModal(m) ? overlay.querySelector('.contact-form') : null
+		if (form) bindContactForm(form, m)
 	})
 }
 
 /**
- * Attach click handlers to links with href like #privacy to open modals
- * @param {Array<{id:string}>} modals
+ * Returns the shared container for all modals, creating it on first use
+ * @returns {HTMLDivElement}
+ */
+export function getModalContainer() {
+	let container = document.getElementById('modal-container')
+	if (!container) {
+		container = document.createElement('div')
+		container.id = 'modal-container'
+		document.body.appendChild(container)
+	}
+	return container
+}
+
+/**
+ * Builds an empty, accessible modal (overlay, dialog, title, close button, body).
+ * The caller fills the body and appends the overlay to the modal container.
+ * @param {string} id - Modal id; the overlay gets id `modal-<id>`
+ * @param {string} titleText - Dialog title
+ * @param {Object} [options]
+ * @param {string} [options.className] - Extra class for the dialog, e.g. 'detail-dialog'
+ * @returns {{overlay: HTMLDivElement, dialog: HTMLDivElement, body: HTMLDivElement}}
+ */
+export function createModalShell(id, titleText, options = {}) {
+	const overlay = document.createElement('div')
+	overlay.className = 'modal-overlay'
+	overlay.id = `modal-${id}`
+	overlay.setAttribute('role', 'dialog')
+	overlay.setAttribute('aria-modal', 'true')
+	overlay.setAttribute('aria-labelledby', `modal-${id}-title`)
+	overlay.setAttribute('aria-hidden', 'true')
+
+	const dialog = document.createElement('div')
+	dialog.className = 'modal-dialog'
+	if (options.className) dialog.classList.add(options.className)
+
+	const header = document.createElement('div')
+	header.className = 'modal-header'
+
+	const title = document.createElement('h2')
+	title.className = 'modal-title'
+	title.id = `modal-${id}-title`
+	title.tabIndex = -1 // Focus target when the modal opens
+	title.textContent = titleText
+
+	const closeBtn = document.createElement('button')
+	closeBtn.className = 'modal-close'
+	closeBtn.setAttribute('aria-label', t('modal.close'))
+	closeBtn.textContent = '×'
+
+	header.appendChild(title)
+	header.appendChild(closeBtn)
+
+	const body = document.createElement('div')
+	body.className = 'modal-body'
+
+	dialog.appendChild(header)
+	dialog.appendChild(body)
+	overlay.appendChild(dialog)
+
+	bindModalShell(overlay, id)
+	return { overlay, dialog, body }
+}
+
+/**
+ * Closes a modal built by createModalShell from its × button or a click outside
+ * @param {HTMLDivElement} overlay - The modal overlay
+ * @param {string} id - Modal id
  */
-export function attachModalLinkHandlers(modals = []) {
-	const ids = new Set(modals.map((m) => m.id))
-	document.querySelectorAll('a[href^="#"]').forEach((a) => {
-		const id = a.getAttribute('href').replace('#', '')
-		if (!ids.has(id)) return
-		a.addEventListener('click', (e) => {
-			e.preventDefault()
-			openModal(id)
-		})
+export function bindModalShell(overlay, id) {
+	overlay.querySelector('.modal-close')?.addEventListener('click', () => requestCloseModal(id))
+
+	// Click outside to close
+	overlay.addEventListener('click', (e) => {
+		if (e.target === overlay) requestCloseModal(id)
 	})
 }
 
+/**
+ * Closes and removes every modal, e.g. before re-rendering in another language
+ */
+export function clearModals() {
+	const openId = getOpenModalId()
+	if (openId) closeModal(openId)
+
+	const container = document.getElementById('modal-container')
+	if (container) container.innerHTML = ''
+}
+
 let lastFocus = null
 
 /**
@@ -121,21 +155,19 @@ let lastFocus = null
  */
 export function openModal(id) {
 	const overlay = document.getElementById(`modal-${id}`)
-	if (!overlay) return
+	if (!overlay || overlay.classList.contains('open')) return
 	lastFocus = document.activeElement
 	overlay.setAttribute('aria-hidden', 'false')
 	overlay.classList.add('open')
 	document.body.style.overflow = 'hidden'
 	const title = overlay.querySelector('.modal-title')
 	if (title) title.focus({ preventScroll: true })
-	// Update hash for deep linking
-	if (location.hash !== `#${id}`) {
-		history.pushState(null, '', `#${id}`)
-	}
+	// A form's bot check counts from now, not from when the page loaded
+	startFormTimers(overlay)
 	// ESC to close
 	const escHandler = (e) => {
 		if (e.key === 'Escape') {
-			closeModal(id)
+			requestCloseModal(id)
 		}
 	}
 	overlay.__escHandler = escHandler
@@ -155,12 +187,38 @@ export function closeModal(id) {
 	if (lastFocus && typeof lastFocus.focus === 'function') {
 		lastFocus.focus({ preventScroll: true })
 	}
-	// Clean hash if it matches this modal
-	if (location.hash === `#${id}`) {
-		history.pushState('', document.title, window.location.pathname + window.location.search)
-	}
 	if (overlay.__escHandler) {
 		document.removeEventListener('keydown', overlay.__escHandler)
 		delete overlay.__escHandler
 	}
 }
+
+/**
+ * Registers who handles close requests (× button, ESC, backdrop click).
+ * The router uses this to update the URL; without a handler the modal simply closes.
+ * @param {(id: string) => void} handler
+ */
+export function onModalCloseRequest(handler) {
+	closeRequestHandler = typeof handler === 'function' ? handler : null
+}
+
+/**
+ * Asks for a modal to be closed, going through the registered handler if any
+ * @param {string} id
+ */
+function requestCloseModal(id) {
+	if (closeRequestHandler) {
+		closeRequestHandler(id)
+	} else {
+		closeModal(id)
+	}
+}
+
+/**
+ * Id of the currently open modal, if any
+ * @returns {string|null}
+ */
+export function getOpenModalId() {
+	const overlay = document.querySelector('.modal-overlay.open')
+	return overlay ? overlay.id.replace(/^modal-/, '') : null
+}
@@ -0,0 +1,315 @@
+/**
+ * News Renderer Module
+ * Renders "type": "news" sections (devlogs): post cards sorted newest first with date,
+ * author, tags, cover image and an excerpt with "Read more", a "Load more" button after
+ * `pageSize` posts, and the full post view the router opens at #/<section>/<post>.
+ */
+
+import { createModalShell } from './modalRenderer.js'
+import { hasItemDetails, lazyLoadImage } from './sectionRenderer.js'
+import { getItemSlug, getItemHash } from './slugUtils.js'
+import { t, formatDate } from './i18n.js'
+import { appendRichText, getPlainText } from './richText.js'
+import { watchImageLoad } from './imageUtils.js'
+
+// Posts shown before "Load more" when the section has no `pageSize`
+const DEFAULT_PAGE_SIZE = 3
+
+// Length of excerpts cut from the post body
+const EXCERPT_LENGTH = 200
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}/
+
+/**
+ * Whether a section lists news posts rather than cards
+ * @param {Object} section - Section data object
+ * @returns {boolean}
+ */
+export function isNewsSection(section) {
+	return section?.type === 'news'
+}
+
+/**
+ * Posts newest first; posts without a valid date keep their order at the end
+ * @param {Array} items - The section's items
+ * @returns {Array} A sorted copy
+ */
+export function getSortedPosts(items) {
+	if (!Array.isArray(items)) return []
+	return items
+		.map((post, index) => ({ post, index, date: ISO_DATE.test(post.date || '') ? post.date : '' }))
+		.sort((a, b) => (a.date === b.date ? a.index - b.index : a.date < b.date ? 1 : -1))
+		.map(({ post }) => post)
+}
+
+/**
+ * Plain-text excerpt: the post's `excerpt`, otherwise the start of its body
+ * @param {Object} post - Post data object
+ * @returns {string}
+ */
+export function getPostExcerpt(post) {
+	if (post.excerpt) return getPlainText(post.excerpt)
+
+	const text = getPlainText(post.body || post.text || '')
+	if (text.length <= EXCERPT_LENGTH) return text
+	return `${text.slice(0, EXCERPT_LENGTH - 1).replace(/\s+\S*$/, '')}…`
+}
+
+/**
+ * Creates the post list and, with more posts than `pageSize`, the "Load more" button
+ * (the "news" section type, see registerSectionType)
+ * @param {Object} section - Section data object
+ * @param {{slug: string}} context - Section context; slug is the section's URL slug
+ * @returns {HTMLElement[]} Elements to append to the section
+ */
+export function createNewsPosts(section, { slug }) {
+	const posts = getSortedPosts(section.items)
+	const pageSize = getPageSize(section)
+
+	const list = document.createElement('div')
+	list.className = 'items news-posts'
+
+	if (posts.length === 0) {
+		const noPosts = document.createElement('p')
+		noPosts.textContent = t('section.noItems')
+		noPosts.className = 'no-items'
+		list.appendChild(noPosts)
+		return [list]
+	}
+
+	posts.forEach((post, index) => {
+		const card = createPostCard(post, slug)
+		// Later pages are in the markup (for crawlers and deep links) but hidden
+		if (index >= pageSize) card.hidden = true
+		list.appendChild(card)
+	})
+
+	if (posts.length <= pageSize) return [list]
+
+	const button = document.createElement('button')
+	button.type = 'button'
+	button.className = 'news-more'
+	button.textContent = t('news.loadMore')
+	bindLoadMore(button, list, pageSize)
+
+	return [list, button]
+}
+
+/**
+ * Attaches behaviour to a prerendered news section (see createNewsPosts for the markup)
+ * @param {HTMLElement} sectionElement - The `.section` element
+ * @param {Object} section - Section data object
+ */
+export function hydrateNewsSection(sectionElement, section) {
+	const list = sectionElement.querySelector('.news-posts')
+	if (!list) return
+
+	list.querySelectorAll('.news-cover').forEach((img) => {
+		if (img.dataset.src) lazyLoadImage(img, img.dataset.src)
+		bindCoverImage(img)
+	})
+
+	const button = sectionElement.querySelector('.news-more')
+	if (button) bindLoadMore(button, list, getPageSize(section))
+}
+
+/**
+ * Creates the full post view (a modal the router opens at the post's hash)
+ * @param {string} id - Modal id
+ * @param {Object} post - Post data object
+ * @returns {HTMLDivElement} The modal overlay
+ */
+export function createPostView(id, post) {
+	const { overlay, body } = createModalShell(id, post.heading || t('detail.title'), { className: 'detail-dialog' })
+
+	const byline = createByline(post)
+	if (byline) body.appendChild(byline)
+
+	const tags = createTagList(post.tags)
+	if (tags) body.appendChild(tags)
+
+	if (post.image) {
+		const cover = document.createElement('img')
+		cover.className = 'detail-image'
+		cover.src = post.image
+		cover.alt = post.heading || ''
+		cover.loading = 'lazy'
+		bindCoverImage(cover)
+		body.appendChild(cover)
+	}
+
+	const content = document.createElement('div')
+	content.className = 'detail-description post-body'
+	body.appendChild(appendRichText(content, post.body || post.description || ''))
+
+	return overlay
+}
+
+/**
+ * @param {Object} section - Section data object
+ * @returns {number} Posts per page
+ */
+function getPageSize(section) {
+	const size = Math.floor(Number(section.pageSize))
+	return size > 0 ? size : DEFAULT_PAGE_SIZE
+}
+
+/**
+ * Creates one post card: cover, byline, heading, tags, excerpt and "Read more"
+ * @param {Object} post - Post data object
+ * @param {string} sectionSlug
+ * @returns {HTMLElement}
+ */
+function createPostCard(post, sectionSlug) {
+	const card = document.createElement('article')
+	card.className = 'item news-post'
+	card.dataset.slug = getItemSlug(post) // Router target for #/<section>/<post>
+
+	const hash = hasItemDetails(post) ? getItemHash(sectionSlug, post) : ''
+
+	if (post.image) {
+		const cover = document.createElement('img')
+		cover.className = 'item-image news-cover'
+		cover.alt = post.heading || t('item.imageAlt')
+		lazyLoadImage(cover, post.image)
+		bindCoverImage(cover)
+		card.appendChild(cover)
+	}
+
+	const content = document.createElement('div')
+	content.className = 'item-content'
+
+	const byline = createByline(post)
+	if (byline) content.appendChild(byline)
+
+	if (post.heading) {
+		const heading = document.createElement('h3')
+		heading.className = 'item-heading'
+		if (hash) {
+			const link = document.createElement('a')
+			link.href = hash
+			link.className = 'news-link'
+			link.textContent = post.heading
+			heading.appendChild(link)
+		} else {
+			heading.textContent = post.heading
+		}
+		content.appendChild(heading)
+	}
+
+	const tags = createTagList(post.tags)
+	if (tags) content.appendChild(tags)
+
+	if (post.excerpt) {
+		appendRichText(content, post.excerpt, { paragraphClass: 'item-text news-excerpt', headingLevel: 4 })
+	} else {
+		const excerpt = getPostExcerpt(post)
+		if (excerpt) {
+			const paragraph = document.createElement('p')
+			paragraph.className = 'item-text news-excerpt'
+			paragraph.textContent = excerpt
+			content.appendChild(paragraph)
+		}
+	}
+
+	if (hash) {
+		const readMore = document.createElement('a')
+		readMore.href = hash
+		readMore.className = 'news-read-more'
+		readMore.textContent = t('news.readMore')
+		readMore.setAttribute('aria-label', t('news.readMoreLabel', { title: post.heading || t('item.fallbackName') }))
+		content.appendChild(readMore)
+	}
+
+	card.appendChild(content)
+	return card
+}
+
+/**
+ * Creates the "1 October 2025 · By Jo" line
+ * @param {Object} post - Post data object
+ * @returns {HTMLParagraphElement|null} Null without a date or author
+ */
+function createByline(post) {
+	if (!post.date && !post.author) return null
+
+	const byline = document.createElement('p')
+	byline.className = 'news-byline'
+
+	if (post.date) {
+		const time = document.createElement('time')
+		time.dateTime = String(post.date)
+		time.textContent = formatDate(post.date)
+		byline.appendChild(time)
+	}
+
+	if (post.author) {
+		const author = document.createElement('span')
+		author.className = 'news-author'
+		author.textContent = t('news.byline', { author: post.author })
+		byline.appendChild(author)
+	}
+
+	return byline
+}
+
+/**
+ * Creates the tag list
+ * @param {string[]} [tags]
+ * @returns {HTMLUListElement|null} Null without tags
+ */
+function createTagList(tags) {
+	if (!Array.isArray(tags) || tags.length === 0) return null
+
+	const list = document.createElement('ul')
+	list.className = 'news-tags'
+	list.setAttribute('aria-label', t('news.tags'))
+
+	tags.forEach((tag) => {
+		const li = document.createElement('li')
+		li.className = 'news-tag'
+		li.textContent = tag
+		list.appendChild(li)
+	})
+
+	return list
+}
+
+/**
+ * Fades a cover in once loaded, hides it if it fails
+ * @param {HTMLImageElement} img
+ */
+function bindCoverImage(img) {
+	watchImageLoad(
+		img,
+		() => img.classList.add('loaded'),
+		() => {
+			img.style.display = 'none'
+		}
+	)
+}
+
+/**
+ * Shows the next `pageSize` hidden posts on each click, then removes the button.
+ * Focus moves to the first new post so keyboard and screen reader users carry on from there.
+ * @param {HTMLButtonElement} button
+ * @param {HTMLElement} list - The `.news-posts` container
+ * @param {number} pageSize
+ */
+function bindLoadMore(button, list, pageSize) {
+	button.addEventListener('click', () => {
+		const next = [...list.querySelectorAll(':scope > .news-post[hidden]')].slice(0, pageSize)
+		next.forEach((card) => {
+			card.hidden = false
+		})
+
+		const first = next[0]
+		if (first) {
+			const target = first.querySelector('.news-link, .news-read-more') || first
+			if (target === first) first.setAttribute('tabindex', '-1')
+			target.focus()
+		}
+
+		if (!list.querySelector(':scope > .news-post[hidden]')) button.remove()
+	})
+}
@@ -0,0 +1,342 @@
+/**
+ * Newsletter Module
+ * Email signup form built from the top-level `newsletter` block in data.json. It shows in
+ * sections with "type": "newsletter" and, with `footer: true`, in the footer.
+ * Submissions go through an adapter picked in data.json (`adapter.type`):
+ * - post:   POST to an endpoint (JSON or form-encoded)
+ * - mailto: opens the visitor's email app with a signup message
+ * - mock:   resolves (or fails) after a delay, for local testing
+ * More can be added with registerNewsletterAdapter().
+ * Bots are filtered with a honeypot field and a minimum time before submitting (see formUtils.js).
+ */
+
+import { t } from './i18n.js'
+import { appendInlineText, appendRichText } from './richText.js'
+import { isValidEmail, createHoneypot, isHoneypotFilled, isTooFast, postForm } from './formUtils.js'
+
+const adapters = new Map()
+let newsletterConfig = null
+
+registerNewsletterAdapter('post', submitWithPost)
+registerNewsletterAdapter('mailto', submitWithMailto)
+registerNewsletterAdapter('mock', submitWithMock)
+
+/**
+ * Stores the `newsletter` block from data.json (call before rendering sections and footer)
+ * @param {Object} [config] - The validated `newsletter` block
+ */
+export function configureNewsletter(config) {
+	newsletterConfig = config && typeof config === 'object' ? config : null
+}
+
+/**
+ * Whether the footer should show the signup form
+ * @returns {boolean}
+ */
+export function isNewsletterInFooter() {
+	return Boolean(newsletterConfig?.footer)
+}
+
+/**
+ * Registers a submit adapter for `"adapter": { "type": name }`, e.g.
+ *   registerNewsletterAdapter('listmonk', async (entry, options) => { ... })
+ * @param {string} name - Value of `adapter.type`
+ * @param {(entry: {email: string, consent: boolean}, options: Object) => Promise<{message?: string}|void>} submitFn -
+ *   Resolves when the signup worked (optionally with a message to show), rejects when it failed.
+ *   `options` is the `adapter` block from data.json.
+ */
+export function registerNewsletterAdapter(name, submitFn) {
+	if (!name || typeof submitFn !== 'function') {
+		console.warn('⚠️ Invalid newsletter adapter registration:', name)
+		return
+	}
+	adapters.set(name, submitFn)
+}
+
+/**
+ * Creates the signup block, or null when data.json has no `newsletter` block
+ * @param {Object} options
+ * @param {string} options.id - Unique prefix for element ids, e.g. 'newsletter-footer'
+ * @param {boolean} [options.showTitle=true] - Show `newsletter.title` (sections already have a title)
+ * @returns {HTMLDivElement|null}
+ */
+export function createNewsletterForm({ id, showTitle = true }) {
+	const config = newsletterConfig
+	if (!config) return null
+
+	const container = document.createElement('div')
+	container.className = 'newsletter'
+
+	if (showTitle) {
+		const title = document.createElement('h3')
+		title.className = 'newsletter-title'
+		title.textContent = config.title || t('newsletter.title')
+		container.appendChild(title)
+	}
+
+	if (config.text) {
+		appendRichText(container, config.text, { paragraphClass: 'newsletter-text', headingLevel: 4 })
+	}
+
+	const form = document.createElement('form')
+	form.className = 'newsletter-form'
+	form.noValidate = true // Our own messages are announced; the browser's bubbles are not
+	applyNoScriptFallback(form, config.adapter)
+
+	const fields = document.createElement('div')
+	fields.className = 'newsletter-fields'
+
+	const label = document.createElement('label')
+	label.className = 'newsletter-label'
+	label.htmlFor = `${id}-email`
+	label.textContent = t('newsletter.emailLabel')
+
+	const input = document.createElement('input')
+	input.type = 'email'
+	input.id = `${id}-email`
+	input.name = config.adapter?.field || 'email'
+	input.className = 'newsletter-email'
+	input.required = true
+	input.setAttribute('autocomplete', 'email')
+	input.setAttribute('aria-describedby', `${id}-status`)
+	if (config.placeholder) input.placeholder = config.placeholder
+
+	const button = document.createElement('button')
+	button.type = 'submit'
+	button.className = 'newsletter-submit'
+	button.textContent = config.buttonText || t('newsletter.submit')
+
+	fields.appendChild(label)
+	fields.appendChild(input)
+	fields.appendChild(button)
+	form.appendChild(fields)
+
+	// Static extra fields (e.g. a list id) for endpoints that need them
+	const extraFields = config.adapter?.fields || []
+	extraFields.forEach((field) => {
+		const hidden = document.createElement('input')
+		hidden.type = 'hidden'
+		hidden.name = field.name
+		hidden.setAttribute('value', field.value) // An attribute, so it survives prerendering
+		form.appendChild(hidden)
+	})
+
+	form.appendChild(createHoneypot(id, 'newsletter-trap'))
+
+	if (config.consent) {
+		const consent = document.createElement('label')
+		consent.className = 'newsletter-consent'
+
+		const checkbox = document.createElement('input')
+		checkbox.type = 'checkbox'
+		checkbox.name = 'consent'
+		checkbox.setAttribute('value', 'yes')
+		checkbox.className = 'newsletter-consent-checkbox'
+		checkbox.required = true
+
+		const text = document.createElement('span')
+		appendInlineText(text, config.consent)
+
+		consent.appendChild(checkbox)
+		consent.appendChild(text)
+		form.appendChild(consent)
+	}
+
+	const status = document.createElement('p')
+	status.id = `${id}-status`
+	status.className = 'newsletter-status'
+	status.setAttribute('role', 'status')
+	status.setAttribute('aria-live', 'polite')
+	form.appendChild(status)
+
+	container.appendChild(form)
+	bindNewsletterForm(container)
+	return container
+}
+
+/**
+ * Makes a signup block work: validation, bot checks and submitting through the adapter
+ * (also used to hydrate a prerendered block)
+ * @param {HTMLElement} container - The `.newsletter` element
+ */
+export function bindNewsletterForm(container) {
+	const form = container.querySelector('.newsletter-form')
+	if (!form || !newsletterConfig) return
+
+	const config = newsletterConfig
+	const input = form.querySelector('.newsletter-email')
+	const consent = form.querySelector('.newsletter-consent-checkbox')
+	const shownAt = Date.now()
+
+	input.addEventListener('input', () => input.removeAttribute('aria-invalid'))
+	consent?.addEventListener('change', () => consent.removeAttribute('aria-invalid'))
+
+	form.addEventListener('submit', async (event) => {
+		event.preventDefault()
+		if (form.dataset.state === 'sending') return
+
+		// Bots fill the honeypot: let them think it worked
+		if (isHoneypotFilled(form)) {
+			showSuccess(form, config.successMessage)
+			return
+		}
+
+		const email = input.value.trim()
+		if (!isValidEmail(email)) {
+			showError(form, t('form.invalidEmail'), input)
+			return
+		}
+
+		if (consent && !consent.checked) {
+			showError(form, t('newsletter.consentRequired'), consent)
+			return
+		}
+
+		if (isTooFast(shownAt, config.minSeconds)) {
+			showError(form, t('form.tooFast'))
+			return
+		}
+
+		const submit = adapters.get(config.adapter?.type)
+		if (!submit) {
+			console.error(`❌ Unknown newsletter adapter "${config.adapter?.type}"`)
+			showError(form, config.errorMessage || t('newsletter.error'))
+			return
+		}
+
+		setStatus(form, 'sending', t('newsletter.sending'))
+		try {
+			const result = await submit({ email, consent: Boolean(consent?.checked) }, config.adapter)
+			showSuccess(form, result?.message || config.successMessage)
+		} catch (error) {
+			console.error('❌ Newsletter signup failed:', error)
+			showError(form, config.errorMessage || t('newsletter.error'))
+		}
+	})
+}
+
+/**
+ * The "newsletter" section type (see registerSectionType)
+ * @param {Object} section - Section data object
+ * @param {{slug: string}} context
+ * @returns {HTMLDivElement|null}
+ */
+export function createNewsletterSection(section, { slug }) {
+	if (!newsletterConfig) console.warn(`⚠️ Section "${section.title}" needs a "newsletter" block in data.json`)
+	return createNewsletterForm({ id: `newsletter-${slug}`, showTitle: false })
+}
+
+/**
+ * Hydrates a prerendered "newsletter" section
+ * @param {HTMLElement} sectionElement - The `.section` element
+ */
+export function hydrateNewsletterSection(sectionElement) {
+	const container = sectionElement.querySelector('.newsletter')
+	if (container) bindNewsletterForm(container)
+}
+
+/**
+ * Lets the form still submit without scripts where the adapter allows it
+ * (form-encoded POST, or mailto with a plain-text body)
+ * @param {HTMLFormElement} form
+ * @param {Object} [adapter] - The `adapter` block from data.json
+ */
+function applyNoScriptFallback(form, adapter) {
+	if (adapter?.type === 'post' && adapter.url && adapter.format === 'form') {
+		form.setAttribute('action', adapter.url)
+		form.setAttribute('method', 'post')
+	} else if (adapter?.type === 'mailto' && adapter.address) {
+		form.setAttribute('action', `mailto:${adapter.address}`)
+		form.setAttribute('method', 'post')
+		form.setAttribute('enctype', 'text/plain')
+	}
+}
+
+/**
+ * Shows a message in the live region and records the state on the form
+ * @param {HTMLFormElement} form
+ * @param {'sending'|'success'|'error'} state
+ * @param {string} message
+ */
+function setStatus(form, state, message) {
+	form.dataset.state = state
+	form.querySelector('.newsletter-submit').disabled = state === 'sending'
+	form.setAttribute('aria-busy', String(state === 'sending'))
+	form.querySelector('.newsletter-status').textContent = message
+}
+
+/**
+ * Replaces the fields with the thank-you message
+ * @param {HTMLFormElement} form
+ * @param {string} [message]
+ */
+function showSuccess(form, message) {
+	setStatus(form, 'success', message || t('newsletter.success'))
+	form.querySelectorAll('.newsletter-fields, .newsletter-consent').forEach((el) => {
+		el.hidden = true
+	})
+
+	// The button that had focus is gone: keep keyboard users on the message
+	const status = form.querySelector('.newsletter-status')
+	status.setAttribute('tabindex', '-1')
+	status.focus()
+}
+
+/**
+ * Shows an error, marking and focusing the field at fault if there is one
+ * @param {HTMLFormElement} form
+ * @param {string} message
+ * @param {HTMLInputElement} [field]
+ */
+function showError(form, message, field) {
+	setStatus(form, 'error', message)
+	if (field) {
+		field.setAttribute('aria-invalid', 'true')
+		field.focus()
+	}
+}
+
+/**
+ * "post" adapter: sends the email (and consent) to `adapter.url`
+ * @param {{email: string, consent: boolean}} entry
+ * @param {Object} options - `url`, `format` ('json' or 'form'), `field` and `fields`
+ */
+async function submitWithPost(entry, options = {}) {
+	if (!options.url) throw new Error('The "post" newsletter adapter needs a url')
+
+	const values = { [options.field || 'email']: entry.email }
+	if (entry.consent) values.consent = 'yes'
+	const extraFields = options.fields || []
+	extraFields.forEach((field) => {
+		values[field.name] = field.value
+	})
+
+	await postForm(options.url, values, { format: options.format })
+}
+
+/**
+ * "mailto" adapter: opens the visitor's email app addressed to `adapter.address`
+ * @param {{email: string}} entry
+ * @param {Object} options - `address` and optional `subject`
+ * @returns {Promise<{message: string}>}
+ */
+async function submitWithMailto(entry, options = {}) {
+	if (!options.address) throw new Error('The "mailto" newsletter adapter needs an address')
+
+	const subject = encodeURIComponent(options.subject || t('newsletter.mailtoSubject'))
+	const body = encodeURIComponent(t('newsletter.mailtoBody', { email: entry.email }))
+	window.location.href = `mailto:${options.address}?subject=${subject}&body=${body}`
+
+	return { message: t('newsletter.mailtoSent') }
+}
+
+/**
+ * "mock" adapter: logs the entry and succeeds (or fails with `result: "error"`) after `delay` ms
+ * @param {{email: string, consent: boolean}} entry
+ * @param {Object} options - `delay` and `result`
+ */
+async function submitWithMock(entry, options = {}) {
+	console.info('🧪 Newsletter mock signup:', entry)
+	await new Promise((resolve) => setTimeout(resolve, typeof options.delay === 'number' ? options.delay : 800))
+	if (options.result === 'error') throw new Error('Mock adapter set to fail')
+}
@@ -0,0 +1,125 @@
+/**
+ * Offline Support Module
+ * Registers the service worker (sw.js) and shows the "New content available" prompt when it
+ * reports a newer data.json, or when a new deploy has installed and is waiting to take over.
+ * Not used in dev mode (see devOverlay.js), where cached files would hide your edits: an
+ * existing registration is removed instead.
+ */
+
+import { t } from './i18n.js'
+import { isDevMode } from './devOverlay.js'
+
+const SERVICE_WORKER_URL = 'sw.js'
+const PROMPT_ID = 'update-prompt'
+
+// A new deploy's worker, waiting for the visitor to refresh
+let waitingWorker = null
+
+// Set once the visitor asked the waiting worker to take over
+let activating = false
+
+/**
+ * Registers the service worker and listens for updates (browser only; call once, before
+ * loading data so a `data-updated` message can't be missed)
+ */
+export function initOfflineSupport() {
+	if (!('serviceWorker' in navigator)) return
+
+	if (isDevMode()) {
+		navigator.serviceWorker
+			.getRegistrations()
+			.then((registrations) => registrations.forEach((registration) => registration.unregister()))
+			.catch(() => {})
+		return
+	}
+
+	navigator.serviceWorker.addEventListener('message', (event) => {
+		if (event.data?.type === 'data-updated') showUpdatePrompt()
+	})
+
+	// Reload once the new version controls the page (not when the very first install takes over)
+	navigator.serviceWorker.addEventListener('controllerchange', () => {
+		if (activating) location.reload()
+	})
+
+	navigator.serviceWorker
+		.register(SERVICE_WORKER_URL, { updateViaCache: 'none' })
+		.then(watchForUpdates)
+		.catch((error) => console.warn('⚠️ Service worker registration failed, no offline support:', error.message))
+}
+
+/**
+ * Prompts for new deploys: one already waiting, and any found later, including while the
+ * tab was in the background
+ * @param {ServiceWorkerRegistration} registration
+ */
+function watchForUpdates(registration) {
+	if (registration.waiting && navigator.serviceWorker.controller) {
+		waitingWorker = registration.waiting
+		showUpdatePrompt()
+	}
+
+	registration.addEventListener('updatefound', () => {
+		const worker = registration.installing
+		worker?.addEventListener('statechange', () => {
+			// Without a controller this is the first install, which takes over by itself
+			if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+				waitingWorker = worker
+				showUpdatePrompt()
+			}
+		})
+	})
+
+	document.addEventListener('visibilitychange', () => {
+		if (!document.hidden) registration.update().catch(() => {})
+	})
+}
+
+/**
+ * Shows the prompt at the bottom of the page (once; later updates reuse it).
+ * Refresh lets a waiting deploy take over first, or simply reloads for new data.
+ */
+function showUpdatePrompt() {
+	if (document.getElementById(PROMPT_ID)) return
+
+	const prompt = document.createElement('div')
+	prompt.id = PROMPT_ID
+	prompt.className = 'update-prompt'
+	prompt.setAttribute('role', 'status')
+
+	const message = document.createElement('span')
+	message.className = 'update-prompt-message'
+
+	const refresh = document.createElement('button')
+	refresh.type = 'button'
+	refresh.className = 'update-prompt-refresh'
+	refresh.textContent = t('update.refresh')
+	refresh.addEventListener('click', () => {
+		refresh.disabled = true
+		if (waitingWorker) {
+			activating = true
+			waitingWorker.postMessage({ type: 'skip-waiting' })
+		} else {
+			location.reload()
+		}
+	})
+
+	const close = document.createElement('button')
+	close.type = 'button'
+	close.className = 'update-prompt-close'
+	close.setAttribute('aria-label', t('update.dismiss'))
+	close.textContent = '×'
+	close.addEventListener('click', () => {
+		prompt.classList.remove('show')
+		setTimeout(() => prompt.remove(), 300)
+	})
+
+	prompt.append(message, refresh, close)
+	document.body.appendChild(prompt)
+
+	// A live region added with its text already in place isn't always read out
+	requestAnimationFrame(() => {
+		message.textContent = t('update.available')
+		prompt.classList.add('show')
+	})
+}
@@ -0,0 +1,741 @@
+/**
+ * Press Kit Module
+ * presskit()-style pages for journalists, built from data.json (an optional `presskit` block adds
+ * the boilerplate, history, contact and more):
+ * - #/presskit         the studio: fact sheet (from `header`, `footer` and `presskit`), boilerplate,
+ *                      history, games, logos and downloads
+ * - #/presskit/<game>  one game: fact sheet, description, features, videos, key art, logos,
+ *                      awards, quotes and downloads
+ * Games are items with a store link or press fields (see isPressKitItem). Registered as a custom
+ * route (see registerRoute in router.js); the page replaces the sections while it is open.
+ */
+
+import { registerRoute, toPlainText } from './router.js'
+import { t, formatNumber } from './i18n.js'
+import { appendRichText, appendInlineText, getSafeUrl } from './richText.js'
+import { getItemSlug } from './slugUtils.js'
+import { watchImageLoad } from './imageUtils.js'
+import { downloadFile } from './domUtils.js'
+import { parseTrailer } from './trailerRenderer.js'
+import { isNewsSection } from './newsRenderer.js'
+import { createQuotes } from './sectionTypes.js'
+import { getItemStores, getStoreName } from './storeLinks.js'
+import { formatReleaseDate } from './releaseStatus.js'
+
+const ROUTE_NAME = 'presskit'
+const PAGE_ID = 'presskit-page'
+
+// Any of these makes an item a game with its own press kit page
+const PRESS_FIELDS = [
+	'steamUrl',
+	'stores',
+	'releaseDate',
+	'episodes',
+	'factSheet',
+	'keyArt',
+	'logos',
+	'awards',
+	'quotes',
+	'trailerLinks',
+]
+
+/**
+ * Adds the #/presskit route (call once, before initRouter)
+ */
+export function registerPressKitRoute() {
+	registerRoute(ROUTE_NAME, { enter: showPressKit, leave: hidePressKit })
+}
+
+/**
+ * Whether an item gets a press kit page
+ * @param {Object} item
+ * @returns {boolean}
+ */
+export function isPressKitItem(item) {
+	return Boolean(item?.heading) && PRESS_FIELDS.some((field) => item[field])
+}
+
+/**
+ * Games with a press kit page, in page order
+ * @param {Object} data - The full validated data.json content
+ * @returns {Object[]}
+ */
+export function getPressKitGames(data) {
+	const sections = Array.isArray(data.sections) ? data.sections : []
+	return sections
+		.filter((section) => !isNewsSection(section) && Array.isArray(section.items))
+		.flatMap((section) => section.items.filter(isPressKitItem))
+}
+
+/**
+ * Route handler: shows the studio or game press kit
+ * @param {string[]} params - Path segments after "presskit"
+ * @param {Object} data - The full validated data.json content
+ * @returns {Object|null} Route meta, or null when there is no such page
+ */
+function showPressKit(params, data) {
+	// Moving between press kit pages doesn't call leave(); start from the sections either way
+	hidePressKit()
+	if (params.length > 1) return null
+
+	const presskit = getPressKit(data)
+	const studio = getStudio(data)
+	let page
+	let meta
+
+	if (params.length === 0) {
+		page = createStudioPage(data, studio)
+		meta = {
+			title: presskit.title || t('presskit.title'),
+			description: toPlainText(presskit.boilerplate || data.meta?.description),
+		}
+	} else {
+		const game = getPressKitGames(data).find((item) => getItemSlug(item) === params[0])
+		if (!game) return null
+		page = createGamePage(game, data, studio)
+		meta = {
+			title: t('presskit.gameTitle', { name: game.heading }),
+			description: toPlainText(game.description || game.text),
+			image: getAssets(game.keyArt)[0]?.src || game.image,
+			imageAlt: game.heading,
+		}
+	}
+
+	const main = document.getElementById('main-content')
+	if (!main) return null
+
+	main.classList.add('custom-page-active')
+	main.prepend(page)
+	window.scrollTo(0, 0)
+	focusTitle(page)
+
+	return meta
+}
+
+/**
+ * Route handler: removes the page and shows the sections again
+ */
+function hidePressKit() {
+	document.getElementById(PAGE_ID)?.remove()
+	document.getElementById('main-content')?.classList.remove('custom-page-active')
+}
+
+/**
+ * @param {Object} data
+ * @returns {Object} The `presskit` block, or an empty one: the pages work from the rest of data.json
+ */
+function getPressKit(data) {
+	return data.presskit || {}
+}
+
+/**
+ * Studio details shared by every press kit page
+ * @param {Object} data
+ * @returns {{name: string, logo: string, socialLinks: Array, boilerplate: *}}
+ */
+function getStudio(data) {
+	return {
+		name: data.footer?.companyName || data.header?.title || '',
+		logo: data.header?.logo,
+		socialLinks: Array.isArray(data.header?.socialLinks) ? data.header.socialLinks : [],
+		boilerplate: getPressKit(data).boilerplate,
+	}
+}
+
+/**
+ * #/presskit
+ * @param {Object} data
+ * @param {Object} studio - See getStudio
+ * @returns {HTMLElement}
+ */
+function createStudioPage(data, studio) {
+	const presskit = getPressKit(data)
+	const games = getPressKitGames(data)
+	const page = createPage(presskit.title || t('presskit.title'), [{ href: '#/', text: t('presskit.backToSite') }])
+
+	const facts = createFactSheet([
+		[t('presskit.developer'), studio.name],
+		...getCustomFacts(presskit.factSheet),
+		[t('presskit.website'), createLink(getSiteUrl(), getSiteUrl())],
+		[t('presskit.games'), createLinkList(games.map((game) => ({ name: game.heading, url: getGameHash(game) })))],
+		[t('presskit.social'), createLinkList(studio.socialLinks)],
+		[t('presskit.contact'), createContactLink(presskit.contact)],
+	])
+
+	const blocks = [
+		createBoilerplateBlock(studio, t('presskit.about', { name: studio.name })),
+		createTextBlock(t('presskit.history'), presskit.history),
+		createGamesBlock(games),
+		createImageBlock(t('presskit.logos'), getStudioLogos(presskit, studio)),
+		createAssetBlock(getStudioAssets(presskit, studio, games), 'presskit'),
+	]
+
+	page.appendChild(createLayout(facts, blocks, presskit.intro))
+	return page
+}
+
+/**
+ * #/presskit/<game>
+ * @param {Object} game - The game's item
+ * @param {Object} data
+ * @param {Object} studio - See getStudio
+ * @returns {HTMLElement}
+ */
+function createGamePage(game, data, studio) {
+	const page = createPage(t('presskit.gameTitle', { name: game.heading }), [
+		{ href: '#/', text: t('presskit.backToSite') },
+		{ href: `#/${ROUTE_NAME}`, text: t('presskit.backToStudio') },
+	])
+
+	const stores = getItemStores(game).map((store) => ({ name: getStoreName(store), url: store.url }))
+	const facts = createFactSheet([
+		[t('presskit.developer'), createLink(`#/${ROUTE_NAME}`, studio.name)],
+		[t('detail.releaseDate'), formatReleaseDate(game)],
+		[t('detail.platforms'), Array.isArray(game.platforms) ? game.platforms.join(', ') : ''],
+		[t('presskit.price'), formatPrice(game.price)],
+		...getCustomFacts(game.factSheet),
+		[t('presskit.store'), createLinkList(stores)],
+		[t('presskit.contact'), createContactLink(getPressKit(data).contact)],
+	])
+
+	const images = [...getAssets(game.keyArt), ...getAssets(game.screenshots)]
+	if (images.length === 0 && game.image) images.push(toAsset(game.image, game.heading))
+
+	const blocks = [
+		createTextBlock(t('presskit.description'), game.description || game.text),
+		createFeatureBlock(game.features),
+		createVideoBlock(game),
+		createImageBlock(t('presskit.images'), images),
+		createImageBlock(t('presskit.logos'), getAssets(game.logos)),
+		createAwardsBlock(game.awards),
+		createQuotesBlock(game.quotes),
+		createAssetBlock([...images, ...getAssets(game.logos)], getItemSlug(game)),
+		createBoilerplateBlock(studio, t('presskit.about', { name: studio.name })),
+	]
+
+	page.appendChild(createLayout(facts, blocks))
+	return page
+}
+
+/**
+ * Page wrapper with breadcrumb links and the title
+ * @param {string} titleText
+ * @param {Array<{href: string, text: string}>} links - Where to go back to
+ * @returns {HTMLElement}
+ */
+function createPage(titleText, links) {
+	const page = document.createElement('article')
+	page.id = PAGE_ID
+	page.className = 'custom-page presskit'
+
+	const nav = document.createElement('nav')
+	nav.className = 'presskit-breadcrumb'
+	nav.setAttribute('aria-label', t('presskit.breadcrumb'))
+	links.forEach((link) => nav.appendChild(createLink(link.href, link.text)))
+	page.appendChild(nav)
+
+	const title = document.createElement('h2')
+	title.className = 'presskit-title'
+	title.textContent = titleText
+	page.appendChild(title)
+
+	return page
+}
+
+/**
+ * Fact sheet beside the content blocks (stacked on narrow screens)
+ * @param {HTMLElement} facts
+ * @param {Array<HTMLElement|null>} blocks - Empty blocks are null and skipped
+ * @param {string|Array} [intro] - Rich text above the blocks
+ * @returns {HTMLDivElement}
+ */
+function createLayout(facts, blocks, intro) {
+	const layout = document.createElement('div')
+	layout.className = 'presskit-layout'
+	layout.appendChild(facts)
+
+	const content = document.createElement('div')
+	content.className = 'presskit-content'
+	if (intro) appendRichText(content, intro, { paragraphClass: 'presskit-intro', headingLevel: 3 })
+	blocks.filter(Boolean).forEach((block) => content.appendChild(block))
+	layout.appendChild(content)
+
+	return layout
+}
+
+/**
+ * @param {Array<[string, string|Node|null]>} facts - Label and value; empty values are skipped
+ * @returns {HTMLElement}
+ */
+function createFactSheet(facts) {
+	const aside = document.createElement('aside')
+	aside.className = 'presskit-factsheet'
+	aside.setAttribute('aria-labelledby', `${PAGE_ID}-facts`)
+
+	const heading = document.createElement('h3')
+	heading.id = `${PAGE_ID}-facts`
+	heading.textContent = t('presskit.factSheet')
+	aside.appendChild(heading)
+
+	const list = document.createElement('dl')
+	list.className = 'presskit-facts'
+	facts
+		.filter(([, value]) => value)
+		.forEach(([label, value]) => {
+			const dt = document.createElement('dt')
+			dt.textContent = label
+			const dd = document.createElement('dd')
+			if (typeof value === 'string') appendInlineText(dd, value)
+			else dd.appendChild(value)
+			list.appendChild(dt)
+			list.appendChild(dd)
+		})
+	aside.appendChild(list)
+
+	return aside
+}
+
+/**
+ * `factSheet` entries from data.json as fact pairs
+ * @param {Array<{label: string, value: string}>} [facts]
+ * @returns {Array<[string, string]>}
+ */
+function getCustomFacts(facts) {
+	return Array.isArray(facts) ? facts.map((fact) => [fact.label, fact.value]) : []
+}
+
+/**
+ * A titled block
+ * @param {string} titleText
+ * @param {string} [className]
+ * @returns {HTMLElement}
+ */
+function createBlock(titleText, className) {
+	const block = document.createElement('section')
+	block.className = className ? `presskit-block ${className}` : 'presskit-block'
+
+	const heading = document.createElement('h3')
+	heading.className = 'presskit-block-title'
+	heading.textContent = titleText
+	block.appendChild(heading)
+
+	return block
+}
+
+/**
+ * @param {string} titleText
+ * @param {string|Array} [text] - Rich text
+ * @returns {HTMLElement|null}
+ */
+function createTextBlock(titleText, text) {
+	if (!text) return null
+	const block = createBlock(titleText)
+	appendRichText(block, text, { headingLevel: 4 })
+	return block
+}
+
+/**
+ * @param {string[]} [features]
+ * @returns {HTMLElement|null}
+ */
+function createFeatureBlock(features) {
+	if (!Array.isArray(features) || features.length === 0) return null
+
+	const block = createBlock(t('presskit.features'))
+	const list = document.createElement('ul')
+	features.forEach((feature) => {
+		const li = document.createElement('li')
+		appendInlineText(li, feature)
+		list.appendChild(li)
+	})
+	block.appendChild(list)
+	return block
+}
+
+/**
+ * Trailer links: `trailerLinks` plus the item's own `trailer`
+ * @param {Object} game
+ * @returns {HTMLElement|null}
+ */
+function createVideoBlock(game) {
+	const links = Array.isArray(game.trailerLinks) ? [...game.trailerLinks] : []
+
+	const trailer = parseTrailer(game.trailer)
+	const trailerName = t('trailer.title', { name: game.heading })
+	if (trailer?.kind === 'youtube') {
+		links.unshift({ name: trailerName, url: `https://www.youtube.com/watch?v=${trailer.id}` })
+	} else if (trailer?.kind === 'video') {
+		links.unshift({ name: trailerName, url: trailer.sources[0].src })
+	}
+
+	const list = createLinkList(links)
+	if (!list) return null
+
+	const block = createBlock(t('presskit.videos'))
+	block.appendChild(list)
+	return block
+}
+
+/**
+ * Image grid; each image links to the full-size file
+ * @param {string} titleText
+ * @param {Array<{src: string, name: string}>} assets
+ * @returns {HTMLElement|null}
+ */
+function createImageBlock(titleText, assets) {
+	if (assets.length === 0) return null
+
+	const block = createBlock(titleText)
+	const grid = document.createElement('ul')
+	grid.className = 'presskit-images'
+
+	assets.forEach((asset) => {
+		const li = document.createElement('li')
+		const link = createLink(asset.src, '')
+		const image = document.createElement('img')
+		image.className = 'presskit-image'
+		image.src = asset.src
+		image.alt = asset.name
+		image.loading = 'lazy'
+		watchImageLoad(
+			image,
+			() => image.classList.add('loaded'),
+			() => {
+				li.hidden = true
+			}
+		)
+		link.appendChild(image)
+		li.appendChild(link)
+		grid.appendChild(li)
+	})
+
+	block.appendChild(grid)
+	return block
+}
+
+/**
+ * @param {string[]} [awards] - Inline Markdown allowed
+ * @returns {HTMLElement|null}
+ */
+function createAwardsBlock(awards) {
+	if (!Array.isArray(awards) || awards.length === 0) return null
+
+	const block = createBlock(t('presskit.awards'))
+	const list = document.createElement('ul')
+	list.className = 'presskit-awards'
+	awards.forEach((award) => {
+		const li = document.createElement('li')
+		appendInlineText(li, award)
+		list.appendChild(li)
+	})
+	block.appendChild(list)
+	return block
+}
+
+/**
+ * Quotes, in the same markup as "quote" sections
+ * @param {Array} [quotes] - `{ text, author, role, url }`
+ * @returns {HTMLElement|null}
+ */
+function createQuotesBlock(quotes) {
+	if (!Array.isArray(quotes) || quotes.length === 0) return null
+
+	const block = createBlock(t('presskit.quotes'))
+	block.appendChild(createQuotes({ items: quotes }))
+	return block
+}
+
+/**
+ * The studio's games with their image, each linking to its press kit
+ * @param {Object[]} games
+ * @returns {HTMLElement|null}
+ */
+function createGamesBlock(games) {
+	if (games.length === 0) return null
+
+	const block = createBlock(t('presskit.games'))
+	const list = document.createElement('ul')
+	list.className = 'presskit-games'
+
+	games.forEach((game) => {
+		const li = document.createElement('li')
+		const link = createLink(getGameHash(game), '')
+		if (game.image) {
+			const image = document.createElement('img')
+			image.className = 'presskit-game-image'
+			image.src = game.image
+			image.alt = ''
+			image.loading = 'lazy'
+			watchImageLoad(
+				image,
+				() => image.classList.add('loaded'),
+				() => {
+					image.style.display = 'none'
+				}
+			)
+			link.appendChild(image)
+		}
+		const name = document.createElement('span')
+		name.className = 'presskit-game-name'
+		name.textContent = game.heading
+		link.appendChild(name)
+		li.appendChild(link)
+		list.appendChild(li)
+	})
+
+	block.appendChild(list)
+	return block
+}
+
+/**
+ * Download links for every asset, plus the whole list as a text file
+ * @param {Array<{src: string, name: string}>} assets
+ * @param {string} fileSlug - Start of the list's file name
+ * @returns {HTMLElement|null}
+ */
+function createAssetBlock(assets, fileSlug) {
+	const unique = assets.filter((asset, index) => assets.findIndex((a) => a.src === asset.src) === index)
+	if (unique.length === 0) return null
+
+	const block = createBlock(t('presskit.assets'), 'presskit-downloads')
+	const list = document.createElement('ul')
+	list.className = 'presskit-assets'
+
+	unique.forEach((asset) => {
+		const li = document.createElement('li')
+		const link = createLink(asset.src, asset.name)
+		link.download = ''
+		li.appendChild(link)
+
+		const type = getFileType(asset.src)
+		if (type) {
+			const badge = document.createElement('span')
+			badge.className = 'presskit-asset-type'
+			badge.textContent = ` (${type})`
+			li.appendChild(badge)
+		}
+		list.appendChild(li)
+	})
+	block.appendChild(list)
+
+	const button = document.createElement('button')
+	button.type = 'button'
+	button.className = 'presskit-button'
+	button.textContent = t('presskit.downloadList')
+	button.addEventListener('click', () => downloadAssetList(unique, `${fileSlug}-assets.txt`))
+	block.appendChild(button)
+
+	return block
+}
+
+/**
+ * "About <studio>" with the boilerplate and a copy button
+ * @param {Object} studio - See getStudio
+ * @param {string} titleText
+ * @returns {HTMLElement|null}
+ */
+function createBoilerplateBlock(studio, titleText) {
+	if (!studio.boilerplate) return null
+
+	const block = createBlock(titleText, 'presskit-boilerplate')
+	const text = document.createElement('div')
+	text.className = 'presskit-boilerplate-text'
+	appendRichText(text, studio.boilerplate, { headingLevel: 4 })
+	block.appendChild(text)
+
+	const button = document.createElement('button')
+	button.type = 'button'
+	button.className = 'presskit-button'
+	button.textContent = t('presskit.copy')
+
+	const status = document.createElement('span')
+	status.className = 'presskit-copy-status'
+	status.setAttribute('role', 'status')
+	status.setAttribute('aria-live', 'polite')
+
+	button.addEventListener('click', () => copyText(text, status))
+	block.appendChild(button)
+	block.appendChild(status)
+	return block
+}
+
+/**
+ * Copies an element's text; without clipboard access the text is selected for Ctrl+C instead
+ * @param {HTMLElement} element
+ * @param {HTMLElement} status - Live region for the result
+ */
+async function copyText(element, status) {
+	const text = [...element.querySelectorAll('p, li')].map((el) => el.textContent).join('\n\n') || element.textContent
+	try {
+		await navigator.clipboard.writeText(text)
+		status.textContent = t('presskit.copied')
+	} catch {
+		const range = document.createRange()
+		range.selectNodeContents(element)
+		const selection = window.getSelection()
+		selection.removeAllRanges()
+		selection.addRange(range)
+		status.textContent = t('presskit.copyFailed')
+	}
+}
+
+/**
+ * Saves "name: URL" lines for every asset as a text file
+ * @param {Array<{src: string, name: string}>} assets
+ * @param {string} fileName
+ */
+function downloadAssetList(assets, fileName) {
+	const lines = assets.map((asset) => `${asset.name}: ${new URL(asset.src, location.href).href}`)
+	downloadFile(fileName, `${lines.join('\n')}\n`, 'text/plain')
+}
+
+/**
+ * Studio logos: `presskit.logos`, or the header logo
+ * @param {Object} presskit
+ * @param {Object} studio
+ * @returns {Array<{src: string, name: string}>}
+ */
+function getStudioLogos(presskit, studio) {
+	const logos = getAssets(presskit.logos)
+	if (logos.length === 0 && studio.logo) logos.push(toAsset(studio.logo, studio.name))
+	return logos
+}
+
+/**
+ * Everything downloadable from the studio page: its logos and every game's key art and logos
+ * @param {Object} presskit
+ * @param {Object} studio
+ * @param {Object[]} games
+ * @returns {Array<{src: string, name: string}>}
+ */
+function getStudioAssets(presskit, studio, games) {
+	return [
+		...getStudioLogos(presskit, studio),
+		...games.flatMap((game) => [...getAssets(game.keyArt), ...getAssets(game.logos)]),
+	]
+}
+
+/**
+ * Normalises an asset list (paths or `{ src, name }`)
+ * @param {Array<string|Object>} [list]
+ * @returns {Array<{src: string, name: string}>}
+ */
+function getAssets(list) {
+	if (!Array.isArray(list)) return []
+	return list
+		.map((entry) => (typeof entry === 'string' ? toAsset(entry) : toAsset(entry?.src, entry?.name || entry?.alt)))
+		.filter(Boolean)
+}
+
+/**
+ * @param {string} src
+ * @param {string} [name] - Defaults to the file name
+ * @returns {{src: string, name: string}|null}
+ */
+function toAsset(src, name) {
+	if (!src) return null
+	return { src, name: name || getFileName(src) }
+}
+
+/**
+ * @param {string} src
+ * @returns {string} The file name, decoded when it can be (a stray "%" is kept as it is)
+ */
+function getFileName(src) {
+	const fileName = src.split('/').pop().split('?')[0]
+	try {
+		return decodeURIComponent(fileName)
+	} catch {
+		return fileName
+	}
+}
+
+/**
+ * @param {string} src
+ * @returns {string} e.g. 'PNG', or '' without an extension
+ */
+function getFileType(src) {
+	const match = String(src).split('?')[0].match(/\.([a-z0-9]+)$/i)
+	return match ? match[1].toUpperCase() : ''
+}
+
+/**
+ * @param {Object} game
+ * @returns {string} e.g. '#/presskit/hollowbrook-apartments'
+ */
+function getGameHash(game) {
+	return `#/${ROUTE_NAME}/${getItemSlug(game)}`
+}
+
+/**
+ * @param {{amount: string|number, currency: string}} [price]
+ * @returns {string}
+ */
+function formatPrice(price) {
+	if (!price) return ''
+	const amount = Number(price.amount)
+	if (Number.isNaN(amount)) return `${price.amount} ${price.currency}`
+	return formatNumber(amount, { style: 'currency', currency: price.currency })
+}
+
+/**
+ * @returns {string} The site's address without the route
+ */
+function getSiteUrl() {
+	return `${location.origin}${location.pathname}`
+}
+
+/**
+ * @param {string} href
+ * @param {string} text
+ * @returns {HTMLAnchorElement}
+ */
+function createLink(href, text) {
+	const link = document.createElement('a')
+	link.href = getSafeUrl(href) || '#'
+	link.textContent = text
+	if (/^https?:\/\//i.test(href) && !href.startsWith(getSiteUrl())) {
+		link.target = '_blank'
+		link.rel = 'noopener noreferrer'
+	}
+	return link
+}
+
+/**
+ * @param {string} [contact] - Email address or URL
+ * @returns {HTMLAnchorElement|null}
+ */
+function createContactLink(contact) {
+	if (!contact) return null
+	return contact.includes('@') && !contact.includes(':')
+		? createLink(`mailto:${contact}`, contact)
+		: createLink(contact, contact)
+}
+
+/**
+ * @param {Array<{name: string, url: string}>} links
+ * @returns {HTMLUListElement|null} Null without links
+ */
+function createLinkList(links) {
+	const valid = links.filter((link) => link && link.name && link.url)
+	if (valid.length === 0) return null
+
+	const list = document.createElement('ul')
+	list.className = 'presskit-links'
+	valid.forEach((link) => {
+		const li = document.createElement('li')
+		li.appendChild(createLink(link.url, link.name))
+		list.appendChild(li)
+	})
+	return list
+}
+
+/**
+ * Moves focus to the page title so screen readers start there
+ * @param {HTMLElement} page
+ */
+function focusTitle(page) {
+	const title = page.querySelector('.presskit-title')
+	title.setAttribute('tabindex', '-1')
+	title.focus({ preventScroll: true })
+}
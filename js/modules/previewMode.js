@@ -0,0 +1,250 @@
+/**
+ * Preview Mode Module
+ * Live preview for content editors: with ?preview in the URL (or ?preview=<seconds> for another
+ * interval) data.json is checked every few seconds and changes are rendered in place, keeping
+ * the scroll position and any open modal. Blocks that fail validation are outlined on the page
+ * with their errors, and a bar at the bottom says when the page last updated and lists every
+ * problem. Editor-facing, so its text is English only (like the dev overlay).
+ */
+
+import { prepareData, getValidationErrors } from './dataLoader.js'
+import { getRenderKey } from './appRenderer.js'
+import { localizeData } from './i18n.js'
+import { getSectionSlug, getItemSlug } from './slugUtils.js'
+
+const DATA_URL = 'data/data.json'
+const BAR_ID = 'preview-bar'
+const INVALID_CLASS = 'preview-invalid'
+const NOTE_CLASS = 'preview-error-note'
+
+// Seconds between checks: ?preview alone uses the default
+const DEFAULT_INTERVAL_S = 2
+const MIN_INTERVAL_S = 1
+
+let isStarted = false
+let renderPage = null
+let pollTimer = 0
+
+// The data.json text last seen, and the data it rendered (see getRenderKey)
+let lastText = null
+let lastRenderKey = null
+
+// Parsed data.json last seen, to find the blocks validation errors point at
+let lastRaw = null
+
+/**
+ * Starts watching data.json (once; browser only)
+ * @param {Object} data - The validated data the page was rendered from
+ * @param {(data: Object) => void} render - Re-renders the page in place from new data
+ */
+export function startPreview(data, render) {
+	if (isStarted) return
+	isStarted = true
+	renderPage = render
+	lastRenderKey = getRenderKey(data)
+
+	createPreviewBar()
+
+	// No checks while the tab is in the background; one straight away when it comes back
+	document.addEventListener('visibilitychange', () => {
+		clearTimeout(pollTimer)
+		if (!document.hidden) poll()
+	})
+
+	poll()
+}
+
+/**
+ * Outlines the blocks named in the last validation errors and lists every error in the bar.
+ * Called after each render in preview mode, as re-rendering removes the outlines.
+ */
+export function highlightPreviewErrors() {
+	if (!isStarted) return
+
+	document.querySelectorAll(`.${NOTE_CLASS}`).forEach((note) => note.remove())
+	document.querySelectorAll(`.${INVALID_CLASS}`).forEach((el) => el.classList.remove(INVALID_CLASS))
+
+	const errors = getValidationErrors()
+	const localized = lastRaw ? localizeData(lastRaw) : null
+	const notes = new Map()
+
+	errors.forEach((message) => {
+		const target = localized ? findErrorTarget(localized, message) : null
+		if (!target) return
+		if (!notes.has(target)) notes.set(target, [])
+		notes.get(target).push(message)
+	})
+
+	notes.forEach((messages, target) => {
+		const note = document.createElement('ul')
+		note.className = NOTE_CLASS
+		messages.forEach((message) => {
+			const li = document.createElement('li')
+			li.textContent = message
+			note.appendChild(li)
+		})
+		target.classList.add(INVALID_CLASS)
+		target.prepend(note)
+	})
+
+	updatePreviewBar({ errors })
+}
+
+/**
+ * Checks data.json once and schedules the next check
+ */
+async function poll() {
+	clearTimeout(pollTimer)
+
+	try {
+		const response = await fetch(DATA_URL, { cache: 'no-store' })
+		if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+		const text = await response.text()
+		if (text !== lastText) applyChange(text)
+	} catch (error) {
+		console.warn('⚠️ Preview: could not check data.json:', error.message)
+		// Checked again in full once it loads, which clears the message
+		lastText = null
+		updatePreviewBar({ problem: `Could not load ${DATA_URL} (${error.message}). Trying again…` })
+	}
+
+	if (!document.hidden) pollTimer = setTimeout(poll, getInterval() * 1000)
+}
+
+/**
+ * Renders a changed data.json (if the change shows on the page), unless it isn't valid JSON:
+ * the page then keeps showing the last version that parsed, and the bar shows the syntax error
+ * @param {string} text - The file's new content
+ */
+function applyChange(text) {
+	let raw
+	try {
+		raw = JSON.parse(text)
+	} catch (error) {
+		lastText = text
+		console.warn('⚠️ Preview: data.json is not valid JSON:', error.message)
+		updatePreviewBar({ problem: `${DATA_URL} is not valid JSON: ${error.message}` })
+		return
+	}
+
+	lastText = text
+	lastRaw = raw
+
+	// The first check only finds the errors to mark, unless the file changed since the page loaded
+	const data = prepareData(raw)
+	const renderKey = getRenderKey(data)
+	if (renderKey === lastRenderKey) {
+		highlightPreviewErrors()
+		return
+	}
+
+	lastRenderKey = renderKey
+	renderPage(data) // Marks the errors again (see highlightPreviewErrors)
+	updatePreviewBar({ updatedAt: new Date() })
+}
+
+/**
+ * Finds the rendered element an error is about: a card or news post, a section, a modal,
+ * the header or the footer
+ * @param {Object} localized - data.json with translations resolved, as it was validated
+ * @param {string} message - e.g. "sections[0].items[2].image: expected string"
+ * @returns {HTMLElement|null} Null when the block was dropped or isn't on the page
+ */
+function findErrorTarget(localized, message) {
+	const path = message.slice(0, message.indexOf(':'))
+	const [, sectionIndex, itemIndex] = path.match(/^sections\[(\d+)\](?:\.items\[(\d+)\])?/) || []
+
+	if (sectionIndex !== undefined) {
+		const section = localized.sections?.[sectionIndex]
+		const sectionEl = section ? document.querySelector(`.section[data-slug="${getSectionSlug(section)}"]`) : null
+		if (!sectionEl || itemIndex === undefined) return sectionEl
+
+		const item = section.items?.[itemIndex]
+		return (item && sectionEl.querySelector(`.item[data-slug="${getItemSlug(item)}"]`)) || sectionEl
+	}
+
+	const [, modalIndex] = path.match(/^modals\[(\d+)\]/) || []
+	if (modalIndex !== undefined) {
+		const modal = localized.modals?.[modalIndex]
+		return modal?.id ? document.querySelector(`#modal-${modal.id} .modal-body`) : null
+	}
+
+	if (path.startsWith('header')) return document.getElementById('header')
+	if (path.startsWith('footer')) return document.getElementById('footer')
+	return null
+}
+
+/**
+ * @returns {number} Seconds between checks, from ?preview=<seconds>
+ */
+function getInterval() {
+	const seconds = Number(new URLSearchParams(window.location.search).get('preview'))
+	return seconds > 0 ? Math.max(MIN_INTERVAL_S, seconds) : DEFAULT_INTERVAL_S
+}
+
+/**
+ * Adds the preview bar to the page
+ */
+function createPreviewBar() {
+	const bar = document.createElement('div')
+	bar.id = BAR_ID
+	bar.className = 'preview-bar'
+	bar.setAttribute('role', 'status')
+
+	const status = document.createElement('span')
+	status.className = 'preview-bar-status'
+	status.textContent = `Preview: watching ${DATA_URL}`
+
+	const updated = document.createElement('span')
+	updated.className = 'preview-bar-updated'
+
+	const problems = document.createElement('details')
+	problems.className = 'preview-bar-problems'
+	problems.hidden = true
+	const summary = document.createElement('summary')
+	const list = document.createElement('ul')
+	problems.append(summary, list)
+
+	bar.append(status, updated, problems)
+	document.body.appendChild(bar)
+}
+
+/**
+ * Updates the preview bar. Each part is kept until it is given again.
+ * @param {Object} state
+ * @param {Date} [state.updatedAt] - When the page last re-rendered
+ * @param {string[]} [state.errors] - Validation errors of the file as rendered
+ * @param {string} [state.problem] - Why the last check couldn't be rendered (cleared by the next one that can)
+ */
+function updatePreviewBar({ updatedAt, errors, problem } = {}) {
+	const bar = document.getElementById(BAR_ID)
+	if (!bar) return
+
+	if (updatedAt) {
+		bar.querySelector('.preview-bar-updated').textContent = `Updated ${updatedAt.toLocaleTimeString()}`
+	}
+
+	if (errors) {
+		const problems = bar.querySelector('.preview-bar-problems')
+		const list = problems.querySelector('ul')
+		list.replaceChildren(
+			...errors.map((message) => {
+				const li = document.createElement('li')
+				li.textContent = message
+				return li
+			})
+		)
+		problems.querySelector('summary').textContent = `${errors.length} problem${errors.length === 1 ? '' : 's'}`
+		problems.hidden = errors.length === 0
+	}
+
+	// A successful check (errors given) clears the last fetch or syntax problem
+	const status = bar.querySelector('.preview-bar-status')
+	if (problem) {
+		status.textContent = problem
+		bar.classList.add('has-problem')
+	} else if (errors) {
+		status.textContent = `Preview: watching ${DATA_URL}`
+		bar.classList.remove('has-problem')
+	}
+}
@@ -0,0 +1,525 @@
+/**
+ * Release Status Module
+ * Status badges, live countdowns and "Add to calendar" for items and their `episodes`:
+ * - `releaseDate`: 'YYYY-MM-DD', 'YYYY-MM-DDTHH:mm' (launch time) or free text ("Q4 2025")
+ * - `timeZone`: IANA zone the date and time are in, e.g. 'Europe/London' (default UTC)
+ * - `status`: announced, coming-soon, early-access or released; flips to released by
+ *   itself once a dated launch has passed
+ * Launch times are shown in the release's own time zone, so the markup doesn't depend on
+ * where it was rendered (see scripts/prerender.mjs). The countdowns tick from
+ * startReleaseCountdowns (browser only), once a second while the tab is visible.
+ */
+
+import { t, formatDate, formatNumber, getLocale } from './i18n.js'
+import { createTextElement, downloadFile } from './domUtils.js'
+
+export const RELEASE_STATUSES = ['announced', 'coming-soon', 'early-access', 'released']
+
+const DEFAULT_TIME_ZONE = 'UTC'
+
+// 'YYYY-MM-DD' with an optional 'THH:mm' (local to the release's time zone)
+const LOCAL_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}))?$/
+
+// A date with its own offset, e.g. '2026-10-31T18:00:00Z' or '2026-10-31T18:00+01:00'
+const OFFSET_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})$/
+
+// Timed launches go in calendars as a one-hour event
+const EVENT_DURATION_MS = 60 * 60 * 1000
+
+const TICK_MS = 1000
+
+let tickTimer = null
+let countdownsStarted = false
+
+// Unknown time zones already warned about (each is looked up on every render and bind)
+const warnedTimeZones = new Set()
+
+/**
+ * @typedef {Object} Release
+ * @property {string} status - One of RELEASE_STATUSES, after the automatic flip
+ * @property {Date|null} date - The launch moment, or null for free-text dates
+ * @property {boolean} hasTime - Whether the date has a time of day
+ * @property {string} timeZone - IANA time zone
+ * @property {string} text - `releaseDate` as written (shown as-is when it isn't a date)
+ */
+
+/**
+ * Works out an item's or episode's release: its launch moment and current status
+ * @param {Object} entry - Item or episode with `releaseDate`, `status` and `timeZone`
+ * @param {number} [now=Date.now()]
+ * @returns {Release|null} Null when there is neither a status nor a release date
+ */
+export function getRelease(entry, now = Date.now()) {
+	const text = typeof entry?.releaseDate === 'string' ? entry.releaseDate.trim() : ''
+	const given = RELEASE_STATUSES.includes(entry?.status) ? entry.status : null
+	if (!text && !given) return null
+
+	const timeZone = getTimeZone(entry.timeZone)
+	const { date, hasTime } = parseReleaseDate(text, timeZone)
+
+	let status = given || (text ? 'coming-soon' : 'announced')
+	if (date && date.getTime() <= now) status = 'released'
+
+	return { status, date, hasTime, timeZone, text }
+}
+
+/**
+ * An entry's release date for display, in the release's own time zone
+ * @param {Object} entry - Item or episode data
+ * @returns {string} e.g. '31 October 2026, 18:00 GMT', or free text as written ('' without a date)
+ */
+export function formatReleaseDate(entry) {
+	const release = getRelease(entry)
+	if (!release) return ''
+	return release.date ? formatRelease(release) : release.text
+}
+
+/**
+ * Creates the badge, launch date, countdown and calendar button for a release
+ * @param {Object} entry - Item or episode data
+ * @param {Object} [options]
+ * @param {string} [options.name] - What is released, e.g. 'Hollowbrook: Episode 2' (calendar and labels)
+ * @param {string} [options.url] - Page for the calendar event (defaults to the card's detail
+ *   route, or this page)
+ * @returns {HTMLDivElement|null} Null when the entry has no release information
+ */
+export function createReleaseInfo(entry, options = {}) {
+	const release = getRelease(entry)
+	if (!release) return null
+
+	const info = document.createElement('div')
+	info.className = 'release-info'
+
+	const badge = document.createElement('span')
+	badge.className = `release-badge release-badge-${release.status}`
+	badge.setAttribute('role', 'status') // Announces the flip to "Released"
+	badge.textContent = t(`release.status.${release.status}`)
+	info.appendChild(badge)
+
+	if (release.status !== 'released') {
+		if (release.date) info.appendChild(createCountdown(release))
+		else if (release.text) info.appendChild(createTextElement('span', 'release-when', release.text))
+	}
+
+	if (release.date && release.status !== 'released') {
+		const button = document.createElement('button')
+		button.type = 'button'
+		button.className = 'release-calendar'
+		button.setAttribute('aria-label', t('release.addToCalendarFor', { name: options.name || '' }))
+		const icon = document.createElement('i')
+		icon.className = 'fas fa-calendar-plus'
+		icon.setAttribute('aria-hidden', 'true')
+		button.append(icon, ` ${t('release.addToCalendar')}`)
+		info.appendChild(button)
+	}
+
+	bindReleaseInfo(info, entry, options)
+	return info
+}
+
+/**
+ * Makes the calendar button download the .ics file (also used to hydrate prerendered markup)
+ * @param {HTMLElement} info - The `.release-info` element
+ * @param {Object} entry - Item or episode data it was made from
+ * @param {Object} [options] - As for createReleaseInfo
+ */
+export function bindReleaseInfo(info, entry, options = {}) {
+	const button = info.querySelector('.release-calendar')
+	if (!button) return
+
+	button.addEventListener('click', () => {
+		const release = getRelease(entry)
+		if (!release?.date) return
+		const name = options.name || document.title
+		const url = options.url || getPageUrl(info)
+		downloadFile(`${toFileName(name)}.ics`, createCalendarFile(release, name, url), 'text/calendar')
+	})
+}
+
+/**
+ * Creates the list of an item's episodes, each with its own release info
+ * @param {Object} item - Item data with `episodes`
+ * @returns {HTMLOListElement|null} Null when the item has no episodes
+ */
+export function createEpisodeList(item) {
+	const episodes = getEpisodes(item)
+	if (episodes.length === 0) return null
+
+	const list = document.createElement('ol')
+	list.className = 'episode-list'
+	list.setAttribute('aria-label', t('release.episodes', { name: item.heading || '' }))
+
+	episodes.forEach((episode) => {
+		const entry = document.createElement('li')
+		entry.className = 'episode'
+		entry.appendChild(createTextElement('span', 'episode-title', episode.title))
+		const info = createReleaseInfo(episode, getEpisodeOptions(item, episode))
+		if (info) entry.appendChild(info)
+		list.appendChild(entry)
+	})
+	return list
+}
+
+/**
+ * Hydrates a list made by createEpisodeList
+ * @param {HTMLOListElement} list
+ * @param {Object} item - The item data it was made from
+ */
+export function bindEpisodeList(list, item) {
+	const entries = list.querySelectorAll('.episode')
+	getEpisodes(item).forEach((episode, index) => {
+		const info = entries[index]?.querySelector('.release-info')
+		if (info) bindReleaseInfo(info, episode, getEpisodeOptions(item, episode))
+	})
+}
+
+/**
+ * Starts the countdowns on the page (safe to call again). Every countdown in the document
+ * is updated each second, so re-rendered ones need no registering; ticking stops while
+ * the tab is hidden and catches up when it comes back.
+ */
+export function startReleaseCountdowns() {
+	if (countdownsStarted) return
+	countdownsStarted = true
+
+	document.addEventListener('visibilitychange', () => {
+		if (document.hidden) stopTicking()
+		else startTicking()
+	})
+	if (!document.hidden) startTicking()
+}
+
+/**
+ * @param {Object} item
+ * @returns {Array<Object>} Episodes with a title
+ */
+function getEpisodes(item) {
+	return Array.isArray(item?.episodes) ? item.episodes.filter((episode) => episode && episode.title) : []
+}
+
+/**
+ * @param {Object} item
+ * @param {Object} episode
+ * @returns {{name: string}}
+ */
+function getEpisodeOptions(item, episode) {
+	return { name: item.heading ? `${item.heading}: ${episode.title}` : episode.title }
+}
+
+/**
+ * "Launches 31 October 2026, 18:00 GMT" with room for the live countdown. The ticking
+ * digits are hidden from screen readers, which get a sentence updated once a minute.
+ * @param {Release} release
+ * @returns {HTMLParagraphElement}
+ */
+function createCountdown(release) {
+	const countdown = document.createElement('p')
+	countdown.className = 'release-countdown'
+
+	const time = document.createElement('time')
+	time.setAttribute('datetime', release.date.toISOString())
+	time.textContent = formatRelease(release)
+	countdown.append(`${t('release.launches')} `, time)
+
+	const timer = document.createElement('span')
+	timer.className = 'release-timer'
+	timer.setAttribute('aria-hidden', 'true')
+	const spoken = document.createElement('span')
+	spoken.className = 'release-timer-text visually-hidden'
+	countdown.append(timer, spoken)
+
+	return countdown
+}
+
+/**
+ * @param {Release} release
+ * @returns {string} e.g. '31 October 2026, 18:00 GMT', or just the date without a time
+ */
+function formatRelease(release) {
+	const options = { year: 'numeric', month: 'long', day: 'numeric', timeZone: release.timeZone }
+	if (release.hasTime) Object.assign(options, { hour: '2-digit', minute: '2-digit', timeZoneName: 'short' })
+	return formatDate(release.date, options)
+}
+
+/**
+ * Starts the once-a-second update, updating straight away
+ */
+function startTicking() {
+	stopTicking()
+	tick()
+	tickTimer = setInterval(tick, TICK_MS)
+}
+
+/**
+ * Pauses the countdowns (the tab is hidden)
+ */
+function stopTicking() {
+	clearInterval(tickTimer)
+	tickTimer = null
+}
+
+/**
+ * Updates every countdown in the document; launches that have passed flip to "Released"
+ */
+function tick() {
+	const now = Date.now()
+	document.querySelectorAll('.release-countdown').forEach((countdown) => {
+		const launch = Date.parse(countdown.querySelector('time')?.getAttribute('datetime') || '')
+		if (Number.isNaN(launch)) return
+
+		const remaining = launch - now
+		if (remaining <= 0) {
+			markReleased(countdown.closest('.release-info'))
+			return
+		}
+
+		countdown.querySelector('.release-timer').textContent = formatTimer(remaining)
+		const spoken = countdown.querySelector('.release-timer-text')
+		const sentence = t('release.timeLeft', { time: formatRemaining(remaining) })
+		// Only changes once a minute, so screen readers aren't told about every second
+		if (spoken.textContent !== sentence) spoken.textContent = sentence
+	})
+}
+
+/**
+ * @param {HTMLElement|null} info - A `.release-info` element
+ */
+function markReleased(info) {
+	if (!info) return
+	const badge = info.querySelector('.release-badge')
+	badge.className = 'release-badge release-badge-released'
+	badge.textContent = t('release.status.released')
+	info.querySelectorAll('.release-countdown, .release-calendar').forEach((element) => element.remove())
+}
+
+/**
+ * @param {number} ms - Time left
+ * @returns {string} e.g. '3d 4h 12m 9s' (unit abbreviations from the active locale)
+ */
+function formatTimer(ms) {
+	const parts = splitDuration(ms)
+	const units = [
+		['day', parts.days],
+		['hour', parts.hours],
+		['minute', parts.minutes],
+		['second', parts.seconds],
+	]
+	// Leading zero units are dropped ("4h 12m 9s"), the rest always shown
+	const first = units.findIndex(([, value]) => value > 0)
+	return units
+		.slice(Math.max(first, 0))
+		.map(([unit, value]) => formatNumber(value, { style: 'unit', unit, unitDisplay: 'narrow' }))
+		.join(' ')
+}
+
+/**
+ * @param {number} ms - Time left
+ * @returns {string} e.g. '3 days, 4 hours and 12 minutes' in the active locale
+ */
+function formatRemaining(ms) {
+	const { days, hours, minutes } = splitDuration(ms)
+	if (days === 0 && hours === 0 && minutes === 0) return t('release.underMinute')
+
+	const parts = [
+		['day', days],
+		['hour', hours],
+		['minute', minutes],
+	]
+		.filter(([, value]) => value > 0)
+		.map(([unit, value]) => formatNumber(value, { style: 'unit', unit, unitDisplay: 'long' }))
+
+	try {
+		return new Intl.ListFormat(getLocale(), { style: 'long', type: 'conjunction' }).format(parts)
+	} catch {
+		return parts.join(', ')
+	}
+}
+
+/**
+ * @param {number} ms
+ * @returns {{days: number, hours: number, minutes: number, seconds: number}}
+ */
+function splitDuration(ms) {
+	const totalSeconds = Math.floor(ms / 1000)
+	return {
+		days: Math.floor(totalSeconds / 86400),
+		hours: Math.floor((totalSeconds % 86400) / 3600),
+		minutes: Math.floor((totalSeconds % 3600) / 60),
+		seconds: totalSeconds % 60,
+	}
+}
+
+/**
+ * @param {string} text - `releaseDate`
+ * @param {string} timeZone
+ * @returns {{date: Date|null, hasTime: boolean}}
+ */
+function parseReleaseDate(text, timeZone) {
+	if (OFFSET_DATE_PATTERN.test(text)) {
+		const date = new Date(text)
+		return { date: Number.isNaN(date.getTime()) ? null : date, hasTime: true }
+	}
+
+	const match = text.match(LOCAL_DATE_PATTERN)
+	if (!match) return { date: null, hasTime: false }
+
+	const [, year, month, day, hour = '00', minute = '00'] = match
+	const date = zonedTimeToDate([year, month, day, hour, minute].map(Number), timeZone)
+	return { date, hasTime: match[4] !== undefined }
+}
+
+/**
+ * The moment a wall-clock time happens in a time zone
+ * @param {number[]} parts - [year, month, day, hour, minute]
+ * @param {string} timeZone
+ * @returns {Date|null}
+ */
+function zonedTimeToDate([year, month, day, hour, minute], timeZone) {
+	const wallClock = Date.UTC(year, month - 1, day, hour, minute)
+	if (Number.isNaN(wallClock)) return null
+
+	// Guess with the zone's offset at the wall-clock time, then correct once across DST changes
+	let time = wallClock - getZoneOffset(wallClock, timeZone)
+	time = wallClock - getZoneOffset(time, timeZone)
+	return new Date(time)
+}
+
+/**
+ * @param {number} time - A moment (ms since the epoch)
+ * @param {string} timeZone
+ * @returns {number} How far the zone's wall clock is ahead of UTC at that moment, in ms
+ */
+function getZoneOffset(time, timeZone) {
+	const parts = new Intl.DateTimeFormat('en-US', {
+		timeZone,
+		hourCycle: 'h23',
+		year: 'numeric',
+		month: 'numeric',
+		day: 'numeric',
+		hour: 'numeric',
+		minute: 'numeric',
+		second: 'numeric',
+	}).formatToParts(new Date(time))
+	const value = (type) => Number(parts.find((part) => part.type === type).value)
+	const [year, month, day] = [value('year'), value('month'), value('day')]
+	const wallClock = Date.UTC(year, month - 1, day, value('hour'), value('minute'), value('second'))
+	return wallClock - Math.floor(time / 1000) * 1000
+}
+
+/**
+ * @param {string} [timeZone]
+ * @returns {string} The zone, or UTC when missing or unknown to the browser
+ */
+function getTimeZone(timeZone) {
+	if (!timeZone) return DEFAULT_TIME_ZONE
+	try {
+		new Intl.DateTimeFormat('en-US', { timeZone })
+		return timeZone
+	} catch {
+		if (!warnedTimeZones.has(timeZone)) {
+			warnedTimeZones.add(timeZone)
+			console.warn(`⚠️ Unknown time zone "${timeZone}", using ${DEFAULT_TIME_ZONE}`)
+		}
+		return DEFAULT_TIME_ZONE
+	}
+}
+
+/**
+ * @param {HTMLElement} info - A `.release-info` element
+ * @returns {string} The detail route of the card it is on, or the current page
+ */
+function getPageUrl(info) {
+	const hash = info.closest('[data-detail-hash]')?.dataset.detailHash
+	return hash ? `${location.href.split('#')[0]}${hash}` : location.href
+}
+
+/**
+ * Builds an iCalendar file with one event for the launch: all-day for a date, an hour
+ * from the launch time otherwise
+ * @param {Release} release
+ * @param {string} name - Event title
+ * @param {string} url - Page the event links to
+ * @returns {string}
+ */
+function createCalendarFile(release, name, url) {
+	const start = release.date
+	const timing = release.hasTime
+		? [`DTSTART:${toIcsTime(start)}`, `DTEND:${toIcsTime(new Date(start.getTime() + EVENT_DURATION_MS))}`]
+		: [`DTSTART;VALUE=DATE:${toIcsDay(release.text)}`, `DTEND;VALUE=DATE:${toIcsDay(release.text, 1)}`]
+
+	const lines = [
+		'BEGIN:VCALENDAR',
+		'VERSION:2.0',
+		`PRODID:-//${location.hostname || 'localhost'}//Release calendar//EN`,
+		'CALSCALE:GREGORIAN',
+		'METHOD:PUBLISH',
+		'BEGIN:VEVENT',
+		`UID:${toFileName(name)}-${toIcsTime(start)}@${location.hostname || 'localhost'}`,
+		`DTSTAMP:${toIcsTime(new Date())}`,
+		...timing,
+		`SUMMARY:${escapeIcsText(t('release.calendarTitle', { name }))}`,
+		`URL:${url}`,
+		`DESCRIPTION:${escapeIcsText(url)}`,
+		'END:VEVENT',
+		'END:VCALENDAR',
+	]
+	return `${lines.map(foldIcsLine).join('\r\n')}\r\n`
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} UTC, e.g. '20261031T180000Z'
+ */
+function toIcsTime(date) {
+	return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+/**
+ * @param {string} text - 'YYYY-MM-DD…'
+ * @param {number} [addDays=0]
+ * @returns {string} e.g. '20261031'
+ */
+function toIcsDay(text, addDays = 0) {
+	const [year, month, day] = text.slice(0, 10).split('-').map(Number)
+	return new Date(Date.UTC(year, month - 1, day + addDays)).toISOString().slice(0, 10).replace(/-/g, '')
+}
+
+/**
+ * @param {string} text
+ * @returns {string} With iCalendar's special characters escaped
+ */
+function escapeIcsText(text) {
+	return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n')
+}
+
+/**
+ * iCalendar lines are at most 75 characters; longer ones continue after a space, which
+ * counts towards the limit (exported for scripts/check.mjs)
+ * @param {string} line
+ * @returns {string}
+ */
+export function foldIcsLine(line) {
+	const chunks = []
+	let start = 0
+	while (start < line.length) {
+		const length = chunks.length === 0 ? 75 : 74
+		chunks.push(line.slice(start, start + length))
+		start += length
+	}
+	return chunks.join('\r\n ')
+}
+
+/**
+ * @param {string} name
+ * @returns {string} e.g. 'hollowbrook-episode-2'
+ */
+function toFileName(name) {
+	return (
+		String(name)
+			.toLowerCase()
+			.normalize('NFKD')
+			.replace(/[\u0300-\u036f]/g, '')
+			.replace(/[^a-z0-9]+/g, '-')
+			.replace(/^-+|-+$/g, '') || 'release'
+	)
+}
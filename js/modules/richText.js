@@ -0,0 +1,400 @@
+/**
+ * Rich Text Module
+ * Renders the text fields of data.json (item text, descriptions, modal content...)
+ * as DOM nodes - never via innerHTML, so nothing in the data can inject markup or scripts.
+ *
+ * A text field can be:
+ * - a string, written in a small Markdown subset (see below)
+ * - an array of blocks, each either a Markdown string or a block object:
+ *   { "type": "paragraph", "text": "..." }
+ *   { "type": "heading", "text": "...", "level": 1 }
+ *   { "type": "list", "items": ["...", "..."], "ordered": false }
+ *   { "type": "updated", "date": "2025-06-01" }
+ *
+ * Markdown subset:
+ * - Blank line: new paragraph, single line break: <br>
+ * - "# ", "## ", "### ": headings (levels are relative to the surrounding page)
+ * - "- " or "* ": bullet list, "1. ": numbered list
+ * - **bold**, *italic* or _italic_, `code`, [link text](url), \* to escape
+ */
+
+import { t, formatDate } from './i18n.js'
+
+const SAFE_URL_SCHEMES = ['http:', 'https:', 'mailto:', 'tel:']
+
+const HEADING_PATTERN = /^(#{1,3})\s+(.*)$/
+const BULLET_PATTERN = /^[-*]\s+(.*)$/
+const NUMBERED_PATTERN = /^\d+[.)]\s+(.*)$/
+const LINK_PATTERN = /^\[([^\]]+)\]\(\s*([^)\s]+)\s*\)/
+const ESCAPABLE = '\\`*_[]()#-.!'
+
+/**
+ * Appends rich text to a container
+ * @param {HTMLElement} container - Element to append to
+ * @param {string|Array<string|Object>} content - A text field from data.json
+ * @param {Object} [options]
+ * @param {string} [options.paragraphClass] - Class for generated paragraphs (e.g. 'item-text')
+ * @param {number} [options.headingLevel=3] - Element level used for "#" headings
+ * @returns {HTMLElement} The container
+ */
+export function appendRichText(container, content, options = {}) {
+	const blocks = Array.isArray(content) ? content : [content]
+
+	blocks.forEach((block) => {
+		if (typeof block === 'string') {
+			appendMarkdown(container, block, options)
+		} else if (block && typeof block === 'object') {
+			appendBlock(container, block, options)
+		}
+	})
+
+	return container
+}
+
+/**
+ * Appends a single line of inline Markdown (bold, italic, code, links, line breaks)
+ * @param {HTMLElement} parent
+ * @param {string} text
+ * @returns {HTMLElement} The parent
+ */
+export function appendInlineText(parent, text) {
+	const source = String(text ?? '')
+	let buffer = ''
+	let i = 0
+
+	const flush = () => {
+		if (buffer) parent.appendChild(document.createTextNode(buffer))
+		buffer = ''
+	}
+
+	while (i < source.length) {
+		const char = source[i]
+		const rest = source.slice(i)
+
+		// Backslash escapes, e.g. \* for a literal asterisk
+		if (char === '\\' && i + 1 < source.length && ESCAPABLE.includes(source[i + 1])) {
+			buffer += source[i + 1]
+			i += 2
+			continue
+		}
+
+		if (char === '\n') {
+			flush()
+			parent.appendChild(document.createElement('br'))
+			i += 1
+			continue
+		}
+
+		if (rest.startsWith('**')) {
+			const end = source.indexOf('**', i + 2)
+			if (end > i + 2) {
+				flush()
+				const strong = document.createElement('strong')
+				appendInlineText(strong, source.slice(i + 2, end))
+				parent.appendChild(strong)
+				i = end + 2
+				continue
+			}
+		}
+
+		if ((char === '*' || char === '_') && isEmphasisStart(source, i)) {
+			const end = findEmphasisEnd(source, i)
+			if (end !== -1) {
+				flush()
+				const em = document.createElement('em')
+				appendInlineText(em, source.slice(i + 1, end))
+				parent.appendChild(em)
+				i = end + 1
+				continue
+			}
+		}
+
+		if (char === '`') {
+			const end = source.indexOf('`', i + 1)
+			if (end > i + 1) {
+				flush()
+				const code = document.createElement('code')
+				code.textContent = source.slice(i + 1, end)
+				parent.appendChild(code)
+				i = end + 1
+				continue
+			}
+		}
+
+		if (char === '[') {
+			const match = rest.match(LINK_PATTERN)
+			if (match) {
+				flush()
+				parent.appendChild(createLink(match[1], match[2]))
+				i += match[0].length
+				continue
+			}
+		}
+
+		buffer += char
+		i += 1
+	}
+
+	flush()
+	return parent
+}
+
+/**
+ * Flattens rich text to a single line of plain text (e.g. for meta descriptions)
+ * @param {string|Array<string|Object>} content - A text field from data.json
+ * @returns {string}
+ */
+export function getPlainText(content) {
+	const container = appendRichText(document.createElement('div'), content)
+	container.querySelectorAll('br').forEach((br) => br.replaceWith(' '))
+	return [...container.querySelectorAll('p, li, h3, h4, h5, h6')]
+		.map((el) => el.textContent)
+		.join(' ')
+		.replace(/\s+/g, ' ')
+		.trim()
+}
+
+/**
+ * Checks a link target: http(s), mailto, tel and relative URLs (including #routes) are
+ * allowed; anything else (javascript:, data:...) is rejected
+ * @param {string} url
+ * @returns {string|null} The URL to use, or null when unsafe
+ */
+export function getSafeUrl(url) {
+	const trimmed = String(url ?? '').trim()
+
+	// Browsers ignore control characters and spaces inside a scheme ("java\tscript:"), so the
+	// scheme is checked without them; the URL itself is kept as written ("press kit.zip")
+	const stripped = trimmed.replace(/[\x00-\x20]/g, '')
+	if (!stripped) return null
+
+	const scheme = stripped.match(/^([a-z][a-z0-9+.-]*:)/i)
+	if (!scheme) return trimmed // Relative URL
+	return SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase()) ? trimmed : null
+}
+
+/**
+ * Appends a Markdown string: headings, lists and paragraphs
+ * @param {HTMLElement} container
+ * @param {string} markdown
+ * @param {Object} options - See appendRichText
+ */
+function appendMarkdown(container, markdown, options) {
+	const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n')
+	let paragraphLines = []
+	let list = null
+
+	const flushParagraph = () => {
+		if (paragraphLines.length > 0) {
+			container.appendChild(createParagraph(paragraphLines.join('\n'), options))
+		}
+		paragraphLines = []
+	}
+
+	lines.forEach((line) => {
+		const trimmed = line.trim()
+		const heading = trimmed.match(HEADING_PATTERN)
+		const bullet = trimmed.match(BULLET_PATTERN)
+		const numbered = trimmed.match(NUMBERED_PATTERN)
+
+		if (bullet || numbered) {
+			flushParagraph()
+			const ordered = Boolean(numbered)
+			if (!list || (list.tagName === 'OL') !== ordered) {
+				list = createList(ordered)
+				container.appendChild(list)
+			}
+			list.appendChild(createListItem((bullet || numbered)[1]))
+			return
+		}
+
+		list = null
+
+		if (!trimmed) {
+			flushParagraph()
+		} else if (heading) {
+			flushParagraph()
+			container.appendChild(createHeading(heading[2], heading[1].length, options))
+		} else {
+			paragraphLines.push(trimmed)
+		}
+	})
+
+	flushParagraph()
+}
+
+/**
+ * Appends a structured block object
+ * @param {HTMLElement} container
+ * @param {Object} block - { type, text, level, items, ordered, date }
+ * @param {Object} options - See appendRichText
+ */
+function appendBlock(container, block, options) {
+	switch (block.type) {
+		case 'paragraph':
+			container.appendChild(createParagraph(block.text, options))
+			break
+
+		case 'heading':
+			container.appendChild(createHeading(block.text, block.level || 1, options))
+			break
+
+		case 'list': {
+			const list = createList(Boolean(block.ordered))
+			const items = Array.isArray(block.items) ? block.items : []
+			items.forEach((item) => list.appendChild(createListItem(item)))
+			container.appendChild(list)
+			break
+		}
+
+		case 'updated':
+			container.appendChild(createUpdatedLine(block.date, options))
+			break
+
+		default:
+			console.warn('⚠️ Unknown text block type:', block.type)
+			break
+	}
+}
+
+/**
+ * @param {string} text - Inline Markdown
+ * @param {Object} options - See appendRichText
+ * @returns {HTMLParagraphElement}
+ */
+function createParagraph(text, options) {
+	const p = document.createElement('p')
+	if (options.paragraphClass) p.className = options.paragraphClass
+	appendInlineText(p, text)
+	return p
+}
+
+/**
+ * @param {string} text - Inline Markdown
+ * @param {number} level - 1 for "#", 2 for "##"...
+ * @param {Object} options - See appendRichText
+ * @returns {HTMLHeadingElement}
+ */
+function createHeading(text, level, options) {
+	const base = options.headingLevel || 3
+	const tag = `h${Math.min(6, base + Math.max(1, Math.min(3, Number(level) || 1)) - 1)}`
+	const heading = document.createElement(tag)
+	heading.className = 'rich-heading'
+	appendInlineText(heading, text)
+	return heading
+}
+
+/**
+ * @param {boolean} ordered
+ * @returns {HTMLUListElement|HTMLOListElement}
+ */
+function createList(ordered) {
+	const list = document.createElement(ordered ? 'ol' : 'ul')
+	list.className = 'rich-list'
+	return list
+}
+
+/**
+ * @param {string} text - Inline Markdown
+ * @returns {HTMLLIElement}
+ */
+function createListItem(text) {
+	const li = document.createElement('li')
+	appendInlineText(li, text)
+	return li
+}
+
+/**
+ * Creates a "Last updated: <date>" line for legal pages
+ * @param {string} date - ISO date, e.g. "2025-06-01"
+ * @param {Object} options - See appendRichText
+ * @returns {HTMLParagraphElement}
+ */
+function createUpdatedLine(date, options) {
+	const p = document.createElement('p')
+	p.className = ['rich-updated', options.paragraphClass].filter(Boolean).join(' ')
+
+	const time = document.createElement('time')
+	time.dateTime = String(date || '')
+	time.textContent = formatDate(date)
+
+	const [before, after = ''] = t('richText.updated').split('{date}')
+	p.appendChild(document.createTextNode(before))
+	p.appendChild(time)
+	if (after) p.appendChild(document.createTextNode(after))
+	return p
+}
+
+/**
+ * Creates a link, or plain text when the URL is unsafe.
+ * Links to other sites open in a new tab.
+ * @param {string} text - Inline Markdown for the link text
+ * @param {string} url
+ * @returns {HTMLAnchorElement|Text}
+ */
+function createLink(text, url) {
+	const href = getSafeUrl(url)
+	if (!href) {
+		console.warn('⚠️ Blocked unsafe link:', url)
+		return document.createTextNode(text)
+	}
+
+	const link = document.createElement('a')
+	link.className = 'rich-link'
+	link.href = href
+	appendInlineText(link, text)
+
+	if (isExternal(href)) {
+		link.target = '_blank'
+		link.rel = 'noopener noreferrer'
+	}
+	return link
+}
+
+/**
+ * @param {string} href
+ * @returns {boolean} True for http(s) links to another origin
+ */
+function isExternal(href) {
+	try {
+		const url = new URL(href, location.href)
+		return /^https?:$/.test(url.protocol) && url.origin !== location.origin
+	} catch {
+		return false
+	}
+}
+
+/**
+ * An emphasis marker opens only at a word start, so snake_case and 2*3 stay as typed
+ * @param {string} source
+ * @param {number} index
+ * @returns {boolean}
+ */
+function isEmphasisStart(source, index) {
+	const prev = source[index - 1]
+	const next = source[index + 1]
+	return (!prev || !/\w/.test(prev)) && next !== undefined && !/\s/.test(next)
+}
+
+/**
+ * Finds the closing emphasis marker matching the one at index
+ * @param {string} source
+ * @param {number} index
+ * @returns {number} Index of the closing marker, or -1
+ */
+function findEmphasisEnd(source, index) {
+	const marker = source[index]
+	let end = source.indexOf(marker, index + 2)
+	while (end !== -1) {
+		// Skip over **bold** markers inside *italic* text
+		if (source[end + 1] === marker) {
+			end = source.indexOf(marker, end + 2)
+			continue
+		}
+		const prev = source[end - 1]
+		const next = source[end + 1]
+		if (!/\s/.test(prev) && (!next || !/\w/.test(next))) return end
+		end = source.indexOf(marker, end + 1)
+	}
+	return -1
+}
@@ -0,0 +1,463 @@
+/**
+ * Router Module
+ * Small hash router that owns the URL:
+ * - #/                         home
+ * - #/<section>                scroll to a section, e.g. #/about
+ * - #/<section>/<item>         item detail view, e.g. #/games/hollowbrook-apartments
+ * - #/<modal-id> or #<modal-id> modals, e.g. #/privacy (the legacy #privacy keeps working)
+ * - #/<name>/...               custom pages added with registerRoute()
+ * It also restores scroll position on Back/Forward and keeps title and OG tags in sync.
+ */
+
+import { openModal, closeModal, getOpenModalId, onModalCloseRequest } from './modalRenderer.js'
+import { getDetailId } from './detailRenderer.js'
+import { hasItemDetails } from './sectionRenderer.js'
+import { getSectionSlug, getItemSlug, getItemPagePath } from './slugUtils.js'
+import { updateRouteMeta } from './metaRenderer.js'
+import { t } from './i18n.js'
+import { getPlainText } from './richText.js'
+import { isNewsSection, getPostExcerpt } from './newsRenderer.js'
+
+// Scroll positions per history entry, kept across reloads for the current tab
+const SCROLL_STORAGE_KEY = 'routerScrollPositions'
+const MAX_SCROLL_ENTRIES = 50
+
+const customRoutes = new Map()
+let siteData = {}
+let isStarted = false
+let currentEntryKey = null
+let activeCustomRoute = null
+let scrollPositions = loadScrollPositions()
+let scrollFrame = 0
+
+/**
+ * Registers a custom page route, e.g. registerRoute('presskit', { enter, leave })
+ * @param {string} name - First path segment the route answers to
+ * @param {Object} handler
+ * @param {(params: string[], data: Object) => (Object|null)} handler.enter - Shows the page for the
+ *   remaining path segments; returns route meta ({title, description, image}) or null if nothing matched.
+ *   The site name is added to the title, as for the built-in routes.
+ * @param {() => void} [handler.leave] - Hides the page again
+ */
+export function registerRoute(name, handler) {
+	if (!name || !handler || typeof handler.enter !== 'function') {
+		console.warn('⚠️ Invalid route registration:', name)
+		return
+	}
+	customRoutes.set(name, handler)
+}
+
+/**
+ * Starts the router (once) and resolves the current URL.
+ * Call again with fresh data after re-rendering; listeners are only attached the first time.
+ * @param {Object} data - The full validated data.json content
+ */
+export function initRouter(data) {
+	siteData = data || {}
+
+	if (!isStarted) {
+		if ('scrollRestoration' in history) history.scrollRestoration = 'manual'
+		window.addEventListener('hashchange', handleRouteChange)
+		window.addEventListener('scroll', rememberScrollPosition, { passive: true })
+		window.addEventListener('pagehide', saveScrollPositions)
+		onModalCloseRequest(closeModalRoute)
+		isStarted = true
+	}
+
+	handleRouteChange()
+}
+
+/**
+ * Navigates to a hash route
+ * @param {string} hash - e.g. '#/games' or '/games'
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=false] - Replace the current history entry instead of adding one
+ */
+export function navigate(hash, { replace = false } = {}) {
+	const target = normalizeHash(hash)
+
+	if (replace) {
+		// Keep the depth so closing a modal still knows whether Back stays on the site
+		history.replaceState({ routeDepth: history.state?.routeDepth ?? 0 }, '', target)
+		handleRouteChange()
+	} else if (location.hash === target) {
+		handleRouteChange()
+	} else {
+		location.hash = target // fires hashchange
+	}
+}
+
+/**
+ * Runs a re-render of the page (e.g. a language switch or a live preview update) without
+ * losing the visitor's place: the page's scroll position and the open modal's are put back
+ * once the new content has laid out
+ * @param {() => void} render - Rebuilds the page, then calls initRouter() to reopen the route
+ */
+export function keepScrollPosition(render) {
+	const pageY = window.scrollY
+	const modalId = getOpenModalId()
+	const modalY = modalId ? document.querySelector(`#modal-${modalId} .modal-dialog`)?.scrollTop || 0 : 0
+
+	render()
+
+	requestAnimationFrame(() => {
+		window.scrollTo(0, pageY)
+		const dialog = modalId ? document.querySelector(`#modal-${modalId}.open .modal-dialog`) : null
+		if (dialog) dialog.scrollTop = modalY
+	})
+}
+
+/**
+ * Splits the current hash into path segments
+ * @param {string} hash - e.g. '#/games/hollowbrook-apartments'
+ * @returns {string[]} e.g. ['games', 'hollowbrook-apartments']
+ */
+export function parseHash(hash = location.hash) {
+	return String(hash)
+		.replace(/^#\/?/, '')
+		.split('/')
+		.filter(Boolean)
+		.map((segment) => {
+			try {
+				return decodeURIComponent(segment)
+			} catch {
+				return segment
+			}
+		})
+}
+
+/**
+ * Ensures a hash starts with '#/'
+ * @param {string} hash
+ * @returns {string}
+ */
+function normalizeHash(hash) {
+	return `#/${String(hash).replace(/^#?\/?/, '')}`
+}
+
+/**
+ * Works out what a list of path segments points at
+ * @param {string[]} segments
+ * @returns {Object} Route description with a `type` of home, custom, modal, section, item or notFound
+ */
+function resolveRoute(segments) {
+	if (segments.length === 0) return { type: 'home' }
+
+	const [first, ...rest] = segments
+
+	if (customRoutes.has(first)) {
+		return { type: 'custom', name: first, params: rest }
+	}
+
+	const modals = Array.isArray(siteData.modals) ? siteData.modals : []
+	const modal = modals.find((m) => m.id === first)
+	if (modal && rest.length === 0) return { type: 'modal', modal }
+
+	const sections = Array.isArray(siteData.sections) ? siteData.sections : []
+	const section = sections.find((s) => getSectionSlug(s) === first)
+	if (section) {
+		const sectionSlug = getSectionSlug(section)
+		if (rest.length === 0) return { type: 'section', section, sectionSlug }
+
+		const items = Array.isArray(section.items) ? section.items : []
+		const item = items.find((i) => getItemSlug(i) === rest[0])
+		if (item && rest.length === 1) return { type: 'item', section, sectionSlug, item }
+	}
+
+	return { type: 'notFound', path: segments.join('/') }
+}
+
+/**
+ * Applies the route in the current URL
+ */
+function handleRouteChange() {
+	const route = resolveRoute(parseHash())
+	const entry = trackHistoryEntry()
+
+	// Close whatever the previous route opened
+	const targetModalId = getRouteModalId(route)
+	const openId = getOpenModalId()
+	if (openId && openId !== targetModalId) closeModal(openId)
+
+	if (activeCustomRoute && !(route.type === 'custom' && route.name === activeCustomRoute)) {
+		customRoutes.get(activeCustomRoute)?.leave?.()
+		activeCustomRoute = null
+	}
+
+	hideNotFound()
+
+	let routeMeta = {}
+	let scrollTarget = null
+
+	switch (route.type) {
+		case 'custom': {
+			const result = customRoutes.get(route.name).enter(route.params, siteData)
+			if (result) {
+				activeCustomRoute = route.name
+				routeMeta = { ...result, title: formatTitle(result.title) }
+				break
+			}
+			routeMeta = showNotFound(parseHash().join('/'))
+			break
+		}
+
+		case 'modal':
+			openModal(route.modal.id)
+			routeMeta = { title: formatTitle(route.modal.title), description: toPlainText(route.modal.content) }
+			break
+
+		case 'section':
+			scrollTarget = document.querySelector(`.section[data-slug="${route.sectionSlug}"]`)
+			routeMeta = { title: formatTitle(route.section.title), description: describeSection(route.section) }
+			break
+
+		case 'item':
+			if (targetModalId) {
+				openModal(targetModalId)
+			} else {
+				scrollTarget = document.querySelector(
+					`.section[data-slug="${route.sectionSlug}"] .item[data-slug="${getItemSlug(route.item)}"]`
+				)
+			}
+			routeMeta = getItemRouteMeta(siteData, route.section, route.item)
+			break
+
+		case 'notFound':
+			routeMeta = showNotFound(route.path)
+			break
+
+		default:
+			break
+	}
+
+	updateRouteMeta(routeMeta)
+	applyScroll(entry, route, scrollTarget)
+}
+
+/**
+ * Title, description, card image and share page of an item's detail route. The router
+ * applies them when the route opens; scripts/prerender.mjs writes them into the share page.
+ * An item's `meta` block overrides what its link shows when shared.
+ * @param {Object} data - The full validated data.json content
+ * @param {Object} section - The section the item belongs to
+ * @param {Object} item
+ * @returns {Object} Route meta for updateRouteMeta() (metaRenderer.js)
+ */
+export function getItemRouteMeta(data, section, item) {
+	const routeMeta = {
+		title: formatTitle(item.meta?.title || item.heading || section.title, data),
+		description: toPlainText(item.meta?.description || describeItem(item, section)),
+		image: item.meta?.image || item.image,
+		imageAlt: item.heading,
+		path: getItemPagePath(getSectionSlug(section), item),
+	}
+	if (isNewsSection(section)) {
+		routeMeta.article = { publishedTime: item.date, author: item.author, tags: item.tags }
+	}
+	return routeMeta
+}
+
+/**
+ * Modal id a route opens, if any
+ * @param {Object} route
+ * @returns {string|null}
+ */
+function getRouteModalId(route) {
+	if (route.type === 'modal') return route.modal.id
+	if (route.type === 'item' && hasItemDetails(route.item)) return getDetailId(route.sectionSlug, route.item)
+	return null
+}
+
+/**
+ * Called when the user closes a modal (× button, ESC, backdrop): go back if we
+ * navigated here inside the site, otherwise replace the URL with the parent route
+ * @param {string} id - Modal id
+ */
+function closeModalRoute(id) {
+	if (history.state?.routeDepth > 0) {
+		history.back()
+		return
+	}
+
+	const route = resolveRoute(parseHash())
+	const parent = route.type === 'item' ? `#/${route.sectionSlug}` : '#/'
+	closeModal(id)
+	navigate(parent, { replace: true })
+}
+
+/**
+ * Tags the current history entry with a key (for scroll restore) and a depth
+ * (how many in-site navigations led here)
+ * @returns {{key: string, isNew: boolean}}
+ */
+function trackHistoryEntry() {
+	const state = history.state || {}
+	if (state.routeKey) {
+		currentEntryKey = state.routeKey
+		return { key: state.routeKey, isNew: false }
+	}
+
+	const previousDepth = currentEntryKey ? (scrollPositions[currentEntryKey]?.depth ?? 0) : -1
+	const key = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`
+	const depth = typeof state.routeDepth === 'number' ? state.routeDepth : previousDepth + 1
+
+	history.replaceState({ ...state, routeKey: key, routeDepth: depth }, '')
+	currentEntryKey = key
+	scrollPositions[key] = { y: window.scrollY, depth }
+	return { key, isNew: true }
+}
+
+/**
+ * Restores the saved scroll position for entries we have seen before (Back/Forward, reload),
+ * otherwise scrolls to the route target
+ * @param {{key: string, isNew: boolean}} entry
+ * @param {Object} route
+ * @param {HTMLElement|null} scrollTarget
+ */
+function applyScroll(entry, route, scrollTarget) {
+	requestAnimationFrame(() => {
+		if (!entry.isNew && typeof scrollPositions[entry.key]?.y === 'number') {
+			window.scrollTo(0, scrollPositions[entry.key].y)
+			return
+		}
+
+		if (scrollTarget) {
+			scrollTarget.scrollIntoView({ behavior: 'smooth', block: 'start' })
+			focusWithoutScroll(scrollTarget.querySelector('.section-title') || scrollTarget)
+		} else if (route.type === 'home' || route.type === 'notFound') {
+			window.scrollTo(0, 0)
+		}
+	})
+}
+
+/**
+ * Moves focus to an element (making it focusable if needed) without jumping the page
+ * @param {HTMLElement} el
+ */
+function focusWithoutScroll(el) {
+	if (!el.hasAttribute('tabindex')) el.setAttribute('tabindex', '-1')
+	el.focus({ preventScroll: true })
+}
+
+/**
+ * Records the scroll position of the current history entry (once per frame)
+ */
+function rememberScrollPosition() {
+	if (scrollFrame || !currentEntryKey) return
+	scrollFrame = requestAnimationFrame(() => {
+		scrollFrame = 0
+		// Modals lock the page; their own entry keeps the page position underneath
+		if (getOpenModalId()) return
+		const record = scrollPositions[currentEntryKey] || { depth: 0 }
+		record.y = window.scrollY
+		scrollPositions[currentEntryKey] = record
+	})
+}
+
+/**
+ * Loads scroll positions saved for this tab
+ * @returns {Object<string, {y: number, depth: number}>}
+ */
+function loadScrollPositions() {
+	try {
+		return JSON.parse(sessionStorage.getItem(SCROLL_STORAGE_KEY)) || {}
+	} catch {
+		return {}
+	}
+}
+
+/**
+ * Saves scroll positions for this tab, keeping only the most recent entries
+ */
+function saveScrollPositions() {
+	try {
+		const keys = Object.keys(scrollPositions)
+		keys.slice(0, Math.max(0, keys.length - MAX_SCROLL_ENTRIES)).forEach((key) => delete scrollPositions[key])
+		sessionStorage.setItem(SCROLL_STORAGE_KEY, JSON.stringify(scrollPositions))
+	} catch {
+		// sessionStorage unavailable (private mode, quota) - scroll restore is best-effort
+	}
+}
+
+/**
+ * Shows a friendly "not found" notice above the content
+ * @param {string} path - The unknown path
+ * @returns {Object} Route meta for the notice
+ */
+function showNotFound(path) {
+	console.warn('⚠️ Unknown route:', path)
+
+	const main = document.getElementById('main-content')
+	if (main) {
+		const notice = document.createElement('div')
+		notice.id = 'route-notice'
+		notice.className = 'route-notice'
+		notice.setAttribute('role', 'status')
+
+		const message = document.createElement('p')
+		message.textContent = t('router.notFound', { path })
+
+		const homeLink = document.createElement('a')
+		homeLink.href = '#/'
+		homeLink.className = 'route-notice-link'
+		homeLink.textContent = t('router.backHome')
+
+		notice.appendChild(message)
+		notice.appendChild(homeLink)
+		main.prepend(notice)
+	}
+
+	return { title: formatTitle(t('router.notFoundTitle')) }
+}
+
+/**
+ * Removes the "not found" notice if present
+ */
+function hideNotFound() {
+	document.getElementById('route-notice')?.remove()
+}
+
+/**
+ * Builds a document title for a route, e.g. "About Yetiface - Yetiface Games"
+ * @param {string} title
+ * @param {Object} [data] - The full validated data.json content (default: the router's)
+ * @returns {string}
+ */
+function formatTitle(title, data = siteData) {
+	const siteName = data.header?.title || data.meta?.title || ''
+	if (!title) return ''
+	return siteName && title !== siteName ? `${title} - ${siteName}` : title
+}
+
+/**
+ * Short description for a section, taken from its first item with text
+ * @param {Object} section
+ * @returns {string}
+ */
+function describeSection(section) {
+	const items = Array.isArray(section.items) ? section.items : []
+	const withText = items.find((item) => item.text || item.description || item.excerpt || item.body)
+	return withText ? toPlainText(describeItem(withText, section)) : ''
+}
+
+/**
+ * Description text for an item: a post's excerpt, otherwise its long or card text
+ * @param {Object} item
+ * @param {Object} section - The section the item belongs to
+ * @returns {string|Array}
+ */
+function describeItem(item, section) {
+	if (isNewsSection(section)) return getPostExcerpt(item)
+	return item.description || item.text
+}
+
+/**
+ * Flattens rich text into one line, trimmed to a meta-description length (also used for the
+ * descriptions custom routes return)
+ * @param {string|Array} value - A text field from data.json (see richText.js)
+ * @returns {string}
+ */
+export function toPlainText(value) {
+	const text = value ? getPlainText(value) : ''
+	return text.length > 160 ? `${text.slice(0, 157).trimEnd()}…` : text
+}
@@ -1,8 +1,49 @@
 /**
  * Section Renderer Module
- * Handles the creation and rendering of content sections and items
+ * Handles the creation and rendering of content sections and items.
+ * A section's `type` picks its layout from a registry (see registerSectionType):
+ * cards (default), news, gallery, timeline, faq, team, quote, hero and newsletter.
  */
 
+import { getSectionSlug, getItemSlug, getItemHash } from './slugUtils.js'
+import { registerItemFields } from './dataSchema.js'
+import { t } from './i18n.js'
+import { normalizeImages, createThumbnailStrip, bindThumbnailStrip } from './lightbox.js'
+import { createTrailer, bindTrailer } from './trailerRenderer.js'
+import { appendRichText } from './richText.js'
+import { watchImageLoad } from './imageUtils.js'
+import { createNewsPosts, hydrateNewsSection } from './newsRenderer.js'
+import {
+	createGallery,
+	hydrateGallery,
+	createTimeline,
+	createFaq,
+	createTeam,
+	createQuotes,
+	createHero,
+	hydrateHero,
+	hydrateImages,
+} from './sectionTypes.js'
+import { createNewsletterSection, hydrateNewsletterSection } from './newsletter.js'
+import { attachStoreInfo } from './steamStore.js'
+import { createStoreButtons, bindStoreButtons } from './storeLinks.js'
+import { createReleaseInfo, bindReleaseInfo, createEpisodeList, bindEpisodeList } from './releaseStatus.js'
+
+const DEFAULT_SECTION_TYPE = 'cards'
+
+// Section type name -> { render, hydrate } (see registerSectionType)
+const sectionTypeRegistry = new Map()
+
+registerSectionType(DEFAULT_SECTION_TYPE, createCards, { hydrate: hydrateCards })
+registerSectionType('news', createNewsPosts, { hydrate: hydrateNewsSection })
+registerSectionType('gallery', createGallery, { hydrate: hydrateGallery })
+registerSectionType('timeline', createTimeline, { hydrate: hydrateImages })
+registerSectionType('faq', createFaq, { hydrate: hydrateImages })
+registerSectionType('team', createTeam, { hydrate: hydrateImages })
+registerSectionType('quote', createQuotes, { hydrate: hydrateImages })
+registerSectionType('hero', createHero, { hydrate: hydrateHero })
+registerSectionType('newsletter', createNewsletterSection, { hydrate: hydrateNewsletterSection })
+
 // Simple intersection observer for lazy loading
 const lazyLoadObserver = new IntersectionObserver(
 	(entries) => {
@@ -50,17 +91,124 @@ export function renderSections(sections) {
 		return
 	}
 
-	// Render each section
-	sections.forEach((section, index) => {
-		const sectionElement = createSectionElement(section)
-		mainContent.appendChild(sectionElement)
+	// Render each section (one that fails is replaced by a short note; the others still render)
+	sections.forEach((section) => {
+		mainContent.appendChild(createSectionSafely(section))
+	})
+}
+
+/**
+ * Attaches behaviour (lazy loading, trailers, screenshots, Steam buttons, detail links)
+ * to sections already in the page, e.g. prerendered by scripts/prerender.mjs.
+ * The markup must have been rendered from the same sections.
+ * @param {Array} sections - Array of section objects from JSON data
+ */
+export function hydrateSections(sections) {
+	const mainContent = document.getElementById('main-content')
+	if (!mainContent || !Array.isArray(sections)) return
+
+	const sectionElements = mainContent.querySelectorAll('.section')
+
+	sections.forEach((section, sectionIndex) => {
+		const sectionElement = sectionElements[sectionIndex]
+		if (!sectionElement) return
+
+		const { hydrate } = getSectionType(section)
+		if (!hydrate) {
+			// Types registered without a hydrate function are simply rendered again
+			sectionElement.replaceWith(createSectionSafely(section))
+			return
+		}
+
+		try {
+			hydrate(sectionElement, section, createSectionContext(section))
+		} catch (error) {
+			console.error(`❌ Failed to hydrate section "${section.title}", rendering it again:`, error)
+			sectionElement.replaceWith(createSectionSafely(section))
+		}
+	})
+}
+
+/**
+ * Registers a section layout for sections with `"type": name`, e.g.
+ *   registerSectionType('video', (section, { slug }) => { ... return element })
+ * Call it before the page renders (e.g. at the top of js/index.js). Registering an
+ * existing name replaces that layout, including the built-in ones.
+ * @param {string} name - Value of the section's `type` field
+ * @param {(section: Object, context: Object) => (Node|Node[]|null)} renderFn - Builds what follows the
+ *   section title. The context holds the section's `slug` and `renderCards(items)`, which builds the
+ *   default card grid.
+ * @param {Object} [options]
+ * @param {(sectionElement: HTMLElement, section: Object, context: Object) => void} [options.hydrate] -
+ *   Attaches behaviour to the same markup when it was prerendered. Without it, prerendered sections
+ *   of this type are rendered again.
+ * @param {Object<string, Object>} [options.itemFields] - Item fields of this type's own, e.g.
+ *   `{ clip: string() }` with the helpers from dataSchema.js (see registerItemFields)
+ */
+export function registerSectionType(name, renderFn, options = {}) {
+	if (!name || typeof renderFn !== 'function') {
+		console.warn('⚠️ Invalid section type registration:', name)
+		return
+	}
+	sectionTypeRegistry.set(name, {
+		render: renderFn,
+		hydrate: typeof options.hydrate === 'function' ? options.hydrate : null,
 	})
+	if (options.itemFields) registerItemFields(name, options.itemFields)
 }
 
 /**
- * Creates a single section element with title and items
+ * The registered layout for a section; unknown types fall back to cards
+ * @param {Object} section - Section data object
+ * @returns {{name: string, render: Function, hydrate: Function|null}}
+ */
+function getSectionType(section) {
+	const name = section.type || DEFAULT_SECTION_TYPE
+	if (sectionTypeRegistry.has(name)) return { name, ...sectionTypeRegistry.get(name) }
+
+	console.warn(`⚠️ Unknown section type "${name}" in section "${section.title}", showing it as cards`)
+	return { name: DEFAULT_SECTION_TYPE, ...sectionTypeRegistry.get(DEFAULT_SECTION_TYPE) }
+}
+
+/**
+ * Context passed to section type render and hydrate functions
+ * @param {Object} section - Section data object
+ * @returns {{slug: string, renderCards: (items: Array) => HTMLDivElement}}
+ */
+function createSectionContext(section) {
+	const slug = getSectionSlug(section)
+	return { slug, renderCards: (items) => createItemsContainer(items, slug) }
+}
+
+/**
+ * Creates a section, or a placeholder with its title and a short note when its layout throws
+ * @param {Object} section - Section data object
+ * @returns {HTMLElement} A `.section` either way, so prerendered sections stay in step with the data
+ */
+function createSectionSafely(section) {
+	try {
+		return createSectionElement(section)
+	} catch (error) {
+		console.error(`❌ Failed to render section "${section.title}":`, error)
+
+		const placeholder = document.createElement('section')
+		placeholder.className = 'section section-error'
+		if (typeof section.title === 'string' && section.title) {
+			placeholder.appendChild(createSectionTitle(section.title))
+		}
+		const note = document.createElement('p')
+		note.className = 'error-message'
+		note.textContent = t('loadError.section')
+		placeholder.appendChild(note)
+		return placeholder
+	}
+}
+
+/**
+ * Creates a single section element with title and the content of its type
  * @param {Object} section - Section data object
  * @param {string} section.title - Section title
+ * @param {string} [section.type] - Layout name (see registerSectionType)
  * @param {Array} section.items - Array of items in the section
  * @returns {HTMLElement} The complete section element
  */
@@ -69,20 +217,47 @@ function createSectionElement(section) {
 	const sectionElement = document.createElement('section')
 	// Add section title
 	const titleElement = createSectionTitle(section.title)
-	const slug = slugify(section.title || '')
+	const context = createSectionContext(section)
+	const type = getSectionType(section)
 
 	sectionElement.className = 'section'
-	sectionElement.classList.add(slug + '-section') // Add slug as class for styling
+	sectionElement.classList.add(context.slug + '-section') // Add slug as class for styling
+	sectionElement.classList.add(`section-${type.name}`) // Layout class, e.g. section-gallery
+	sectionElement.dataset.slug = context.slug // Router target for #/<slug>
 	sectionElement.appendChild(titleElement)
 
-	// Create items container
-
-	const itemsContainer = createItemsContainer(section.items, slug)
-	sectionElement.appendChild(itemsContainer)
+	// Add the layout's content (cards by default)
+	const content = type.render(section, context)
+	const elements = Array.isArray(content) ? content : [content]
+	elements.filter(Boolean).forEach((element) => sectionElement.appendChild(element))
 
 	return sectionElement
 }
 
+/**
+ * The default "cards" layout: a grid of item cards
+ * @param {Object} section - Section data object
+ * @param {{slug: string}} context
+ * @returns {HTMLDivElement}
+ */
+function createCards(section, { slug }) {
+	return createItemsContainer(section.items, slug)
+}
+
+/**
+ * Hydrates a prerendered "cards" section (see createItemElement for the markup)
+ * @param {HTMLElement} sectionElement - The `.section` element
+ * @param {Object} section - Section data object
+ */
+function hydrateCards(sectionElement, section) {
+	if (!Array.isArray(section.items)) return
+
+	const itemElements = sectionElement.querySelectorAll('.items > .item')
+	section.items.forEach((item, itemIndex) => {
+		if (itemElements[itemIndex]) hydrateItemElement(itemElements[itemIndex], item)
+	})
+}
+
 /**
  * Creates the section title element
  * @param {string} title - The section title
@@ -108,7 +283,7 @@ function createItemsContainer(items, sectionSlug = '') {
 	// Validate items data
 	if (!Array.isArray(items) || items.length === 0) {
 		const noItemsMsg = document.createElement('p')
-		noItemsMsg.textContent = 'No items available in this section.'
+		noItemsMsg.textContent = t('section.noItems')
 		noItemsMsg.className = 'no-items'
 		itemsContainer.appendChild(noItemsMsg)
 		return itemsContainer
@@ -145,23 +320,68 @@ function createItemElement(item, isAboveFold = false, sectionSlug = '') {
 		// Helpful data attribute for targeting/debugging
 		itemElement.setAttribute('data-section', sectionSlug)
 	}
-
-	// Add image if provided
-	if (item.image) {
-		const imageElement = createItemImage(item.image, item.heading, isAboveFold)
+	itemElement.dataset.slug = getItemSlug(item) // Router target for #/<section>/<item>
+
+	// Add image if provided; with a trailer the image becomes its click-to-play poster
+	const imageElement = item.image ? createItemImage(item.image, item.heading, isAboveFold) : null
+	const trailerElement = item.trailer ? createTrailer(item.trailer, { title: item.heading, posterElement: imageElement }) : null
+	if (trailerElement) {
+		itemElement.appendChild(trailerElement)
+	} else if (imageElement) {
 		itemElement.appendChild(imageElement)
 	}
 
+	// Add screenshot thumbnails (open the lightbox) if provided
+	const screenshots = normalizeImages(item.screenshots, item.heading)
+	if (screenshots.length > 0) {
+		itemElement.appendChild(createThumbnailStrip(screenshots, { className: 'item-screenshots', loadImage: lazyLoadImage }))
+	}
+
 	// Create content container
 	const contentElement = createItemContent(item)
 	itemElement.appendChild(contentElement)
 
-	// Add click handler for future interactivity (optional)
-	addItemClickHandler(itemElement, item)
+	// Open the detail view on click, for items that have one
+	addItemClickHandler(itemElement, item, sectionSlug)
 
 	return itemElement
 }
 
+/**
+ * Hydrates one prerendered item (see createItemElement for the markup)
+ * @param {HTMLDivElement} itemElement - The `.item` element
+ * @param {Object} item - Item data object
+ */
+function hydrateItemElement(itemElement, item) {
+	const imageElement = itemElement.querySelector('.item-image')
+	if (imageElement) bindItemImage(imageElement)
+
+	// Images below the fold are still waiting for the lazy loader
+	itemElement.querySelectorAll('img[data-src]').forEach((img) => lazyLoadObserver.observe(img))
+
+	const trailerElement = itemElement.querySelector('.trailer')
+	if (trailerElement) {
+		bindTrailer(trailerElement, item.trailer, { title: item.heading, posterElement: imageElement })
+	}
+
+	const strip = itemElement.querySelector('.item-screenshots')
+	if (strip) bindThumbnailStrip(strip, normalizeImages(item.screenshots, item.heading))
+
+	const releaseInfo = itemElement.querySelector('.item-content > .release-info')
+	if (releaseInfo) bindReleaseInfo(releaseInfo, item, { name: item.heading })
+
+	const episodeList = itemElement.querySelector('.item-content .episode-list')
+	if (episodeList) bindEpisodeList(episodeList, item)
+
+	const storeButtons = itemElement.querySelector('.item-content .store-buttons')
+	if (storeButtons) bindStoreButtons(storeButtons, item)
+
+	const contentElement = itemElement.querySelector('.item-content')
+	if (contentElement) attachStoreInfo(contentElement, item)
+
+	bindItemActivation(itemElement)
+}
+
 /**
  * Creates the item image element with lazy loading
  * @param {string} imageUrl - URL of the image
@@ -170,7 +390,7 @@ function createItemElement(item, isAboveFold = false, sectionSlug = '') {
  */
 function createItemImage(imageUrl, altText = '', isAboveFold = false) {
 	const imageElement = document.createElement('img')
-	imageElement.alt = altText || 'Item image'
+	imageElement.alt = altText || t('item.imageAlt')
 	imageElement.className = 'item-image'
 
 	if (isAboveFold) {
@@ -184,24 +404,42 @@ function createItemImage(imageUrl, altText = '', isAboveFold = false) {
 		lazyLoadObserver.observe(imageElement)
 	}
 
-	// Handle image loading errors
-	imageElement.onerror = () => {
-		imageElement.style.display = 'none'
-	}
+	bindItemImage(imageElement)
+	return imageElement
+}
 
-	// Handle successful image load
-	imageElement.onload = () => {
-		imageElement.classList.add('loaded')
-	}
+/**
+ * Fades the item image in once loaded, hides it if it fails
+ * @param {HTMLImageElement} imageElement
+ */
+function bindItemImage(imageElement) {
+	watchImageLoad(
+		imageElement,
+		() => imageElement.classList.add('loaded'),
+		() => {
+			imageElement.style.display = 'none'
+		}
+	)
+}
 
-	return imageElement
+/**
+ * Defers loading an image until it scrolls near the viewport (shared lazy-load observer)
+ * @param {HTMLImageElement} img
+ * @param {string} src
+ */
+export function lazyLoadImage(img, src) {
+	img.dataset.src = src
+	img.classList.add('lazy-loading')
+	lazyLoadObserver.observe(img)
 }
+
 /**
  * Creates the item content container with heading and text
  * @param {Object} item - Item data object
  * @param {string} [item.heading] - Optional item heading
- * @param {string} [item.text] - Optional item text content
- * @param {string} [item.steamUrl] - Optional Steam page URL
+ * @param {string|Array} [item.text] - Optional item text (Markdown subset or text blocks)
+ * @param {string} [item.steamUrl] - Optional Steam page URL (shorthand for a Steam store)
+ * @param {Array} [item.stores] - Optional store links (see storeLinks.js)
  * @returns {HTMLDivElement} The content container element
  */
 function createItemContent(item) {
@@ -217,27 +455,24 @@ function createItemContent(item) {
 		contentElement.appendChild(headingElement)
 	}
 
-	// Add text content if provided
+	// Status badge and countdown to launch (see releaseStatus.js)
+	const releaseInfo = createReleaseInfo(item, { name: item.heading })
+	if (releaseInfo) contentElement.appendChild(releaseInfo)
+
+	// Add text content if provided (Markdown subset or text blocks, see richText.js)
 	if (item.text) {
-		if (Array.isArray(item.text)) {
-			item.text.forEach((line) => {
-				const p = document.createElement('p')
-				p.className = 'item-text'
-				p.textContent = String(line)
-				contentElement.appendChild(p)
-			})
-		} else {
-			const textElement = document.createElement('p')
-			textElement.className = 'item-text'
-			appendMultilineText(textElement, item.text)
-			contentElement.appendChild(textElement)
-		}
+		appendRichText(contentElement, item.text, { paragraphClass: 'item-text', headingLevel: 4 })
 	}
 
-	// Add Steam link if provided
-	if (item.steamUrl) {
-		const steamButton = createSteamButton(item.steamUrl, item.heading)
-		contentElement.appendChild(steamButton)
+	// Episodes, each with its own status and countdown
+	const episodeList = createEpisodeList(item)
+	if (episodeList) contentElement.appendChild(episodeList)
+
+	// Add store buttons if provided, with live Steam price and reviews once they load (see steamStore.js)
+	const storeButtons = createStoreButtons(item)
+	if (storeButtons) {
+		contentElement.appendChild(storeButtons)
+		attachStoreInfo(contentElement, item)
 	}
 
 	// If no content provided, show placeholder
@@ -252,103 +487,63 @@ function createItemContent(item) {
 }
 
 /**
- * Appends multi-line text into an element, converting \n to <br> safely (no innerHTML)
- * @param {HTMLElement} el
- * @param {string} text
+ * Whether an item carries enough data for its own detail view
+ * @param {Object} item - The item data object
+ * @returns {boolean}
  */
-function appendMultilineText(el, text) {
-	const parts = String(text).split('\n')
-	parts.forEach((part, i) => {
-		if (i > 0) el.appendChild(document.createElement('br'))
-		el.appendChild(document.createTextNode(part))
-	})
+export function hasItemDetails(item) {
+	if (!item) return false
+	return Boolean(
+		item.description ||
+			item.body ||
+			(Array.isArray(item.features) && item.features.length > 0) ||
+			(Array.isArray(item.platforms) && item.platforms.length > 0) ||
+			item.releaseDate ||
+			(Array.isArray(item.episodes) && item.episodes.length > 0) ||
+			(Array.isArray(item.screenshots) && item.screenshots.length > 0)
+	)
 }
 
-import { tryOpenSteamFromWebUrl } from './steamUtils.js'
-
 /**
- * Creates a simple Steam button with smart fallback
- * @param {string} steamUrl - The Steam page URL
- * @param {string} [gameName] - Optional game name for accessibility
- * @returns {HTMLAnchorElement} The Steam button element
+ * Makes an item open its detail view when clicked or activated by keyboard.
+ * Items without detail data are left as plain cards (no button role).
+ * @param {HTMLDivElement} itemElement - The item element
+ * @param {Object} item - The item data object
+ * @param {string} sectionSlug - Slug of the section the item belongs to
  */
-function createSteamButton(steamUrl, gameName = '') {
-	const steamButton = document.createElement('a')
-	steamButton.href = steamUrl // Fallback for right-click
-	steamButton.target = '_blank'
-	steamButton.rel = 'noopener noreferrer'
-	// Use a dedicated FA icon element to avoid changing the button text font
-	steamButton.className = 'steam-button has-fa-icon'
-
-	const iconEl = document.createElement('i')
-	iconEl.className = 'fab fa-steam'
-	iconEl.setAttribute('aria-hidden', 'true')
-
-	const textEl = document.createElement('span')
-	textEl.textContent = 'Open in Steam'
-
-	steamButton.appendChild(iconEl)
-	steamButton.appendChild(textEl)
-	steamButton.setAttribute('aria-label', `View ${gameName || 'this game'} on Steam`)
-
-	// Smart click handler with quick fallback
-	steamButton.addEventListener('click', (event) => {
-		event.preventDefault() // Prevent default link behavior
-		tryOpenSteamFromWebUrl(steamUrl)
-	})
+function addItemClickHandler(itemElement, item, sectionSlug) {
+	if (!hasItemDetails(item)) return
 
-	return steamButton
-}
+	itemElement.dataset.detailHash = getItemHash(sectionSlug, item)
 
-// Steam fallback logic moved to steamUtils.js for reuse
+	// Add keyboard accessibility
+	itemElement.setAttribute('tabindex', '0')
+	itemElement.setAttribute('role', 'button')
+	itemElement.setAttribute('aria-label', t('item.viewDetails', { name: item.heading || t('item.fallbackName') }))
+
+	bindItemActivation(itemElement)
+}
 
 /**
- * Adds click handler to item for future interactivity
+ * Opens the item's detail view (its data-detail-hash) on click or Enter / Space
  * @param {HTMLDivElement} itemElement - The item element
- * @param {Object} item - The item data object
  */
-function addItemClickHandler(itemElement, item) {
-	// Add click handler for future features (modal, navigation, etc.)
-	itemElement.addEventListener('click', () => {
-		// Future: Could open a modal, navigate to detail page, etc.
-		// For now, just log the click
+function bindItemActivation(itemElement) {
+	const hash = itemElement.dataset.detailHash
+	if (!hash) return
+
+	itemElement.addEventListener('click', (event) => {
+		// Let inner links and buttons (e.g. the Steam button) do their own thing
+		if (event.target.closest('a, button')) return
+		location.hash = hash
 	})
 
-	// Add keyboard accessibility
-	itemElement.setAttribute('tabindex', '0')
-	itemElement.setAttribute('role', 'button')
-	itemElement.setAttribute('aria-label', `View details for ${item.heading || 'item'}`)
-
-	// Handle keyboard activation
-	itemElement.addEventListener('keypress', (event) => {
+	// Handle keyboard activation (only when the card itself has focus)
+	itemElement.addEventListener('keydown', (event) => {
+		if (event.target !== itemElement) return
 		if (event.key === 'Enter' || event.key === ' ') {
 			event.preventDefault()
-			itemElement.click()
+			location.hash = hash
 		}
 	})
 }
-
-/**
- * Convert a title to a CSS-friendly slug, e.g., "About Yetiface" -> "about-yetiface"
- * - lowercases
- * - removes diacritics
- * - replaces any non-alphanumeric with single hyphen
- * - trims hyphens
- * @param {string} str
- * @returns {string}
- */
-function slugify(str) {
-	try {
-		return String(str)
-			.normalize('NFD')
-			.replace(/[\u0300-\u036f]/g, '')
-			.toLowerCase()
-			.replace(/[^a-z0-9]+/g, '-')
-			.replace(/^-+|-+$/g, '')
-	} catch {
-		return String(str || '')
-			.toLowerCase()
-			.replace(/[^a-z0-9]+/g, '-')
-			.replace(/^-+|-+$/g, '')
-	}
-}
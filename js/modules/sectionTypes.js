@@ -0,0 +1,361 @@
+/**
+ * Section Types Module
+ * Built-in section layouts besides cards and news, registered in sectionRenderer.js:
+ * - gallery:  image grid that opens the lightbox
+ * - timeline: dated milestones in order
+ * - faq:      questions that expand to their answers
+ * - team:     people with portrait, role, bio and links
+ * - quote:    press quotes / testimonials
+ * - hero:     large banner with image, tagline and buttons
+ * Each create function gets (section, context) and returns the elements that follow the
+ * section title; each hydrate function attaches behaviour to the same markup when prerendered.
+ */
+
+import { lazyLoadImage } from './sectionRenderer.js'
+import { createStoreButtons, bindStoreButtons } from './storeLinks.js'
+import { t, formatDate } from './i18n.js'
+import { normalizeImages, createThumbnailStrip, bindThumbnailStrip } from './lightbox.js'
+import { appendRichText, getPlainText, getSafeUrl } from './richText.js'
+import { watchImageLoad } from './imageUtils.js'
+
+/**
+ * Gallery: every item image as a thumbnail; `heading` is the alt text, `text` the caption
+ * @param {Object} section - Section data object
+ * @returns {HTMLElement}
+ */
+export function createGallery(section) {
+	return createThumbnailStrip(getGalleryImages(section), { className: 'items gallery-grid', loadImage: lazyLoadImage })
+}
+
+/**
+ * @param {HTMLElement} sectionElement - The `.section` element
+ * @param {Object} section - Section data object
+ */
+export function hydrateGallery(sectionElement, section) {
+	const grid = sectionElement.querySelector('.gallery-grid')
+	if (!grid) return
+
+	grid.querySelectorAll('img[data-src]').forEach((img) => lazyLoadImage(img, img.dataset.src))
+	bindThumbnailStrip(grid, getGalleryImages(section))
+}
+
+/**
+ * Timeline: one entry per item with its `date` (ISO or free text like "Q4 2025"), heading and text
+ * @param {Object} section - Section data object
+ * @returns {HTMLOListElement}
+ */
+export function createTimeline(section) {
+	const list = document.createElement('ol')
+	list.className = 'timeline'
+
+	getItems(section).forEach((item) => {
+		const entry = document.createElement('li')
+		entry.className = 'timeline-entry'
+
+		if (item.date) {
+			const time = document.createElement('time')
+			time.className = 'timeline-date'
+			time.dateTime = String(item.date)
+			time.textContent = formatDate(item.date)
+			entry.appendChild(time)
+		}
+
+		if (item.heading) entry.appendChild(createHeading(item.heading))
+		if (item.text) appendRichText(entry, item.text, { paragraphClass: 'item-text', headingLevel: 4 })
+
+		list.appendChild(entry)
+	})
+
+	return list
+}
+
+/**
+ * FAQ: `heading` is the question and `text` the answer, in native <details> elements
+ * (keyboard and screen reader support without scripts)
+ * @param {Object} section - Section data object
+ * @returns {HTMLDivElement}
+ */
+export function createFaq(section) {
+	const list = document.createElement('div')
+	list.className = 'faq-list'
+
+	getItems(section)
+		.filter((item) => item.heading)
+		.forEach((item) => {
+			const entry = document.createElement('details')
+			entry.className = 'faq-entry'
+
+			const question = document.createElement('summary')
+			question.className = 'faq-question'
+			question.textContent = item.heading
+			entry.appendChild(question)
+
+			const answer = document.createElement('div')
+			answer.className = 'faq-answer'
+			if (item.text) appendRichText(answer, item.text, { paragraphClass: 'item-text', headingLevel: 4 })
+			entry.appendChild(answer)
+
+			list.appendChild(entry)
+		})
+
+	return list
+}
+
+/**
+ * Team: `image` (portrait), `heading` (name), `role`, `text` (bio) and `links`
+ * @param {Object} section - Section data object
+ * @returns {HTMLUListElement}
+ */
+export function createTeam(section) {
+	const list = document.createElement('ul')
+	list.className = 'items team-grid'
+
+	getItems(section).forEach((item) => {
+		const member = document.createElement('li')
+		member.className = 'item team-member'
+
+		if (item.image) member.appendChild(createLazyImage(item.image, item.heading, 'team-photo'))
+
+		const content = document.createElement('div')
+		content.className = 'item-content'
+		if (item.heading) content.appendChild(createHeading(item.heading))
+		if (item.role) content.appendChild(createParagraph(item.role, 'team-role'))
+		if (item.text) appendRichText(content, item.text, { paragraphClass: 'item-text', headingLevel: 4 })
+
+		const links = createLinkList(item.links, 'team-links')
+		if (links) content.appendChild(links)
+
+		member.appendChild(content)
+		list.appendChild(member)
+	})
+
+	return list
+}
+
+/**
+ * Quote: `text` is the quote, `author` and `role` who said it, `url` links to the source
+ * @param {Object} section - Section data object
+ * @returns {HTMLDivElement}
+ */
+export function createQuotes(section) {
+	const list = document.createElement('div')
+	list.className = 'quote-list'
+
+	getItems(section)
+		.filter((item) => item.text)
+		.forEach((item) => {
+			const figure = document.createElement('figure')
+			figure.className = 'quote'
+			// Unsafe links (javascript:...) are left out; the quote still shows
+			const url = getSafeUrl(item.url)
+
+			const blockquote = document.createElement('blockquote')
+			blockquote.className = 'quote-text'
+			if (url) blockquote.setAttribute('cite', url)
+			appendRichText(blockquote, item.text)
+			figure.appendChild(blockquote)
+
+			const attribution = [item.author, item.role].filter(Boolean).join(', ')
+			if (attribution) {
+				const caption = document.createElement('figcaption')
+				caption.className = 'quote-author'
+				if (url) {
+					const link = document.createElement('a')
+					link.href = url
+					link.target = '_blank'
+					link.rel = 'noopener noreferrer'
+					link.textContent = attribution
+					caption.appendChild(link)
+				} else {
+					caption.textContent = attribution
+				}
+				figure.appendChild(caption)
+			}
+
+			list.appendChild(figure)
+		})
+
+	return list
+}
+
+/**
+ * Hero: a large banner per item with `image`, `heading`, `text`, store buttons
+ * (`stores` / `steamUrl`) and `links` as buttons. The image loads straight away: heroes sit at the top.
+ * @param {Object} section - Section data object
+ * @returns {HTMLElement[]}
+ */
+export function createHero(section) {
+	return getItems(section).map((item) => {
+		const hero = document.createElement('div')
+		hero.className = 'hero'
+
+		if (item.image) {
+			const image = document.createElement('img')
+			image.className = 'hero-image'
+			image.src = item.image
+			image.alt = item.heading || ''
+			bindImage(image)
+			hero.appendChild(image)
+		}
+
+		const content = document.createElement('div')
+		content.className = 'hero-content'
+		if (item.heading) content.appendChild(createHeading(item.heading, 'hero-heading'))
+		if (item.text) appendRichText(content, item.text, { paragraphClass: 'hero-text', headingLevel: 4 })
+
+		const actions = createLinkList(item.links, 'hero-actions')
+		const storeButtons = createStoreButtons(item)
+		if (storeButtons) {
+			if (actions) actions.prepend(wrapListItem(storeButtons))
+			else content.appendChild(storeButtons)
+		}
+		if (actions) content.appendChild(actions)
+
+		hero.appendChild(content)
+		return hero
+	})
+}
+
+/**
+ * @param {HTMLElement} sectionElement - The `.section` element
+ * @param {Object} section - Section data object
+ */
+export function hydrateHero(sectionElement, section) {
+	hydrateImages(sectionElement)
+
+	const heroes = sectionElement.querySelectorAll('.hero')
+	getItems(section).forEach((item, index) => {
+		const storeButtons = heroes[index]?.querySelector('.store-buttons')
+		if (storeButtons) bindStoreButtons(storeButtons, item)
+	})
+}
+
+/**
+ * Hydration for layouts whose only behaviour is image loading (timeline, faq, team, quote)
+ * @param {HTMLElement} sectionElement - The `.section` element
+ */
+export function hydrateImages(sectionElement) {
+	sectionElement.querySelectorAll('img').forEach((img) => {
+		if (img.dataset.src) lazyLoadImage(img, img.dataset.src)
+		bindImage(img)
+	})
+}
+
+/**
+ * @param {Object} section
+ * @returns {Array} The section's items (empty when missing)
+ */
+function getItems(section) {
+	return Array.isArray(section.items) ? section.items : []
+}
+
+/**
+ * Lightbox list for a gallery section (items without an image are skipped)
+ * @param {Object} section
+ * @returns {Array<{src:string, alt:string, caption:string}>}
+ */
+function getGalleryImages(section) {
+	const images = getItems(section)
+		.filter((item) => item.image)
+		.map((item) => ({
+			src: item.image,
+			alt: item.heading || '',
+			caption: item.text ? getPlainText(item.text) : '',
+		}))
+	return normalizeImages(images, section.title)
+}
+
+/**
+ * @param {string} text
+ * @param {string} [className='item-heading']
+ * @returns {HTMLHeadingElement}
+ */
+function createHeading(text, className = 'item-heading') {
+	const heading = document.createElement('h3')
+	heading.className = className
+	heading.textContent = text
+	return heading
+}
+
+/**
+ * @param {string} text
+ * @param {string} className
+ * @returns {HTMLParagraphElement}
+ */
+function createParagraph(text, className) {
+	const paragraph = document.createElement('p')
+	paragraph.className = className
+	paragraph.textContent = text
+	return paragraph
+}
+
+/**
+ * An image that loads when it nears the viewport
+ * @param {string} src
+ * @param {string} [alt]
+ * @param {string} className
+ * @returns {HTMLImageElement}
+ */
+function createLazyImage(src, alt = '', className) {
+	const image = document.createElement('img')
+	image.className = className
+	image.alt = alt || t('item.imageAlt')
+	lazyLoadImage(image, src)
+	bindImage(image)
+	return image
+}
+
+/**
+ * Fades an image in once loaded, hides it if it fails
+ * @param {HTMLImageElement} image
+ */
+function bindImage(image) {
+	watchImageLoad(
+		image,
+		() => image.classList.add('loaded'),
+		() => {
+			image.style.display = 'none'
+		}
+	)
+}
+
+/**
+ * List of links ({ name, url }); links with an unsafe URL (javascript:...) are left out
+ * @param {Array<{name:string, url:string}>} [links]
+ * @param {string} className
+ * @returns {HTMLUListElement|null} Null without links
+ */
+function createLinkList(links, className) {
+	const valid = (Array.isArray(links) ? links : [])
+		.map((link) => ({ name: link.name, url: getSafeUrl(link.url) }))
+		.filter((link) => link.name && link.url)
+	if (valid.length === 0) return null
+
+	const list = document.createElement('ul')
+	list.className = className
+
+	valid.forEach((link) => {
+		const anchor = document.createElement('a')
+		anchor.href = link.url
+		anchor.className = `${className}-link`
+		// Other sites open in a new tab; in-page links (#/about, #contact) stay here
+		if (/^https?:\/\//i.test(link.url)) {
+			anchor.target = '_blank'
+			anchor.rel = 'noopener noreferrer'
+		}
+		anchor.textContent = link.name
+		list.appendChild(wrapListItem(anchor))
+	})
+
+	return list
+}
+
+/**
+ * @param {HTMLElement} element
+ * @returns {HTMLLIElement}
+ */
+function wrapListItem(element) {
+	const li = document.createElement('li')
+	li.appendChild(element)
+	return li
+}
@@ -0,0 +1,68 @@
+/**
+ * Slug Utilities
+ * Builds the CSS-friendly ids and URL fragments used for sections and items
+ */
+
+/**
+ * Convert a title to a CSS-friendly slug, e.g., "About Yetiface" -> "about-yetiface"
+ * - lowercases
+ * - removes diacritics
+ * - replaces any non-alphanumeric with single hyphen
+ * - trims hyphens
+ * @param {string} str
+ * @returns {string}
+ */
+export function slugify(str) {
+	try {
+		return String(str)
+			.normalize('NFD')
+			.replace(/[\u0300-\u036f]/g, '')
+			.toLowerCase()
+			.replace(/[^a-z0-9]+/g, '-')
+			.replace(/^-+|-+$/g, '')
+	} catch {
+		return String(str || '')
+			.toLowerCase()
+			.replace(/[^a-z0-9]+/g, '-')
+			.replace(/^-+|-+$/g, '')
+	}
+}
+
+/**
+ * Slug for a section: explicit `id` field first, otherwise its title
+ * @param {{id?: string, title?: string}} section
+ * @returns {string}
+ */
+export function getSectionSlug(section) {
+	return section?.id ? slugify(section.id) : slugify(section?.title || '')
+}
+
+/**
+ * Slug for an item: explicit `slug` field first, otherwise its heading
+ * @param {{slug?: string, heading?: string}} item
+ * @returns {string}
+ */
+export function getItemSlug(item) {
+	return item?.slug ? slugify(item.slug) : slugify(item?.heading || '')
+}
+
+/**
+ * Shareable hash for an item detail view, e.g. "#/games/hollowbrook-apartments"
+ * @param {string} sectionSlug
+ * @param {Object} item
+ * @returns {string}
+ */
+export function getItemHash(sectionSlug, item) {
+	return `#/${sectionSlug}/${getItemSlug(item)}`
+}
+
+/**
+ * Folder of an item's share page, the static copy of its detail route that link previews
+ * and crawlers can fetch (written by scripts/prerender.mjs), e.g. "games/hollowbrook-apartments/"
+ * @param {string} sectionSlug
+ * @param {Object} item
+ * @returns {string}
+ */
+export function getItemPagePath(sectionSlug, item) {
+	return `${sectionSlug}/${getItemSlug(item)}/`
+}
@@ -0,0 +1,277 @@
+/**
+ * Steam Store Module
+ * Live store data on game cards: price and discount, release / "coming soon" status and the
+ * review summary, for every card whose Steam link (`steamUrl` or a Steam entry in `stores`)
+ * is an app page.
+ * Steam's store API has no CORS headers, so data comes through a JSON proxy set in data.json
+ * (`steamStore.endpoint`); data/fixtures/steam/ holds offline fixtures in the same format.
+ * Results are cached in localStorage for `ttl` seconds. When the endpoint is unreachable the
+ * card simply stays as it was: the info block is only added once data has arrived.
+ */
+
+import { t, formatNumber, getLocale } from './i18n.js'
+import { getSteamAppId } from './steamUtils.js'
+import { getStoreUrl } from './storeLinks.js'
+import { createTextElement } from './domUtils.js'
+
+const CACHE_PREFIX = 'steamStore:'
+const DEFAULT_TTL_SECONDS = 6 * 60 * 60
+const FETCH_TIMEOUT_MS = 5000
+
+let storeConfig = null
+
+// Request URL -> Promise of normalised store data (one request per app, however many cards)
+const pendingRequests = new Map()
+
+/**
+ * Stores the `steamStore` block from data.json (call before rendering sections).
+ * Only the browser entry point calls this, so the prerender never fetches prices.
+ * @param {Object} [config] - The validated `steamStore` block
+ */
+export function configureSteamStore(config) {
+	storeConfig = config?.endpoint ? config : null
+}
+
+/**
+ * Adds the store info block to a card once its data has loaded (before the store buttons).
+ * Does nothing without a configured endpoint or an app id in the item's Steam link.
+ * @param {HTMLElement} contentElement - The card's `.item-content`
+ * @param {Object} item - Item data object
+ */
+export function attachStoreInfo(contentElement, item) {
+	const appId = getSteamAppId(getStoreUrl(item, 'steam'))
+	if (!storeConfig || !appId) return
+
+	getStoreData(appId).then((store) => {
+		if (!store || !contentElement.isConnected) return
+		contentElement.querySelector('.steam-store')?.remove()
+
+		const info = createStoreInfo(store)
+		if (!info) return
+		const storeButtons = contentElement.querySelector('.store-buttons')
+		if (storeButtons) contentElement.insertBefore(info, storeButtons)
+		else contentElement.appendChild(info)
+	})
+}
+
+/**
+ * Store data for an app, from the cache or the proxy
+ * @param {string} appId
+ * @returns {Promise<Object|null>} Normalised data (see normalizeStoreData), or null when unavailable
+ */
+export function getStoreData(appId) {
+	const url = getRequestUrl(appId)
+	const cached = readCache(url)
+	if (cached) return Promise.resolve(cached)
+
+	if (!pendingRequests.has(url)) {
+		const request = fetchStoreData(url, appId).finally(() => pendingRequests.delete(url))
+		pendingRequests.set(url, request)
+	}
+	return pendingRequests.get(url)
+}
+
+/**
+ * Fills in the endpoint template
+ * @param {string} appId
+ * @returns {string} e.g. 'https://proxy.example.com/steam/3983920?cc=gb&l=en'
+ */
+function getRequestUrl(appId) {
+	return storeConfig.endpoint
+		.replace(/\{appId\}/g, encodeURIComponent(appId))
+		.replace(/\{country\}/g, encodeURIComponent(storeConfig.country || ''))
+		.replace(/\{locale\}/g, encodeURIComponent(getLocale()))
+}
+
+/**
+ * Fetches and caches store data; resolves null (and logs) when the proxy can't be reached
+ * @param {string} url
+ * @param {string} appId
+ * @returns {Promise<Object|null>}
+ */
+async function fetchStoreData(url, appId) {
+	const controller = new AbortController()
+	const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS)
+
+	try {
+		const response = await fetch(url, { headers: { Accept: 'application/json' }, signal: controller.signal })
+		if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+		const store = normalizeStoreData(await response.json(), appId)
+		if (!store) throw new Error('Unexpected response')
+		writeCache(url, store)
+		return store
+	} catch (error) {
+		console.warn(`⚠️ Steam store data for app ${appId} unavailable, showing the static card:`, error.message)
+		return null
+	} finally {
+		clearTimeout(timer)
+	}
+}
+
+/**
+ * Accepts the documented proxy format or Steam's own appdetails response passed straight
+ * through (`{ "<appId>": { success, data } }`, optionally with `reviews: { query_summary }`)
+ * @param {Object} json
+ * @param {string} appId
+ * @returns {{price: Object|null, isFree: boolean, comingSoon: boolean, releaseDate: string,
+ *   reviews: Object|null}|null} Null when the response isn't usable
+ */
+function normalizeStoreData(json, appId) {
+	if (!json || typeof json !== 'object') return null
+
+	const details = json[appId]
+	if (details) {
+		if (!details.success || !details.data) return null
+		const { price_overview: price, release_date: release = {}, is_free: isFree } = details.data
+		const summary = json.reviews?.query_summary
+		return {
+			price: price ? normalizeSteamPrice(price) : null,
+			isFree: Boolean(isFree),
+			comingSoon: Boolean(release.coming_soon),
+			releaseDate: release.date || '',
+			reviews: summary?.total_reviews
+				? { summary: summary.review_score_desc, total: summary.total_reviews, positive: summary.total_positive }
+				: null,
+		}
+	}
+
+	return {
+		price: json.price && typeof json.price === 'object' ? json.price : null,
+		isFree: Boolean(json.isFree),
+		comingSoon: Boolean(json.comingSoon),
+		releaseDate: json.releaseDate || '',
+		reviews: json.reviews?.total ? json.reviews : null,
+	}
+}
+
+/**
+ * Steam's `price_overview` in the proxy format
+ * @param {Object} price - { currency, initial, final, discount_percent, initial_formatted, final_formatted }
+ * @returns {Object}
+ */
+function normalizeSteamPrice(price) {
+	return {
+		currency: price.currency,
+		initial: price.initial,
+		final: price.final,
+		discountPercent: price.discount_percent || 0,
+		initialFormatted: price.initial_formatted,
+		finalFormatted: price.final_formatted,
+	}
+}
+
+/**
+ * Builds the info block shown above the Steam button
+ * @param {Object} store - Normalised store data
+ * @returns {HTMLDivElement|null} Null when there is nothing to show
+ */
+function createStoreInfo(store) {
+	const info = document.createElement('div')
+	info.className = 'steam-store'
+
+	const price = createPrice(store)
+	if (price) info.appendChild(price)
+
+	const release = getReleaseText(store)
+	if (release) info.appendChild(createTextElement('p', 'steam-store-release', release))
+
+	if (store.reviews) {
+		const total = formatNumber(store.reviews.total)
+		const text = store.reviews.summary
+			? t('steamStore.reviews', { summary: store.reviews.summary, total })
+			: t('steamStore.reviewCount', { total })
+		info.appendChild(createTextElement('p', 'steam-store-reviews', text))
+	}
+
+	return info.childElementCount > 0 ? info : null
+}
+
+/**
+ * @param {Object} store - Normalised store data
+ * @returns {string} "Coming soon", "Coming soon: <date>", "Released <date>" or ''
+ */
+function getReleaseText(store) {
+	if (store.comingSoon) {
+		return store.releaseDate ? t('steamStore.comingSoonDate', { date: store.releaseDate }) : t('steamStore.comingSoon')
+	}
+	return store.releaseDate ? t('steamStore.released', { date: store.releaseDate }) : ''
+}
+
+/**
+ * Price line: "Free", the price, or the discount with old and new price.
+ * The discount badge is visual only; screen readers get one plain sentence instead.
+ * @param {Object} store - Normalised store data
+ * @returns {HTMLParagraphElement|null}
+ */
+function createPrice(store) {
+	if (store.isFree) return createTextElement('p', 'steam-store-price', t('steamStore.free'))
+	if (!store.price) return null
+
+	const final = formatPrice(store.price.finalFormatted, store.price.final, store.price.currency)
+	const discount = store.price.discountPercent
+	if (!discount) return createTextElement('p', 'steam-store-price', final)
+
+	const initial = formatPrice(store.price.initialFormatted, store.price.initial, store.price.currency)
+	const line = document.createElement('p')
+	line.className = 'steam-store-price'
+
+	const visual = document.createElement('span')
+	visual.setAttribute('aria-hidden', 'true')
+	const badge = document.createElement('span')
+	badge.className = 'steam-store-discount'
+	badge.textContent = `-${discount}%`
+	const was = document.createElement('s')
+	was.className = 'steam-store-initial'
+	was.textContent = initial
+	const now = document.createElement('span')
+	now.className = 'steam-store-final'
+	now.textContent = final
+	visual.append(badge, ' ', was, ' ', now)
+
+	const spoken = document.createElement('span')
+	spoken.className = 'visually-hidden'
+	spoken.textContent = t('steamStore.discount', { percent: discount, initial, final })
+
+	line.append(visual, spoken)
+	return line
+}
+
+/**
+ * @param {string} [formatted] - Steam's own formatting, e.g. "£3.99"
+ * @param {number} [cents] - Price in the smallest unit, e.g. 399
+ * @param {string} [currency] - e.g. 'GBP'
+ * @returns {string}
+ */
+function formatPrice(formatted, cents, currency) {
+	if (formatted) return formatted
+	if (typeof cents !== 'number' || !currency) return ''
+	return formatNumber(cents / 100, { style: 'currency', currency })
+}
+
+/**
+ * @param {string} url - Request URL (the cache key)
+ * @returns {Object|null} Cached data that hasn't expired yet
+ */
+function readCache(url) {
+	try {
+		const entry = JSON.parse(localStorage.getItem(CACHE_PREFIX + url))
+		const ttl = typeof storeConfig.ttl === 'number' ? storeConfig.ttl : DEFAULT_TTL_SECONDS
+		if (entry && Date.now() - entry.time < ttl * 1000) return entry.data
+	} catch {
+		// Unreadable or unavailable storage: fetch again
+	}
+	return null
+}
+
+/**
+ * @param {string} url - Request URL (the cache key)
+ * @param {Object} data - Normalised store data
+ */
+function writeCache(url, data) {
+	try {
+		localStorage.setItem(CACHE_PREFIX + url, JSON.stringify({ time: Date.now(), data }))
+	} catch {
+		// Storage full or unavailable (private mode): the cache is best-effort
+	}
+}
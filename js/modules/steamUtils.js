@@ -1,96 +1,235 @@
 /**
- * Steam utilities: try to open Steam client from a web store URL, with web fallback
+ * Steam utilities: try to open Steam client from a web store URL, with web fallback.
+ * How is set in data.json (`steam`: detection strategy, timeout, test mode) and can be
+ * overridden by the visitor ("always open in the browser / Steam app", remembered).
+ * Every attempt reports which way it went, for "Opening Steam…" feedback.
  */
 
+import { t } from './i18n.js'
+import {
+	DEFAULT_DETECT_TIMEOUT_MS,
+	openClientWithFallback,
+	openClient,
+	openWeb,
+	launchWithFeedback,
+} from './launcherUtils.js'
+
+const PREFERENCE_KEY = 'steamOpen'
+const PREFERENCES = ['browser', 'client']
+const STRATEGIES = ['detect', 'client', 'web']
+const TEST_MODES = ['no-steam', 'steam']
+
+// URL parameter that switches test mode on for one page view, e.g. ?steamTest=no-steam
+const TEST_PARAM = 'steamTest'
+
+let steamConfig = {}
+
+/**
+ * @typedef {Object} SteamOpenResult
+ * @property {'client'|'web'} target - Where the link was opened
+ * @property {'preference'|'strategy'|'detected'|'not-detected'|'test'|'not-steam'} reason - Why
+ */
+
+/**
+ * Stores the `steam` block from data.json
+ * @param {Object} [config]
+ * @param {'detect'|'client'|'web'} [config.strategy='detect'] - Try the client with web fallback,
+ *   always the client, or always the web page
+ * @param {number} [config.detectTimeout] - Milliseconds to wait for the client (default 100)
+ * @param {'no-steam'|'steam'} [config.testMode] - Simulate Steam missing or installed
+ * @param {boolean} [config.showPreference=true] - Show the "always open in…" choice in the footer
+ */
+export function configureSteam(config) {
+	steamConfig = config && typeof config === 'object' ? config : {}
+}
+
+/**
+ * @returns {boolean} Whether the footer offers the "always open in…" choice
+ */
+export function isSteamPreferenceShown() {
+	return steamConfig.showPreference !== false
+}
+
+/**
+ * The visitor's remembered choice
+ * @returns {'browser'|'client'|null} Null when they haven't picked one (the configured strategy applies)
+ */
+export function getSteamPreference() {
+	try {
+		const stored = localStorage.getItem(PREFERENCE_KEY)
+		return PREFERENCES.includes(stored) ? stored : null
+	} catch {
+		return null
+	}
+}
+
+/**
+ * Remembers (or with null, forgets) where Steam links should open
+ * @param {'browser'|'client'|null} preference
+ */
+export function setSteamPreference(preference) {
+	try {
+		if (PREFERENCES.includes(preference)) localStorage.setItem(PREFERENCE_KEY, preference)
+		else localStorage.removeItem(PREFERENCE_KEY)
+	} catch {
+		// Storage unavailable - the choice lasts for this page view only
+	}
+}
+
+/**
+ * App id from a Steam store URL
+ * @param {string} steamUrl - e.g. https://store.steampowered.com/app/3983920/...
+ * @returns {string|null} e.g. '3983920', or null for other URLs (search, community...)
+ */
+export function getSteamAppId(steamUrl) {
+	const appMatch = typeof steamUrl === 'string' ? steamUrl.match(/\/app\/(\d+)/) : null
+	return appMatch ? appMatch[1] : null
+}
+
 /**
  * Try to open Steam client from a web store URL; fall back to web if client not detected.
  * Handles:
  * - App pages: https://store.steampowered.com/app/3983920/... -> steam://store/3983920
  * - Any other Steam store URL (e.g., search): steam://openurl/<encoded-full-url>
  * - Non-Steam URLs: opens in web directly
+ * The visitor's preference wins over the configured strategy; test mode wins over both.
  * @param {string} steamUrl - e.g., https://store.steampowered.com/app/3983920/... or search URL
+ * @returns {Promise<SteamOpenResult|null>} Which way the link went (null for an empty URL)
  */
 export function tryOpenSteamFromWebUrl(steamUrl) {
-	if (typeof steamUrl !== 'string' || steamUrl.length === 0) return
+	if (typeof steamUrl !== 'string' || steamUrl.length === 0) return Promise.resolve(null)
 
 	const isSteamHost = /^https?:\/\/(store\.steampowered\.com|steamcommunity\.com)\//i.test(steamUrl)
-	const appMatch = steamUrl.match(/\/app\/(\d+)/)
+	const appId = getSteamAppId(steamUrl)
 
 	if (!isSteamHost) {
 		// Not a Steam-managed URL; just open web
-		window.open(steamUrl, '_blank', 'noopener,noreferrer')
-		return
+		return Promise.resolve(openWeb(steamUrl, 'not-steam'))
 	}
 
 	let steamProtocolUrl = ''
-	if (appMatch && appMatch[1]) {
+	if (appId) {
 		// Open specific app in client store
-		steamProtocolUrl = `steam://store/${appMatch[1]}`
+		steamProtocolUrl = `steam://store/${appId}`
 	} else {
 		// Generic Steam URL (e.g., search, developer page, community group) -> open inside client
 		const encoded = encodeURI(steamUrl)
 		steamProtocolUrl = `steam://openurl/${encoded}`
 	}
 
-	checkSteamAvailability(steamProtocolUrl, steamUrl)
+	const testMode = getTestMode()
+	if (testMode) return simulateSteam(testMode, steamUrl)
+
+	// Opened straight away, while the click still counts as a user action (popup blockers)
+	const preference = getSteamPreference()
+	if (preference === 'browser') return Promise.resolve(openWeb(steamUrl, 'preference'))
+	if (preference === 'client') return Promise.resolve(openClient(steamProtocolUrl, 'preference'))
+
+	const strategy = getStrategy()
+	if (strategy === 'web') return Promise.resolve(openWeb(steamUrl, 'strategy'))
+	if (strategy === 'client') return Promise.resolve(openClient(steamProtocolUrl, 'strategy'))
+
+	return openClientWithFallback(steamProtocolUrl, steamUrl, getDetectTimeout())
 }
 
 /**
- * Checks if Steam is available and opens appropriate link
- * @param {string} steamAppUrl - The steam:// protocol URL
- * @param {string} steamUrl - The fallback website URL
+ * Runs a Steam link's click and shows how it went: "Opening Steam…" on the button while
+ * detecting, then where it opened (see launchWithFeedback in launcherUtils.js)
+ * @param {HTMLAnchorElement} link - The Steam button or social link
+ * @param {string} steamUrl
+ * @returns {Promise<SteamOpenResult|null>}
  */
-function checkSteamAvailability(steamProtocolUrl, steamUrl) {
-	// 🧪 TEST MODE: Set to true to simulate no Steam installed
-	const TEST_NO_STEAM = false
+export function openSteamLink(link, steamUrl) {
+	return launchWithFeedback(link, () => tryOpenSteamFromWebUrl(steamUrl), 'Steam')
+}
 
-	if (TEST_NO_STEAM) {
-		setTimeout(() => {
-			window.open(steamUrl, '_blank', 'noopener,noreferrer')
-		}, 50)
-		return
-	}
+/**
+ * Creates the footer's "always open in…" choice: two checkboxes, at most one ticked
+ * @returns {HTMLFieldSetElement}
+ */
+export function createSteamPreferenceControl() {
+	const fieldset = document.createElement('fieldset')
+	fieldset.className = 'steam-preference'
 
-	const testFrame = document.createElement('iframe')
-	testFrame.style.display = 'none'
-	testFrame.style.width = '1px'
-	testFrame.style.height = '1px'
+	const legend = document.createElement('legend')
+	legend.textContent = t('steam.preferenceLegend')
+	fieldset.appendChild(legend)
 
-	let steamDetected = false
-	let timeoutId
+	PREFERENCES.forEach((preference) => {
+		const label = document.createElement('label')
+		label.className = 'steam-preference-option'
 
-	const cleanup = () => {
-		clearTimeout(timeoutId)
-		try {
-			if (testFrame.parentNode) document.body.removeChild(testFrame)
-		} catch {}
-	}
+		const checkbox = document.createElement('input')
+		checkbox.type = 'checkbox'
+		checkbox.name = 'steam-preference'
+		checkbox.setAttribute('value', preference) // An attribute, so it survives prerendering
 
-	const handleFocusChange = () => {
-		steamDetected = true
-		cleanup()
-	}
-	const handleVisibilityChange = () => {
-		if (document.hidden && !steamDetected) {
-			steamDetected = true
-			cleanup()
-		}
-	}
+		label.appendChild(checkbox)
+		label.append(` ${t(preference === 'browser' ? 'steam.alwaysBrowser' : 'steam.alwaysClient')}`)
+		fieldset.appendChild(label)
+	})
+
+	bindSteamPreferenceControl(fieldset)
+	return fieldset
+}
+
+/**
+ * Ticks the remembered choice and saves changes (also used to hydrate a prerendered footer)
+ * @param {HTMLFieldSetElement} fieldset - The `.steam-preference` element
+ */
+export function bindSteamPreferenceControl(fieldset) {
+	const checkboxes = Array.from(fieldset.querySelectorAll('input[name="steam-preference"]'))
+	const preference = getSteamPreference()
+	checkboxes.forEach((checkbox) => {
+		checkbox.checked = checkbox.getAttribute('value') === preference
+
+		checkbox.addEventListener('change', () => {
+			// Ticking one unticks the other; unticking both goes back to detecting
+			checkboxes.forEach((other) => {
+				if (other !== checkbox) other.checked = false
+			})
+			setSteamPreference(checkbox.checked ? checkbox.getAttribute('value') : null)
+		})
+	})
+}
 
-	window.addEventListener('blur', handleFocusChange, { once: true })
-	document.addEventListener('visibilitychange', handleVisibilityChange)
-
-	timeoutId = setTimeout(() => {
-		if (!steamDetected) {
-			window.open(steamUrl, '_blank', 'noopener,noreferrer')
-		}
-		window.removeEventListener('blur', handleFocusChange)
-		document.removeEventListener('visibilitychange', handleVisibilityChange)
-		cleanup()
-	}, 100)
-
-	document.body.appendChild(testFrame)
-	setTimeout(() => {
-		if (!steamDetected) testFrame.src = steamProtocolUrl
-	}, 10)
+/**
+ * 🧪 Test mode: behaves as if Steam were missing (opens the web page) or installed
+ * (opens nothing), after a short pause so the feedback can be seen
+ * @param {'no-steam'|'steam'} testMode
+ * @param {string} steamUrl
+ * @returns {Promise<SteamOpenResult>}
+ */
+function simulateSteam(testMode, steamUrl) {
+	console.log(`🧪 Steam test mode "${testMode}": ${testMode === 'steam' ? 'not launching the client' : steamUrl}`)
+	return new Promise((resolve) => {
+		setTimeout(() => {
+			if (testMode === 'steam') resolve({ target: 'client', reason: 'test' })
+			else resolve(openWeb(steamUrl, 'test'))
+		}, getDetectTimeout())
+	})
+}
+
+/**
+ * @returns {'no-steam'|'steam'|null} From ?steamTest=…, else the config, else off
+ */
+function getTestMode() {
+	const param = new URLSearchParams(window.location.search).get(TEST_PARAM)
+	if (TEST_MODES.includes(param)) return param
+	return TEST_MODES.includes(steamConfig.testMode) ? steamConfig.testMode : null
+}
+
+/**
+ * @returns {'detect'|'client'|'web'}
+ */
+function getStrategy() {
+	return STRATEGIES.includes(steamConfig.strategy) ? steamConfig.strategy : 'detect'
+}
+
+/**
+ * @returns {number} Milliseconds to wait for the client
+ */
+function getDetectTimeout() {
+	const timeout = steamConfig.detectTimeout
+	return typeof timeout === 'number' && timeout >= 0 ? timeout : DEFAULT_DETECT_TIMEOUT_MS
 }
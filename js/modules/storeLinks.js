@@ -0,0 +1,220 @@
+/**
+ * Store Links Module
+ * A row of branded store buttons per item, from its `stores` list (`steamUrl` is shorthand
+ * for a Steam entry). Each platform has its own handler: Steam goes through steamUtils.js
+ * (client detection, the visitor's preference), platforms with a desktop client protocol
+ * try it with a web fallback (see launcherUtils.js), and the rest are plain links.
+ * Add or replace platforms with registerStorePlatform.
+ */
+
+import { t } from './i18n.js'
+import { getSafeUrl } from './richText.js'
+import { openSteamLink } from './steamUtils.js'
+import { openClientWithFallback, launchWithFeedback } from './launcherUtils.js'
+
+// Icon for platforms without a brand icon in Font Awesome's free set
+const GENERIC_ICON = 'fas fa-gamepad'
+
+/**
+ * @typedef {Object} StorePlatform
+ * @property {string} label - Store name, e.g. 'itch.io' (the button text and in its aria-label)
+ * @property {string} [icon] - Font Awesome classes, e.g. 'fab fa-itch-io'
+ * @property {string} [clientName] - Name of the desktop client, for "Opening <client>…"
+ * @property {(url: string) => string|null} [getClientUrl] - The client link for a store URL,
+ *   or null to open the web page
+ * @property {(link: HTMLAnchorElement, url: string) => void} [open] - Custom click handler
+ *   (takes over from getClientUrl)
+ */
+
+/** @type {Object<string, StorePlatform>} */
+const platforms = {
+	steam: {
+		label: 'Steam',
+		icon: 'fab fa-steam',
+		open: (link, url) => openSteamLink(link, url),
+	},
+	epic: {
+		label: 'Epic Games Store',
+		icon: GENERIC_ICON,
+		clientName: 'Epic Games Launcher',
+		getClientUrl: getEpicClientUrl,
+	},
+	gog: { label: 'GOG', icon: GENERIC_ICON },
+	itch: { label: 'itch.io', icon: 'fab fa-itch-io' },
+	playstation: { label: 'PlayStation Store', icon: 'fab fa-playstation' },
+	xbox: { label: 'Xbox', icon: 'fab fa-xbox' },
+	nintendo: { label: 'Nintendo eShop', icon: GENERIC_ICON },
+	appstore: { label: 'App Store', icon: 'fab fa-app-store-ios' },
+	googleplay: { label: 'Google Play', icon: 'fab fa-google-play' },
+}
+
+/**
+ * Adds a store platform, or replaces a built-in one
+ * @param {string} id - The `platform` value used in data.json
+ * @param {StorePlatform} platform
+ */
+export function registerStorePlatform(id, platform) {
+	platforms[id] = platform
+}
+
+/**
+ * An item's stores in display order: `steamUrl` first (unless `stores` has a Steam entry
+ * of its own), then `stores`, skipping entries without a platform or a safe URL (see getSafeUrl)
+ * @param {Object} item - Item data object
+ * @returns {Array<{platform: string, url: string, label?: string}>}
+ */
+export function getItemStores(item) {
+	const stores = (Array.isArray(item?.stores) ? item.stores : [])
+		.filter((store) => store?.platform)
+		.map((store) => ({ ...store, url: getSafeUrl(store.url) }))
+		.filter((store) => store.url)
+	const steamUrl = getSafeUrl(item?.steamUrl)
+	if (steamUrl && !stores.some((store) => store.platform === 'steam')) {
+		stores.unshift({ platform: 'steam', url: steamUrl })
+	}
+	return stores
+}
+
+/**
+ * @param {Object} item - Item data object
+ * @param {string} platform - e.g. 'steam'
+ * @returns {string|null} The item's URL on that store
+ */
+export function getStoreUrl(item, platform) {
+	return getItemStores(item).find((store) => store.platform === platform)?.url || null
+}
+
+/**
+ * @param {Object} store - An entry from getItemStores
+ * @returns {string} The store's display name
+ */
+export function getStoreName(store) {
+	return platforms[store.platform]?.label || store.label || getHostname(store.url)
+}
+
+/**
+ * Creates the row of store buttons for an item
+ * @param {Object} item - Item data object
+ * @param {Object} [options]
+ * @param {string} [options.className='store-buttons'] - Class for the row
+ * @returns {HTMLDivElement|null} Null when the item has no stores
+ */
+export function createStoreButtons(item, { className = 'store-buttons' } = {}) {
+	const stores = getItemStores(item)
+	if (stores.length === 0) return null
+
+	const row = document.createElement('div')
+	row.className = className
+	row.setAttribute('role', 'group')
+	row.setAttribute('aria-label', t('store.group', { name: item.heading || t('steam.thisGame') }))
+	stores.forEach((store) => row.appendChild(createStoreButton(store, item.heading)))
+	return row
+}
+
+/**
+ * Creates one branded store button
+ * @param {Object} store - An entry from getItemStores
+ * @param {string} [gameName] - For the aria-label
+ * @returns {HTMLAnchorElement}
+ */
+export function createStoreButton(store, gameName = '') {
+	const platform = platforms[store.platform]
+	const name = getStoreName(store)
+	const isSteam = store.platform === 'steam'
+
+	const button = document.createElement('a')
+	button.href = store.url // Fallback for right-click and for platforms without a handler
+	button.target = '_blank'
+	button.rel = 'noopener noreferrer'
+	button.className = `store-button store-button-${toClassName(store.platform)} has-fa-icon`
+	// The Steam button keeps its own look (and the class other code looks for)
+	if (isSteam) button.classList.add('steam-button')
+
+	const icon = document.createElement('i')
+	icon.className = platform?.icon || 'fas fa-store'
+	icon.setAttribute('aria-hidden', 'true')
+
+	const text = document.createElement('span')
+	text.className = 'store-button-label' // "Opening Steam…" feedback replaces this text
+	text.textContent = store.label || (isSteam ? t('steam.open') : name)
+
+	button.appendChild(icon)
+	button.appendChild(text)
+	const game = gameName || t('steam.thisGame')
+	const ariaLabel = isSteam ? t('steam.viewOn', { name: game }) : t('store.viewOn', { name: game, store: name })
+	button.setAttribute('aria-label', ariaLabel)
+
+	bindStoreButton(button, store)
+	return button
+}
+
+/**
+ * Attaches the store's click handler (also used to hydrate prerendered buttons).
+ * Plain-link platforms need none: the link itself opens the store in a new tab.
+ * @param {HTMLAnchorElement} button - A button made by createStoreButton
+ * @param {Object} store - The entry it was made from
+ */
+export function bindStoreButton(button, store) {
+	const platform = platforms[store.platform]
+	if (!platform) return
+
+	if (platform.open) {
+		button.addEventListener('click', (event) => {
+			event.preventDefault()
+			platform.open(button, store.url)
+		})
+		return
+	}
+
+	const clientUrl = platform.getClientUrl?.(store.url)
+	if (!clientUrl) return
+	button.addEventListener('click', (event) => {
+		event.preventDefault()
+		const clientName = platform.clientName || platform.label
+		launchWithFeedback(button, () => openClientWithFallback(clientUrl, store.url), clientName)
+	})
+}
+
+/**
+ * Binds every button in a row made by createStoreButtons
+ * @param {HTMLElement} row - The store button row
+ * @param {Object} item - The item data it was made from
+ */
+export function bindStoreButtons(row, item) {
+	const buttons = row.querySelectorAll('.store-button')
+	getItemStores(item).forEach((store, index) => {
+		if (buttons[index]) bindStoreButton(buttons[index], store)
+	})
+}
+
+/**
+ * Epic Games Store product page -> launcher link
+ * @param {string} url - e.g. https://store.epicgames.com/en-US/p/hollowbrook
+ * @returns {string|null} e.g. 'com.epicgames.launcher://store/p/hollowbrook'
+ */
+function getEpicClientUrl(url) {
+	const match = url.match(/^https?:\/\/store\.epicgames\.com\/(?:[a-z]{2}(?:-[a-z]{2})?\/)?p\/([\w-]+)/i)
+	return match ? `com.epicgames.launcher://store/p/${match[1]}` : null
+}
+
+/**
+ * @param {string} platform
+ * @returns {string} Safe for a class name
+ */
+function toClassName(platform) {
+	return String(platform)
+		.toLowerCase()
+		.replace(/[^a-z0-9-]+/g, '-')
+}
+
+/**
+ * @param {string} url
+ * @returns {string} e.g. 'humblebundle.com', or the URL itself when it can't be parsed
+ */
+function getHostname(url) {
+	try {
+		return new URL(url).hostname.replace(/^www\./, '')
+	} catch {
+		return url
+	}
+}
@@ -1,14 +1,60 @@
 /**
  * Theme Manager Module
- * Handles dark/light theme switching and persistence
+ * Handles theme switching and persistence: the built-in dark and light themes,
+ * a "system" mode that follows prefers-color-scheme live, and named themes
+ * declared in data.json (e.g. high contrast, seasonal).
+ * The stored choice is applied before first paint by the inline script in index.html.
  */
 
+import { t } from './i18n.js'
+
+const STORAGE_KEY = 'theme'
+// Stylesheet of the chosen named theme, so index.html can apply it before data.json loads
+const STYLESHEET_KEY = 'themeStylesheet'
+const DEFAULT_THEME = 'system'
+
+const BUILT_IN_THEMES = [
+	{ id: 'dark', stylesheet: 'css/dark.css', colorScheme: 'dark' },
+	{ id: 'light', stylesheet: 'css/light.css', colorScheme: 'light' },
+]
+
+let customThemes = []
+let systemQuery = null
+
 /**
- * Sets up the theme toggle functionality for the provided button
- * @param {HTMLButtonElement} toggleBtn - The theme toggle button element
+ * Registers the named themes from data.json and re-applies the stored choice
+ * (falling back to "system" if the stored theme no longer exists)
+ * @param {Array<{id:string, label:string, stylesheet:string, colorScheme?:string}>} [themes]
  */
-export function setupThemeToggle(toggleBtn) {
-	// Get the theme stylesheet link element
+export function configureThemes(themes = []) {
+	customThemes = (Array.isArray(themes) ? themes : []).filter((theme) => {
+		if (theme && theme.id && theme.stylesheet && theme.id !== DEFAULT_THEME && !findBuiltIn(theme.id)) return true
+		console.warn('⚠️ Ignoring theme (needs a unique id and a stylesheet):', theme)
+		return false
+	})
+
+	// A removed named theme falls back to "system" (and stops being applied before paint)
+	const stored = getStoredTheme()
+	if (isKnownTheme(stored)) applyTheme(stored)
+	else setTheme(DEFAULT_THEME)
+}
+
+/**
+ * @returns {Array<{id:string, label:string}>} Themes offered in the theme menu, "system" first
+ */
+export function getThemes() {
+	return [
+		{ id: DEFAULT_THEME, label: t('theme.system') },
+		...BUILT_IN_THEMES.map(({ id }) => ({ id, label: t(`theme.${id}`) })),
+		...customThemes.map(({ id, label }) => ({ id, label: label || id })),
+	]
+}
+
+/**
+ * Sets up the theme menu: lists the themes and switches on change
+ * @param {HTMLSelectElement} select - The theme select element
+ */
+export function setupThemeSelect(select) {
 	const themeLink = document.getElementById('theme-style')
 
 	if (!themeLink) {
@@ -16,90 +62,155 @@ export function setupThemeToggle(toggleBtn) {
 		return
 	}
 
-	// Load saved theme from localStorage, default to 'dark'
-	const savedTheme = getStoredTheme()
-
-	// Apply the saved theme on initialization
-	setTheme(savedTheme)
-
-	// Lazy preload alternate theme when user shows intent to switch
-	let isPreloaded = false
-	toggleBtn.addEventListener('pointerdown', () => {
-		if (!isPreloaded) {
-			const currentTheme = getCurrentTheme()
-			const alternateTheme = currentTheme === 'dark' ? 'light' : 'dark'
-			preloadAlternateTheme(alternateTheme)
-			isPreloaded = true
-		}
+	const current = getStoredTheme()
+	getThemes().forEach(({ id, label }) => {
+		const option = document.createElement('option')
+		option.value = id
+		option.textContent = label
+		option.selected = id === current
+		select.appendChild(option)
 	})
 
-	// Add click event listener to toggle between themes
-	toggleBtn.addEventListener('click', () => {
-		// Determine the new theme based on current theme
-		const currentTheme = getCurrentTheme()
-		const newTheme = currentTheme === 'dark' ? 'light' : 'dark'
+	bindThemeSelect(select)
+}
 
-		setTheme(newTheme)
-		isPreloaded = false // Reset for next switch
-	})
+/**
+ * Switches theme when the menu changes (also used to hydrate a prerendered menu)
+ * @param {HTMLSelectElement} select - A theme select filled by setupThemeSelect
+ */
+export function bindThemeSelect(select) {
+	// Prerendered markup can't know the visitor's choice
+	select.value = getStoredTheme()
+
+	// Lazy prefetch the other stylesheets when the user shows intent to switch
+	select.addEventListener('pointerdown', prefetchThemes, { once: true })
+	select.addEventListener('focus', prefetchThemes, { once: true })
+
+	select.addEventListener('change', () => setTheme(select.value))
+}
+
+/**
+ * Switches theme and remembers the choice
+ * @param {string} theme - 'system', 'dark', 'light' or a named theme id
+ */
+export function setTheme(theme) {
+	if (!isKnownTheme(theme)) {
+		console.warn('⚠️ Invalid theme:', theme, 'defaulting to system')
+		theme = DEFAULT_THEME
+	}
+
+	try {
+		localStorage.setItem(STORAGE_KEY, theme)
+		const custom = findCustom(theme)
+		if (custom) localStorage.setItem(STYLESHEET_KEY, custom.stylesheet)
+		else localStorage.removeItem(STYLESHEET_KEY)
+	} catch {
+		// Storage unavailable - the choice lasts for this page view only
+	}
+
+	applyTheme(theme)
+}
+
+/**
+ * Gets the theme that is actually applied ("system" resolved to dark or light)
+ * @returns {string} e.g. 'dark', 'light' or a named theme id
+ */
+export function getCurrentTheme() {
+	return document.documentElement.getAttribute('data-theme') || 'dark'
+}
 
-	/**
-	 * Internal function to set the theme
-	 * @param {string} theme - Either 'dark' or 'light'
-	 */
-	function setTheme(theme) {
-		// Validate theme parameter
-		if (!['dark', 'light'].includes(theme)) {
-			console.warn('⚠️ Invalid theme:', theme, 'defaulting to dark')
-			theme = 'dark'
-		}
-
-		// Update the stylesheet href to load the correct theme
-		themeLink.setAttribute('href', `css/${theme}.css`)
-
-		// Store the theme preference in localStorage
-		localStorage.setItem('theme', theme)
-
-		// Add theme class to body for additional styling if needed
-		document.body.setAttribute('data-theme', theme)
+/**
+ * Gets the stored theme choice from localStorage
+ * @returns {string} The stored theme or 'system' as default
+ */
+export function getStoredTheme() {
+	try {
+		return localStorage.getItem(STORAGE_KEY) || DEFAULT_THEME
+	} catch {
+		return DEFAULT_THEME
 	}
+}
+
+/**
+ * Applies a theme choice: stylesheet, data-theme attributes and color-scheme
+ * @param {string} choice - A known theme id or 'system'
+ */
+function applyTheme(choice) {
+	const theme = choice === DEFAULT_THEME ? findBuiltIn(getSystemTheme()) : findBuiltIn(choice) || findCustom(choice)
+
+	const themeLink = document.getElementById('theme-style')
+	if (themeLink && themeLink.getAttribute('href') !== theme.stylesheet) {
+		themeLink.setAttribute('href', theme.stylesheet)
+	}
+
+	// data-theme on <html> is set before first paint; on <body> for existing styles
+	document.documentElement.setAttribute('data-theme', theme.id)
+	document.documentElement.setAttribute('data-theme-choice', choice)
+	document.documentElement.style.colorScheme = theme.colorScheme || ''
+	document.body?.setAttribute('data-theme', theme.id)
+
+	watchSystemTheme()
+}
+
+/**
+ * @returns {'dark'|'light'} The OS / browser colour scheme preference
+ */
+function getSystemTheme() {
+	return window.matchMedia?.('(prefers-color-scheme: light)').matches ? 'light' : 'dark'
+}
 
-	/**
-	 * Preloads the alternate theme for faster switching
-	 * @param {string} alternateTheme - The theme to preload
-	 */
-	function preloadAlternateTheme(alternateTheme) {
-		// Check if already preloaded
-		if (document.getElementById(`preload-${alternateTheme}`)) {
-			return
-		}
+/**
+ * Follows OS theme changes live while "system" is selected (listener added once)
+ */
+function watchSystemTheme() {
+	if (systemQuery || !window.matchMedia) return
+
+	systemQuery = window.matchMedia('(prefers-color-scheme: light)')
+	systemQuery.addEventListener?.('change', () => {
+		if (getStoredTheme() === DEFAULT_THEME) applyTheme(DEFAULT_THEME)
+	})
+}
+
+/**
+ * Prefetches every theme stylesheet (low priority) so switching is instant
+ */
+function prefetchThemes() {
+	const current = document.getElementById('theme-style')?.getAttribute('href')
+	const themes = [...BUILT_IN_THEMES, ...customThemes]
+
+	themes.forEach(({ id, stylesheet }) => {
+		if (stylesheet === current || document.getElementById(`preload-${id}`)) return
 
 		// Use low-priority prefetch instead of high-priority preload to avoid the unused-preload warning
 		const preloadLink = document.createElement('link')
 		preloadLink.rel = 'prefetch'
 		preloadLink.as = 'style'
-		preloadLink.href = `css/${alternateTheme}.css`
-		preloadLink.id = `preload-${alternateTheme}`
+		preloadLink.href = stylesheet
+		preloadLink.id = `preload-${id}`
 		document.head.appendChild(preloadLink)
-	}
+	})
 }
 
 /**
- * Gets the currently applied theme by checking the stylesheet href
- * @returns {string} 'dark' or 'light'
+ * @param {string} id
+ * @returns {boolean} True for 'system', the built-in themes and configured named themes
  */
-export function getCurrentTheme() {
-	const themeLink = document.getElementById('theme-style')
-	if (!themeLink) return 'dark'
+function isKnownTheme(id) {
+	return id === DEFAULT_THEME || Boolean(findBuiltIn(id) || findCustom(id))
+}
 
-	// Extract theme from the href attribute
-	return themeLink.getAttribute('href').includes('dark') ? 'dark' : 'light'
+/**
+ * @param {string} id
+ * @returns {Object|undefined}
+ */
+function findBuiltIn(id) {
+	return BUILT_IN_THEMES.find((theme) => theme.id === id)
 }
 
 /**
- * Gets the stored theme from localStorage
- * @returns {string} The stored theme or 'dark' as default
+ * @param {string} id
+ * @returns {Object|undefined}
  */
-export function getStoredTheme() {
-	return localStorage.getItem('theme') || 'dark'
+function findCustom(id) {
+	return customThemes.find((theme) => theme.id === id)
 }
@@ -0,0 +1,246 @@
+/**
+ * Trailer Renderer Module
+ * Click-to-load trailer facades: a poster with a play button and no third-party
+ * request until the user presses play.
+ * - YouTube trailers load from youtube-nocookie.com, only after the click, with a consent note
+ * - Local MP4/WebM trailers get a native <video> player with VTT captions
+ */
+
+import { t } from './i18n.js'
+import { watchImageLoad } from './imageUtils.js'
+
+const YOUTUBE_EMBED_ORIGIN = 'https://www.youtube-nocookie.com'
+const YOUTUBE_ID_PATTERN = /^[\w-]{11}$/
+
+const VIDEO_TYPES = {
+	mp4: 'video/mp4',
+	webm: 'video/webm',
+}
+
+/**
+ * Works out what kind of trailer an item has
+ * @param {string|Object} trailer - YouTube id/URL, a video path, or an object:
+ *   { youtube } or { src | sources, poster, captions: [{src, srclang, label, default}] }
+ * @returns {{kind:'youtube', id:string, poster?:string}|{kind:'video', sources:Array, captions:Array, poster?:string}|null}
+ */
+export function parseTrailer(trailer) {
+	if (!trailer) return null
+
+	if (typeof trailer === 'string') {
+		const youtubeId = getYouTubeId(trailer)
+		if (youtubeId) return { kind: 'youtube', id: youtubeId }
+		const source = toVideoSource(trailer)
+		return source ? { kind: 'video', sources: [source], captions: [] } : null
+	}
+
+	if (typeof trailer !== 'object') return null
+
+	if (trailer.youtube) {
+		const youtubeId = getYouTubeId(trailer.youtube)
+		return youtubeId ? { kind: 'youtube', id: youtubeId, poster: trailer.poster } : null
+	}
+
+	const sources = (Array.isArray(trailer.sources) ? trailer.sources : [trailer.src])
+		.map((source) => (typeof source === 'string' ? toVideoSource(source) : source))
+		.filter((source) => source && source.src)
+	if (sources.length === 0) return null
+
+	return {
+		kind: 'video',
+		sources,
+		captions: Array.isArray(trailer.captions) ? trailer.captions.filter((c) => c && c.src) : [],
+		poster: trailer.poster,
+	}
+}
+
+/**
+ * Creates a trailer facade. Nothing is fetched from YouTube (and no video file is
+ * downloaded) until the play button is pressed.
+ * @param {string|Object} trailer - The item's `trailer` field
+ * @param {Object} [options]
+ * @param {string} [options.title] - Game name, used in labels
+ * @param {string} [options.poster] - Fallback poster image (e.g. the item image)
+ * @param {HTMLImageElement} [options.posterElement] - Ready-made poster image to use instead
+ * @param {string} [options.className] - Extra class for the container
+ * @returns {HTMLDivElement|null} Null when the trailer field can't be used
+ */
+export function createTrailer(trailer, options = {}) {
+	const parsed = parseTrailer(trailer)
+	if (!parsed) {
+		console.warn('⚠️ Unsupported trailer:', trailer)
+		return null
+	}
+
+	const title = options.title || ''
+	const container = document.createElement('div')
+	container.className = `trailer trailer-${parsed.kind}`
+	if (options.className) container.classList.add(options.className)
+
+	const facade = document.createElement('div')
+	facade.className = 'trailer-facade'
+
+	const posterSrc = parsed.poster || options.poster
+	const poster = options.posterElement || createPoster(posterSrc, title)
+	if (poster) {
+		poster.classList.add('trailer-poster')
+		facade.appendChild(poster)
+	}
+
+	const playButton = document.createElement('button')
+	playButton.type = 'button'
+	playButton.className = 'trailer-play'
+	playButton.setAttribute('aria-label', t('trailer.play', { name: title || t('steam.thisGame') }))
+	facade.appendChild(playButton)
+
+	container.appendChild(facade)
+
+	if (parsed.kind === 'youtube') {
+		const consent = document.createElement('p')
+		consent.className = 'trailer-consent'
+		consent.textContent = t('trailer.consent')
+		container.appendChild(consent)
+	}
+
+	bindTrailer(container, trailer, options)
+	return container
+}
+
+/**
+ * Attaches the play behaviour to a trailer facade built by createTrailer
+ * (also used to hydrate a prerendered page)
+ * @param {HTMLDivElement} container - The `.trailer` element
+ * @param {string|Object} trailer - The item's `trailer` field
+ * @param {Object} [options] - Same as createTrailer
+ */
+export function bindTrailer(container, trailer, options = {}) {
+	const parsed = parseTrailer(trailer)
+	const facade = container.querySelector('.trailer-facade')
+	const playButton = container.querySelector('.trailer-play')
+	if (!parsed || !facade || !playButton) return
+
+	const title = options.title || ''
+	const posterSrc = parsed.poster || options.poster
+
+	// A ready-made poster (the item image) is looked after by whoever made it
+	const poster = options.posterElement ? null : facade.querySelector('.trailer-poster')
+	if (poster) bindPoster(poster)
+
+	playButton.addEventListener('click', (event) => {
+		event.stopPropagation() // Don't also activate the card underneath
+		const player =
+			parsed.kind === 'youtube'
+				? createYouTubePlayer(parsed, title)
+				: createVideoPlayer({ ...parsed, poster: posterSrc }, title)
+		facade.replaceWith(player)
+		container.querySelector('.trailer-consent')?.remove()
+		player.focus({ preventScroll: true })
+	})
+}
+
+/**
+ * Extracts a YouTube video id from an id or a youtube.com / youtu.be URL
+ * @param {string} value
+ * @returns {string|null}
+ */
+function getYouTubeId(value) {
+	const str = String(value).trim()
+	if (YOUTUBE_ID_PATTERN.test(str)) return str
+
+	const match = str.match(/^https?:\/\/(?:www\.)?(?:youtube(?:-nocookie)?\.com\/(?:watch\?(?:.*&)?v=|embed\/|shorts\/)|youtu\.be\/)([\w-]{11})/i)
+	return match ? match[1] : null
+}
+
+/**
+ * Turns a local video path into a <source> description
+ * @param {string} src - e.g. 'assets/video/trailer.webm'
+ * @returns {{src:string, type:string}|null} Null for unsupported extensions
+ */
+function toVideoSource(src) {
+	const extension = String(src).split('?')[0].split('.').pop().toLowerCase()
+	return VIDEO_TYPES[extension] ? { src, type: VIDEO_TYPES[extension] } : null
+}
+
+/**
+ * Creates the poster image for a facade
+ * @param {string} [src]
+ * @param {string} title
+ * @returns {HTMLImageElement|null}
+ */
+function createPoster(src, title) {
+	if (!src) return null
+	const img = document.createElement('img')
+	img.src = src
+	img.alt = title
+	img.loading = 'lazy'
+	return img
+}
+
+/**
+ * Shows the poster once loaded, hides it if it fails
+ * @param {HTMLImageElement} img
+ */
+function bindPoster(img) {
+	watchImageLoad(
+		img,
+		() => img.classList.add('loaded'),
+		() => {
+			img.style.display = 'none'
+		}
+	)
+}
+
+/**
+ * Creates the YouTube iframe (privacy-enhanced domain, autoplay since the user just clicked)
+ * @param {{id:string}} parsed
+ * @param {string} title
+ * @returns {HTMLIFrameElement}
+ */
+function createYouTubePlayer(parsed, title) {
+	const iframe = document.createElement('iframe')
+	iframe.className = 'trailer-frame'
+	iframe.src = `${YOUTUBE_EMBED_ORIGIN}/embed/${encodeURIComponent(parsed.id)}?autoplay=1&rel=0`
+	iframe.title = t('trailer.title', { name: title || 'YouTube' })
+	iframe.allow = 'accelerometer; autoplay; encrypted-media; gyroscope; picture-in-picture; fullscreen'
+	iframe.allowFullscreen = true
+	iframe.referrerPolicy = 'strict-origin-when-cross-origin'
+	return iframe
+}
+
+/**
+ * Creates a native video player with caption tracks
+ * @param {{sources:Array<{src:string,type:string}>, captions:Array, poster?:string}} parsed
+ * @param {string} title
+ * @returns {HTMLVideoElement}
+ */
+function createVideoPlayer(parsed, title) {
+	const video = document.createElement('video')
+	video.className = 'trailer-frame trailer-video'
+	video.controls = true
+	video.autoplay = true
+	video.playsInline = true
+	video.preload = 'metadata'
+	video.setAttribute('aria-label', t('trailer.title', { name: title || '' }).trim())
+	if (parsed.poster) video.poster = parsed.poster
+
+	parsed.sources.forEach((source) => {
+		const el = document.createElement('source')
+		el.src = source.src
+		if (source.type) el.type = source.type
+		video.appendChild(el)
+	})
+
+	parsed.captions.forEach((caption) => {
+		const track = document.createElement('track')
+		track.kind = caption.kind || 'captions'
+		track.src = caption.src
+		track.srclang = caption.srclang || ''
+		track.label = caption.label || caption.srclang || ''
+		if (caption.default) track.default = true
+		video.appendChild(track)
+	})
+
+	// Shown only by browsers that can't play any of the sources
+	video.appendChild(document.createTextNode(t('trailer.unsupported')))
+
+	return video
+}
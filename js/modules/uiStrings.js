@@ -0,0 +1,318 @@
+/**
+ * UI Strings
+ * Interface text that does not come from data.json, per locale.
+ * English is the fallback: a key missing in another locale shows the English text.
+ * Placeholders like {name} are filled in by t() in i18n.js.
+ */
+
+export const UI_STRINGS = {
+	en: {
+		'header.logoAlt': 'Site Logo',
+		'header.followOn': 'Follow {site} on {network}',
+		'header.openSteam': 'Open on Steam',
+		'header.theme': 'Theme',
+		'header.themeTitle': 'Switch theme',
+		'header.language': 'Language',
+
+		'theme.system': 'System',
+		'theme.dark': 'Dark',
+		'theme.light': 'Light',
+
+		'section.noItems': 'No items available in this section.',
+		'item.imageAlt': 'Item image',
+		'item.viewDetails': 'View details for {name}',
+		'item.fallbackName': 'item',
+
+		'steam.open': 'Open in Steam',
+		'steam.viewOn': 'View {name} on Steam',
+		'steam.thisGame': 'this game',
+		'steam.preferenceLegend': 'Steam links',
+		'steam.alwaysBrowser': 'Always open in the browser',
+		'steam.alwaysClient': 'Always open in the Steam app',
+		'steamStore.free': 'Free to play',
+		'steamStore.discount': '{percent}% off: was {initial}, now {final}',
+		'steamStore.comingSoon': 'Coming soon',
+		'steamStore.comingSoonDate': 'Coming soon: {date}',
+		'steamStore.released': 'Released {date}',
+		'steamStore.reviews': '{summary} ({total} reviews)',
+		'steamStore.reviewCount': '{total} reviews',
+		'store.group': 'Get {name}',
+		'store.viewOn': 'View {name} on {store}',
+		'store.opening': 'Opening {store}…',
+		'store.openedClient': 'Opened in {store}',
+		'store.openedWeb': 'Opened in a new tab',
+		'release.status.announced': 'Announced',
+		'release.status.coming-soon': 'Coming soon',
+		'release.status.early-access': 'Early access',
+		'release.status.released': 'Out now',
+		'release.launches': 'Launches',
+		'release.timeLeft': '{time} to go',
+		'release.underMinute': 'less than a minute',
+		'release.addToCalendar': 'Add to calendar',
+		'release.addToCalendarFor': 'Add the {name} release to your calendar',
+		'release.calendarTitle': '{name} release',
+		'release.episodes': '{name} episodes',
+
+		'update.available': 'New content is available.',
+		'update.refresh': 'Refresh',
+		'update.dismiss': 'Dismiss update notice',
+
+		'loadError.title': "Couldn't load the page",
+		'loadError.message': 'The site content could not be loaded. Check your connection and try again.',
+		'loadError.unexpected': 'An unexpected error occurred. Please refresh the page.',
+		'loadError.retry': 'Try again',
+		'loadError.retrying': 'Trying again…',
+		'loadError.cached': "We couldn't reach the server, so this is the copy saved on {date}. It may be out of date.",
+		'loadError.section': "This section couldn't be shown.",
+
+		'detail.title': 'Details',
+		'detail.releaseDate': 'Release date',
+		'detail.platforms': 'Platforms',
+		'detail.screenshot': '{name} screenshot {index}',
+		'detail.game': 'Game',
+
+		'news.readMore': 'Read more',
+		'news.readMoreLabel': 'Read more: {title}',
+		'news.loadMore': 'Load more posts',
+		'news.byline': 'By {author}',
+		'news.tags': 'Tags',
+
+		'modal.close': 'Close',
+
+		'form.invalidEmail': 'Please enter a valid email address.',
+		'form.tooFast': 'That was quick! Please wait a moment and try again.',
+		'form.trapLabel': 'Leave this field empty',
+
+		'contact.required': 'Please fill in this field.',
+		'contact.tooShort': 'Please write at least {min} characters.',
+		'contact.tooLong': 'Please use {max} characters or fewer.',
+		'contact.choose': 'Choose…',
+		'contact.counter': '{count} / {max} characters',
+		'contact.requiredNote': 'Fields marked * are required.',
+		'contact.fixErrors': 'Please correct the highlighted fields.',
+		'contact.submit': 'Send',
+		'contact.sending': 'Sending…',
+		'contact.success': "Thanks! Your message has been sent. We'll get back to you soon.",
+		'contact.error': 'Sorry, your message could not be sent. Please try again later.',
+		'contact.unavailable': "This form isn't taking messages yet.",
+
+		'presskit.title': 'Press kit',
+		'presskit.gameTitle': '{name} press kit',
+		'presskit.breadcrumb': 'Press kit navigation',
+		'presskit.backToSite': 'Back to the site',
+		'presskit.backToStudio': 'Studio press kit',
+		'presskit.factSheet': 'Fact sheet',
+		'presskit.developer': 'Developer',
+		'presskit.website': 'Website',
+		'presskit.games': 'Games',
+		'presskit.social': 'Social',
+		'presskit.contact': 'Press contact',
+		'presskit.price': 'Price',
+		'presskit.store': 'Stores',
+		'presskit.about': 'About {name}',
+		'presskit.description': 'Description',
+		'presskit.history': 'History',
+		'presskit.features': 'Features',
+		'presskit.videos': 'Videos',
+		'presskit.images': 'Images',
+		'presskit.logos': 'Logos',
+		'presskit.awards': 'Awards and recognition',
+		'presskit.quotes': 'Selected articles',
+		'presskit.assets': 'Downloads',
+		'presskit.downloadList': 'Download the asset list',
+		'presskit.copy': 'Copy text',
+		'presskit.copied': 'Copied to the clipboard.',
+		'presskit.copyFailed': 'Text selected: press Ctrl+C (or ⌘C) to copy it.',
+
+		'newsletter.title': 'Newsletter',
+		'newsletter.emailLabel': 'Email address',
+		'newsletter.submit': 'Sign up',
+		'newsletter.sending': 'Signing you up…',
+		'newsletter.success': "Thanks! You're on the list.",
+		'newsletter.error': 'Sorry, something went wrong. Please try again later.',
+		'newsletter.consentRequired': 'Please tick the box to agree before signing up.',
+		'newsletter.mailtoSubject': 'Newsletter signup',
+		'newsletter.mailtoBody': 'Please add {email} to the newsletter.',
+		'newsletter.mailtoSent': 'Your email app should now open with a signup message. Send it to finish signing up.',
+
+		'richText.updated': 'Last updated: {date}',
+
+		'trailer.play': 'Play trailer: {name}',
+		'trailer.title': '{name} trailer',
+		'trailer.consent':
+			'Pressing play loads this trailer from YouTube (youtube-nocookie.com). YouTube will receive your IP address and may store data in your browser.',
+		'trailer.unsupported': 'Your browser cannot play this video.',
+
+		'lightbox.label': 'Screenshot viewer',
+		'lightbox.open': 'View screenshot {index} of {total}',
+		'lightbox.prev': 'Previous image',
+		'lightbox.next': 'Next image',
+		'lightbox.close': 'Close viewer',
+		'lightbox.counter': '{current} / {total}',
+
+		'router.notFoundTitle': 'Page not found',
+		'router.notFound': 'Sorry, we couldn\'t find "/{path}". It may have moved or the link contains a typo.',
+		'router.backHome': 'Back to home',
+
+		'cookie.label': 'Cookie notice',
+		'cookie.close': 'Close cookie notice',
+		'cookie.message': 'We do not use cookies for analytics or ads.',
+		'cookie.more': 'Learn more',
+		'cookie.button': 'Got it',
+	},
+
+	cy: {
+		'header.logoAlt': "Logo'r wefan",
+		'header.followOn': 'Dilynwch {site} ar {network}',
+		'header.openSteam': 'Agor ar Steam',
+		'header.theme': 'Thema',
+		'header.themeTitle': 'Newid thema',
+		'header.language': 'Iaith',
+
+		'theme.system': 'System',
+		'theme.dark': 'Tywyll',
+		'theme.light': 'Golau',
+
+		'section.noItems': 'Does dim eitemau yn yr adran hon.',
+		'item.imageAlt': 'Delwedd eitem',
+		'item.viewDetails': 'Gweld manylion {name}',
+		'item.fallbackName': 'eitem',
+
+		'steam.open': 'Agor yn Steam',
+		'steam.viewOn': 'Gweld {name} ar Steam',
+		'steam.thisGame': 'y gêm hon',
+		'steam.preferenceLegend': 'Dolenni Steam',
+		'steam.alwaysBrowser': 'Agor yn y porwr bob tro',
+		'steam.alwaysClient': 'Agor yn ap Steam bob tro',
+		'steamStore.free': 'Am ddim i chwarae',
+		'steamStore.discount': '{percent}% i ffwrdd: {initial} yn flaenorol, {final} nawr',
+		'steamStore.comingSoon': 'Yn dod yn fuan',
+		'steamStore.comingSoonDate': 'Yn dod yn fuan: {date}',
+		'steamStore.released': 'Rhyddhawyd {date}',
+		'steamStore.reviews': '{summary} ({total} adolygiad)',
+		'steamStore.reviewCount': '{total} adolygiad',
+		'store.group': 'Cael {name}',
+		'store.viewOn': 'Gweld {name} ar {store}',
+		'store.opening': 'Yn agor {store}…',
+		'store.openedClient': 'Wedi agor yn {store}',
+		'store.openedWeb': 'Wedi agor mewn tab newydd',
+		'release.status.announced': "Wedi'i gyhoeddi",
+		'release.status.coming-soon': 'Yn dod yn fuan',
+		'release.status.early-access': 'Mynediad cynnar',
+		'release.status.released': 'Allan nawr',
+		'release.launches': 'Yn lansio',
+		'release.timeLeft': '{time} i fynd',
+		'release.underMinute': 'llai na munud',
+		'release.addToCalendar': 'Ychwanegu at y calendr',
+		'release.addToCalendarFor': 'Ychwanegu rhyddhau {name} at eich calendr',
+		'release.calendarTitle': 'Rhyddhau {name}',
+		'release.episodes': 'Penodau {name}',
+
+		'update.available': 'Mae cynnwys newydd ar gael.',
+		'update.refresh': 'Adnewyddu',
+		'update.dismiss': "Cau'r hysbysiad diweddaru",
+
+		'loadError.title': "Methu llwytho'r dudalen",
+		'loadError.message': 'Methu llwytho cynnwys y wefan. Gwiriwch eich cysylltiad a rhowch gynnig arall arni.',
+		'loadError.unexpected': "Aeth rhywbeth o'i le. Adnewyddwch y dudalen.",
+		'loadError.retry': 'Rhoi cynnig arall arni',
+		'loadError.retrying': 'Yn rhoi cynnig arall arni…',
+		'loadError.cached': "Methu cyrraedd y gweinydd, felly dyma'r copi a gadwyd ar {date}. Efallai nad yw'n gyfredol.",
+		'loadError.section': 'Methu dangos yr adran hon.',
+
+		'detail.title': 'Manylion',
+		'detail.releaseDate': 'Dyddiad rhyddhau',
+		'detail.platforms': 'Platfformau',
+		'detail.screenshot': 'Sgrinlun {index} o {name}',
+		'detail.game': 'Gêm',
+
+		'news.readMore': 'Darllen mwy',
+		'news.readMoreLabel': 'Darllen mwy: {title}',
+		'news.loadMore': 'Llwytho mwy o bostiadau',
+		'news.byline': 'Gan {author}',
+		'news.tags': 'Tagiau',
+
+		'modal.close': 'Cau',
+
+		'form.invalidEmail': 'Rhowch gyfeiriad e-bost dilys.',
+		'form.tooFast': "Roedd hynny'n gyflym! Arhoswch eiliad a rhowch gynnig arall arni.",
+		'form.trapLabel': 'Gadewch y maes hwn yn wag',
+
+		'contact.required': 'Llenwch y maes hwn.',
+		'contact.tooShort': 'Ysgrifennwch o leiaf {min} nod.',
+		'contact.tooLong': 'Defnyddiwch {max} nod neu lai.',
+		'contact.choose': 'Dewiswch…',
+		'contact.counter': '{count} / {max} nod',
+		'contact.requiredNote': "Mae'r meysydd â * yn orfodol.",
+		'contact.fixErrors': "Cywirwch y meysydd sydd wedi'u hamlygu.",
+		'contact.submit': 'Anfon',
+		'contact.sending': "Wrthi'n anfon…",
+		'contact.success': "Diolch! Mae eich neges wedi'i hanfon. Byddwn yn cysylltu â chi cyn bo hir.",
+		'contact.error': "Mae'n ddrwg gennym, nid oedd modd anfon eich neges. Rhowch gynnig arall arni nes ymlaen.",
+		'contact.unavailable': "Nid yw'r ffurflen hon yn derbyn negeseuon eto.",
+
+		'presskit.title': 'Pecyn y wasg',
+		'presskit.gameTitle': 'Pecyn y wasg {name}',
+		'presskit.breadcrumb': 'Llywio pecyn y wasg',
+		'presskit.backToSite': "Yn ôl i'r wefan",
+		'presskit.backToStudio': 'Pecyn y wasg y stiwdio',
+		'presskit.factSheet': 'Taflen ffeithiau',
+		'presskit.developer': 'Datblygwr',
+		'presskit.website': 'Gwefan',
+		'presskit.games': 'Gemau',
+		'presskit.social': 'Cyfryngau cymdeithasol',
+		'presskit.contact': 'Cyswllt y wasg',
+		'presskit.price': 'Pris',
+		'presskit.store': 'Siopau',
+		'presskit.about': 'Am {name}',
+		'presskit.description': 'Disgrifiad',
+		'presskit.history': 'Hanes',
+		'presskit.features': 'Nodweddion',
+		'presskit.videos': 'Fideos',
+		'presskit.images': 'Delweddau',
+		'presskit.logos': 'Logos',
+		'presskit.awards': 'Gwobrau a chydnabyddiaeth',
+		'presskit.quotes': 'Erthyglau dethol',
+		'presskit.assets': 'Lawrlwythiadau',
+		'presskit.downloadList': "Lawrlwytho'r rhestr asedau",
+		'presskit.copy': "Copïo'r testun",
+		'presskit.copied': "Wedi'i gopïo i'r clipfwrdd.",
+		'presskit.copyFailed': "Testun wedi'i ddewis: pwyswch Ctrl+C (neu ⌘C) i'w gopïo.",
+
+		'newsletter.title': 'Cylchlythyr',
+		'newsletter.emailLabel': 'Cyfeiriad e-bost',
+		'newsletter.submit': 'Cofrestru',
+		'newsletter.sending': "Wrthi'n eich cofrestru…",
+		'newsletter.success': "Diolch! Rydych chi ar y rhestr.",
+		'newsletter.error': "Mae'n ddrwg gennym, aeth rhywbeth o'i le. Rhowch gynnig arall arni nes ymlaen.",
+		'newsletter.consentRequired': 'Ticiwch y blwch i gytuno cyn cofrestru.',
+		'newsletter.mailtoSubject': 'Cofrestru ar gyfer y cylchlythyr',
+		'newsletter.mailtoBody': "Ychwanegwch {email} at y cylchlythyr, os gwelwch yn dda.",
+		'newsletter.mailtoSent': "Dylai eich ap e-bost agor nawr gyda neges gofrestru. Anfonwch hi i orffen cofrestru.",
+
+		'richText.updated': 'Diweddarwyd ddiwethaf: {date}',
+
+		'trailer.play': 'Chwarae trelar: {name}',
+		'trailer.title': 'Trelar {name}',
+		'trailer.consent':
+			"Bydd pwyso chwarae yn llwytho'r trelar hwn o YouTube (youtube-nocookie.com). Bydd YouTube yn cael eich cyfeiriad IP a gall storio data yn eich porwr.",
+		'trailer.unsupported': "Ni all eich porwr chwarae'r fideo hwn.",
+
+		'lightbox.label': 'Gwyliwr sgrinluniau',
+		'lightbox.open': 'Gweld sgrinlun {index} o {total}',
+		'lightbox.prev': 'Delwedd flaenorol',
+		'lightbox.next': 'Delwedd nesaf',
+		'lightbox.close': "Cau'r gwyliwr",
+		'lightbox.counter': '{current} / {total}',
+
+		'router.notFoundTitle': "Heb ddod o hyd i'r dudalen",
+		'router.notFound': 'Mae\'n ddrwg gennym, ni allem ddod o hyd i "/{path}". Efallai ei bod wedi symud neu fod gwall yn y ddolen.',
+		'router.backHome': "Yn ôl i'r hafan",
+
+		'cookie.label': 'Hysbysiad cwcis',
+		'cookie.close': "Cau'r hysbysiad cwcis",
+		'cookie.message': 'Nid ydym yn defnyddio cwcis ar gyfer dadansoddeg na hysbysebion.',
+		'cookie.more': 'Dysgu mwy',
+		'cookie.button': 'Iawn',
+	},
+}
@@ -0,0 +1,52 @@
+// Generated by scripts/precache.mjs - do not edit. The files sw.js caches on install.
+self.PRECACHE_MANIFEST = {
+	"version": "8199319d56b0",
+	"files": [
+		"assets/favicon/favicon.png",
+		"assets/favicon/favicon.webp",
+		"assets/fonts/BAHNSCHRIFT.woff",
+		"assets/games/hollowbrook_apartments.webp",
+		"assets/logo/logo.webp",
+		"css/dark.css",
+		"css/high-contrast.css",
+		"css/light.css",
+		"css/styles.css",
+		"data/data.json",
+		"./",
+		"js/index.js",
+		"js/modules/appRenderer.js",
+		"js/modules/contactForm.js",
+		"js/modules/dataLoader.js",
+		"js/modules/dataSchema.js",
+		"js/modules/detailRenderer.js",
+		"js/modules/devOverlay.js",
+		"js/modules/domUtils.js",
+		"js/modules/footerRenderer.js",
+		"js/modules/formUtils.js",
+		"js/modules/headerRenderer.js",
+		"js/modules/i18n.js",
+		"js/modules/imageUtils.js",
+		"js/modules/launcherUtils.js",
+		"js/modules/lightbox.js",
+		"js/modules/metaRenderer.js",
+		"js/modules/modalRenderer.js",
+		"js/modules/newsRenderer.js",
+		"js/modules/newsletter.js",
+		"js/modules/offlineSupport.js",
+		"js/modules/pressKit.js",
+		"js/modules/previewMode.js",
+		"js/modules/releaseStatus.js",
+		"js/modules/richText.js",
+		"js/modules/router.js",
+		"js/modules/sectionRenderer.js",
+		"js/modules/sectionTypes.js",
+		"js/modules/slugUtils.js",
+		"js/modules/steamStore.js",
+		"js/modules/steamUtils.js",
+		"js/modules/storeLinks.js",
+		"js/modules/themeManager.js",
+		"js/modules/trailerRenderer.js",
+		"js/modules/uiStrings.js",
+		"offline.html"
+	]
+}
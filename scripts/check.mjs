@@ -0,0 +1,184 @@
+/**
+ * Checks
+ * Quick checks of the site's modules that are easy to break without noticing: each runs the
+ * real code (in the minimal DOM, like the prerender) and compares the result with what it
+ * should be.
+ *
+ * Usage: node scripts/check.mjs
+ *
+ * Runs offline. Prints one line per check and exits with code 1 when any of them fails.
+ */
+
+import assert from 'node:assert/strict'
+import { readFile } from 'node:fs/promises'
+import { parseDocument, serializeDocument, findUnknownProperties } from './lib/dom.mjs'
+import { ROOT, loadSite, importSiteModule } from './lib/site.mjs'
+
+const checks = []
+
+/**
+ * @param {string} name - What should hold, e.g. 'iCalendar lines fold and unfold unchanged'
+ * @param {() => Promise<void>|void} run - Throws (e.g. through node:assert) when it doesn't
+ */
+function check(name, run) {
+	checks.push({ name, run })
+}
+
+check('iCalendar lines fold and unfold unchanged', async () => {
+	const { foldIcsLine } = await importSiteModule('js/modules/releaseStatus.js')
+
+	;[0, 1, 74, 75, 76, 149, 150, 200, 1000].forEach((length) => {
+		const line = Array.from({ length }, (_, index) => String.fromCharCode(65 + (index % 26))).join('')
+		const folded = foldIcsLine(line)
+
+		folded.split('\r\n').forEach((part) => assert.ok(part.length <= 75, `${length}: a line has ${part.length}`))
+		assert.equal(folded.replace(/\r\n /g, ''), line, `${length}: unfolds to another line`)
+	})
+})
+
+check('Custom section types keep the item fields they register', async () => {
+	const { registerSectionType } = await importSiteModule('js/modules/sectionRenderer.js')
+	const { validateData, string } = await importSiteModule('js/modules/dataSchema.js')
+
+	registerSectionType('check-clips', () => null, { itemFields: { clip: string() } })
+	const { data, errors } = validateData({
+		sections: [
+			{ title: 'Clips', type: 'check-clips', items: [{ heading: 'One', clip: 'a.mp4' }] },
+			{ title: 'Cards', items: [{ heading: 'Two', clip: 'b.mp4' }] },
+		],
+	})
+
+	assert.equal(data.sections[0].items[0].clip, 'a.mp4')
+	assert.equal(data.sections[1].items[0].clip, undefined)
+	assert.deepEqual(errors, ['sections[1].items[0].clip: unknown property'])
+})
+
+// One section of every built-in type, so the renderers that data.json doesn't use yet run too
+const SAMPLE_SECTIONS = [
+	{
+		title: 'Hero',
+		type: 'hero',
+		items: [{ heading: 'Hero', text: 'Tagline', image: 'assets/logo/logo.webp', links: [{ name: 'More', url: '#about' }] }],
+	},
+	{
+		title: 'News',
+		type: 'news',
+		pageSize: 1,
+		items: [
+			{ heading: 'First post', slug: 'first-post', date: '2026-01-01', author: 'Sam', tags: ['Devlog'], body: ['One', '## Two'] },
+			{ heading: 'Second post', slug: 'second-post', date: '2026-02-01', excerpt: 'Short', body: 'Longer' },
+		],
+	},
+	{ title: 'Gallery', type: 'gallery', items: [{ heading: 'Shot', image: 'assets/logo/logo.webp', text: 'Caption' }] },
+	{ title: 'Timeline', type: 'timeline', items: [{ heading: 'Started', date: 'Q4 2025', text: 'First lines of code' }] },
+	{ title: 'FAQ', type: 'faq', items: [{ heading: 'When?', text: '**Soon**' }] },
+	{
+		title: 'Team',
+		type: 'team',
+		items: [{ heading: 'Sam', role: 'Developer', text: 'Bio', links: [{ name: 'Site', url: 'https://example.com' }] }],
+	},
+	{ title: 'Quotes', type: 'quote', items: [{ text: 'Spooky.', author: 'A critic', role: 'A magazine', url: 'https://example.com' }] },
+	{ title: 'Newsletter', type: 'newsletter' },
+	{
+		title: 'Games',
+		items: [
+			{
+				heading: 'Sample game',
+				text: 'Card text',
+				description: ['Detail text', '- A list'],
+				features: ['One'],
+				platforms: ['Windows'],
+				stores: [{ platform: 'itch', url: 'https://example.itch.io/game' }],
+				status: 'coming-soon',
+				releaseDate: '2099-01-01T18:00',
+				episodes: [{ title: 'Episode 1', releaseDate: '2099-01-01' }],
+				screenshots: ['assets/logo/logo.webp', { src: 'assets/logo/logo.webp', caption: 'Second' }],
+				trailer: { youtube: 'dQw4w9WgXcQ' },
+			},
+		],
+	},
+]
+
+// A form modal with every kind of field
+const SAMPLE_FORM_MODAL = {
+	id: 'check-form',
+	title: 'Form',
+	type: 'form',
+	content: 'Intro',
+	form: {
+		endpoint: 'https://example.com/contact',
+		format: 'form',
+		fields: [
+			{ name: 'name', label: 'Name', required: true, autocomplete: 'name', placeholder: 'Sam' },
+			{ name: 'email', label: 'Email', type: 'email', hint: 'To reply' },
+			{ name: 'topic', label: 'Topic', type: 'select', options: ['Press', { value: 'help', label: 'Help' }] },
+			{ name: 'message', label: 'Message', type: 'textarea', rows: 4, minLength: 2, maxLength: 200 },
+		],
+	},
+}
+
+check('The renderers run in the minimal DOM', async () => {
+	const template = await readFile(new URL('index.html', ROOT), 'utf8')
+	const { raw } = await loadSite({ html: template })
+	const { prepareData } = await importSiteModule('js/modules/dataLoader.js')
+	const { renderApp } = await importSiteModule('js/modules/appRenderer.js')
+	const { updateRouteMeta } = await importSiteModule('js/modules/metaRenderer.js')
+
+	const data = prepareData({
+		...raw,
+		sections: [...(raw.sections || []), ...SAMPLE_SECTIONS],
+		modals: [...(raw.modals || []), SAMPLE_FORM_MODAL],
+		newsletter: { adapter: { type: 'mailto', address: 'news@example.com' } },
+	})
+
+	// The renderers log a block that failed and carry on; here that is a failure
+	const logged = []
+	const consoleError = console.error
+	console.error = (...args) => logged.push(args.map(String).join(' '))
+	try {
+		renderApp(data)
+		updateRouteMeta()
+	} finally {
+		console.error = consoleError
+	}
+	assert.deepEqual(logged, [])
+	// Set by a renderer but never written out: add them to lib/dom.mjs
+	assert.deepEqual(findUnknownProperties(document), [], 'properties the minimal DOM drops')
+
+	const sections = document.querySelectorAll('#main-content > section[data-slug]').length
+	assert.equal(sections, data.sections.length, 'a section is missing')
+	data.modals?.forEach((modal) => assert.ok(document.getElementById(`modal-${modal.id}`), `modal "${modal.id}" is missing`))
+	document.querySelectorAll('.contact-form').forEach((form) => {
+		const names = form.elements.filter((control) => control.name).map((control) => control.name)
+		assert.ok(names.length > 0, 'a contact form has no fields')
+	})
+
+	// The written page reads back unchanged
+	const html = serializeDocument(document)
+	assert.equal(serializeDocument(parseDocument(html)), html)
+})
+
+/**
+ * Runs every check
+ */
+async function main() {
+	await loadSite()
+
+	let failed = 0
+	for (const { name, run } of checks) {
+		try {
+			await run()
+			console.log(`✅ ${name}`)
+		} catch (error) {
+			failed++
+			console.error(`❌ ${name}: ${error.message}`)
+		}
+	}
+
+	if (failed > 0) process.exitCode = 1
+}
+
+main().catch((error) => {
+	console.error('❌ Checks failed to run:', error)
+	process.exitCode = 1
+})
@@ -0,0 +1,100 @@
+/**
+ * Contact form stub server
+ * Stands in for the `form.endpoint` of form modals (and the newsletter "post" adapter) while
+ * developing: accepts any POST, prints what was sent and answers { "ok": true }.
+ *
+ * Usage: node scripts/contact-stub.mjs [--port 8787] [--delay <ms>] [--fail]
+ *   --port   Port to listen on (default: 8787)
+ *   --delay  Wait this long before answering, to see the "Sending…" state
+ *   --fail   Answer 500 instead, to see the error message
+ *
+ * Then point the form at it: "endpoint": "http://localhost:8787/contact". Stop with Ctrl+C.
+ */
+
+import { createServer } from 'node:http'
+import { getOption } from './lib/site.mjs'
+
+const DEFAULT_PORT = 8787
+
+// Cross-origin (the site runs on another port), including the preflight for JSON bodies
+const CORS_HEADERS = {
+	'Access-Control-Allow-Origin': '*',
+	'Access-Control-Allow-Methods': 'POST, OPTIONS',
+	'Access-Control-Allow-Headers': 'Content-Type, Accept',
+}
+
+/**
+ * Starts the server
+ */
+function main() {
+	const port = Number(getOption('--port')) || DEFAULT_PORT
+	const delay = Number(getOption('--delay')) || 0
+	const fail = process.argv.includes('--fail')
+
+	const server = createServer(async (request, response) => {
+		if (request.method === 'OPTIONS') {
+			response.writeHead(204, CORS_HEADERS)
+			response.end()
+			return
+		}
+
+		if (request.method !== 'POST') {
+			reply(response, 405, { ok: false, error: 'POST only' })
+			return
+		}
+
+		const body = await readBody(request)
+		console.log(`📨 ${request.method} ${request.url}`, parseBody(body, request.headers['content-type']))
+
+		if (delay) await new Promise((resolve) => setTimeout(resolve, delay))
+		if (fail) reply(response, 500, { ok: false, error: 'Stub set to fail (--fail)' })
+		else reply(response, 200, { ok: true })
+	})
+
+	server.on('error', (error) => {
+		console.error('❌ Contact stub failed:', error.message)
+		process.exitCode = 1
+	})
+
+	server.listen(port, () => {
+		console.log(`✅ Contact stub listening on http://localhost:${port}/${fail ? ' (failing every request)' : ''}`)
+	})
+}
+
+/**
+ * @param {import('node:http').IncomingMessage} request
+ * @returns {Promise<string>} The request body
+ */
+async function readBody(request) {
+	const chunks = []
+	for await (const chunk of request) chunks.push(chunk)
+	return Buffer.concat(chunks).toString('utf8')
+}
+
+/**
+ * Decodes a JSON or form-encoded body for printing
+ * @param {string} body
+ * @param {string} [contentType]
+ * @returns {Object|string} The fields, or the raw body when it can't be decoded
+ */
+function parseBody(body, contentType = '') {
+	try {
+		if (contentType.includes('application/json')) return JSON.parse(body)
+		if (contentType.includes('application/x-www-form-urlencoded')) return Object.fromEntries(new URLSearchParams(body))
+	} catch {
+		// Fall through and show it as sent
+	}
+	return body
+}
+
+/**
+ * @param {import('node:http').ServerResponse} response
+ * @param {number} status
+ * @param {Object} payload
+ */
+function reply(response, status, payload) {
+	response.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' })
+	response.end(JSON.stringify(payload))
+}
+
+main()
@@ -0,0 +1,17 @@
+/**
+ * Module hooks for the build scripts
+ * The site's js/ folder has no package.json, so Node would treat its .js files as
+ * CommonJS. Load them as ES modules, like the browser does.
+ */
+
+const JS_ROOT = new URL('../../js/', import.meta.url).href
+
+/**
+ * @param {string} url
+ * @param {Object} context
+ * @param {Function} nextLoad
+ */
+export async function load(url, context, nextLoad) {
+	if (url.startsWith(JS_ROOT)) return nextLoad(url, { ...context, format: 'module' })
+	return nextLoad(url, context)
+}
@@ -0,0 +1,839 @@
+/**
+ * Minimal DOM for Node
+ * Just enough of the browser DOM to run the site's renderers at build time and
+ * serialize the result: an HTML parser for the index.html template, elements with
+ * attributes, classList, dataset, style and the reflected properties the renderers set
+ * (img.src, a.href...), simple CSS selectors, and an HTML serializer.
+ * Only what the build uses is here: a renderer that starts using another API needs it
+ * added. scripts/check.mjs runs every renderer against this DOM to catch that.
+ * Events are recorded but never fired.
+ */
+
+const VOID_ELEMENTS = new Set([
+	'area',
+	'base',
+	'br',
+	'col',
+	'embed',
+	'hr',
+	'img',
+	'input',
+	'link',
+	'meta',
+	'source',
+	'track',
+	'wbr',
+])
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style'])
+const ESCAPABLE_RAW_TEXT_ELEMENTS = new Set(['textarea', 'title'])
+
+const NAMED_ENTITIES = {
+	amp: '&',
+	lt: '<',
+	gt: '>',
+	quot: '"',
+	apos: "'",
+	nbsp: String.fromCharCode(0xa0),
+	times: String.fromCharCode(0xd7),
+	copy: String.fromCharCode(0xa9),
+	reg: String.fromCharCode(0xae),
+	trade: String.fromCharCode(0x2122),
+	hellip: String.fromCharCode(0x2026),
+	mdash: String.fromCharCode(0x2014),
+	ndash: String.fromCharCode(0x2013),
+	lsquo: String.fromCharCode(0x2018),
+	rsquo: String.fromCharCode(0x2019),
+	ldquo: String.fromCharCode(0x201c),
+	rdquo: String.fromCharCode(0x201d),
+	middot: String.fromCharCode(0xb7),
+}
+const NBSP = NAMED_ENTITIES.nbsp
+
+// Properties that mirror an attribute, as in the browser (el.src = 'x' -> src="x")
+const STRING_PROPERTIES = {
+	id: 'id',
+	className: 'class',
+	title: 'title',
+	lang: 'lang',
+	href: 'href',
+	src: 'src',
+	alt: 'alt',
+	type: 'type',
+	rel: 'rel',
+	target: 'target',
+	name: 'name',
+	content: 'content',
+	loading: 'loading',
+	poster: 'poster',
+	preload: 'preload',
+	kind: 'kind',
+	srclang: 'srclang',
+	label: 'label',
+	allow: 'allow',
+	referrerPolicy: 'referrerpolicy',
+	dateTime: 'datetime',
+	htmlFor: 'for',
+	download: 'download',
+	as: 'as',
+	placeholder: 'placeholder',
+}
+const BOOLEAN_PROPERTIES = {
+	hidden: 'hidden',
+	disabled: 'disabled',
+	controls: 'controls',
+	autoplay: 'autoplay',
+	playsInline: 'playsinline',
+	default: 'default',
+	allowFullscreen: 'allowfullscreen',
+	required: 'required',
+	noValidate: 'novalidate',
+}
+const NUMBER_PROPERTIES = {
+	tabIndex: 'tabindex',
+	maxLength: 'maxlength',
+	minLength: 'minlength',
+	rows: 'rows',
+	width: 'width',
+	height: 'height',
+}
+
+/* ========== Nodes ========== */
+
+class Node {
+	constructor(nodeType, ownerDocument) {
+		this.nodeType = nodeType
+		this.ownerDocument = ownerDocument
+		this.parentNode = null
+		this.childNodes = []
+	}
+
+	get firstChild() {
+		return this.childNodes[0] || null
+	}
+
+	get nextSibling() {
+		const siblings = this.parentNode ? this.parentNode.childNodes : []
+		return siblings[siblings.indexOf(this) + 1] || null
+	}
+
+	get textContent() {
+		return this.childNodes.map((child) => child.textContent).join('')
+	}
+
+	set textContent(value) {
+		this.replaceChildren()
+		const text = String(value ?? '')
+		if (text) this.appendChild(new Text(text, this.ownerDocument))
+	}
+
+	appendChild(node) {
+		return this.insertBefore(node, null)
+	}
+
+	insertBefore(node, reference) {
+		node.remove()
+		node.parentNode = this
+		const index = reference ? this.childNodes.indexOf(reference) : -1
+		if (index === -1) this.childNodes.push(node)
+		else this.childNodes.splice(index, 0, node)
+		return node
+	}
+
+	removeChild(node) {
+		const index = this.childNodes.indexOf(node)
+		if (index !== -1) this.childNodes.splice(index, 1)
+		node.parentNode = null
+		return node
+	}
+
+	append(...nodes) {
+		nodes.forEach((node) => this.appendChild(toNode(node, this.ownerDocument)))
+	}
+
+	prepend(...nodes) {
+		const first = this.firstChild
+		nodes.forEach((node) => this.insertBefore(toNode(node, this.ownerDocument), first))
+	}
+
+	replaceChildren(...nodes) {
+		while (this.firstChild) this.removeChild(this.firstChild)
+		this.append(...nodes)
+	}
+
+	remove() {
+		if (this.parentNode) this.parentNode.removeChild(this)
+	}
+
+	after(...nodes) {
+		const parent = this.parentNode
+		if (!parent) return
+		const next = this.nextSibling
+		nodes.forEach((node) => parent.insertBefore(toNode(node, this.ownerDocument), next))
+	}
+
+	get children() {
+		return this.childNodes.filter((child) => child.nodeType === 1)
+	}
+
+	querySelectorAll(selector) {
+		const selectors = parseSelectorList(selector)
+		const results = []
+		walkElements(this, (el) => {
+			if (selectors.some((complex) => matchesComplex(el, complex, this))) results.push(el)
+		})
+		return results
+	}
+
+	querySelector(selector) {
+		return this.querySelectorAll(selector)[0] || null
+	}
+
+	// Events are recorded so code can attach them, but the build never fires them
+	addEventListener(type, listener) {
+		if (!this._listeners) this._listeners = []
+		this._listeners.push({ type, listener })
+	}
+}
+
+class Text extends Node {
+	constructor(data, ownerDocument) {
+		super(3, ownerDocument)
+		this.data = String(data)
+	}
+
+	get textContent() {
+		return this.data
+	}
+
+	set textContent(value) {
+		this.data = String(value ?? '')
+	}
+}
+
+class Comment extends Node {
+	constructor(data, ownerDocument) {
+		super(8, ownerDocument)
+		this.data = String(data)
+	}
+}
+
+class Element extends Node {
+	constructor(localName, ownerDocument) {
+		super(1, ownerDocument)
+		this.localName = localName.toLowerCase()
+		this.attributeMap = new Map()
+		this.style = createStyle(this)
+		this.dataset = createDataset(this)
+		this.classList = createClassList(this)
+	}
+
+	get tagName() {
+		return this.localName.toUpperCase()
+	}
+
+	getAttribute(name) {
+		const value = this.attributeMap.get(String(name).toLowerCase())
+		return value === undefined ? null : value
+	}
+
+	setAttribute(name, value) {
+		this.attributeMap.set(String(name).toLowerCase(), String(value))
+	}
+
+	removeAttribute(name) {
+		this.attributeMap.delete(String(name).toLowerCase())
+	}
+
+	hasAttribute(name) {
+		return this.attributeMap.has(String(name).toLowerCase())
+	}
+
+	toggleAttribute(name, force) {
+		const on = force === undefined ? !this.hasAttribute(name) : Boolean(force)
+		if (on) this.setAttribute(name, '')
+		else this.removeAttribute(name)
+		return on
+	}
+
+	matches(selector) {
+		return parseSelectorList(selector).some((complex) => matchesComplex(this, complex, null))
+	}
+
+	closest(selector) {
+		for (let el = this; el && el.nodeType === 1; el = el.parentNode) {
+			if (el.matches(selector)) return el
+		}
+		return null
+	}
+
+	get innerHTML() {
+		return this.childNodes.map((child) => serializeNode(child)).join('')
+	}
+
+	set innerHTML(html) {
+		this.replaceChildren()
+		parseInto(this, String(html ?? ''), this.ownerDocument)
+	}
+
+	// <option>.value mirrors its attribute (falling back to the text); other controls keep a live value
+	get value() {
+		if (this.localName === 'option') return this.getAttribute('value') ?? this.textContent
+		if (this.localName === 'select') {
+			const option = this.querySelectorAll('option').find((o) => o.selected)
+			return option ? option.value : ''
+		}
+		if (this._value !== undefined) return this._value
+		return this.localName === 'textarea' ? this.textContent : this.getAttribute('value') ?? ''
+	}
+
+	set value(value) {
+		if (this.localName === 'option') this.setAttribute('value', value)
+		else if (this.localName === 'select') {
+			this.querySelectorAll('option').forEach((o) => {
+				o._selected = o.value === String(value)
+			})
+		} else this._value = String(value)
+	}
+
+	// Selectedness / checkedness are state, not attributes (as in the browser)
+	get selected() {
+		return this._selected ?? this.hasAttribute('selected')
+	}
+
+	set selected(value) {
+		this._selected = Boolean(value)
+	}
+
+	get checked() {
+		return this._checked ?? this.hasAttribute('checked')
+	}
+
+	set checked(value) {
+		this._checked = Boolean(value)
+	}
+
+	// <form>.elements; namedItem() gives a list when several controls share the name, as in the browser
+	get elements() {
+		const controls = this.querySelectorAll('input, select, textarea, button')
+		controls.namedItem = (name) => {
+			const matches = controls.filter((control) => control.getAttribute('name') === name)
+			return matches.length > 1 ? matches : matches[0] || null
+		}
+		return controls
+	}
+
+	focus() {
+		this.ownerDocument.activeElement = this
+	}
+}
+
+Object.entries(STRING_PROPERTIES).forEach(([property, attribute]) => {
+	Object.defineProperty(Element.prototype, property, {
+		get() {
+			return this.getAttribute(attribute) ?? ''
+		},
+		set(value) {
+			this.setAttribute(attribute, value)
+		},
+	})
+})
+
+Object.entries(BOOLEAN_PROPERTIES).forEach(([property, attribute]) => {
+	Object.defineProperty(Element.prototype, property, {
+		get() {
+			return this.hasAttribute(attribute)
+		},
+		set(value) {
+			this.toggleAttribute(attribute, Boolean(value))
+		},
+	})
+})
+
+Object.entries(NUMBER_PROPERTIES).forEach(([property, attribute]) => {
+	Object.defineProperty(Element.prototype, property, {
+		get() {
+			const value = parseInt(this.getAttribute(attribute), 10)
+			return Number.isNaN(value) ? (property === 'tabIndex' ? -1 : 0) : value
+		},
+		set(value) {
+			this.setAttribute(attribute, String(Math.trunc(Number(value))))
+		},
+	})
+})
+
+class Document extends Node {
+	constructor() {
+		super(9, null)
+		this.ownerDocument = this
+		this.doctype = null
+		this.activeElement = null
+		this.readyState = 'complete'
+		this.hidden = false
+		this.visibilityState = 'visible'
+		this.cookie = ''
+		this.fonts = { ready: Promise.resolve(), load: () => Promise.resolve([]) }
+	}
+
+	get documentElement() {
+		return this.children.find((el) => el.localName === 'html') || null
+	}
+
+	get head() {
+		return this.documentElement?.children.find((el) => el.localName === 'head') || null
+	}
+
+	get body() {
+		return this.documentElement?.children.find((el) => el.localName === 'body') || null
+	}
+
+	get title() {
+		return this.querySelector('title')?.textContent.trim() || ''
+	}
+
+	set title(value) {
+		let title = this.querySelector('title')
+		if (!title) {
+			title = this.createElement('title')
+			this.head?.appendChild(title)
+		}
+		title.textContent = value
+	}
+
+	createElement(name) {
+		return new Element(name, this)
+	}
+
+	createTextNode(data) {
+		return new Text(data, this)
+	}
+
+	getElementById(id) {
+		let found = null
+		walkElements(this, (el) => {
+			if (!found && el.getAttribute('id') === id) found = el
+		})
+		return found
+	}
+}
+
+/* ========== Element helpers ========== */
+
+/**
+ * element.style backed by the style attribute, serialized like the browser ("display: none;").
+ * Properties only (style.display = 'none'); '' removes one.
+ */
+function createStyle(element) {
+	const read = () => {
+		const map = new Map()
+		String(element.getAttribute('style') || '')
+			.split(';')
+			.forEach((declaration) => {
+				const index = declaration.indexOf(':')
+				if (index === -1) return
+				const name = declaration.slice(0, index).trim().toLowerCase()
+				const value = declaration.slice(index + 1).trim()
+				if (name) map.set(name, value)
+			})
+		return map
+	}
+	const write = (map) => {
+		const text = [...map].map(([name, value]) => `${name}: ${value};`).join(' ')
+		if (text) element.setAttribute('style', text)
+		else if (element.hasAttribute('style')) element.setAttribute('style', '')
+	}
+	return new Proxy(
+		{},
+		{
+			get: (target, property) => (typeof property === 'string' ? read().get(toKebabCase(property)) || '' : undefined),
+			set(target, property, value) {
+				const map = read()
+				if (value === '' || value === null || value === undefined) map.delete(toKebabCase(property))
+				else map.set(toKebabCase(property), String(value))
+				write(map)
+				return true
+			},
+		}
+	)
+}
+
+/**
+ * element.dataset mapping camelCase keys to data-* attributes
+ */
+function createDataset(element) {
+	return new Proxy(
+		{},
+		{
+			get: (target, key) => (typeof key === 'string' ? element.getAttribute(`data-${toKebabCase(key)}`) ?? undefined : undefined),
+			set(target, key, value) {
+				element.setAttribute(`data-${toKebabCase(key)}`, value)
+				return true
+			},
+			deleteProperty(target, key) {
+				element.removeAttribute(`data-${toKebabCase(key)}`)
+				return true
+			},
+			has: (target, key) => element.hasAttribute(`data-${toKebabCase(key)}`),
+		}
+	)
+}
+
+/**
+ * element.classList backed by the class attribute
+ */
+function createClassList(element) {
+	const read = () => String(element.getAttribute('class') || '').split(/\s+/).filter(Boolean)
+	const write = (list) => element.setAttribute('class', [...new Set(list)].join(' '))
+	return {
+		add: (...names) => write([...read(), ...names]),
+		remove: (...names) => {
+			if (element.hasAttribute('class')) write(read().filter((name) => !names.includes(name)))
+		},
+		toggle(name, force) {
+			const has = read().includes(name)
+			const on = force === undefined ? !has : Boolean(force)
+			if (on && !has) this.add(name)
+			if (!on && has) this.remove(name)
+			return on
+		},
+		contains: (name) => read().includes(name),
+	}
+}
+
+function toKebabCase(name) {
+	return String(name).replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`)
+}
+
+function toNode(value, ownerDocument) {
+	return typeof value === 'string' ? new Text(value, ownerDocument) : value
+}
+
+function walkElements(root, visit) {
+	root.childNodes.forEach((child) => {
+		if (child.nodeType !== 1) return
+		visit(child)
+		walkElements(child, visit)
+	})
+}
+
+/* ========== Selectors ========== */
+// Supports: *, tag, #id, .class, [attr], [attr=value], [attr^=value], [attr$=value], [attr*=value],
+// :not(simple), descendant (space) and child (>) combinators, and comma-separated lists
+
+function parseSelectorList(selector) {
+	return splitOutside(String(selector), ',').map((part) => parseComplex(part.trim()))
+}
+
+function parseComplex(selector) {
+	const tokens = []
+	let combinator = ' '
+	splitOutside(selector.replace(/\s*>\s*/g, ' > '), ' ')
+		.filter(Boolean)
+		.forEach((part) => {
+			if (part === '>') {
+				combinator = '>'
+				return
+			}
+			tokens.push({ combinator, compound: parseCompound(part) })
+			combinator = ' '
+		})
+	return tokens
+}
+
+function parseCompound(text) {
+	const compound = { tag: null, ids: [], classes: [], attributes: [], not: [] }
+	const pattern = /(^[a-z][\w-]*|^\*)|#([\w-]+)|\.([\w-]+)|\[\s*([\w-]+)\s*(?:([\^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]*)))?\s*\]|:not\(([^)]*)\)/giy
+	let match
+	while ((match = pattern.exec(text)) !== null) {
+		if (match[1]) compound.tag = match[1] === '*' ? null : match[1].toLowerCase()
+		else if (match[2]) compound.ids.push(match[2])
+		else if (match[3]) compound.classes.push(match[3])
+		else if (match[4]) {
+			compound.attributes.push({ name: match[4].toLowerCase(), operator: match[5], value: match[6] ?? match[7] ?? match[8] })
+		} else if (match[9] !== undefined) compound.not.push(parseCompound(match[9].trim()))
+		if (pattern.lastIndex >= text.length) break
+	}
+	if (pattern.lastIndex !== 0 && pattern.lastIndex < text.length) throw new Error(`Unsupported selector: ${text}`)
+	return compound
+}
+
+function matchesCompound(el, compound) {
+	if (compound.tag && el.localName !== compound.tag) return false
+	if (compound.ids.some((id) => el.getAttribute('id') !== id)) return false
+	if (compound.classes.some((name) => !el.classList.contains(name))) return false
+	const attributesMatch = compound.attributes.every(({ name, operator, value }) => {
+		const actual = el.getAttribute(name)
+		if (actual === null) return false
+		if (!operator) return true
+		if (operator === '=') return actual === value
+		if (operator === '^=') return actual.startsWith(value)
+		if (operator === '$=') return actual.endsWith(value)
+		return actual.includes(value)
+	})
+	return attributesMatch && !compound.not.some((inner) => matchesCompound(el, inner))
+}
+
+function matchesComplex(el, tokens, scope) {
+	const last = tokens[tokens.length - 1]
+	if (!last || !matchesCompound(el, last.compound)) return false
+	return matchesAncestors(el, tokens, tokens.length - 1, scope)
+}
+
+function matchesAncestors(el, tokens, index, scope) {
+	if (index === 0) return true
+	const { combinator } = tokens[index]
+	const target = tokens[index - 1].compound
+	for (let parent = el.parentNode; parent && parent.nodeType === 1 && parent !== scope; parent = parent.parentNode) {
+		if (matchesCompound(parent, target) && matchesAncestors(parent, tokens, index - 1, scope)) return true
+		if (combinator === '>') return false
+	}
+	return false
+}
+
+function splitOutside(text, separator) {
+	const parts = []
+	let depth = 0
+	let quote = null
+	let current = ''
+	for (const char of text) {
+		if (quote) {
+			if (char === quote) quote = null
+		} else if (char === '"' || char === "'") quote = char
+		else if (char === '[' || char === '(') depth += 1
+		else if (char === ']' || char === ')') depth -= 1
+		else if (depth === 0 && (separator === ' ' ? /\s/.test(char) : char === separator)) {
+			parts.push(current)
+			current = ''
+			continue
+		}
+		current += char
+	}
+	parts.push(current)
+	return parts
+}
+
+/* ========== Checking ========== */
+
+// What elements keep on themselves; any other own property was set by a renderer (see findUnknownProperties)
+const ELEMENT_FIELDS = new Set([
+	'nodeType',
+	'ownerDocument',
+	'parentNode',
+	'childNodes',
+	'localName',
+	'attributeMap',
+	'style',
+	'dataset',
+	'classList',
+	'selfClosing',
+	'_listeners',
+	'_value',
+	'_selected',
+	'_checked',
+])
+
+/**
+ * Properties set on elements that this DOM doesn't reflect: in the browser they would be
+ * attributes (or state), here they are never written out
+ * @param {Node} root
+ * @returns {string[]} e.g. ['input.inputMode']
+ */
+export function findUnknownProperties(root) {
+	const found = new Set()
+	walkElements(root, (el) => {
+		Object.keys(el)
+			// Event handler properties (img.onload) are fine: nothing fires at build time
+			.filter((key) => !ELEMENT_FIELDS.has(key) && !key.startsWith('on'))
+			.forEach((key) => found.add(`${el.localName}.${key}`))
+	})
+	return [...found]
+}
+
+/* ========== Parsing ========== */
+
+/**
+ * Parses a full HTML document (e.g. index.html)
+ * @param {string} html
+ * @returns {Document}
+ */
+export function parseDocument(html) {
+	const document = new Document()
+	parseInto(document, html, document)
+	return document
+}
+
+function parseInto(root, html, document) {
+	const stack = [root]
+	const current = () => stack[stack.length - 1]
+	let i = 0
+
+	const appendText = (text) => {
+		if (text) current().appendChild(new Text(decodeEntities(text), document))
+	}
+
+	while (i < html.length) {
+		const lt = html.indexOf('<', i)
+		if (lt === -1) {
+			appendText(html.slice(i))
+			break
+		}
+		appendText(html.slice(i, lt))
+		i = lt
+
+		if (html.startsWith('<!--', i)) {
+			const end = html.indexOf('-->', i + 4)
+			const stop = end === -1 ? html.length : end
+			current().appendChild(new Comment(html.slice(i + 4, stop), document))
+			i = stop + 3
+			continue
+		}
+
+		if (/^<!doctype/i.test(html.slice(i, i + 9))) {
+			const end = html.indexOf('>', i)
+			document.doctype = html.slice(i + 2, end).trim()
+			i = end + 1
+			continue
+		}
+
+		const endTag = html.slice(i).match(/^<\/([a-zA-Z][\w-]*)\s*>/)
+		if (endTag) {
+			const name = endTag[1].toLowerCase()
+			const index = stack.map((node) => node.localName).lastIndexOf(name)
+			if (index > 0) stack.length = index
+			i += endTag[0].length
+			continue
+		}
+
+		const startTag = html.slice(i).match(/^<([a-zA-Z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/)
+		if (!startTag) {
+			appendText('<')
+			i += 1
+			continue
+		}
+
+		const element = new Element(startTag[1], document)
+		parseAttributes(startTag[2]).forEach(([name, value]) => element.setAttribute(name, value))
+		if (startTag[3]) element.selfClosing = true
+		current().appendChild(element)
+		i += startTag[0].length
+
+		const name = element.localName
+		if (RAW_TEXT_ELEMENTS.has(name) || ESCAPABLE_RAW_TEXT_ELEMENTS.has(name)) {
+			const close = html.slice(i).search(new RegExp(`</${name}\\s*>`, 'i'))
+			const stop = close === -1 ? html.length : i + close
+			const text = html.slice(i, stop)
+			if (text) element.appendChild(new Text(RAW_TEXT_ELEMENTS.has(name) ? text : decodeEntities(text), document))
+			i = stop + (close === -1 ? 0 : html.slice(stop).match(/^<\/[^>]*>/)[0].length)
+		} else if (!VOID_ELEMENTS.has(name) && !startTag[3]) {
+			stack.push(element)
+		}
+	}
+}
+
+function parseAttributes(text) {
+	const attributes = []
+	const pattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g
+	let match
+	while ((match = pattern.exec(text)) !== null) {
+		attributes.push([match[1].toLowerCase(), decodeEntities(match[2] ?? match[3] ?? match[4] ?? '')])
+	}
+	return attributes
+}
+
+function decodeEntities(text) {
+	return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, body) => {
+		if (body[0] === '#') {
+			const code = body[1] === 'x' || body[1] === 'X' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10)
+			return Number.isFinite(code) ? String.fromCodePoint(code) : entity
+		}
+		return NAMED_ENTITIES[body.toLowerCase()] ?? entity
+	})
+}
+
+/* ========== Serializing ========== */
+
+/**
+ * Serializes a document back to HTML
+ * @param {Document} document
+ * @returns {string}
+ */
+export function serializeDocument(document) {
+	const doctype = document.doctype ? `<!${document.doctype}>` : ''
+	return doctype + document.childNodes.map((node) => serializeNode(node)).join('')
+}
+
+function serializeNode(node) {
+	switch (node.nodeType) {
+		case 1:
+			return serializeElement(node)
+		case 3: {
+			const parent = node.parentNode
+			if (parent && parent.nodeType === 1 && RAW_TEXT_ELEMENTS.has(parent.localName)) return node.data
+			return escapeText(node.data)
+		}
+		case 8:
+			return `<!--${node.data}-->`
+		default:
+			return node.childNodes.map((child) => serializeNode(child)).join('')
+	}
+}
+
+function serializeElement(el) {
+	const attributes = [...el.attributeMap].map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`).join('')
+	if (VOID_ELEMENTS.has(el.localName)) return `<${el.localName}${attributes}${el.selfClosing ? ' /' : ''}>`
+	const children = el.childNodes.map((child) => serializeNode(child)).join('')
+	return `<${el.localName}${attributes}>${children}</${el.localName}>`
+}
+
+function escapeText(text) {
+	return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').split(NBSP).join('&nbsp;')
+}
+
+function escapeAttribute(text) {
+	return text.replace(/&/g, '&amp;').replace(/"/g, '&quot;').split(NBSP).join('&nbsp;')
+}
+
+/* ========== Globals ========== */
+
+/**
+ * Installs the window-like globals the renderers use (document, window, location,
+ * storage, observers...) so browser modules can be imported and run in Node
+ * @param {Document} document
+ * @param {Object} [options]
+ * @param {string} [options.url='https://localhost/'] - Page URL (location, og:url, link origins)
+ */
+export function installGlobals(document, options = {}) {
+	const url = new URL(options.url || 'https://localhost/')
+	const storage = () => {
+		const values = new Map()
+		return {
+			getItem: (key) => (values.has(key) ? values.get(key) : null),
+			setItem: (key, value) => values.set(key, String(value)),
+			removeItem: (key) => values.delete(key),
+			clear: () => values.clear(),
+			key: (index) => [...values.keys()][index] ?? null,
+			get length() {
+				return values.size
+			},
+		}
+	}
+	const noop = () => {}
+
+	const globals = {
+		window: globalThis,
+		document,
+		location: url,
+		navigator: { language: '', languages: [], userAgent: 'prerender', onLine: true },
+		localStorage: storage(),
+		sessionStorage: storage(),
+		matchMedia: (query) => ({ media: query, matches: false, addEventListener: noop, removeEventListener: noop }),
+		IntersectionObserver: class {
+			observe() {}
+			unobserve() {}
+			disconnect() {}
+		},
+	}
+
+	Object.entries(globals).forEach(([name, value]) => {
+		Object.defineProperty(globalThis, name, { value, writable: true, configurable: true })
+	})
+}
@@ -0,0 +1,40 @@
+/**
+ * Share pages for the build scripts
+ * The item detail routes that get a crawlable page of their own, e.g.
+ * games/hollowbrook-apartments/ for #/games/hollowbrook-apartments: prerender.mjs writes them
+ * and sitemap.mjs and its feed link to them, so both work from this one list.
+ */
+
+// A section with one of these slugs gets no share pages: they would land in the site's own folders
+export const SITE_FOLDERS = ['assets', 'css', 'data', 'js', 'scripts']
+
+/**
+ * One share page per item detail route, in page order. Items without a slug and repeated
+ * slugs (the router opens the first) are skipped, as are sections named like a site folder.
+ * @param {Object} data - Validated data
+ * @param {Object} slugUtils - The slug helpers (js/modules/slugUtils.js)
+ * @returns {Array<{path:string, hash:string, section:Object, item:Object}>} `path` is relative
+ *   to the site root, e.g. 'games/hollowbrook-apartments/'
+ */
+export function collectSharePages(data, { getSectionSlug, getItemSlug, getItemHash, getItemPagePath }) {
+	const pages = new Map()
+	const sections = Array.isArray(data.sections) ? data.sections : []
+
+	sections.forEach((section) => {
+		const sectionSlug = getSectionSlug(section)
+		if (!sectionSlug) return
+		if (SITE_FOLDERS.includes(sectionSlug)) {
+			console.warn(`⚠️ No share pages for section "${sectionSlug}": give it another id`)
+			return
+		}
+
+		const items = Array.isArray(section.items) ? section.items : []
+		items.forEach((item) => {
+			const path = getItemPagePath(sectionSlug, item)
+			if (!getItemSlug(item) || pages.has(path)) return
+			pages.set(path, { path, hash: getItemHash(sectionSlug, item), section, item })
+		})
+	})
+
+	return [...pages.values()]
+}
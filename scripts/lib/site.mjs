@@ -0,0 +1,66 @@
+/**
+ * Site loader for the build scripts
+ * Reads data/data.json and CNAME and lets the scripts import the site's own modules
+ * (in the minimal DOM), so everything they produce comes from the same data, slugs and
+ * validation the browser uses. Works offline.
+ */
+
+import { readFile } from 'node:fs/promises'
+import { register } from 'node:module'
+import { parseDocument, installGlobals } from './dom.mjs'
+
+export const ROOT = new URL('../../', import.meta.url)
+
+const EMPTY_PAGE = '<!DOCTYPE html><html><head></head><body></body></html>'
+const FALLBACK_URL = 'https://localhost/'
+
+// The js/ folder has no package.json; load its files as ES modules
+register('./browserModules.mjs', import.meta.url)
+
+/**
+ * Reads the site files and installs the browser globals the modules expect
+ * @param {Object} [options]
+ * @param {string} [options.html] - Page to run the modules in (default: an empty page)
+ * @returns {Promise<{document: Object, raw: Object, domain: string, siteUrl: string}>}
+ *   `raw` is data.json as written; pass it to prepareData() (dataLoader.js) to localize and validate it
+ */
+export async function loadSite(options = {}) {
+	const raw = JSON.parse(await readFile(new URL('data/data.json', ROOT), 'utf8'))
+	const domain = await readDomain()
+	const siteUrl = domain ? `https://${domain}/` : FALLBACK_URL
+
+	const document = parseDocument(options.html || EMPTY_PAGE)
+	installGlobals(document, { url: siteUrl })
+
+	return { document, raw, domain, siteUrl }
+}
+
+/**
+ * Imports one of the site's modules. Call after loadSite(): some modules touch the DOM when loaded.
+ * @param {string} path - Relative to the repository root, e.g. 'js/modules/slugUtils.js'
+ * @returns {Promise<Object>} The module namespace
+ */
+export function importSiteModule(path) {
+	return import(new URL(path, ROOT))
+}
+
+/**
+ * Reads a command line option
+ * @param {string} name - e.g. '--out'
+ * @returns {string|undefined} The value following the flag
+ */
+export function getOption(name) {
+	const index = process.argv.indexOf(name)
+	return index === -1 ? undefined : process.argv[index + 1]
+}
+
+/**
+ * @returns {Promise<string>} The site's domain from CNAME, or '' when there is none
+ */
+async function readDomain() {
+	try {
+		return (await readFile(new URL('CNAME', ROOT), 'utf8')).trim()
+	} catch {
+		return ''
+	}
+}
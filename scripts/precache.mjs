@@ -0,0 +1,83 @@
+/**
+ * Precache manifest generator
+ * Lists the files the service worker (sw.js) caches on install and writes them to
+ * precache-manifest.js, with a version hashed from their contents. Any change to a listed
+ * file gives a new version, so visitors get the new deploy (after the "Refresh" prompt) and
+ * the previous version's cache is deleted.
+ *
+ * Usage: node scripts/precache.mjs [--out <file>]
+ *   --out  Where to write the manifest (default: precache-manifest.js in the repository root)
+ *
+ * Run it last when publishing, after prerender.mjs and sitemap.mjs: index.html is listed too.
+ * Output is deterministic: the same files always give a byte-identical manifest.
+ */
+
+import { readFile, readdir, writeFile } from 'node:fs/promises'
+import { createHash } from 'node:crypto'
+import { resolve } from 'node:path'
+import { fileURLToPath, pathToFileURL } from 'node:url'
+import { ROOT, getOption } from './lib/site.mjs'
+
+const MANIFEST_FILE = 'precache-manifest.js'
+
+// Cached as './' (the URL visitors open) rather than 'index.html'
+const SHELL_FILE = 'index.html'
+const PAGES = [SHELL_FILE, 'offline.html']
+const FOLDERS = ['css', 'js', 'data', 'assets']
+
+// Development-only files, the content editor (admin.html, a local tool visitors never load),
+// and videos (too big to download up front; trailers stream instead)
+const EXCLUDE = [/^data\/fixtures\//, /^js\/admin\//, /^css\/admin\.css$/, /\.(mp4|webm|mov|ogv)$/i, /(^|\/)\./]
+
+/**
+ * Builds and writes the manifest
+ */
+async function main() {
+	const outOption = getOption('--out')
+	const outFile = outOption ? pathToFileURL(resolve(outOption)) : new URL(MANIFEST_FILE, ROOT)
+
+	const files = [...PAGES]
+	for (const folder of FOLDERS) files.push(...(await listFiles(folder)))
+	const paths = files.filter((path) => !EXCLUDE.some((pattern) => pattern.test(path))).sort()
+
+	const hash = createHash('sha256')
+	for (const path of paths) {
+		hash.update(`${path}\0`)
+		hash.update(await readFile(new URL(path, ROOT)))
+		hash.update('\0')
+	}
+
+	const manifest = {
+		version: hash.digest('hex').slice(0, 12),
+		files: paths.map((path) => (path === SHELL_FILE ? './' : path)),
+	}
+
+	const content = [
+		'// Generated by scripts/precache.mjs - do not edit. The files sw.js caches on install.',
+		`self.PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, '\t')}`,
+		'',
+	].join('\n')
+
+	await writeFile(outFile, content)
+	console.log(`✅ Wrote ${paths.length} file(s), version ${manifest.version}, to ${fileURLToPath(outFile)}`)
+}
+
+/**
+ * @param {string} folder - Relative to the repository root, e.g. 'css'
+ * @returns {Promise<string[]>} Every file below it, as root-relative paths with '/'
+ */
+async function listFiles(folder) {
+	const entries = await readdir(new URL(`${folder}/`, ROOT), { recursive: true, withFileTypes: true })
+	return entries
+		.filter((entry) => entry.isFile())
+		.map((entry) => {
+			const dir = fileURLToPath(new URL(`${folder}/`, ROOT))
+			const parent = entry.parentPath ?? entry.path
+			return `${folder}/${resolve(parent, entry.name).slice(dir.length)}`.replace(/\\/g, '/')
+		})
+}
+
+main().catch((error) => {
+	console.error('❌ Precache manifest failed:', error)
+	process.exitCode = 1
+})
@@ -0,0 +1,160 @@
+/**
+ * Prerender
+ * Renders data/data.json into index.html with the site's own renderers (renderApp), so
+ * the content is in the HTML for crawlers and shows before any script runs. In the
+ * browser, js/index.js then hydrates the page (attaches event handlers) instead of
+ * rebuilding it - or re-renders it if data.json changed since the prerender.
+ *
+ * It also writes a share page for every item detail route, e.g.
+ * games/hollowbrook-apartments/index.html for #/games/hollowbrook-apartments: the same page
+ * with that item's title, description and card image. Link previews and crawlers ignore the
+ * #/… part of a URL, so this is the address shared for the item (canonical link, og:url).
+ * In the browser it turns into the hash route on the home page (see cleanupURL in index.js).
+ *
+ * Usage: node scripts/prerender.mjs [--out <file>]
+ *   --out  Where to write the page (default: index.html, rewritten in place); share pages
+ *          go in folders next to it
+ *
+ * Runs offline: reads only index.html, data/data.json and CNAME (for absolute URLs).
+ * Safe to run again on an already prerendered index.html. Share pages of items that no
+ * longer exist are deleted.
+ */
+
+import { readFile, writeFile, mkdir, readdir, rm, rmdir } from 'node:fs/promises'
+import { resolve } from 'node:path'
+import { pathToFileURL } from 'node:url'
+import { serializeDocument } from './lib/dom.mjs'
+import { ROOT, loadSite, importSiteModule, getOption } from './lib/site.mjs'
+import { collectSharePages } from './lib/sharePages.mjs'
+
+// <html data-share-page="#/games/hollowbrook-apartments"> marks a share page and its route
+const SHARE_PAGE_ATTRIBUTE = 'data-share-page'
+
+/**
+ * Renders the page and its share pages and writes them out
+ */
+async function main() {
+	const outOption = getOption('--out')
+	const outFile = outOption ? pathToFileURL(resolve(outOption)) : new URL('index.html', ROOT)
+	const outDir = new URL('./', outFile)
+
+	const template = await readFile(new URL('index.html', ROOT), 'utf8')
+	const { document, raw } = await loadSite({ html: template })
+
+	const { prepareData } = await importSiteModule('js/modules/dataLoader.js')
+	const { renderApp, markPrerendered } = await importSiteModule('js/modules/appRenderer.js')
+	const { updateRouteMeta, markSharePages } = await importSiteModule('js/modules/metaRenderer.js')
+	const { getItemRouteMeta } = await importSiteModule('js/modules/router.js')
+	const slugUtils = await importSiteModule('js/modules/slugUtils.js')
+
+	const data = prepareData(raw)
+	// Each with the item's title, description and social card (see lib/sharePages.mjs for which items)
+	const sharePages = collectSharePages(data, slugUtils).map((page) => ({
+		...page,
+		meta: getItemRouteMeta(data, page.section, page.item),
+	}))
+
+	// Before rendering, so the structured data links to the share pages too
+	if (sharePages.length > 0) markSharePages()
+	renderApp(data)
+
+	// Visible without scripts; the spinner only covers client-side rendering
+	document.getElementById('app-spinner').style.display = 'none'
+	document.getElementById('app-content').style.display = 'block'
+
+	// The theme is each visitor's choice, applied by the inline script in <head>
+	document.documentElement.removeAttribute('data-theme')
+	document.documentElement.removeAttribute('data-theme-choice')
+	document.documentElement.removeAttribute('style')
+	document.body.removeAttribute('data-theme')
+
+	markPrerendered(data)
+
+	// The home page's title, description and canonical link (the router sets them in the browser)
+	updateRouteMeta()
+	await writeFile(outFile, serializeDocument(document))
+
+	await writeSharePages(document, sharePages, { outDir, updateRouteMeta })
+	await removeStaleSharePages(outDir, sharePages)
+
+	console.log(
+		`✅ Prerendered ${data.sections?.length || 0} section(s) into ${outFile.pathname} ` +
+			`and ${sharePages.length} share page(s) next to it`
+	)
+}
+
+/**
+ * Writes the share pages: the rendered page with a <base> pointing at the site root (so its
+ * styles, scripts and images load from the same files) and the route's meta tags
+ * @param {Document} document - The rendered page
+ * @param {Array} pages - See collectSharePages (lib/sharePages.mjs), with each route's meta
+ * @param {Object} context - outDir and updateRouteMeta (metaRenderer.js)
+ */
+async function writeSharePages(document, pages, { outDir, updateRouteMeta }) {
+	const base = document.createElement('base')
+	const charset = document.querySelector('meta[charset]')
+	if (charset) charset.after('\n\t\t', base)
+	else document.head.prepend(base)
+
+	for (const page of pages) {
+		base.setAttribute('href', page.path.replace(/[^/]+\//g, '../'))
+		document.documentElement.setAttribute(SHARE_PAGE_ATTRIBUTE, page.hash)
+		updateRouteMeta(page.meta)
+
+		const folder = new URL(page.path, outDir)
+		await mkdir(folder, { recursive: true })
+		await writeFile(new URL('index.html', folder), serializeDocument(document))
+	}
+}
+
+/**
+ * Deletes share pages written by an earlier run for items that are gone or renamed, and
+ * their folders once empty. Only files marked as share pages are touched.
+ * @param {URL} outDir
+ * @param {Array} pages - The share pages just written
+ */
+async function removeStaleSharePages(outDir, pages) {
+	const current = new Set(pages.map((page) => page.path))
+
+	for (const section of await listFolders(outDir)) {
+		const sectionDir = new URL(`${section}/`, outDir)
+		let removed = false
+		for (const item of await listFolders(sectionDir)) {
+			const path = `${section}/${item}/`
+			const file = new URL('index.html', new URL(path, outDir))
+			if (current.has(path) || !(await isSharePage(file))) continue
+
+			await rm(file)
+			await rmdir(new URL(path, outDir)).catch(() => {}) // Only succeeds when empty
+			console.log(`🗑️ Removed the share page for #/${section}/${item}`)
+			removed = true
+		}
+		if (removed) await rmdir(sectionDir).catch(() => {})
+	}
+}
+
+/**
+ * @param {URL} dir
+ * @returns {Promise<string[]>} Names of the folders in it, except hidden ones
+ */
+async function listFolders(dir) {
+	const entries = await readdir(dir, { withFileTypes: true }).catch(() => [])
+	return entries.filter((entry) => entry.isDirectory() && !entry.name.startsWith('.')).map((entry) => entry.name)
+}
+
+/**
+ * @param {URL} file
+ * @returns {Promise<boolean>} Whether the file is a share page written by this script
+ */
+async function isSharePage(file) {
+	try {
+		return (await readFile(file, 'utf8')).includes(` ${SHARE_PAGE_ATTRIBUTE}="`)
+	} catch {
+		return false
+	}
+}
+
+main().catch((error) => {
+	console.error('❌ Prerender failed:', error)
+	process.exitCode = 1
+})
@@ -0,0 +1,298 @@
+/**
+ * Sitemap, robots.txt and feed generator
+ * Reads data/data.json and writes, for the CNAME domain:
+ * - sitemap.xml: the home page and the item share pages scripts/prerender.mjs writes (the same list,
+ *   see lib/sharePages.mjs). Sections and modals are part of the home page: search engines treat
+ *   #/… URLs as the home page, so hash routes are left out.
+ * - robots.txt: allows everything and points at the sitemap
+ * - feed.xml: an Atom feed of the games (items with store links) and dated entries (news posts and
+ *   other items with a `date`), linking to their share pages
+ *
+ * Usage: node scripts/sitemap.mjs [--out <dir>] [--date YYYY-MM-DD]
+ *   --out   Folder to write to (default: the repository root, next to index.html)
+ *   --date  Last-modified date of the home page, and of new entries without a date of their own
+ *           (default: `meta.updated`, else the newest item or modal date in data.json)
+ *
+ * An entry without an `updated` or `date` keeps the date it had in the sitemap or feed already
+ * there, so editing something else doesn't move it. Output is deterministic: the same data.json,
+ * date and earlier output always give byte-identical files. URLs use the site's own slug
+ * helpers (js/modules/slugUtils.js), so they match the router.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises'
+import { resolve } from 'node:path'
+import { fileURLToPath, pathToFileURL } from 'node:url'
+import { ROOT, loadSite, importSiteModule, getOption } from './lib/site.mjs'
+import { collectSharePages } from './lib/sharePages.mjs'
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/
+const FEED_FILE = 'feed.xml'
+const SITEMAP_FILE = 'sitemap.xml'
+
+/**
+ * Builds and writes the three files
+ */
+async function main() {
+	const outOption = getOption('--out')
+	const outDir = outOption ? pathToFileURL(`${resolve(outOption)}/`) : ROOT
+
+	const { raw, domain, siteUrl } = await loadSite()
+	if (!domain) console.warn(`⚠️ No CNAME found; using ${siteUrl} as the base URL`)
+
+	const { prepareData } = await importSiteModule('js/modules/dataLoader.js')
+	const slugUtils = await importSiteModule('js/modules/slugUtils.js')
+	const { getPlainText } = await importSiteModule('js/modules/richText.js')
+	const { isNewsSection, getPostExcerpt } = await importSiteModule('js/modules/newsRenderer.js')
+	const { getLocale } = await importSiteModule('js/modules/i18n.js')
+	const { getItemStores } = await importSiteModule('js/modules/storeLinks.js')
+
+	const data = prepareData(raw)
+	const siteDate = getSiteDate(data)
+	const sharePages = collectSharePages(data, slugUtils)
+	const previousDates = await readPreviousDates(outDir)
+	const getEntryDate = (item, url) => getItemDate(item) || previousDates.get(url) || siteDate
+
+	const routes = collectRoutes(sharePages, { siteUrl, siteDate, getEntryDate })
+	const feedEntries = collectFeedEntries(sharePages, {
+		siteUrl,
+		getEntryDate,
+		getItemStores,
+		summarize: (item, section) =>
+			isNewsSection(section) ? getPostExcerpt(item) : getPlainText(item.text || item.description || ''),
+	})
+
+	const files = {
+		[SITEMAP_FILE]: buildSitemap(routes),
+		'robots.txt': buildRobots(siteUrl),
+		[FEED_FILE]: buildFeed(data, feedEntries, { siteUrl, siteDate, locale: getLocale() }),
+	}
+
+	for (const [name, content] of Object.entries(files)) {
+		await writeFile(new URL(name, outDir), content)
+	}
+
+	const entryCount = `${feedEntries.length} feed entr${feedEntries.length === 1 ? 'y' : 'ies'}`
+	console.log(`✅ Wrote ${routes.length} sitemap URL(s) and ${entryCount} to ${fileURLToPath(outDir)}`)
+}
+
+/**
+ * Last-modified date for entries that don't carry their own, from data.json itself so the
+ * output never depends on where it runs: --date, else `meta.updated`, else the newest
+ * `updated` / `date` of an item or "updated" block of a modal
+ * @param {Object} data - Validated data
+ * @returns {string} YYYY-MM-DD
+ */
+function getSiteDate(data) {
+	const option = getOption('--date')
+	if (option) {
+		if (!ISO_DATE.test(option)) throw new Error(`--date must be YYYY-MM-DD, got "${option}"`)
+		return option
+	}
+
+	if (ISO_DATE.test(data.meta?.updated || '')) return data.meta.updated
+
+	const sections = Array.isArray(data.sections) ? data.sections : []
+	const modals = Array.isArray(data.modals) ? data.modals : []
+	const newest = newestDate([
+		...sections.flatMap((section) => (Array.isArray(section.items) ? section.items : []).map(getItemDate)),
+		...modals.map(getModalDate),
+	])
+	if (newest) return newest
+
+	throw new Error('No date to use for lastmod: set meta.updated in data.json or pass --date YYYY-MM-DD')
+}
+
+/**
+ * The URLs crawlers can fetch, in page order: the home page, then the share page of each item
+ * @param {Array} sharePages - See collectSharePages (lib/sharePages.mjs)
+ * @param {Object} context - siteUrl, siteDate and getEntryDate(item, url)
+ * @returns {Array<{url:string, lastmod:string}>}
+ */
+function collectRoutes(sharePages, { siteUrl, siteDate, getEntryDate }) {
+	const routes = sharePages.map((page) => {
+		const url = `${siteUrl}${page.path}`
+		return { url, lastmod: getEntryDate(page.item, url) }
+	})
+
+	routes.unshift({ url: siteUrl, lastmod: newestDate([siteDate, ...routes.map((r) => r.lastmod)]) })
+	return routes
+}
+
+/**
+ * Dates from the sitemap and feed an earlier run wrote, by URL, for entries without their own
+ * @param {URL} outDir
+ * @returns {Promise<Map<string, string>>} URL -> YYYY-MM-DD
+ */
+async function readPreviousDates(outDir) {
+	const dates = new Map()
+	const read = (name) => readFile(new URL(name, outDir), 'utf8').catch(() => '')
+
+	const feed = await read(FEED_FILE)
+	for (const [, entry] of feed.matchAll(/<entry>([\s\S]*?)<\/entry>/g)) {
+		const id = entry.match(/<id>([^<]*)<\/id>/)?.[1]
+		const updated = entry.match(/<updated>(\d{4}-\d{2}-\d{2})T/)?.[1]
+		if (id && updated) dates.set(unescapeXml(id), updated)
+	}
+
+	const sitemap = await read(SITEMAP_FILE)
+	for (const [, loc, lastmod] of sitemap.matchAll(/<loc>([^<]*)<\/loc>\s*<lastmod>(\d{4}-\d{2}-\d{2})<\/lastmod>/g)) {
+		if (!dates.has(unescapeXml(loc))) dates.set(unescapeXml(loc), lastmod)
+	}
+
+	return dates
+}
+
+/**
+ * Feed entries: games (items with store links) and dated entries (items with a `date`), newest
+ * first. Each links to its item's share page; items without one (see collectSharePages) have
+ * no address to link to and are left out.
+ * @param {Array} sharePages - See collectSharePages (lib/sharePages.mjs)
+ * @param {Object} context - siteUrl, getEntryDate(item, url), getItemStores and summarize(item, section)
+ * @returns {Array<{title:string, url:string, updated:string, published?:string, author?:string,
+ *   tags:string[], summary:string}>}
+ */
+function collectFeedEntries(sharePages, { siteUrl, getEntryDate, getItemStores, summarize }) {
+	const entries = sharePages
+		.filter(({ item }) => item.heading && (getItemStores(item).length > 0 || ISO_DATE.test(item.date || '')))
+		.map(({ path, section, item }) => {
+			const url = `${siteUrl}${path}`
+			return {
+				title: item.heading,
+				url,
+				updated: getEntryDate(item, url),
+				published: ISO_DATE.test(item.date || '') ? item.date : undefined,
+				author: item.author,
+				tags: Array.isArray(item.tags) ? item.tags : [],
+				summary: summarize(item, section),
+			}
+		})
+
+	// Newest first; the URL breaks ties so the order never changes between runs
+	return entries.sort((a, b) => b.updated.localeCompare(a.updated) || a.url.localeCompare(b.url))
+}
+
+/**
+ * @param {Array<{url:string, lastmod:string}>} routes
+ * @returns {string} sitemap.xml
+ */
+function buildSitemap(routes) {
+	const urls = routes.map(
+		(route) => `\t<url>\n\t\t<loc>${escapeXml(route.url)}</loc>\n\t\t<lastmod>${route.lastmod}</lastmod>\n\t</url>\n`
+	)
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>\n',
+		'<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n',
+		...urls,
+		'</urlset>\n',
+	].join('')
+}
+
+/**
+ * @param {string} siteUrl
+ * @returns {string} robots.txt
+ */
+function buildRobots(siteUrl) {
+	return `User-agent: *\nAllow: /\n\nSitemap: ${siteUrl}${SITEMAP_FILE}\n`
+}
+
+/**
+ * @param {Object} data - Validated data
+ * @param {Array} entries - See collectFeedEntries
+ * @param {Object} context - siteUrl, siteDate and the locale
+ * @returns {string} feed.xml (Atom)
+ */
+function buildFeed(data, entries, { siteUrl, siteDate, locale }) {
+	const siteName = data.meta?.siteName || data.header?.title || data.meta?.title || ''
+	const studio = data.footer?.companyName || siteName
+	const updated = newestDate(entries.map((entry) => entry.updated)) || siteDate
+
+	const lines = [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		`<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(locale)}">`,
+		`\t<title>${escapeXml(siteName)}</title>`,
+	]
+	if (data.meta?.description) lines.push(`\t<subtitle>${escapeXml(data.meta.description)}</subtitle>`)
+	lines.push(
+		`\t<link href="${escapeXml(siteUrl)}" />`,
+		`\t<link rel="self" type="application/atom+xml" href="${escapeXml(siteUrl + FEED_FILE)}" />`,
+		`\t<id>${escapeXml(siteUrl)}</id>`,
+		`\t<updated>${toAtomDate(updated)}</updated>`,
+		`\t<author>\n\t\t<name>${escapeXml(studio)}</name>\n\t</author>`
+	)
+
+	entries.forEach((entry) => {
+		lines.push('\t<entry>', `\t\t<title>${escapeXml(entry.title)}</title>`)
+		lines.push(`\t\t<link href="${escapeXml(entry.url)}" />`, `\t\t<id>${escapeXml(entry.url)}</id>`)
+		if (entry.published) lines.push(`\t\t<published>${toAtomDate(entry.published)}</published>`)
+		lines.push(`\t\t<updated>${toAtomDate(entry.updated)}</updated>`)
+		if (entry.author) lines.push(`\t\t<author>\n\t\t\t<name>${escapeXml(entry.author)}</name>\n\t\t</author>`)
+		entry.tags.forEach((tag) => lines.push(`\t\t<category term="${escapeXml(tag)}" />`))
+		if (entry.summary) lines.push(`\t\t<summary>${escapeXml(entry.summary)}</summary>`)
+		lines.push('\t</entry>')
+	})
+
+	lines.push('</feed>')
+	return `${lines.join('\n')}\n`
+}
+
+/**
+ * An item's own last-modified date: `updated`, else its `date` (news posts)
+ * @param {Object} item
+ * @returns {string|undefined}
+ */
+function getItemDate(item) {
+	return [item.updated, item.date].find((date) => ISO_DATE.test(date || ''))
+}
+
+/**
+ * A modal's "Last updated" text block date, if any (see richText.js)
+ * @param {Object} modal
+ * @returns {string|undefined}
+ */
+function getModalDate(modal) {
+	const blocks = Array.isArray(modal.content) ? modal.content : []
+	return blocks.find((block) => block?.type === 'updated' && ISO_DATE.test(block.date || ''))?.date
+}
+
+/**
+ * @param {string[]} dates - YYYY-MM-DD strings
+ * @returns {string|undefined} The latest one
+ */
+function newestDate(dates) {
+	return dates.filter((date) => ISO_DATE.test(date)).sort().pop()
+}
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} RFC 3339 timestamp at midnight UTC, as Atom requires
+ */
+function toAtomDate(date) {
+	return `${date}T00:00:00Z`
+}
+
+/**
+ * @param {string} value - Text as escapeXml wrote it
+ * @returns {string}
+ */
+function unescapeXml(value) {
+	const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }
+	return value.replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => entities[name])
+}
+
+/**
+ * @param {string} value
+ * @returns {string} Text safe inside XML elements and attributes
+ */
+function escapeXml(value) {
+	return String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&apos;')
+}
+
+main().catch((error) => {
+	console.error('❌ Sitemap generation failed:', error)
+	process.exitCode = 1
+})
@@ -0,0 +1,173 @@
+/**
+ * Service Worker
+ * Offline support and instant repeat visits:
+ * - The app shell and assets listed in precache-manifest.js (generated by scripts/precache.mjs)
+ *   are cached on install
+ * - Those files, data/data.json included, are served stale-while-revalidate: the cached copy at
+ *   once, then the network copy is stored for next time. When it differs, open pages are told
+ *   (`data-updated`) and show a "New content available" prompt (see js/modules/offlineSupport.js),
+ *   so a deploy that forgot to regenerate the manifest still reaches visitors
+ * - Font Awesome (cdnjs) is cached the first time it loads
+ * - Page loads that fail while offline get offline.html
+ * Each deploy's manifest has its own version, so a new deploy installs next to the old one,
+ * waits until the visitor chooses to refresh, and then deletes the caches of other versions.
+ */
+
+importScripts('precache-manifest.js')
+
+const { version: VERSION, files: PRECACHE_FILES } = self.PRECACHE_MANIFEST
+
+const CACHE_PREFIX = 'yetiface-'
+const PRECACHE = `${CACHE_PREFIX}precache-${VERSION}`
+// Third-party files don't change with deploys, so this cache is kept across versions
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime`
+
+const SCOPE = self.registration.scope
+const SHELL_URL = new URL('./', SCOPE).href
+const INDEX_URL = new URL('index.html', SCOPE).href
+const DATA_URL = new URL('data/data.json', SCOPE).href
+const OFFLINE_URL = new URL('offline.html', SCOPE).href
+// The precached files as full URLs, e.g. 'js/index.js' -> https://…/js/index.js
+const PRECACHE_URLS = new Set(PRECACHE_FILES.map((file) => new URL(file, SCOPE).href))
+
+// Cross-origin hosts whose files are cached at runtime
+const RUNTIME_HOSTS = ['cdnjs.cloudflare.com']
+
+/**
+ * Caches this version's files. Fetched with `cache: 'reload'` so the HTTP cache can't
+ * hand back a previous deploy's copy.
+ */
+self.addEventListener('install', (event) => {
+	event.waitUntil(
+		caches
+			.open(PRECACHE)
+			.then((cache) => cache.addAll(PRECACHE_FILES.map((url) => new Request(url, { cache: 'reload' }))))
+	)
+})
+
+/**
+ * Deletes the caches of other versions and takes over open pages
+ */
+self.addEventListener('activate', (event) => {
+	event.waitUntil(
+		caches
+			.keys()
+			.then((keys) =>
+				Promise.all(
+					keys
+						.filter((key) => key.startsWith(CACHE_PREFIX) && key !== PRECACHE && key !== RUNTIME_CACHE)
+						.map((key) => caches.delete(key))
+				)
+			)
+			.then(() => self.clients.claim())
+	)
+})
+
+/**
+ * The page asks a waiting version to take over when the visitor clicks "Refresh"
+ */
+self.addEventListener('message', (event) => {
+	if (event.data?.type === 'skip-waiting') self.skipWaiting()
+})
+
+self.addEventListener('fetch', (event) => {
+	const { request } = event
+	if (request.method !== 'GET' || request.headers.has('range')) return
+	// Requests that opt out of caching (e.g. ?preview polling data.json) go straight to the network
+	if (request.cache === 'no-store') return
+
+	const url = new URL(request.url)
+
+	if (request.mode === 'navigate') {
+		event.respondWith(handleNavigation(event, url))
+		return
+	}
+
+	if (url.origin === self.location.origin) {
+		const path = url.origin + url.pathname
+		// Files outside the manifest (e.g. videos, the content editor) go straight to the network
+		if (PRECACHE_URLS.has(path)) event.respondWith(staleWhileRevalidate(event, path))
+		return
+	}
+
+	if (RUNTIME_HOSTS.includes(url.hostname)) {
+		event.respondWith(cacheFirst(request))
+	}
+})
+
+/**
+ * The site itself (any query string, e.g. ?preview) comes from the cache, revalidated like the
+ * other files; other pages from the network, or the cache when offline, or offline.html
+ * @param {FetchEvent} event
+ * @param {URL} url
+ * @returns {Promise<Response>}
+ */
+async function handleNavigation(event, url) {
+	const { request } = event
+	const path = url.origin + url.pathname
+	if ((path === SHELL_URL || path === INDEX_URL) && (await caches.match(SHELL_URL, { cacheName: PRECACHE }))) {
+		return staleWhileRevalidate(event, SHELL_URL)
+	}
+
+	try {
+		return await fetch(request)
+	} catch (error) {
+		const fallback = (await caches.match(request, { ignoreSearch: true })) || (await caches.match(OFFLINE_URL))
+		if (fallback) return fallback
+		throw error
+	}
+}
+
+/**
+ * Answers from the cache straight away (or the network on a cache miss), and refreshes the
+ * cache in the background. Pages are told when the refreshed copy differs from the one they got.
+ * The refresh asks for `key` itself with `cache: 'no-cache'`, so the HTTP cache only answers
+ * once the server confirms its copy is current.
+ * @param {FetchEvent} event
+ * @param {string} key - The URL without its query string (the shell's for page loads)
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event, key) {
+	const cache = await caches.open(PRECACHE)
+	const cached = await cache.match(key)
+	// Read now: the page may have used up the cached body by the time the network answers
+	const previous = cached ? cached.clone().text() : null
+
+	const refresh = fetch(key, { cache: 'no-cache' }).then(async (response) => {
+		if (!response.ok) return response
+		const changed = previous && (await previous) !== (await response.clone().text())
+		// Stored before pages are told, so a refresh gets the new copy
+		await cache.put(key, response.clone())
+		if (changed) await notifyClients({ type: 'data-updated' })
+		return response
+	})
+
+	if (!cached) return refresh
+
+	// Offline or server error: the cached copy was already served
+	event.waitUntil(refresh.catch(() => {}))
+	return cached
+}
+
+/**
+ * @param {Request} request
+ * @returns {Promise<Response>} The cached copy, or the network's (cached for next time)
+ */
+async function cacheFirst(request) {
+	const cache = await caches.open(RUNTIME_CACHE)
+	const cached = await cache.match(request)
+	if (cached) return cached
+
+	const response = await fetch(request)
+	// Stylesheets linked without `crossorigin` come back opaque; they are still usable
+	if (response.ok || response.type === 'opaque') await cache.put(request, response.clone())
+	return response
+}
+
+/**
+ * @param {Object} message
+ */
+async function notifyClients(message) {
+	const windows = await self.clients.matchAll({ type: 'window' })
+	windows.forEach((client) => client.postMessage(message))
+}